@@ -0,0 +1,144 @@
+const express = require('express');
+const cors = require('cors');
+const cookieParser = require('cookie-parser');
+const path = require('path');
+const routes = require('./routes');
+const { createMailer } = require('./email');
+const { createRepositories } = require('./repositories');
+const { createStatsService } = require('./stats');
+const { createLoginLimiter, createMemoryStore } = require('./loginLimiter');
+const { createPasscodeQueue } = require('./passcodeQueue');
+
+// Defaults for settings that callers may override through createApp({ config })
+const DEFAULT_CONFIG = {
+    jwtSecret: process.env.JWT_SECRET || 'your-secret-key',
+    uploadDir: path.join(__dirname, '../uploads'),
+    corsOrigins: ['http://localhost:3000', 'http://localhost:5000'], // Allow both ports
+    publicUrl: process.env.PUBLIC_URL || 'http://localhost:5000', // Base URL for links in emails
+    contactEmail: process.env.CONTACT_EMAIL || 'info@informationsystems.edu.org', // Receives contact form submissions
+    statsCacheTtlMs: 60 * 1000,
+    accessTokenTtlSeconds: 15 * 60, // Lifetime of the JWT sent with each request
+    refreshTokenTtlMs: 14 * 24 * 60 * 60 * 1000, // How long a login can be renewed without signing in again
+    cookieSecure: process.env.NODE_ENV === 'production', // Session cookies only over HTTPS
+    loginLimiterStore: process.env.LOGIN_LIMITER_STORE || 'memory' // 'sqlite' shares failed login counts between processes
+};
+
+/**
+ * Build the Express application around an open database handle.
+ * Route handlers reach the repositories, mailer, config, stats service, login limiter and passcode queue through req.app.get().
+ * @param {object} options
+ * @param {import('sqlite3').Database} options.db - Initialized database connection
+ * @param {{ sendMail: Function }} [options.mailer] - Mail sender (defaults to createMailer())
+ * @param {object} [options.config] - Overrides for DEFAULT_CONFIG
+ * @returns {import('express').Express}
+ */
+const createApp = ({ db, mailer = createMailer(), config = {} } = {}) => {
+    if (!db) {
+        throw new Error('createApp requires a database handle');
+    }
+
+    const appConfig = { ...DEFAULT_CONFIG, ...config };
+    const app = express();
+
+    const repos = createRepositories(db);
+
+    app.set('db', db);
+    app.set('repos', repos);
+    app.set('mailer', mailer);
+    app.set('config', appConfig);
+    app.set('stats', createStatsService({ stats: repos.stats, ttlMs: appConfig.statsCacheTtlMs }));
+    app.set('loginLimiter', createLoginLimiter({
+        store: appConfig.loginLimiterStore === 'sqlite' ? repos.loginAttempts : createMemoryStore()
+    }));
+    app.set('passcodeQueue', createPasscodeQueue({ repos, mailer }));
+
+    // Middleware
+    app.use(cors({
+        origin: appConfig.corsOrigins,
+        credentials: true
+    }));
+
+    app.use(express.json());
+    app.use(cookieParser());
+    app.use(express.urlencoded({ extended: true }));
+
+    // Serve static files (uploaded materials and images)
+    app.use('/assets', express.static(path.join(__dirname, '../assets')));
+    app.use('/uploads', express.static(appConfig.uploadDir));
+
+    // Serve frontend static files (CSS, JS, images)
+    app.use('/styles', express.static(path.join(__dirname, '../styles')));
+    app.use('/scripts', express.static(path.join(__dirname, '../scripts')));
+    app.use('/pages', express.static(path.join(__dirname, '../pages')));
+    app.use('/doc', express.static(path.join(__dirname, '../doc')));
+
+    // API Routes
+    app.use('/api', routes);
+
+    // Health check endpoint
+    app.get('/health', (req, res) => {
+        res.json({ status: 'OK', message: 'Information Systems Backend API is running' });
+    });
+
+    // Frontend route handlers
+    app.get('/', (req, res) => {
+        res.sendFile(path.join(__dirname, '../pages/index.html'));
+    });
+
+    app.get('/login', (req, res) => {
+        res.sendFile(path.join(__dirname, '../pages/login.html'));
+    });
+
+    app.get('/student/login', (req, res) => {
+        res.sendFile(path.join(__dirname, '../pages/student/login.html'));
+    });
+
+    app.get('/student/dashboard', (req, res) => {
+        res.sendFile(path.join(__dirname, '../pages/student/dashboard.html'));
+    });
+
+    app.get('/admin/login', (req, res) => {
+        res.sendFile(path.join(__dirname, '../pages/admin/login.html'));
+    });
+
+    app.get('/admin/dashboard', (req, res) => {
+        res.sendFile(path.join(__dirname, '../pages/admin/dashboard.html'));
+    });
+
+    // Catch all handler for frontend routes (SPA behavior)
+    app.get('*', (req, res, next) => {
+        // Skip API routes
+        if (req.path.startsWith('/api')) {
+            return next();
+        }
+        
+        // Check if it's a file request (has extension)
+        if (path.extname(req.path)) {
+            return res.status(404).send('File not found');
+        }
+        
+        // For all other routes, serve the main index.html
+        res.sendFile(path.join(__dirname, '../pages/index.html'));
+    });
+
+    // Error handling middleware
+    app.use((err, req, res, next) => {
+        console.error('Error:', err.stack);
+        res.status(500).json({ 
+            error: 'Internal Server Error',
+            message: process.env.NODE_ENV === 'development' ? err.message : 'Something went wrong'
+        });
+    });
+
+    // 404 handler for API routes
+    app.use('/api/*', (req, res) => {
+        res.status(404).json({ error: 'API endpoint not found' });
+    });
+
+    return app;
+};
+
+module.exports = {
+    DEFAULT_CONFIG,
+    createApp
+};
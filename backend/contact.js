@@ -0,0 +1,47 @@
+const { escapeHtml, textToHtml } = require('./html');
+
+// Inbox workflow states for contact form submissions
+const CONTACT_STATUSES = ['new', 'in_progress', 'resolved'];
+
+// Notification to the department inbox about a new submission
+const buildSubmissionNotification = (config, { name, email, phone, subject, message }) => ({
+    to: config.contactEmail,
+    replyTo: email,
+    subject: `Contact Form Submission: ${subject}`,
+    html: `
+        <h3>New Contact Form Submission</h3>
+        <p><strong>Name:</strong> ${escapeHtml(name)}</p>
+        <p><strong>Email:</strong> ${escapeHtml(email)}</p>
+        <p><strong>Phone:</strong> ${escapeHtml(phone || 'Not provided')}</p>
+        <p><strong>Subject:</strong> ${escapeHtml(subject)}</p>
+        <p><strong>Message:</strong></p>
+        ${textToHtml(message)}
+        <hr>
+        <p><em>Submitted on ${new Date().toLocaleString()}</em></p>
+    `
+});
+
+// Reply from an admin to the person who submitted the form, quoting their
+// original message. Answers go back to the department inbox.
+const buildReplyEmail = (config, submission, { subject, body }) => ({
+    to: submission.email,
+    replyTo: config.contactEmail,
+    subject,
+    html: `
+        <p>Dear ${escapeHtml(submission.name)},</p>
+        ${textToHtml(body)}
+        <p>Best regards,<br>Information Systems Department</p>
+        <hr>
+        <p style="font-size: 12px; color: #6c757d;">
+            On ${escapeHtml(submission.createdAt)} you wrote:
+        </p>
+        <blockquote style="font-size: 12px; color: #6c757d;">${textToHtml(submission.message)}</blockquote>
+    `,
+    text: `Dear ${submission.name},\n\n${body}\n\nBest regards,\nInformation Systems Department`
+});
+
+module.exports = {
+    CONTACT_STATUSES,
+    buildReplyEmail,
+    buildSubmissionNotification
+};
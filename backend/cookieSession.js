@@ -0,0 +1,93 @@
+const crypto = require('crypto');
+const { createToken } = require('./tokens');
+
+const ACCESS_COOKIE = 'access_token';
+const REFRESH_COOKIE = 'refresh_token';
+const CSRF_COOKIE = 'csrf_token';
+const CSRF_HEADER = 'x-csrf-token';
+
+// Requests that must not change anything, so need no CSRF token
+const SAFE_METHODS = ['GET', 'HEAD', 'OPTIONS'];
+
+// Browsers ask for a cookie session at login; other clients keep getting
+// the tokens in the response body
+const wantsCookieSession = (req) => Boolean(req.body && req.body.session === 'cookie');
+
+const isSafeMethod = (req) => SAFE_METHODS.includes(req.method);
+
+const cookieOptions = (config, { httpOnly = true, path = '/api', maxAge } = {}) => ({
+    httpOnly,
+    secure: config.cookieSecure,
+    sameSite: 'strict',
+    path,
+    maxAge
+});
+
+/**
+ * Put a session from startSession()/rotateSession() into HttpOnly cookies.
+ * The CSRF token goes in a cookie scripts can read, so pages can echo it
+ * back in the X-CSRF-Token header (double-submit).
+ * @param {import('express').Response} res
+ * @param {object} config - app config
+ * @param {{ token: string, refreshToken: string }} session
+ * @param {string} [csrfToken] - keep an existing token when a session is renewed
+ * @returns {string} the CSRF token
+ */
+const setSessionCookies = (res, config, { token, refreshToken }, csrfToken = createToken()) => {
+    res.cookie(ACCESS_COOKIE, token, cookieOptions(config, { maxAge: config.accessTokenTtlSeconds * 1000 }));
+    res.cookie(REFRESH_COOKIE, refreshToken, cookieOptions(config, { maxAge: config.refreshTokenTtlMs }));
+    // Path "/" so the token is readable from every page, not just under /api
+    res.cookie(CSRF_COOKIE, csrfToken, cookieOptions(config, { httpOnly: false, path: '/', maxAge: config.refreshTokenTtlMs }));
+    return csrfToken;
+};
+
+const clearSessionCookies = (res, config) => {
+    res.clearCookie(ACCESS_COOKIE, cookieOptions(config));
+    res.clearCookie(REFRESH_COOKIE, cookieOptions(config));
+    res.clearCookie(CSRF_COOKIE, cookieOptions(config, { httpOnly: false, path: '/' }));
+};
+
+/**
+ * The access token from the Authorization header, or failing that the cookie.
+ * @returns {{ token: string|undefined, fromCookie: boolean }}
+ */
+const readAccessToken = (req) => {
+    const authHeader = req.headers['authorization'];
+    const bearer = authHeader && authHeader.split(' ')[1];
+    if (bearer) {
+        return { token: bearer, fromCookie: false };
+    }
+    const cookie = req.cookies && req.cookies[ACCESS_COOKIE];
+    return { token: cookie, fromCookie: Boolean(cookie) };
+};
+
+/**
+ * The refresh token from the request body, or failing that the cookie.
+ * @returns {{ token: string|undefined, fromCookie: boolean }}
+ */
+const readRefreshToken = (req) => {
+    if (req.body && req.body.refreshToken) {
+        return { token: req.body.refreshToken, fromCookie: false };
+    }
+    const cookie = req.cookies && req.cookies[REFRESH_COOKIE];
+    return { token: cookie, fromCookie: Boolean(cookie) };
+};
+
+// Another site can make the browser send our cookies but can't read them,
+// so only our own pages can copy the CSRF cookie into the header
+const hasValidCsrfToken = (req) => {
+    const cookie = Buffer.from(String((req.cookies && req.cookies[CSRF_COOKIE]) || ''));
+    const header = Buffer.from(String(req.headers[CSRF_HEADER] || ''));
+    return cookie.length > 0 && cookie.length === header.length && crypto.timingSafeEqual(cookie, header);
+};
+
+module.exports = {
+    CSRF_COOKIE,
+    clearSessionCookies,
+    hasValidCsrfToken,
+    isSafeMethod,
+    readAccessToken,
+    readRefreshToken,
+    setSessionCookies,
+    wantsCookieSession
+};
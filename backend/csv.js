@@ -0,0 +1,88 @@
+// Quote a value for CSV. Cells starting with =, +, - or @ are prefixed with '
+// so spreadsheet apps don't evaluate them as formulas.
+const escapeCsvValue = (value) => {
+    if (value === null || value === undefined) return '';
+
+    let text = String(value);
+    if (/^[=+\-@]/.test(text)) {
+        text = `'${text}`;
+    }
+    return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+/**
+ * Serialize rows to CSV with a header line.
+ * @param {object[]} rows
+ * @param {string[]} columns - property names, used as the header
+ * @returns {string}
+ */
+const toCsv = (rows, columns) => {
+    const lines = [columns.join(',')];
+    rows.forEach((row) => {
+        lines.push(columns.map((column) => escapeCsvValue(row[column])).join(','));
+    });
+    return `${lines.join('\r\n')}\r\n`;
+};
+
+/**
+ * Parse CSV text (RFC 4180: quoted cells may hold commas, quotes and line
+ * breaks). A leading byte order mark and blank lines are skipped.
+ * @param {string} text
+ * @returns {{ line: number, cells: string[] }[]} each record with the line it starts on
+ */
+const parseCsv = (text) => {
+    const input = String(text).replace(/^\uFEFF/, '');
+    const records = [];
+    let cells = [];
+    let cell = '';
+    let quoted = false;
+    let line = 1;
+    let recordLine = 1;
+
+    const endRecord = () => {
+        cells.push(cell);
+        if (cells.length > 1 || cells[0] !== '') {
+            records.push({ line: recordLine, cells });
+        }
+        cells = [];
+        cell = '';
+    };
+
+    for (let i = 0; i < input.length; i++) {
+        const char = input[i];
+
+        if (quoted) {
+            if (char === '"' && input[i + 1] === '"') {
+                cell += '"';
+                i++;
+            } else if (char === '"') {
+                quoted = false;
+            } else {
+                if (char === '\n') line++;
+                cell += char;
+            }
+        } else if (char === '"' && cell === '') {
+            quoted = true;
+        } else if (char === ',') {
+            cells.push(cell);
+            cell = '';
+        } else if (char === '\n' || char === '\r') {
+            if (char === '\r' && input[i + 1] === '\n') i++;
+            endRecord();
+            line++;
+            recordLine = line;
+        } else {
+            cell += char;
+        }
+    }
+
+    if (quoted) {
+        throw new Error(`Unterminated quoted cell starting on line ${recordLine}`);
+    }
+    if (cell !== '' || cells.length) {
+        endRecord();
+    }
+    return records;
+};
+
+module.exports = { parseCsv, toCsv };
@@ -2,6 +2,7 @@ const sqlite3 = require('sqlite3').verbose();
 const bcrypt = require('bcrypt');
 const path = require('path');
 const fs = require('fs');
+const { getPendingMigrations, migrateUp } = require('./migrator');
 
 // Database file path
 const DB_PATH = path.join(__dirname, '../database/information_systems.db');
@@ -15,114 +16,55 @@ if (!fs.existsSync(dbDir)) {
 // Database connection
 let db;
 
-// Initialize database connection
-const initDatabase = async () => {
+// Open a connection to the SQLite database file
+const openDatabase = (filename = DB_PATH) => {
     return new Promise((resolve, reject) => {
-        db = new sqlite3.Database(DB_PATH, (err) => {
+        const connection = new sqlite3.Database(filename, (err) => {
             if (err) {
                 console.error('Error opening database:', err.message);
                 reject(err);
             } else {
-                console.log('Connected to SQLite database');
-                createTables()
-                    .then(() => seedDefaultData())
-                    .then(() => resolve())
-                    .catch(reject);
+                resolve(connection);
             }
         });
     });
 };
 
-// Create database tables
-const createTables = () => {
-    return new Promise((resolve, reject) => {
-        const queries = [
-            // Users table
-            `CREATE TABLE IF NOT EXISTS users (
-                id INTEGER PRIMARY KEY AUTOINCREMENT,
-                name TEXT NOT NULL,
-                regNumber TEXT UNIQUE NOT NULL,
-                email TEXT UNIQUE NOT NULL,
-                passcode TEXT,
-                role TEXT NOT NULL DEFAULT 'student',
-                status TEXT NOT NULL DEFAULT 'pending',
-                createdAt DATETIME DEFAULT CURRENT_TIMESTAMP,
-                updatedAt DATETIME DEFAULT CURRENT_TIMESTAMP
-            )`,
-            
-            // Materials table
-            `CREATE TABLE IF NOT EXISTS materials (
-                id INTEGER PRIMARY KEY AUTOINCREMENT,
-                courseTitle TEXT NOT NULL,
-                type TEXT NOT NULL,
-                fileName TEXT NOT NULL,
-                filePath TEXT NOT NULL,
-                uploadedBy INTEGER,
-                createdAt DATETIME DEFAULT CURRENT_TIMESTAMP,
-                FOREIGN KEY (uploadedBy) REFERENCES users(id)
-            )`,
-            
-            // Events table
-            `CREATE TABLE IF NOT EXISTS events (
-                id INTEGER PRIMARY KEY AUTOINCREMENT,
-                title TEXT NOT NULL,
-                date TEXT NOT NULL,
-                description TEXT,
-                imagePath TEXT,
-                createdBy INTEGER,
-                createdAt DATETIME DEFAULT CURRENT_TIMESTAMP,
-                FOREIGN KEY (createdBy) REFERENCES users(id)
-            )`,
+// Initialize database connection, migrate and seed it. Pass ':memory:' as the
+// filename for a throwaway database (tests, CLI tools).
+const initDatabase = async ({ filename = DB_PATH } = {}) => {
+    db = await openDatabase(filename);
+    console.log('Connected to SQLite database');
 
-            // Create news table
-            `CREATE TABLE IF NOT EXISTS news (
-                id INTEGER PRIMARY KEY AUTOINCREMENT,
-                title TEXT NOT NULL,
-                excerpt TEXT,
-                content TEXT,
-                imageUrl TEXT,
-                date TEXT NOT NULL,
-                author TEXT,
-                createdAt DATETIME DEFAULT CURRENT_TIMESTAMP
-            )`,
+    await applyPendingMigrations();
+    await seedDefaultData();
+    return db;
+};
 
-            // Create achievements table  
-            `CREATE TABLE IF NOT EXISTS achievements (
-                id INTEGER PRIMARY KEY AUTOINCREMENT,
-                title TEXT NOT NULL,
-                description TEXT,
-                icon TEXT DEFAULT 'trophy',
-                link TEXT,
-                date TEXT NOT NULL,
-                createdAt DATETIME DEFAULT CURRENT_TIMESTAMP
-            )`
-        ];
+// Check for pending schema migrations and apply them. Set AUTO_MIGRATE=false
+// to refuse to start instead, e.g. when migrations are run as a deploy step.
+const applyPendingMigrations = async () => {
+    const pending = await getPendingMigrations(db);
 
-        let completed = 0;
-        const total = queries.length;
+    if (pending.length === 0) {
+        console.log('✓ Database schema is up to date');
+        return;
+    }
 
-        queries.forEach((query, index) => {
-            db.run(query, (err) => {
-                if (err) {
-                    console.error(`Error creating table ${index + 1}:`, err.message);
-                    reject(err);
-                } else {
-                    completed++;
-                    if (completed === total) {
-                        console.log('✓ All database tables created successfully');
-                        resolve();
-                    }
-                }
-            });
-        });
-    });
+    if (process.env.AUTO_MIGRATE === 'false') {
+        const names = pending.map((migration) => migration.file).join(', ');
+        throw new Error(`Pending database migrations: ${names}. Run "pnpm migrate" first.`);
+    }
+
+    console.log(`Applying ${pending.length} pending migration(s)...`);
+    await migrateUp(db);
 };
 
 // Seed default data
 const seedDefaultData = async () => {
     return new Promise((resolve, reject) => {
-        // Check if admin user already exists
-        db.get('SELECT id FROM users WHERE role = ?', ['admin'], async (err, row) => {
+        // Check if any admin account already exists
+        db.get('SELECT id FROM admins LIMIT 1', async (err, row) => {
             if (err) {
                 reject(err);
                 return;
@@ -130,37 +72,51 @@ const seedDefaultData = async () => {
 
             if (!row) {
                 try {
-                    // Create default admin user
+                    // Create default admin account
                     const hashedPassword = await bcrypt.hash('admin123', 12);
                     
                     db.run(
-                        `INSERT INTO users (name, regNumber, email, passcode, role, status) 
+                        `INSERT INTO admins (username, regNumber, name, email, password, status) 
                          VALUES (?, ?, ?, ?, ?, ?)`,
                         [
-                            'System Administrator',
+                            'admin',
                             '24/is/ad/001',
+                            'System Administrator',
                             'admin@informationsystems.uniuyo.edu.ng',
                             hashedPassword,
-                            'admin',
                             'active'
                         ],
-                        (err) => {
+                        function(err) {
                             if (err) {
-                                console.error('Error creating admin user:', err.message);
+                                console.error('Error creating admin account:', err.message);
                                 reject(err);
-                            } else {
-                                console.log('✓ Default admin user created');
-                                console.log('  - RegNumber: 24/is/ad/001');
-                                console.log('  - Password: admin123');
-                                seedSampleData().then(resolve).catch(reject);
+                                return;
                             }
+
+                            // The first admin can do everything, including assigning roles to others
+                            db.run(
+                                `INSERT INTO account_roles (accountType, accountId, role)
+                                 VALUES ('admin', ?, 'admin'), ('admin', ?, 'super-admin')`,
+                                [this.lastID, this.lastID],
+                                (roleErr) => {
+                                    if (roleErr) {
+                                        console.error('Error granting admin roles:', roleErr.message);
+                                        reject(roleErr);
+                                        return;
+                                    }
+                                    console.log('✓ Default admin account created');
+                                    console.log('  - Username: admin (or RegNumber: 24/is/ad/001)');
+                                    console.log('  - Password: admin123');
+                                    seedSampleData().then(resolve).catch(reject);
+                                }
+                            );
                         }
                     );
                 } catch (error) {
                     reject(error);
                 }
             } else {
-                console.log('✓ Admin user already exists');
+                console.log('✓ Admin account already exists');
                 seedSampleData().then(resolve).catch(reject);
             }
         });
@@ -181,18 +137,21 @@ const seedSampleData = () => {
                 // Insert sample materials
                 const sampleMaterials = [
                     {
-                        courseTitle: 'Introduction to Information Systems',
+                        courseCode: 'COS111',
+                        courseTitle: 'Introduction to Computing Science',
                         type: 'pdf',
                         fileName: 'IS101_Introduction.pdf',
                         filePath: '/assets/uploads/IS101_Introduction.pdf'
                     },
                     {
+                        courseCode: 'INS202',
                         courseTitle: 'Database Management Systems',
                         type: 'pdf',
                         fileName: 'IS201_Database.pdf',
                         filePath: '/assets/uploads/IS201_Database.pdf'
                     },
                     {
+                        courseCode: 'INS201',
                         courseTitle: 'Systems Analysis and Design',
                         type: 'pptx',
                         fileName: 'IS301_Systems_Analysis.pptx',
@@ -203,9 +162,9 @@ const seedSampleData = () => {
                 let materialsInserted = 0;
                 sampleMaterials.forEach((material) => {
                     db.run(
-                        `INSERT INTO materials (courseTitle, type, fileName, filePath, uploadedBy) 
-                         VALUES (?, ?, ?, ?, ?)`,
-                        [material.courseTitle, material.type, material.fileName, material.filePath, 1],
+                        `INSERT INTO materials (courseCode, courseTitle, type, fileName, filePath, uploadedBy) 
+                         VALUES (?, ?, ?, ?, ?, ?)`,
+                        [material.courseCode, material.courseTitle, material.type, material.fileName, material.filePath, 1],
                         (err) => {
                             if (err) {
                                 console.error('Error inserting sample material:', err.message);
@@ -252,13 +211,60 @@ const seedSampleData = () => {
                             eventsInserted++;
                             if (eventsInserted === sampleEvents.length) {
                                 console.log('✓ Sample events inserted');
-                                resolve();
+                                insertSampleNews();
                             }
                         }
                     }
                 );
             });
         };
+
+        const insertSampleNews = () => {
+            const publishedAt = new Date().toISOString();
+
+            db.run(
+                `INSERT INTO news (slug, title, excerpt, date, status, publishAt, author, authorId, updatedAt) 
+                 VALUES (?, ?, ?, ?, 'published', ?, ?, ?, CURRENT_TIMESTAMP)`,
+                [
+                    'new-semester-registration-open',
+                    'New Semester Registration Open',
+                    'Registration for the new semester is now open for all students.',
+                    publishedAt,
+                    publishedAt,
+                    'System Administrator',
+                    1
+                ],
+                (err) => {
+                    if (err) {
+                        console.error('Error inserting sample news:', err.message);
+                    } else {
+                        console.log('✓ Sample news inserted');
+                    }
+                    insertSampleAchievements();
+                }
+            );
+        };
+
+        const insertSampleAchievements = () => {
+            db.run(
+                `INSERT INTO achievements (title, description, icon, date, updatedAt) 
+                 VALUES (?, ?, ?, ?, CURRENT_TIMESTAMP)`,
+                [
+                    "Dean's List Recognition",
+                    'Outstanding academic performance by our students.',
+                    'trophy',
+                    '2025-01-10'
+                ],
+                (err) => {
+                    if (err) {
+                        console.error('Error inserting sample achievement:', err.message);
+                    } else {
+                        console.log('✓ Sample achievements inserted');
+                    }
+                    resolve();
+                }
+            );
+        };
     });
 };
 
@@ -289,6 +295,8 @@ const closeDatabase = () => {
 };
 
 module.exports = {
+    DB_PATH,
+    openDatabase,
     initDatabase,
     getDatabase,
     closeDatabase
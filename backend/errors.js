@@ -0,0 +1,48 @@
+// Application error types. Each carries the HTTP status routes should answer with.
+
+class AppError extends Error {
+    constructor(message, status = 500, options = {}) {
+        super(message, options);
+        this.name = this.constructor.name;
+        this.status = status;
+    }
+}
+
+class ValidationError extends AppError {
+    constructor(message = 'Invalid request', options) {
+        super(message, 400, options);
+    }
+}
+
+class ForbiddenError extends AppError {
+    constructor(message = 'You do not have permission to do this', options) {
+        super(message, 403, options);
+    }
+}
+
+class NotFoundError extends AppError {
+    constructor(message = 'Resource not found', options) {
+        super(message, 404, options);
+    }
+}
+
+class ConflictError extends AppError {
+    constructor(message = 'Resource already exists', options) {
+        super(message, 409, options);
+    }
+}
+
+class DatabaseError extends AppError {
+    constructor(message = 'Database error', options) {
+        super(message, 500, options);
+    }
+}
+
+module.exports = {
+    AppError,
+    ValidationError,
+    ForbiddenError,
+    NotFoundError,
+    ConflictError,
+    DatabaseError
+};
@@ -0,0 +1,14 @@
+// Escape text for interpolation into an HTML email
+const escapeHtml = (text) => String(text)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;');
+
+// Plain text written by a person as HTML paragraphs: blank lines separate
+// paragraphs and single newlines become line breaks
+const textToHtml = (text) => String(text).split(/\r?\n\s*\r?\n/)
+    .map((paragraph) => `<p>${escapeHtml(paragraph.trim()).replace(/\r?\n/g, '<br>')}</p>`)
+    .join('\n');
+
+module.exports = { escapeHtml, textToHtml };
@@ -0,0 +1,231 @@
+const { escapeHtml } = require('./html');
+
+// Failed login limits, per account and per IP address. Once `backoffAfter`
+// failures have piled up, each further attempt must wait twice as long as
+// the one before (from `baseDelayMs`, capped at `maxDelayMs`); at `lockAfter`
+// failures the key is locked for `lockMs`. Failures older than `windowMs`
+// are forgotten. IPs get more room since many students share campus NAT.
+const LOGIN_LIMITS = {
+    account: { backoffAfter: 3, baseDelayMs: 1000, maxDelayMs: 60 * 1000, lockAfter: 10, lockMs: 15 * 60 * 1000, windowMs: 60 * 60 * 1000 },
+    ip: { backoffAfter: 20, baseDelayMs: 1000, maxDelayMs: 60 * 1000, lockAfter: 100, lockMs: 15 * 60 * 1000, windowMs: 60 * 60 * 1000 }
+};
+
+/**
+ * @typedef {object} AttemptRecord
+ * @property {string} key - e.g. 'student:12', 'admin:unknown:bob' or 'ip:10.0.0.1'
+ * @property {number} failures - failures since the last success or lockout
+ * @property {string} lastFailureAt - ISO datetime
+ * @property {string|null} lockedUntil - ISO datetime
+ */
+
+/**
+ * @typedef {object} LimiterStore
+ * @property {(key: string) => Promise<AttemptRecord|undefined>} get
+ * @property {(key: string, change: (record: AttemptRecord|undefined) => AttemptRecord|null) => Promise<void>} update
+ *     - read, change and save a record as one step no other update can interleave with;
+ *     `change` returns null to leave the record as it is
+ * @property {(key: string) => Promise<boolean>} delete - whether a record was removed
+ * @property {(now: string) => Promise<AttemptRecord[]>} listLocked
+ * @property {(before: string, now: string) => Promise<void>} purgeStale
+ */
+
+// Limiter key for the account a login names. Unknown names are tracked too,
+// so guessing at them is throttled the same way and reveals nothing.
+const accountLimitKey = (accountType, account, identifier) => (account
+    ? `${accountType}:${account.id}`
+    : `${accountType}:unknown:${String(identifier).trim().toLowerCase()}`);
+
+const ipLimitKey = (ip) => `ip:${ip}`;
+
+/**
+ * Single-process store; attempts are lost on restart.
+ * @returns {LimiterStore}
+ */
+const createMemoryStore = () => {
+    const records = new Map();
+
+    return {
+        async get(key) {
+            return records.get(key);
+        },
+
+        // Synchronous between read and write, so atomic within the process
+        async update(key, change) {
+            const next = change(records.get(key));
+            if (next) {
+                records.set(key, { ...next });
+            }
+        },
+
+        async delete(key) {
+            return records.delete(key);
+        },
+
+        async listLocked(now) {
+            return [...records.values()].filter((record) => record.lockedUntil && record.lockedUntil > now);
+        },
+
+        async purgeStale(before, now) {
+            records.forEach((record, key) => {
+                if (record.lastFailureAt < before && !(record.lockedUntil && record.lockedUntil > now)) {
+                    records.delete(key);
+                }
+            });
+        }
+    };
+};
+
+/**
+ * Track failed logins and decide when the next attempt is allowed.
+ * @param {object} options
+ * @param {LimiterStore} options.store - createMemoryStore() or repos.loginAttempts
+ * @param {typeof LOGIN_LIMITS} [options.limits]
+ * @param {() => Date} [options.now]
+ */
+const createLoginLimiter = ({ store, limits = LOGIN_LIMITS, now = () => new Date() }) => {
+    // The record, unless its failures have aged out
+    const current = (record, policy, time) => {
+        if (!record) return null;
+
+        const locked = record.lockedUntil && new Date(record.lockedUntil).getTime() > time;
+        if (!locked && time - new Date(record.lastFailureAt).getTime() > policy.windowMs) {
+            return null;
+        }
+        return record;
+    };
+
+    // Milliseconds until the key may try again, or 0
+    const waitFor = (record, policy, time) => {
+        if (!record) return 0;
+
+        if (record.lockedUntil) {
+            const lockedFor = new Date(record.lockedUntil).getTime() - time;
+            if (lockedFor > 0) return lockedFor;
+        }
+
+        if (record.failures < policy.backoffAfter) return 0;
+
+        const delay = Math.min(policy.baseDelayMs * 2 ** (record.failures - policy.backoffAfter), policy.maxDelayMs);
+        return Math.max(new Date(record.lastFailureAt).getTime() + delay - time, 0);
+    };
+
+    // Count an attempt against a key as a failure before the secret is
+    // checked, unless the key has to wait. Checking and counting in one store
+    // update means concurrent attempts can't all slip through on the same count.
+    const reserve = async (key, policy, time) => {
+        const result = { retryAfterMs: 0, locked: false, lockedUntil: null };
+
+        await store.update(key, (stored) => {
+            const record = current(stored, policy, time);
+            result.retryAfterMs = waitFor(record, policy, time);
+            if (result.retryAfterMs) {
+                result.locked = Boolean(record.lockedUntil && new Date(record.lockedUntil).getTime() > time);
+                return null;
+            }
+
+            const failures = (record ? record.failures : 0) + 1;
+            const lastFailureAt = new Date(time).toISOString();
+
+            // Locking starts the count again, so the key gets a few quick tries once it expires
+            if (failures >= policy.lockAfter) {
+                result.lockedUntil = new Date(time + policy.lockMs).toISOString();
+                return { key, failures: 0, lastFailureAt, lockedUntil: result.lockedUntil };
+            }
+            return { key, failures, lastFailureAt, lockedUntil: null };
+        });
+
+        return result;
+    };
+
+    // Give back an attempt reserve() counted that turned out not to be a failure
+    const release = (key) => store.update(key, (record) => (record && record.failures > 0
+        ? { ...record, failures: record.failures - 1 }
+        : null));
+
+    return {
+        /**
+         * Start a login attempt: refuse it if the IP or account has to wait,
+         * otherwise count it as a failure until recordSuccess() or release()
+         * says otherwise.
+         * @param {{ ip: string, account: string }} keys - from ipLimitKey() and accountLimitKey()
+         * @returns {Promise<{ allowed: boolean, retryAfterMs: number, locked: boolean, accountLockedUntil: string|null }>}
+         *     accountLockedUntil is set when this attempt locked the account
+         */
+        async attempt(keys) {
+            const time = now().getTime();
+
+            const ip = await reserve(keys.ip, limits.ip, time);
+            if (ip.retryAfterMs) {
+                return { allowed: false, retryAfterMs: ip.retryAfterMs, locked: ip.locked, accountLockedUntil: null };
+            }
+
+            const account = await reserve(keys.account, limits.account, time);
+            if (account.retryAfterMs) {
+                await release(keys.ip);
+                return { allowed: false, retryAfterMs: account.retryAfterMs, locked: account.locked, accountLockedUntil: null };
+            }
+
+            return { allowed: true, retryAfterMs: 0, locked: false, accountLockedUntil: account.lockedUntil };
+        },
+
+        // A step of the login passed but the login is not finished yet
+        async release(keys) {
+            await Promise.all([release(keys.ip), release(keys.account)]);
+        },
+
+        // A successful login clears the account's failures. The IP only gets
+        // this attempt back, so one working login can't be used to reset
+        // guessing at others.
+        async recordSuccess(keys) {
+            await Promise.all([release(keys.ip), store.delete(keys.account)]);
+        },
+
+        /** @returns {Promise<boolean>} whether the key had a record */
+        unlock(key) {
+            return store.delete(key);
+        },
+
+        /** @returns {Promise<AttemptRecord[]>} keys locked right now */
+        listLocked() {
+            return store.listLocked(now().toISOString());
+        },
+
+        // Forget failures too old to matter
+        purgeStale() {
+            const time = now().getTime();
+            const windowMs = Math.max(limits.account.windowMs, limits.ip.windowMs);
+            return store.purgeStale(new Date(time - windowMs).toISOString(), new Date(time).toISOString());
+        }
+    };
+};
+
+// Email telling an account holder that repeated failed logins locked them out
+const buildLockoutEmail = (config, { name, email }, accountType, lockedUntil) => {
+    const secret = accountType === 'admin' ? 'password' : 'passcode';
+    const resetUrl = `${config.publicUrl}/pages/reset-password.html?${new URLSearchParams({ type: accountType })}`;
+    const until = new Date(lockedUntil).toUTCString();
+
+    return {
+        to: email,
+        subject: 'Your account has been temporarily locked - Information Systems Department',
+        html: `
+            <h2>Your account has been temporarily locked</h2>
+            <p>Dear ${escapeHtml(name || 'user')},</p>
+            <p>There were too many failed attempts to sign in to your account, so sign-in is blocked
+            until ${until}.</p>
+            <p>If this was you, you can try again after that time. If it wasn't, someone may be trying to guess
+            your ${secret}; <a href="${resetUrl}">reset your ${secret}</a> or contact the department office.</p>
+            <p>Best regards,<br>Information Systems Department</p>
+        `,
+        text: `Too many failed sign-in attempts: your account is locked until ${until}.\n\nIf this wasn't you, reset your ${secret}: ${resetUrl}`
+    };
+};
+
+module.exports = {
+    LOGIN_LIMITS,
+    accountLimitKey,
+    buildLockoutEmail,
+    createLoginLimiter,
+    createMemoryStore,
+    ipLimitKey
+};
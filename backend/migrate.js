@@ -0,0 +1,77 @@
+#!/usr/bin/env node
+/**
+ * Database migration CLI
+ *
+ * Usage:
+ *   node migrate.js up [--to <version>]     Apply pending migrations
+ *   node migrate.js down [--steps <count>]  Roll back applied migrations (default 1)
+ *   node migrate.js status                  List migrations and their state
+ *   node migrate.js create <name>           Scaffold a new migration file
+ */
+const { openDatabase } = require('./db');
+const {
+    getMigrationStatus,
+    migrateUp,
+    migrateDown,
+    createMigration
+} = require('./migrator');
+
+// Read the integer following a --flag argument, no smaller than min
+const readNumberOption = (args, flag, min = 0) => {
+    const index = args.indexOf(flag);
+    if (index === -1) return undefined;
+
+    const value = Number(args[index + 1]);
+    if (!Number.isInteger(value) || value < min) {
+        throw new Error(`${flag} expects an integer of at least ${min}`);
+    }
+    return value;
+};
+
+const main = async () => {
+    const [command = 'up', ...args] = process.argv.slice(2);
+
+    if (command === 'create') {
+        const file = createMigration(args.join(' '));
+        console.log(`✓ Created migrations/${file}`);
+        return;
+    }
+
+    const db = await openDatabase();
+
+    try {
+        switch (command) {
+            case 'up': {
+                const applied = await migrateUp(db, { to: readNumberOption(args, '--to') });
+                if (applied.length === 0) {
+                    console.log('✓ No pending migrations');
+                }
+                break;
+            }
+            case 'down': {
+                const rolledBack = await migrateDown(db, { steps: readNumberOption(args, '--steps', 1) ?? 1 });
+                if (rolledBack.length === 0) {
+                    console.log('✓ No applied migrations to roll back');
+                }
+                break;
+            }
+            case 'status': {
+                const migrations = await getMigrationStatus(db);
+                migrations.forEach((migration) => {
+                    const state = migration.applied ? 'applied' : 'pending';
+                    console.log(`${String(migration.version).padStart(3, '0')}  ${state.padEnd(8)} ${migration.name}`);
+                });
+                break;
+            }
+            default:
+                throw new Error(`Unknown command "${command}". Use up, down, status or create.`);
+        }
+    } finally {
+        await new Promise((resolve) => db.close(resolve));
+    }
+};
+
+main().catch((error) => {
+    console.error('Migration failed:', error.message);
+    process.exit(1);
+});
@@ -0,0 +1,70 @@
+const { exec } = require('../migrator');
+
+// Baseline schema. Uses IF NOT EXISTS so databases created before the
+// migration system was introduced are adopted without changes.
+module.exports = {
+    up: (db) => exec(db, `
+        CREATE TABLE IF NOT EXISTS users (
+            id INTEGER PRIMARY KEY AUTOINCREMENT,
+            name TEXT NOT NULL,
+            regNumber TEXT UNIQUE NOT NULL,
+            email TEXT UNIQUE NOT NULL,
+            passcode TEXT,
+            role TEXT NOT NULL DEFAULT 'student',
+            status TEXT NOT NULL DEFAULT 'pending',
+            createdAt DATETIME DEFAULT CURRENT_TIMESTAMP,
+            updatedAt DATETIME DEFAULT CURRENT_TIMESTAMP
+        );
+
+        CREATE TABLE IF NOT EXISTS materials (
+            id INTEGER PRIMARY KEY AUTOINCREMENT,
+            courseTitle TEXT NOT NULL,
+            type TEXT NOT NULL,
+            fileName TEXT NOT NULL,
+            filePath TEXT NOT NULL,
+            uploadedBy INTEGER,
+            createdAt DATETIME DEFAULT CURRENT_TIMESTAMP,
+            FOREIGN KEY (uploadedBy) REFERENCES users(id)
+        );
+
+        CREATE TABLE IF NOT EXISTS events (
+            id INTEGER PRIMARY KEY AUTOINCREMENT,
+            title TEXT NOT NULL,
+            date TEXT NOT NULL,
+            description TEXT,
+            imagePath TEXT,
+            createdBy INTEGER,
+            createdAt DATETIME DEFAULT CURRENT_TIMESTAMP,
+            FOREIGN KEY (createdBy) REFERENCES users(id)
+        );
+
+        CREATE TABLE IF NOT EXISTS news (
+            id INTEGER PRIMARY KEY AUTOINCREMENT,
+            title TEXT NOT NULL,
+            excerpt TEXT,
+            content TEXT,
+            imageUrl TEXT,
+            date TEXT NOT NULL,
+            author TEXT,
+            createdAt DATETIME DEFAULT CURRENT_TIMESTAMP
+        );
+
+        CREATE TABLE IF NOT EXISTS achievements (
+            id INTEGER PRIMARY KEY AUTOINCREMENT,
+            title TEXT NOT NULL,
+            description TEXT,
+            icon TEXT DEFAULT 'trophy',
+            link TEXT,
+            date TEXT NOT NULL,
+            createdAt DATETIME DEFAULT CURRENT_TIMESTAMP
+        );
+    `),
+
+    down: (db) => exec(db, `
+        DROP TABLE IF EXISTS achievements;
+        DROP TABLE IF EXISTS news;
+        DROP TABLE IF EXISTS events;
+        DROP TABLE IF EXISTS materials;
+        DROP TABLE IF EXISTS users;
+    `)
+};
@@ -0,0 +1,6 @@
+const { exec } = require('../migrator');
+
+module.exports = {
+    up: (db) => exec(db, 'ALTER TABLE materials ADD COLUMN description TEXT'),
+    down: (db) => exec(db, 'ALTER TABLE materials DROP COLUMN description')
+};
@@ -0,0 +1,17 @@
+const { exec } = require('../migrator');
+
+module.exports = {
+    up: (db) => exec(db, `
+        CREATE TABLE admins (
+            id INTEGER PRIMARY KEY AUTOINCREMENT,
+            username TEXT UNIQUE NOT NULL,
+            regNumber TEXT UNIQUE,
+            name TEXT,
+            email TEXT UNIQUE,
+            password TEXT NOT NULL,
+            createdAt DATETIME DEFAULT CURRENT_TIMESTAMP,
+            updatedAt DATETIME DEFAULT CURRENT_TIMESTAMP
+        )
+    `),
+    down: (db) => exec(db, 'DROP TABLE admins')
+};
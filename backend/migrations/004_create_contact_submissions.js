@@ -0,0 +1,16 @@
+const { exec } = require('../migrator');
+
+module.exports = {
+    up: (db) => exec(db, `
+        CREATE TABLE contact_submissions (
+            id INTEGER PRIMARY KEY AUTOINCREMENT,
+            name TEXT NOT NULL,
+            email TEXT NOT NULL,
+            phone TEXT,
+            subject TEXT NOT NULL,
+            message TEXT NOT NULL,
+            createdAt DATETIME DEFAULT CURRENT_TIMESTAMP
+        )
+    `),
+    down: (db) => exec(db, 'DROP TABLE contact_submissions')
+};
@@ -0,0 +1,38 @@
+const { exec } = require('../migrator');
+
+// Admin accounts used to be seeded as users rows with role 'admin' while the
+// login routes queried the admins table. Move them into admins, which is now
+// the only place admin identities live, and track whether each is enabled.
+module.exports = {
+    up: (db) => exec(db, `
+        ALTER TABLE admins ADD COLUMN status TEXT NOT NULL DEFAULT 'active';
+        ALTER TABLE admins ADD COLUMN lastLoginAt DATETIME;
+
+        INSERT INTO admins (username, regNumber, name, email, password, createdAt)
+        SELECT lower(u.regNumber), lower(u.regNumber), u.name, u.email, u.passcode, u.createdAt
+        FROM users u
+        WHERE u.role = 'admin'
+          AND u.passcode IS NOT NULL
+          AND NOT EXISTS (
+              SELECT 1 FROM admins a
+              WHERE lower(a.regNumber) = lower(u.regNumber) OR a.email = u.email
+          );
+
+        DELETE FROM users WHERE role = 'admin';
+    `),
+
+    down: (db) => exec(db, `
+        INSERT INTO users (name, regNumber, email, passcode, role, status, createdAt)
+        SELECT COALESCE(a.name, a.username), COALESCE(a.regNumber, a.username),
+               COALESCE(a.email, a.username || '@localhost'), a.password, 'admin', 'active', a.createdAt
+        FROM admins a
+        WHERE NOT EXISTS (
+            SELECT 1 FROM users u
+            WHERE u.regNumber = COALESCE(a.regNumber, a.username)
+        );
+
+        DELETE FROM admins;
+        ALTER TABLE admins DROP COLUMN lastLoginAt;
+        ALTER TABLE admins DROP COLUMN status;
+    `)
+};
@@ -0,0 +1,58 @@
+const { exec, run } = require('../migrator');
+
+// Curriculum previously hard-coded in GET /api/courses.
+// Columns: id, code, title, units, type, level, description
+const CURRICULUM = [
+    [1, "COS111", "Introduction to Computing Science", 3, "core", 100, "Fundamentals of computer systems and basic programming concepts."],
+    [2, "COS102", "Problem Solving and Programming", 3, "core", 100, "Introduction to problem-solving techniques and programming fundamentals."],
+    [3, "MTH101", "Elementary Mathematics I", 3, "core", 100, "Basic mathematical concepts for computing students."],
+    [4, "MTH102", "Elementary Mathematics II", 3, "core", 100, "Advanced mathematical concepts for computing students."],
+    [5, "GST101", "Use of English", 2, "gst", 100, "English language skills for academic and professional communication."],
+    [6, "GST102", "Nigerian Peoples and Culture", 2, "gst", 100, "Study of Nigerian culture, history, and social systems."],
+    [7, "INS201", "Systems Analysis and Design", 3, "core", 200, "Methodologies for analyzing and designing information systems."],
+    [8, "INS202", "Database Management Systems", 3, "core", 200, "Design and implementation of database systems."],
+    [9, "INS203", "Business Process Modeling", 3, "core", 200, "Techniques for modeling and optimizing business processes."],
+    [10, "COS201", "Data Structures and Algorithms", 3, "core", 200, "Fundamental data structures and algorithmic problem solving."],
+    [11, "MTH201", "Mathematical Methods", 3, "core", 200, "Advanced mathematical methods for computer science."],
+    [12, "STA201", "Statistics for Computing", 3, "core", 200, "Statistical methods and their applications in computing."],
+    [13, "INS301", "Enterprise Resource Planning", 3, "core", 300, "Implementation and management of ERP systems."],
+    [14, "INS302", "Information Security", 3, "core", 300, "Principles and practices of information security."],
+    [15, "INS303", "Web Technologies", 3, "core", 300, "Modern web development technologies and frameworks."],
+    [16, "INS304", "Data Analytics", 3, "core", 300, "Techniques for analyzing and interpreting large datasets."],
+    [17, "INS305", "Project Management", 3, "elective", 300, "Principles and practices of IT project management."],
+    [18, "INS306", "Mobile Application Development", 3, "elective", 300, "Development of mobile applications for various platforms."],
+    [19, "INS401", "Strategic Information Systems", 3, "core", 400, "Strategic role of information systems in organizations."],
+    [20, "INS402", "Business Intelligence", 3, "core", 400, "Business intelligence systems and data warehousing."],
+    [21, "INS403", "Digital Transformation", 3, "core", 400, "Leading digital transformation initiatives in organizations."],
+    [22, "INS404", "Research Project", 6, "core", 400, "Independent research project in information systems."],
+    [23, "INS405", "Emerging Technologies", 3, "elective", 400, "Study of emerging technologies and their impact."],
+    [24, "INS406", "IT Governance", 3, "elective", 400, "Governance frameworks for IT organizations."]
+];
+
+module.exports = {
+    up: async (db) => {
+        await exec(db, `
+            CREATE TABLE courses (
+                id INTEGER PRIMARY KEY AUTOINCREMENT,
+                code TEXT UNIQUE NOT NULL,
+                title TEXT NOT NULL,
+                units INTEGER NOT NULL DEFAULT 3,
+                type TEXT NOT NULL DEFAULT 'core' CHECK (type IN ('core', 'elective', 'gst')),
+                level INTEGER NOT NULL,
+                description TEXT,
+                prerequisites TEXT NOT NULL DEFAULT '[]',
+                createdAt DATETIME DEFAULT CURRENT_TIMESTAMP,
+                updatedAt DATETIME DEFAULT CURRENT_TIMESTAMP
+            );
+            CREATE INDEX idx_courses_level ON courses(level);
+        `);
+
+        for (const course of CURRICULUM) {
+            await run(db,
+                'INSERT INTO courses (id, code, title, units, type, level, description) VALUES (?, ?, ?, ?, ?, ?, ?)',
+                course);
+        }
+    },
+
+    down: (db) => exec(db, 'DROP TABLE courses')
+};
@@ -0,0 +1,59 @@
+const { exec, run, all } = require('../migrator');
+
+const COURSE_CODE_PATTERN = /\b([A-Z]{3})\s?(\d{3})\b/i;
+
+// Collapse case, punctuation and spacing so "Database Mgmt. Systems " style
+// variations of the same title compare equal
+const normalizeTitle = (title) => String(title || '').toLowerCase().replace(/[^a-z0-9]+/g, ' ').trim();
+
+// Find the course a free-text material title refers to: either a course code
+// written in the title ("INS202 - Databases") or an exact title match
+const resolveCourseCode = (courseTitle, courses) => {
+    const codeMatch = String(courseTitle || '').match(COURSE_CODE_PATTERN);
+    if (codeMatch) {
+        const code = `${codeMatch[1]}${codeMatch[2]}`.toUpperCase();
+        if (courses.some((course) => course.code === code)) return code;
+    }
+
+    const title = normalizeTitle(courseTitle);
+    const course = courses.find((candidate) => normalizeTitle(candidate.title) === title);
+    return course ? course.code : null;
+};
+
+// Materials used to name their course with a free-text title. Give each one a
+// courseCode pointing at the courses table and report titles that could not
+// be matched so they can be fixed by hand.
+module.exports = {
+    up: async (db) => {
+        await exec(db, `
+            ALTER TABLE materials ADD COLUMN courseCode TEXT REFERENCES courses(code) ON UPDATE CASCADE ON DELETE SET NULL;
+            CREATE INDEX idx_materials_course_code ON materials(courseCode);
+        `);
+
+        const courses = await all(db, 'SELECT code, title FROM courses');
+        const materials = await all(db, 'SELECT id, courseTitle FROM materials');
+        const unresolved = [];
+
+        for (const material of materials) {
+            const code = resolveCourseCode(material.courseTitle, courses);
+            if (code) {
+                await run(db, 'UPDATE materials SET courseCode = ? WHERE id = ?', [code, material.id]);
+            } else {
+                unresolved.push(material);
+            }
+        }
+
+        if (unresolved.length > 0) {
+            console.warn(`⚠ ${unresolved.length} material(s) could not be matched to a course:`);
+            unresolved.forEach((material) => {
+                console.warn(`  - material ${material.id}: "${material.courseTitle}"`);
+            });
+            console.warn('  Set their course with PUT /api/materials/:id { "courseCode": "..." }');
+        }
+    },
+
+    down: (db) => exec(db, `
+        DROP INDEX IF EXISTS idx_materials_course_code;
+        ALTER TABLE materials DROP COLUMN courseCode;
+    `)
+};
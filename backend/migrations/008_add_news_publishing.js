@@ -0,0 +1,50 @@
+const { exec, run, all } = require('../migrator');
+
+// Turn a title into a URL slug, e.g. "New Semester: Registration Open!" -> "new-semester-registration-open"
+const slugify = (title) => String(title || '').toLowerCase()
+    .replace(/[^a-z0-9]+/g, '-')
+    .replace(/^-+|-+$/g, '')
+    .slice(0, 80) || 'article';
+
+// News articles gain slugs, a draft/published workflow with an optional
+// scheduled publish date, and a link to the admin who wrote them. Articles
+// already in the table were shown on the homepage, so they start published.
+module.exports = {
+    up: async (db) => {
+        await exec(db, `
+            ALTER TABLE news ADD COLUMN slug TEXT;
+            ALTER TABLE news ADD COLUMN status TEXT NOT NULL DEFAULT 'draft' CHECK (status IN ('draft', 'published'));
+            ALTER TABLE news ADD COLUMN publishAt DATETIME;
+            ALTER TABLE news ADD COLUMN authorId INTEGER REFERENCES admins(id);
+            ALTER TABLE news ADD COLUMN updatedAt DATETIME;
+
+            UPDATE news SET status = 'published', publishAt = date, updatedAt = createdAt;
+        `);
+
+        const articles = await all(db, 'SELECT id, title FROM news ORDER BY id ASC');
+        const used = new Set();
+        for (const article of articles) {
+            let slug = slugify(article.title);
+            for (let suffix = 2; used.has(slug); suffix++) {
+                slug = `${slugify(article.title)}-${suffix}`;
+            }
+            used.add(slug);
+            await run(db, 'UPDATE news SET slug = ? WHERE id = ?', [slug, article.id]);
+        }
+
+        await exec(db, `
+            CREATE UNIQUE INDEX idx_news_slug ON news(slug);
+            CREATE INDEX idx_news_status_publish_at ON news(status, publishAt);
+        `);
+    },
+
+    down: (db) => exec(db, `
+        DROP INDEX IF EXISTS idx_news_status_publish_at;
+        DROP INDEX IF EXISTS idx_news_slug;
+        ALTER TABLE news DROP COLUMN updatedAt;
+        ALTER TABLE news DROP COLUMN authorId;
+        ALTER TABLE news DROP COLUMN publishAt;
+        ALTER TABLE news DROP COLUMN status;
+        ALTER TABLE news DROP COLUMN slug;
+    `)
+};
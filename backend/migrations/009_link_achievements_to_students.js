@@ -0,0 +1,20 @@
+const { exec } = require('../migrator');
+
+// Achievements can credit a student account, e.g. a competition win or a
+// Dean's List entry, so the homepage can name who earned them.
+module.exports = {
+    up: (db) => exec(db, `
+        ALTER TABLE achievements ADD COLUMN userId INTEGER REFERENCES users(id);
+        ALTER TABLE achievements ADD COLUMN updatedAt DATETIME;
+        UPDATE achievements SET updatedAt = createdAt;
+        CREATE INDEX idx_achievements_user_id ON achievements(userId);
+        CREATE INDEX idx_achievements_date ON achievements(date);
+    `),
+
+    down: (db) => exec(db, `
+        DROP INDEX IF EXISTS idx_achievements_date;
+        DROP INDEX IF EXISTS idx_achievements_user_id;
+        ALTER TABLE achievements DROP COLUMN updatedAt;
+        ALTER TABLE achievements DROP COLUMN userId;
+    `)
+};
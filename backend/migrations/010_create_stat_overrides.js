@@ -0,0 +1,16 @@
+const { exec } = require('../migrator');
+
+// Display values admins can pin for public statistics (e.g. "500+" students)
+// in place of the live counts computed from the database.
+module.exports = {
+    up: (db) => exec(db, `
+        CREATE TABLE stat_overrides (
+            key TEXT PRIMARY KEY,
+            value TEXT NOT NULL,
+            updatedBy INTEGER REFERENCES admins(id),
+            updatedAt DATETIME DEFAULT CURRENT_TIMESTAMP
+        );
+    `),
+
+    down: (db) => exec(db, 'DROP TABLE IF EXISTS stat_overrides')
+};
@@ -0,0 +1,45 @@
+const { exec, run } = require('../migrator');
+
+// Key personnel previously hard-coded in GET /api/contact.
+// Columns: name, position, email, office, displayOrder
+const KEY_PERSONNEL = [
+    ['Prof. John Doe', 'Head of Department', 'hod@informationsystems.edu.org', 'Room 101, Computing Building', 1],
+    ['Dr. Jane Smith', 'Deputy Head of Department', 'dhod@informationsystems.edu.org', 'Room 102, Computing Building', 2],
+    ['Dr. Michael Johnson', 'Admissions Officer', 'admissions@informationsystems.edu.org', 'Room 103, Computing Building', 3]
+];
+
+// Faculty and staff directory. Research interests are stored as a JSON array
+// and drive the about page's areas of expertise; key personnel are the
+// contacts listed on the contact page.
+module.exports = {
+    up: async (db) => {
+        await exec(db, `
+            CREATE TABLE staff (
+                id INTEGER PRIMARY KEY AUTOINCREMENT,
+                name TEXT NOT NULL,
+                title TEXT,
+                position TEXT,
+                qualification TEXT,
+                office TEXT,
+                email TEXT UNIQUE,
+                phone TEXT,
+                bio TEXT,
+                researchInterests TEXT NOT NULL DEFAULT '[]',
+                photoPath TEXT,
+                isKeyPersonnel INTEGER NOT NULL DEFAULT 0,
+                displayOrder INTEGER NOT NULL DEFAULT 0,
+                createdAt DATETIME DEFAULT CURRENT_TIMESTAMP,
+                updatedAt DATETIME DEFAULT CURRENT_TIMESTAMP
+            );
+            CREATE INDEX idx_staff_display_order ON staff(displayOrder, name);
+        `);
+
+        for (const [name, position, email, office, displayOrder] of KEY_PERSONNEL) {
+            await run(db,
+                'INSERT INTO staff (name, position, email, office, isKeyPersonnel, displayOrder) VALUES (?, ?, ?, ?, 1, ?)',
+                [name, position, email, office, displayOrder]);
+        }
+    },
+
+    down: (db) => exec(db, 'DROP TABLE IF EXISTS staff')
+};
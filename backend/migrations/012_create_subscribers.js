@@ -0,0 +1,36 @@
+const { exec } = require('../migrator');
+
+// Newsletter subscribers (double opt-in) and a log of newsletters sent to them.
+// Confirmation tokens are stored as SHA-256 hashes.
+module.exports = {
+    up: (db) => exec(db, `
+        CREATE TABLE subscribers (
+            id INTEGER PRIMARY KEY AUTOINCREMENT,
+            email TEXT UNIQUE NOT NULL,
+            status TEXT NOT NULL DEFAULT 'pending' CHECK (status IN ('pending', 'confirmed', 'unsubscribed')),
+            confirmTokenHash TEXT,
+            confirmTokenExpiresAt DATETIME,
+            confirmedAt DATETIME,
+            unsubscribedAt DATETIME,
+            createdAt DATETIME DEFAULT CURRENT_TIMESTAMP,
+            updatedAt DATETIME DEFAULT CURRENT_TIMESTAMP
+        );
+        CREATE INDEX idx_subscribers_status ON subscribers(status);
+        CREATE UNIQUE INDEX idx_subscribers_confirm_token ON subscribers(confirmTokenHash);
+
+        CREATE TABLE newsletters (
+            id INTEGER PRIMARY KEY AUTOINCREMENT,
+            subject TEXT NOT NULL,
+            body TEXT NOT NULL,
+            sentBy INTEGER REFERENCES admins(id),
+            recipientCount INTEGER NOT NULL DEFAULT 0,
+            failedCount INTEGER NOT NULL DEFAULT 0,
+            sentAt DATETIME DEFAULT CURRENT_TIMESTAMP
+        );
+    `),
+
+    down: (db) => exec(db, `
+        DROP TABLE IF EXISTS newsletters;
+        DROP TABLE IF EXISTS subscribers;
+    `)
+};
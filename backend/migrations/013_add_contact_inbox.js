@@ -0,0 +1,45 @@
+const { exec } = require('../migrator');
+
+// Contact submissions become an admin inbox: each one has a status, an
+// optional assignee, internal notes and a history of email replies. Existing
+// submissions start as new.
+module.exports = {
+    up: (db) => exec(db, `
+        ALTER TABLE contact_submissions ADD COLUMN status TEXT NOT NULL DEFAULT 'new'
+            CHECK (status IN ('new', 'in_progress', 'resolved'));
+        ALTER TABLE contact_submissions ADD COLUMN assignedTo INTEGER REFERENCES admins(id);
+        ALTER TABLE contact_submissions ADD COLUMN updatedAt DATETIME;
+
+        UPDATE contact_submissions SET updatedAt = createdAt;
+
+        CREATE INDEX idx_contact_submissions_status ON contact_submissions(status);
+
+        CREATE TABLE contact_notes (
+            id INTEGER PRIMARY KEY AUTOINCREMENT,
+            submissionId INTEGER NOT NULL REFERENCES contact_submissions(id) ON DELETE CASCADE,
+            authorId INTEGER REFERENCES admins(id),
+            body TEXT NOT NULL,
+            createdAt DATETIME DEFAULT CURRENT_TIMESTAMP
+        );
+        CREATE INDEX idx_contact_notes_submission ON contact_notes(submissionId);
+
+        CREATE TABLE contact_replies (
+            id INTEGER PRIMARY KEY AUTOINCREMENT,
+            submissionId INTEGER NOT NULL REFERENCES contact_submissions(id) ON DELETE CASCADE,
+            authorId INTEGER REFERENCES admins(id),
+            subject TEXT NOT NULL,
+            body TEXT NOT NULL,
+            sentAt DATETIME DEFAULT CURRENT_TIMESTAMP
+        );
+        CREATE INDEX idx_contact_replies_submission ON contact_replies(submissionId);
+    `),
+
+    down: (db) => exec(db, `
+        DROP TABLE IF EXISTS contact_replies;
+        DROP TABLE IF EXISTS contact_notes;
+        DROP INDEX IF EXISTS idx_contact_submissions_status;
+        ALTER TABLE contact_submissions DROP COLUMN updatedAt;
+        ALTER TABLE contact_submissions DROP COLUMN assignedTo;
+        ALTER TABLE contact_submissions DROP COLUMN status;
+    `)
+};
@@ -0,0 +1,116 @@
+const { exec, run } = require('../migrator');
+
+// Department profile previously hard-coded in GET /api/about and /api/contact
+const INITIAL_CONTENT = {
+    about: {
+        department: {
+            name: 'Department of Information Systems',
+            faculty: 'Faculty of Computing',
+            university: 'University of Uyo',
+            location: 'Uyo, Akwa Ibom State, Nigeria',
+            established: '2010'
+        },
+        mission: 'To provide world-class education in Information Systems, fostering innovation and excellence in the digital transformation of business and society.',
+        vision: 'To be the leading department in Nigeria for Information Systems education, research, and innovation, producing graduates who drive digital excellence and sustainable development in the global economy.',
+        objectives: [
+            'Deliver high-quality undergraduate and graduate programs in Information Systems',
+            'Conduct cutting-edge research in emerging technologies and their business applications',
+            'Foster industry partnerships and collaboration',
+            'Develop skilled professionals for the digital economy',
+            'Promote innovation and entrepreneurship in technology'
+        ],
+        programs: [
+            {
+                level: 'Undergraduate',
+                title: 'Bachelor of Science in Information Systems',
+                duration: '4 years',
+                description: 'Comprehensive program covering systems analysis, database management, enterprise systems, and information security.'
+            },
+            {
+                level: 'Graduate',
+                title: 'Master of Science in Information Systems',
+                duration: '2 years',
+                description: 'Advanced study in systems integration, business intelligence, and strategic technology management.'
+            }
+        ],
+        expertise: [
+            { area: 'Database Systems', description: 'Design and management of enterprise database solutions' },
+            { area: 'Enterprise Systems', description: 'ERP, CRM, and business process automation' },
+            { area: 'Cybersecurity', description: 'Information security and risk management' },
+            { area: 'Data Analytics', description: 'Business intelligence and data-driven decision making' },
+            { area: 'Digital Transformation', description: 'Technology strategy and organizational change' },
+            { area: 'Mobile Systems', description: 'Mobile application development and enterprise mobility' }
+        ]
+    },
+    contact: {
+        department: {
+            name: 'Department of Information Systems',
+            faculty: 'Faculty of Computing',
+            university: 'University of Uyo'
+        },
+        address: {
+            street: 'Faculty of Computing Building',
+            city: 'Uyo',
+            state: 'Akwa Ibom State',
+            country: 'Nigeria',
+            postalCode: 'P.M.B. 1017'
+        },
+        contact: {
+            phone: '+234 123 456 7890',
+            email: 'info@informationsystems.edu.org',
+            website: 'https://informationsystems.uniuyo.edu.ng'
+        },
+        office_hours: {
+            weekdays: '8:00 AM - 5:00 PM',
+            weekends: 'Closed',
+            holidays: 'Closed'
+        },
+        social_media: {
+            facebook: 'https://facebook.com/InfoSysUniUyo',
+            twitter: 'https://twitter.com/InfoSysUniUyo',
+            linkedin: 'https://linkedin.com/company/infosys-uniuyo',
+            instagram: 'https://instagram.com/InfoSysUniUyo'
+        },
+        directions: 'The Faculty of Computing is located on the main campus of the University of Uyo. Take the main entrance and follow signs to the Computing Building.'
+    }
+};
+
+// Editable site content, one JSON document per section, with every saved
+// version kept in site_content_revisions so admins can roll back. A rollback
+// is saved as a new revision that records which one it restored.
+module.exports = {
+    up: async (db) => {
+        await exec(db, `
+            CREATE TABLE site_content_revisions (
+                id INTEGER PRIMARY KEY AUTOINCREMENT,
+                section TEXT NOT NULL,
+                content TEXT NOT NULL,
+                restoredFrom INTEGER REFERENCES site_content_revisions(id),
+                createdBy INTEGER REFERENCES admins(id),
+                createdAt DATETIME DEFAULT CURRENT_TIMESTAMP
+            );
+            CREATE INDEX idx_site_content_revisions_section ON site_content_revisions(section, id);
+
+            CREATE TABLE site_content (
+                section TEXT PRIMARY KEY,
+                content TEXT NOT NULL,
+                revisionId INTEGER NOT NULL REFERENCES site_content_revisions(id),
+                updatedBy INTEGER REFERENCES admins(id),
+                updatedAt DATETIME DEFAULT CURRENT_TIMESTAMP
+            );
+        `);
+
+        for (const [section, content] of Object.entries(INITIAL_CONTENT)) {
+            const json = JSON.stringify(content);
+            const { lastID } = await run(db, 'INSERT INTO site_content_revisions (section, content) VALUES (?, ?)',
+                [section, json]);
+            await run(db, 'INSERT INTO site_content (section, content, revisionId) VALUES (?, ?, ?)',
+                [section, json, lastID]);
+        }
+    },
+
+    down: (db) => exec(db, `
+        DROP TABLE IF EXISTS site_content;
+        DROP TABLE IF EXISTS site_content_revisions;
+    `)
+};
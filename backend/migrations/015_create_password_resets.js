@@ -0,0 +1,39 @@
+const { exec } = require('../migrator');
+
+// Self-service password/passcode resets for students and admins, plus a
+// general audit trail of security-relevant actions. Reset tokens are stored
+// as SHA-256 hashes and can be used once.
+module.exports = {
+    up: (db) => exec(db, `
+        CREATE TABLE password_reset_tokens (
+            id INTEGER PRIMARY KEY AUTOINCREMENT,
+            accountType TEXT NOT NULL CHECK (accountType IN ('student', 'admin')),
+            accountId INTEGER NOT NULL,
+            tokenHash TEXT UNIQUE NOT NULL,
+            expiresAt DATETIME NOT NULL,
+            usedAt DATETIME,
+            requestedIp TEXT,
+            createdAt DATETIME DEFAULT CURRENT_TIMESTAMP
+        );
+        CREATE INDEX idx_password_reset_tokens_account ON password_reset_tokens(accountType, accountId);
+
+        CREATE TABLE audit_log (
+            id INTEGER PRIMARY KEY AUTOINCREMENT,
+            action TEXT NOT NULL,
+            actorType TEXT,
+            actorId INTEGER,
+            targetType TEXT,
+            targetId INTEGER,
+            ip TEXT,
+            details TEXT,
+            createdAt DATETIME DEFAULT CURRENT_TIMESTAMP
+        );
+        CREATE INDEX idx_audit_log_action_created ON audit_log(action, createdAt);
+        CREATE INDEX idx_audit_log_target ON audit_log(targetType, targetId);
+    `),
+
+    down: (db) => exec(db, `
+        DROP TABLE IF EXISTS audit_log;
+        DROP TABLE IF EXISTS password_reset_tokens;
+    `)
+};
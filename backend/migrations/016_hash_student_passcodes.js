@@ -0,0 +1,19 @@
+const bcrypt = require('bcrypt');
+const { run, all } = require('../migrator');
+const { BCRYPT_ROUNDS } = require('../passwords');
+
+// Student passcodes were stored in plaintext; replace each with its bcrypt
+// hash. Rows that already hold a hash are left alone. Hashing can't be
+// reversed, so down keeps the hashes.
+module.exports = {
+    up: async (db) => {
+        const users = await all(db, "SELECT id, passcode FROM users WHERE passcode IS NOT NULL AND passcode NOT LIKE '$2%'");
+
+        for (const user of users) {
+            await run(db, 'UPDATE users SET passcode = ? WHERE id = ?',
+                [await bcrypt.hash(user.passcode, BCRYPT_ROUNDS), user.id]);
+        }
+    },
+
+    down: async () => {}
+};
@@ -0,0 +1,34 @@
+const { exec } = require('../migrator');
+
+// Rotating refresh tokens and revoked access tokens. Each login starts a
+// refresh token family; refreshing replaces the token with the next one in
+// the family, and presenting a replaced token again revokes the whole family.
+// Access tokens revoked before they expire are listed by JWT ID.
+module.exports = {
+    up: (db) => exec(db, `
+        CREATE TABLE refresh_tokens (
+            id INTEGER PRIMARY KEY AUTOINCREMENT,
+            accountType TEXT NOT NULL CHECK (accountType IN ('student', 'admin')),
+            accountId INTEGER NOT NULL,
+            familyId TEXT NOT NULL,
+            tokenHash TEXT UNIQUE NOT NULL,
+            expiresAt DATETIME NOT NULL,
+            revokedAt DATETIME,
+            replacedBy INTEGER REFERENCES refresh_tokens(id),
+            createdAt DATETIME DEFAULT CURRENT_TIMESTAMP
+        );
+        CREATE INDEX idx_refresh_tokens_family ON refresh_tokens(familyId);
+        CREATE INDEX idx_refresh_tokens_account ON refresh_tokens(accountType, accountId);
+
+        CREATE TABLE revoked_access_tokens (
+            jti TEXT PRIMARY KEY,
+            expiresAt DATETIME NOT NULL,
+            revokedAt DATETIME DEFAULT CURRENT_TIMESTAMP
+        );
+    `),
+
+    down: (db) => exec(db, `
+        DROP TABLE IF EXISTS revoked_access_tokens;
+        DROP TABLE IF EXISTS refresh_tokens;
+    `)
+};
@@ -0,0 +1,20 @@
+const { exec } = require('../migrator');
+
+// Failed login counts for the SQLite login limiter store, shared by every
+// process using the database. Keys name an account ('student:12') or an IP
+// address ('ip:10.0.0.1').
+module.exports = {
+    up: (db) => exec(db, `
+        CREATE TABLE login_attempts (
+            key TEXT PRIMARY KEY,
+            failures INTEGER NOT NULL DEFAULT 0,
+            lastFailureAt DATETIME NOT NULL,
+            lockedUntil DATETIME
+        );
+        CREATE INDEX idx_login_attempts_locked_until ON login_attempts(lockedUntil);
+    `),
+
+    down: (db) => exec(db, `
+        DROP TABLE IF EXISTS login_attempts;
+    `)
+};
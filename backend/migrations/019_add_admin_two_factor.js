@@ -0,0 +1,45 @@
+const { exec } = require('../migrator');
+
+// TOTP two-factor authentication for admins. The secret is stored encrypted;
+// totpPendingSecret holds a secret being enrolled until the admin proves it
+// works, and totpLastStep stops a code from being used twice. Recovery codes
+// are stored hashed. Super-admins manage security settings such as
+// require_admin_2fa; the earliest admin account becomes one.
+module.exports = {
+    up: (db) => exec(db, `
+        ALTER TABLE admins ADD COLUMN isSuperAdmin INTEGER NOT NULL DEFAULT 0;
+        ALTER TABLE admins ADD COLUMN totpSecret TEXT;
+        ALTER TABLE admins ADD COLUMN totpPendingSecret TEXT;
+        ALTER TABLE admins ADD COLUMN totpEnabledAt DATETIME;
+        ALTER TABLE admins ADD COLUMN totpLastStep INTEGER;
+
+        UPDATE admins SET isSuperAdmin = 1 WHERE id = (SELECT MIN(id) FROM admins);
+
+        CREATE TABLE admin_recovery_codes (
+            id INTEGER PRIMARY KEY AUTOINCREMENT,
+            adminId INTEGER NOT NULL REFERENCES admins(id),
+            codeHash TEXT NOT NULL,
+            usedAt DATETIME,
+            createdAt DATETIME DEFAULT CURRENT_TIMESTAMP
+        );
+        CREATE INDEX idx_admin_recovery_codes_admin ON admin_recovery_codes(adminId);
+
+        CREATE TABLE settings (
+            key TEXT PRIMARY KEY,
+            value TEXT NOT NULL,
+            updatedBy INTEGER REFERENCES admins(id),
+            updatedAt DATETIME DEFAULT CURRENT_TIMESTAMP
+        );
+        INSERT INTO settings (key, value) VALUES ('require_admin_2fa', 'false');
+    `),
+
+    down: (db) => exec(db, `
+        DROP TABLE IF EXISTS settings;
+        DROP TABLE IF EXISTS admin_recovery_codes;
+        ALTER TABLE admins DROP COLUMN totpLastStep;
+        ALTER TABLE admins DROP COLUMN totpEnabledAt;
+        ALTER TABLE admins DROP COLUMN totpPendingSecret;
+        ALTER TABLE admins DROP COLUMN totpSecret;
+        ALTER TABLE admins DROP COLUMN isSuperAdmin;
+    `)
+};
@@ -0,0 +1,40 @@
+const { exec } = require('../migrator');
+
+// Roles replace the single isSuperAdmin flag (see permissions.js). Accounts
+// are identified by type and id since admins and students live in separate
+// tables. Every existing admin keeps full access through the admin role.
+// course_lecturers records who teaches what, so lecturers can manage
+// materials for their own courses only.
+module.exports = {
+    up: (db) => exec(db, `
+        CREATE TABLE account_roles (
+            accountType TEXT NOT NULL CHECK (accountType IN ('admin', 'student')),
+            accountId INTEGER NOT NULL,
+            role TEXT NOT NULL,
+            grantedBy INTEGER REFERENCES admins(id),
+            grantedAt DATETIME DEFAULT CURRENT_TIMESTAMP,
+            PRIMARY KEY (accountType, accountId, role)
+        );
+        CREATE INDEX idx_account_roles_role ON account_roles(role);
+
+        INSERT INTO account_roles (accountType, accountId, role) SELECT 'admin', id, 'admin' FROM admins;
+        INSERT INTO account_roles (accountType, accountId, role) SELECT 'admin', id, 'super-admin' FROM admins WHERE isSuperAdmin = 1;
+        ALTER TABLE admins DROP COLUMN isSuperAdmin;
+
+        CREATE TABLE course_lecturers (
+            courseCode TEXT NOT NULL REFERENCES courses(code),
+            adminId INTEGER NOT NULL REFERENCES admins(id),
+            createdAt DATETIME DEFAULT CURRENT_TIMESTAMP,
+            PRIMARY KEY (courseCode, adminId)
+        );
+        CREATE INDEX idx_course_lecturers_admin ON course_lecturers(adminId);
+    `),
+
+    down: (db) => exec(db, `
+        DROP TABLE IF EXISTS course_lecturers;
+        ALTER TABLE admins ADD COLUMN isSuperAdmin INTEGER NOT NULL DEFAULT 0;
+        UPDATE admins SET isSuperAdmin = 1
+            WHERE id IN (SELECT accountId FROM account_roles WHERE accountType = 'admin' AND role = 'super-admin');
+        DROP TABLE IF EXISTS account_roles;
+    `)
+};
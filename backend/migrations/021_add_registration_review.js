@@ -0,0 +1,28 @@
+const { exec } = require('../migrator');
+
+// Registration review beyond confirming: reviewers can reject a signup or ask
+// the applicant to correct it (see registrations.js). reviewNote keeps the
+// reason or requested changes; the correction link's token is stored hashed.
+module.exports = {
+    up: (db) => exec(db, `
+        ALTER TABLE users ADD COLUMN reviewNote TEXT;
+        ALTER TABLE users ADD COLUMN reviewedBy INTEGER REFERENCES admins(id);
+        ALTER TABLE users ADD COLUMN reviewedAt DATETIME;
+        ALTER TABLE users ADD COLUMN correctionTokenHash TEXT;
+        ALTER TABLE users ADD COLUMN correctionExpiresAt DATETIME;
+
+        CREATE UNIQUE INDEX idx_users_correction_token ON users(correctionTokenHash);
+        CREATE INDEX idx_users_status ON users(status);
+    `),
+
+    down: (db) => exec(db, `
+        DROP INDEX IF EXISTS idx_users_status;
+        DROP INDEX IF EXISTS idx_users_correction_token;
+        UPDATE users SET status = 'pending' WHERE status = 'changes_requested';
+        ALTER TABLE users DROP COLUMN correctionExpiresAt;
+        ALTER TABLE users DROP COLUMN correctionTokenHash;
+        ALTER TABLE users DROP COLUMN reviewedAt;
+        ALTER TABLE users DROP COLUMN reviewedBy;
+        ALTER TABLE users DROP COLUMN reviewNote;
+    `)
+};
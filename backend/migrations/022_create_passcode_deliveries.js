@@ -0,0 +1,24 @@
+const { exec } = require('../migrator');
+
+// Passcode emails waiting to go out for students confirmed in bulk or
+// imported from a class list (see passcodeQueue.js). The passcode itself is
+// generated when the email is sent, so only its hash is ever stored.
+module.exports = {
+    up: (db) => exec(db, `
+        CREATE TABLE passcode_deliveries (
+            id INTEGER PRIMARY KEY AUTOINCREMENT,
+            userId INTEGER NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+            status TEXT NOT NULL DEFAULT 'queued' CHECK (status IN ('queued', 'sent', 'failed')),
+            attempts INTEGER NOT NULL DEFAULT 0,
+            lastError TEXT,
+            queuedBy INTEGER REFERENCES admins(id),
+            createdAt DATETIME DEFAULT CURRENT_TIMESTAMP,
+            sentAt DATETIME
+        );
+        CREATE INDEX idx_passcode_deliveries_status ON passcode_deliveries(status);
+    `),
+
+    down: (db) => exec(db, `
+        DROP TABLE IF EXISTS passcode_deliveries;
+    `)
+};
@@ -0,0 +1,38 @@
+const { exec, run, all } = require('../migrator');
+const { parseRegNumber } = require('../regNumber');
+
+// Store what a student's reg number says about them (see regNumber.js), so
+// levels and statistics don't re-parse it. Existing reg numbers are
+// normalized to lowercase, except where that would clash with another row;
+// ones not in the department's format keep a NULL entryYear. Down leaves the
+// normalized reg numbers in place.
+module.exports = {
+    up: async (db) => {
+        await exec(db, `
+            ALTER TABLE users ADD COLUMN entryYear INTEGER;
+            ALTER TABLE users ADD COLUMN programme TEXT;
+        `);
+
+        const users = await all(db, 'SELECT id, regNumber FROM users');
+        const taken = new Set(users.map((user) => user.regNumber));
+
+        for (const user of users) {
+            const parsed = parseRegNumber(user.regNumber);
+            if (!parsed) continue;
+
+            let regNumber = user.regNumber;
+            if (parsed.regNumber !== regNumber && !taken.has(parsed.regNumber)) {
+                taken.delete(regNumber);
+                taken.add(parsed.regNumber);
+                regNumber = parsed.regNumber;
+            }
+            await run(db, 'UPDATE users SET regNumber = ?, entryYear = ?, programme = ? WHERE id = ?',
+                [regNumber, parsed.entryYear, parsed.programme, user.id]);
+        }
+    },
+
+    down: (db) => exec(db, `
+        ALTER TABLE users DROP COLUMN programme;
+        ALTER TABLE users DROP COLUMN entryYear;
+    `)
+};
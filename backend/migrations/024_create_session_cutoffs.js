@@ -0,0 +1,19 @@
+const { exec } = require('../migrator');
+
+// When an account is signed out everywhere (password change or reset, admin
+// disabled), access tokens issued before tokensValidAfter stop being accepted,
+// so sessions end at once rather than when their access token expires.
+module.exports = {
+    up: (db) => exec(db, `
+        CREATE TABLE session_cutoffs (
+            accountType TEXT NOT NULL CHECK (accountType IN ('student', 'admin')),
+            accountId INTEGER NOT NULL,
+            tokensValidAfter DATETIME NOT NULL,
+            PRIMARY KEY (accountType, accountId)
+        );
+    `),
+
+    down: (db) => exec(db, `
+        DROP TABLE IF EXISTS session_cutoffs;
+    `)
+};
@@ -0,0 +1,173 @@
+const fs = require('fs');
+const path = require('path');
+
+// Directory holding numbered migration files (e.g. 001_initial_schema.js)
+const MIGRATIONS_DIR = path.join(__dirname, 'migrations');
+const MIGRATION_FILE_PATTERN = /^(\d+)_([\w-]+)\.js$/;
+
+// Promise wrappers around the sqlite3 callback API for use inside migrations
+const exec = (db, sql) => {
+    return new Promise((resolve, reject) => {
+        db.exec(sql, (err) => {
+            if (err) reject(err);
+            else resolve();
+        });
+    });
+};
+
+const run = (db, sql, params = []) => {
+    return new Promise((resolve, reject) => {
+        db.run(sql, params, function(err) {
+            if (err) reject(err);
+            else resolve({ lastID: this.lastID, changes: this.changes });
+        });
+    });
+};
+
+const all = (db, sql, params = []) => {
+    return new Promise((resolve, reject) => {
+        db.all(sql, params, (err, rows) => {
+            if (err) reject(err);
+            else resolve(rows);
+        });
+    });
+};
+
+// Create the table that records which migrations have been applied
+const ensureMigrationsTable = (db) => {
+    return exec(db, `CREATE TABLE IF NOT EXISTS schema_migrations (
+        version INTEGER PRIMARY KEY,
+        name TEXT NOT NULL,
+        appliedAt DATETIME DEFAULT CURRENT_TIMESTAMP
+    )`);
+};
+
+// Read migration modules from disk, ordered by version number
+const loadMigrations = () => {
+    return fs.readdirSync(MIGRATIONS_DIR)
+        .map((file) => file.match(MIGRATION_FILE_PATTERN))
+        .filter(Boolean)
+        .map(([file, version, name]) => {
+            const migration = require(path.join(MIGRATIONS_DIR, file));
+            if (typeof migration.up !== 'function' || typeof migration.down !== 'function') {
+                throw new Error(`Migration ${file} must export up() and down() functions`);
+            }
+            return { version: Number(version), name, file, up: migration.up, down: migration.down };
+        })
+        .sort((a, b) => a.version - b.version);
+};
+
+// Get applied migration versions, oldest first
+const getAppliedVersions = async (db) => {
+    await ensureMigrationsTable(db);
+    const rows = await all(db, 'SELECT version FROM schema_migrations ORDER BY version ASC');
+    return rows.map((row) => row.version);
+};
+
+// List every known migration with its applied state
+const getMigrationStatus = async (db) => {
+    const applied = new Set(await getAppliedVersions(db));
+    return loadMigrations().map((migration) => ({
+        version: migration.version,
+        name: migration.name,
+        applied: applied.has(migration.version)
+    }));
+};
+
+// Get migrations that exist on disk but have not been applied yet
+const getPendingMigrations = async (db) => {
+    const applied = new Set(await getAppliedVersions(db));
+    return loadMigrations().filter((migration) => !applied.has(migration.version));
+};
+
+// Run a single migration step inside a transaction
+const runInTransaction = async (db, work) => {
+    await exec(db, 'BEGIN');
+    try {
+        await work();
+        await exec(db, 'COMMIT');
+    } catch (error) {
+        await exec(db, 'ROLLBACK');
+        throw error;
+    }
+};
+
+// Apply pending migrations in order, optionally stopping at a target version
+const migrateUp = async (db, { to } = {}) => {
+    const pending = (await getPendingMigrations(db))
+        .filter((migration) => to === undefined || migration.version <= to);
+
+    for (const migration of pending) {
+        await runInTransaction(db, async () => {
+            await migration.up(db);
+            await run(db, 'INSERT INTO schema_migrations (version, name) VALUES (?, ?)',
+                [migration.version, migration.name]);
+        });
+        console.log(`✓ Applied migration ${migration.file}`);
+    }
+
+    return pending;
+};
+
+// Roll back the most recently applied migrations
+const migrateDown = async (db, { steps = 1 } = {}) => {
+    // slice(-0) would select every applied migration
+    if (!Number.isInteger(steps) || steps < 1) {
+        throw new Error('steps must be a positive integer');
+    }
+
+    const applied = await getAppliedVersions(db);
+    const migrations = new Map(loadMigrations().map((migration) => [migration.version, migration]));
+    const targets = applied.slice(-steps).reverse();
+    const rolledBack = [];
+
+    for (const version of targets) {
+        const migration = migrations.get(version);
+        if (!migration) {
+            throw new Error(`Migration file for applied version ${version} is missing`);
+        }
+
+        await runInTransaction(db, async () => {
+            await migration.down(db);
+            await run(db, 'DELETE FROM schema_migrations WHERE version = ?', [version]);
+        });
+        console.log(`✓ Rolled back migration ${migration.file}`);
+        rolledBack.push(migration);
+    }
+
+    return rolledBack;
+};
+
+// Scaffold a new, empty migration file with the next version number
+const createMigration = (name) => {
+    const slug = String(name || '').trim().toLowerCase().replace(/[^a-z0-9]+/g, '_').replace(/^_|_$/g, '');
+    if (!slug) {
+        throw new Error('Migration name is required');
+    }
+
+    const versions = loadMigrations().map((migration) => migration.version);
+    const nextVersion = (versions.length ? Math.max(...versions) : 0) + 1;
+    const file = `${String(nextVersion).padStart(3, '0')}_${slug}.js`;
+    const template = `const { exec } = require('../migrator');
+
+module.exports = {
+    up: (db) => exec(db, \`\`),
+    down: (db) => exec(db, \`\`)
+};
+`;
+
+    fs.writeFileSync(path.join(MIGRATIONS_DIR, file), template);
+    return file;
+};
+
+module.exports = {
+    exec,
+    run,
+    all,
+    loadMigrations,
+    getMigrationStatus,
+    getPendingMigrations,
+    migrateUp,
+    migrateDown,
+    createMigration
+};
@@ -0,0 +1,67 @@
+const { sign, verifySignature } = require('./tokens');
+const { textToHtml } = require('./html');
+
+// How long a subscription confirmation link stays valid
+const CONFIRM_TOKEN_TTL_MS = 48 * 60 * 60 * 1000;
+
+const UNSUBSCRIBE_PURPOSE = 'newsletter-unsubscribe';
+
+// Unsubscribe links carry an HMAC of the address, so they work without a
+// stored token and can't be forged for someone else's email
+const buildUnsubscribeUrl = (config, email) => {
+    const params = new URLSearchParams({ email, token: sign(config.jwtSecret, UNSUBSCRIBE_PURPOSE, email) });
+    return `${config.publicUrl}/api/unsubscribe?${params}`;
+};
+
+const isValidUnsubscribeToken = (config, email, token) => {
+    return verifySignature(config.jwtSecret, UNSUBSCRIBE_PURPOSE, email, token);
+};
+
+// Email asking a new subscriber to confirm their address
+const buildConfirmationEmail = (config, email, token) => {
+    const confirmUrl = `${config.publicUrl}/api/subscribe/confirm?token=${encodeURIComponent(token)}`;
+    return {
+        to: email,
+        subject: 'Confirm your newsletter subscription - Information Systems Department',
+        html: `
+            <h2>Confirm your subscription</h2>
+            <p>Thanks for subscribing to the Department of Information Systems newsletter.</p>
+            <p><a href="${confirmUrl}">Click here to confirm your email address</a>.</p>
+            <p>This link expires in 48 hours. If you did not subscribe, you can ignore this email.</p>
+            <p>Best regards,<br>Information Systems Department</p>
+        `,
+        text: `Confirm your newsletter subscription: ${confirmUrl}`
+    };
+};
+
+// Newsletter email for one subscriber. The body is plain text written by an
+// admin; blank lines separate paragraphs.
+const buildNewsletterEmail = (config, email, { subject, body }) => {
+    const unsubscribeUrl = buildUnsubscribeUrl(config, email);
+
+    return {
+        to: email,
+        subject,
+        html: `
+            ${textToHtml(body)}
+            <hr>
+            <p style="font-size: 12px; color: #6c757d;">
+                You are receiving this because you subscribed to the Department of Information Systems newsletter.
+                <a href="${unsubscribeUrl}">Unsubscribe</a>
+            </p>
+        `,
+        text: `${body}\n\n--\nUnsubscribe: ${unsubscribeUrl}`,
+        headers: {
+            'List-Unsubscribe': `<${unsubscribeUrl}>`,
+            'List-Unsubscribe-Post': 'List-Unsubscribe=One-Click'
+        }
+    };
+};
+
+module.exports = {
+    CONFIRM_TOKEN_TTL_MS,
+    buildConfirmationEmail,
+    buildNewsletterEmail,
+    buildUnsubscribeUrl,
+    isValidUnsubscribeToken
+};
@@ -0,0 +1,65 @@
+const { generatePasscode, hashPassword } = require('./passwords');
+const { buildPasscodeEmail } = require('./registrations');
+
+// Bulk confirmations and class list imports can create hundreds of accounts
+// at once, so their passcode emails are queued in passcode_deliveries and
+// sent in the background instead of inside the request. A passcode is made
+// and hashed just before its email goes out; a failed send is kept for an
+// admin to retry, and queued rows left by a restart are sent on startup.
+
+// Deliveries loaded per round trip to the database
+const BATCH_SIZE = 20;
+
+/**
+ * @param {object} options
+ * @param {ReturnType<import('./repositories').createRepositories>} options.repos
+ * @param {{ sendMail: Function }} options.mailer
+ */
+const createPasscodeQueue = ({ repos, mailer }) => {
+    let running = null;
+    let requested = false;
+
+    const deliver = async (delivery) => {
+        try {
+            const passcode = generatePasscode();
+            await repos.users.updatePasscode(delivery.userId, await hashPassword(passcode));
+            await mailer.sendMail(buildPasscodeEmail(delivery, passcode));
+            await repos.passcodeDeliveries.markSent(delivery.id);
+        } catch (error) {
+            console.error(`Passcode delivery to ${delivery.email} failed:`, error.message);
+            await repos.passcodeDeliveries.markFailed(delivery.id, error.message);
+        }
+    };
+
+    const run = async () => {
+        while (requested) {
+            requested = false;
+            let batch;
+            do {
+                batch = await repos.passcodeDeliveries.listQueued(BATCH_SIZE);
+                for (const delivery of batch) {
+                    await deliver(delivery);
+                }
+            } while (batch.length);
+        }
+    };
+
+    return {
+        /**
+         * Send every queued passcode email. Calls made while a drain is
+         * running share it, and it picks up anything queued in the meantime.
+         * @returns {Promise<void>} resolves once the queue is empty
+         */
+        drain() {
+            requested = true;
+            if (!running) {
+                running = run().finally(() => {
+                    running = null;
+                });
+            }
+            return running;
+        }
+    };
+};
+
+module.exports = { createPasscodeQueue };
@@ -0,0 +1,48 @@
+const { escapeHtml } = require('./html');
+
+// How long an emailed reset link stays valid
+const RESET_TOKEN_TTL_MS = 30 * 60 * 1000;
+
+// Reset requests allowed per IP address and per account within each window.
+// Requests over the account limit are accepted but no email is sent, so the
+// response never reveals whether an account exists.
+const RESET_RATE_LIMITS = {
+    ip: { max: 5, windowMs: 15 * 60 * 1000 },
+    account: { max: 3, windowMs: 60 * 60 * 1000 }
+};
+
+// Minimum length of a new secret for each kind of account
+const MIN_SECRET_LENGTH = { student: 6, admin: 8 };
+
+const ACCOUNT_TYPES = Object.keys(MIN_SECRET_LENGTH);
+
+// Email with a single-use reset link. Students reset their passcode,
+// admins their password.
+const buildResetEmail = (config, { name, email }, accountType, token) => {
+    const secret = accountType === 'admin' ? 'password' : 'passcode';
+    const params = new URLSearchParams({ token, type: accountType });
+    const resetUrl = `${config.publicUrl}/pages/reset-password.html?${params}`;
+
+    return {
+        to: email,
+        subject: `Reset your ${secret} - Information Systems Department`,
+        html: `
+            <h2>Reset your ${secret}</h2>
+            <p>Dear ${escapeHtml(name || 'user')},</p>
+            <p>We received a request to reset the ${secret} for your account.</p>
+            <p><a href="${resetUrl}">Click here to choose a new ${secret}</a>.</p>
+            <p>This link can be used once and expires in 30 minutes. If you did not ask for a reset,
+            you can ignore this email and your ${secret} will stay the same.</p>
+            <p>Best regards,<br>Information Systems Department</p>
+        `,
+        text: `Reset your ${secret}: ${resetUrl}\n\nThis link can be used once and expires in 30 minutes.`
+    };
+};
+
+module.exports = {
+    ACCOUNT_TYPES,
+    MIN_SECRET_LENGTH,
+    RESET_RATE_LIMITS,
+    RESET_TOKEN_TTL_MS,
+    buildResetEmail
+};
@@ -0,0 +1,43 @@
+const crypto = require('crypto');
+const bcrypt = require('bcrypt');
+
+// bcrypt cost used for admin passwords and student passcodes alike
+const BCRYPT_ROUNDS = 12;
+
+// Passcodes avoid characters that are easy to misread in an email (0/O, 1/I/L)
+const PASSCODE_ALPHABET = 'ABCDEFGHJKMNPQRSTUVWXYZ23456789';
+const PASSCODE_LENGTH = 8;
+
+// Hash compared against when no account matches, so a failed login takes as
+// long as a wrong password and doesn't reveal which accounts exist
+const DUMMY_HASH = bcrypt.hashSync('not-a-real-password', BCRYPT_ROUNDS);
+
+// Random passcode for a newly confirmed student, from a CSPRNG
+const generatePasscode = () => {
+    let passcode = '';
+    for (let i = 0; i < PASSCODE_LENGTH; i++) {
+        passcode += PASSCODE_ALPHABET[crypto.randomInt(PASSCODE_ALPHABET.length)];
+    }
+    return passcode;
+};
+
+const hashPassword = (plain) => bcrypt.hash(String(plain), BCRYPT_ROUNDS);
+
+/**
+ * Check a password or passcode against a stored bcrypt hash. A missing hash
+ * is still compared (against DUMMY_HASH) and always fails.
+ * @param {string} plain
+ * @param {string|null|undefined} hash
+ * @returns {Promise<boolean>}
+ */
+const verifyPassword = async (plain, hash) => {
+    const matches = await bcrypt.compare(String(plain), hash || DUMMY_HASH);
+    return Boolean(hash) && matches;
+};
+
+module.exports = {
+    BCRYPT_ROUNDS,
+    generatePasscode,
+    hashPassword,
+    verifyPassword
+};
@@ -0,0 +1,116 @@
+// Roles and what they allow. Roles are held by accounts: staff roles by
+// admin accounts, class-rep by students. (req.user.role is the account type,
+// 'admin' or 'student', not one of these roles.)
+
+const ROLES = {
+    'super-admin': {
+        accountType: 'admin',
+        description: 'Everything, including security settings and assigning super-admin',
+        permissions: ['*']
+    },
+    admin: {
+        accountType: 'admin',
+        description: 'Manage the whole site and other admin accounts',
+        permissions: [
+            'admins.manage', 'roles.assign', 'security.manage', 'audit.view', 'stats.manage', 'courses.manage',
+            'staff.manage', 'contact.manage', 'newsletter.manage', 'registrations.review', 'materials.manage',
+            'events.manage', 'news.manage', 'achievements.manage', 'content.manage'
+        ]
+    },
+    registrar: {
+        accountType: 'admin',
+        description: 'Review and approve student registrations',
+        permissions: ['registrations.review']
+    },
+    'content-editor': {
+        accountType: 'admin',
+        description: 'News, events, achievements and the about/contact pages',
+        permissions: ['news.manage', 'events.manage', 'achievements.manage', 'content.manage']
+    },
+    lecturer: {
+        accountType: 'admin',
+        description: 'Materials for the courses they teach',
+        permissions: ['materials.manage_own']
+    },
+    'class-rep': {
+        accountType: 'student',
+        description: 'Post events for their class',
+        permissions: ['events.create']
+    }
+};
+
+const ROLE_NAMES = Object.keys(ROLES);
+
+/** @returns {Set<string>} permissions granted by any of the roles; '*' grants everything */
+const permissionsForRoles = (roles) => new Set(roles.flatMap((role) => (ROLES[role] ? ROLES[role].permissions : [])));
+
+const allows = (permissions, permission) => permissions.has('*') || permissions.has(permission);
+
+// Roles and permissions of the signed-in account, loaded once per request
+const loadPermissions = async (req) => {
+    if (!req.permissions) {
+        req.roles = await req.app.get('repos').roles.listForAccount(req.user.role, req.user.id);
+        req.permissions = permissionsForRoles(req.roles);
+    }
+    return req.permissions;
+};
+
+// For checks inside a handler, after requirePermission() has run
+const hasPermission = (req, permission) => Boolean(req.permissions) && allows(req.permissions, permission);
+
+/**
+ * Route middleware allowing accounts that hold any of the permissions.
+ * Runs after authenticateToken.
+ * @param {...string} permissions
+ */
+const requirePermission = (...permissions) => async (req, res, next) => {
+    try {
+        const granted = await loadPermissions(req);
+        if (permissions.some((permission) => allows(granted, permission))) {
+            return next();
+        }
+        res.status(403).json({ error: 'You do not have permission to do this' });
+    } catch (error) {
+        console.error('Error checking permissions:', error);
+        res.status(500).json({ error: 'Internal server error' });
+    }
+};
+
+// Route middleware for self-service routes that only make sense for one
+// kind of account, such as admin two-factor settings
+const requireAccountType = (accountType) => (req, res, next) => {
+    if (req.user.role !== accountType) {
+        return res.status(403).json({ error: `${accountType === 'admin' ? 'Admin' : 'Student'} account required` });
+    }
+    next();
+};
+
+/**
+ * Check a set of roles can be given to an account type.
+ * @returns {string|null} an error message, or null if valid
+ */
+const validateRoles = (accountType, roles) => {
+    if (!Array.isArray(roles)) {
+        return 'Roles must be a list';
+    }
+    const unknown = roles.find((role) => !ROLES[role]);
+    if (unknown) {
+        return `Unknown role: ${unknown}. Roles are: ${ROLE_NAMES.join(', ')}`;
+    }
+    const misplaced = roles.find((role) => ROLES[role].accountType !== accountType);
+    if (misplaced) {
+        return `The ${misplaced} role can't be given to a ${accountType} account`;
+    }
+    return null;
+};
+
+module.exports = {
+    ROLES,
+    ROLE_NAMES,
+    hasPermission,
+    loadPermissions,
+    permissionsForRoles,
+    requireAccountType,
+    requirePermission,
+    validateRoles
+};
@@ -0,0 +1,84 @@
+// Student registration numbers look like 24/sc/co/347: the two-digit year
+// of entry, the faculty and programme codes, and a serial number. They are
+// stored lowercase with no spaces so lookups and uniqueness need no folding.
+
+const REG_NUMBER_PATTERN = /^(\d{2})\/([a-z]{2})\/([a-z]{2})\/(\d{3})$/;
+
+const REG_NUMBER_EXAMPLE = '24/SC/CO/346';
+
+// Undergraduate programme length in levels (100-400)
+const FINAL_LEVEL = 400;
+
+/**
+ * @typedef {object} ParsedRegNumber
+ * @property {string} regNumber - normalized form, e.g. '24/sc/co/347'
+ * @property {number} entryYear - e.g. 2024
+ * @property {string} faculty - e.g. 'sc'
+ * @property {string} programme - e.g. 'co'
+ * @property {string} serial - e.g. '347'
+ */
+
+// Lowercase, trimmed and without spaces around the slashes
+const normalizeRegNumber = (value) => String(value ?? '').trim().toLowerCase().replace(/\s*\/\s*/g, '/');
+
+// The academic session starting in September belongs to that calendar year
+const sessionStartYear = (date) => (date.getMonth() >= 8 ? date.getFullYear() : date.getFullYear() - 1);
+
+/**
+ * Students admitted in the current session are 100 level, a year later 200
+ * level, and so on. Those admitted ahead of their first session (entry year
+ * this year, before September) already count as 100 level.
+ * @param {number} entryYear
+ * @param {Date} now
+ * @returns {number|null} 100 to FINAL_LEVEL, or null once past the final level (graduated)
+ */
+const levelForEntryYear = (entryYear, now) => {
+    const level = Math.max(100, (sessionStartYear(now) - entryYear + 1) * 100);
+    return level > FINAL_LEVEL ? null : level;
+};
+
+/**
+ * @param {string} value
+ * @returns {ParsedRegNumber|null} null if it is not in the department's format
+ */
+const parseRegNumber = (value) => {
+    const regNumber = normalizeRegNumber(value);
+    const match = regNumber.match(REG_NUMBER_PATTERN);
+    if (!match) {
+        return null;
+    }
+
+    const [, year, faculty, programme, serial] = match;
+    return { regNumber, entryYear: 2000 + Number(year), faculty, programme, serial };
+};
+
+/**
+ * Check a reg number a student or admin entered.
+ * @param {string} value
+ * @param {Date} [now]
+ * @returns {string|null} an error message, or null if valid
+ */
+const validateRegNumber = (value, now = new Date()) => {
+    if (typeof value !== 'string' || !value.trim()) {
+        return 'Registration number is required';
+    }
+
+    const parsed = parseRegNumber(value);
+    if (!parsed) {
+        return `Registration number must look like ${REG_NUMBER_EXAMPLE}`;
+    }
+    // Admissions can be issued before the session starts in September
+    if (parsed.entryYear > now.getFullYear()) {
+        return 'Registration number has an entry year in the future';
+    }
+    return null;
+};
+
+module.exports = {
+    FINAL_LEVEL,
+    REG_NUMBER_EXAMPLE,
+    levelForEntryYear,
+    normalizeRegNumber,
+    parseRegNumber,
+    validateRegNumber
+};
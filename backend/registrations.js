@@ -0,0 +1,108 @@
+const { escapeHtml, textToHtml } = require('./html');
+
+// Student signups start pending. A reviewer confirms them, rejects them with
+// a reason, or asks for changes, in which case they wait for the applicant to
+// fix them through an emailed link (status changes_requested). Signups nobody
+// finishes expire.
+
+// Rejected and expired applicants may sign up again with the same details
+const REOPENABLE_REGISTRATION_STATUSES = ['rejected', 'expired'];
+
+// Pending signups untouched for this long are expired
+const PENDING_REGISTRATION_TTL_MS = 30 * 24 * 60 * 60 * 1000;
+
+// How long the link for correcting a signup stays valid
+const CORRECTION_TOKEN_TTL_MS = 14 * 24 * 60 * 60 * 1000;
+
+const MAX_REVIEW_NOTE_LENGTH = 1000;
+
+// Email with the passcode for a confirmed registration
+const buildPasscodeEmail = ({ name, email, regNumber }, passcode) => ({
+    to: email,
+    subject: 'Account Confirmed - Information Systems Department',
+    html: `
+        <h2>Account Confirmation</h2>
+        <p>Dear ${escapeHtml(name)},</p>
+        <p>Your account has been confirmed. Here are your login credentials:</p>
+        <p><strong>Registration Number:</strong> ${escapeHtml(regNumber)}</p>
+        <p><strong>Passcode:</strong> ${passcode}</p>
+        <p>You can now login to the student dashboard.</p>
+        <p>Best regards,<br>Information Systems Department</p>
+    `,
+    text: `Your account has been confirmed.\n\nRegistration Number: ${regNumber}\nPasscode: ${passcode}\n\nYou can now login to the student dashboard.`
+});
+
+// Email telling an applicant why their registration was turned down
+const buildRejectionEmail = ({ name, email }, reason) => ({
+    to: email,
+    subject: 'Your registration was not approved - Information Systems Department',
+    html: `
+        <h2>Registration not approved</h2>
+        <p>Dear ${escapeHtml(name)},</p>
+        <p>Your registration for the student portal was not approved, for this reason:</p>
+        <blockquote>${textToHtml(reason)}</blockquote>
+        <p>If you think this is a mistake, you can sign up again with the correct details or contact the department office.</p>
+        <p>Best regards,<br>Information Systems Department</p>
+    `,
+    text: `Your registration was not approved, for this reason:\n\n${reason}\n\nYou can sign up again with the correct details or contact the department office.`
+});
+
+// Email with a link for the applicant to fix their registration
+const buildCorrectionEmail = (config, { name, email }, message, token) => {
+    const correctionUrl = `${config.publicUrl}/pages/registration-correction.html?${new URLSearchParams({ token })}`;
+    const days = Math.round(CORRECTION_TOKEN_TTL_MS / (24 * 60 * 60 * 1000));
+
+    return {
+        to: email,
+        subject: 'Please correct your registration - Information Systems Department',
+        html: `
+            <h2>Your registration needs a correction</h2>
+            <p>Dear ${escapeHtml(name)},</p>
+            <p>Before your registration can be approved, please make these changes:</p>
+            <blockquote>${textToHtml(message)}</blockquote>
+            <p><a href="${correctionUrl}">Click here to update your registration</a>.</p>
+            <p>This link expires in ${days} days, after which you will need to sign up again.</p>
+            <p>Best regards,<br>Information Systems Department</p>
+        `,
+        text: `Before your registration can be approved, please make these changes:\n\n${message}\n\nUpdate your registration: ${correctionUrl}\n\nThis link expires in ${days} days.`
+    };
+};
+
+// Email telling an applicant their registration lapsed before it was completed
+const buildExpiryEmail = (config, { name, email }) => ({
+    to: email,
+    subject: 'Your registration has expired - Information Systems Department',
+    html: `
+        <h2>Registration expired</h2>
+        <p>Dear ${escapeHtml(name)},</p>
+        <p>Your registration for the student portal was not completed in time and has expired.</p>
+        <p>If you still need an account, please <a href="${config.publicUrl}/pages/login.html">sign up again</a>.</p>
+        <p>Best regards,<br>Information Systems Department</p>
+    `,
+    text: `Your registration for the student portal has expired. If you still need an account, sign up again: ${config.publicUrl}/pages/login.html`
+});
+
+/**
+ * Check the free-text reason or request a reviewer sends to an applicant.
+ * @returns {string|null} an error message, or null if valid
+ */
+const validateReviewNote = (note, label) => {
+    if (typeof note !== 'string' || !note.trim()) {
+        return `${label} is required`;
+    }
+    if (note.length > MAX_REVIEW_NOTE_LENGTH) {
+        return `${label} must be at most ${MAX_REVIEW_NOTE_LENGTH} characters`;
+    }
+    return null;
+};
+
+module.exports = {
+    CORRECTION_TOKEN_TTL_MS,
+    PENDING_REGISTRATION_TTL_MS,
+    REOPENABLE_REGISTRATION_STATUSES,
+    buildCorrectionEmail,
+    buildExpiryEmail,
+    buildPasscodeEmail,
+    buildRejectionEmail,
+    validateReviewNote
+};
@@ -0,0 +1,82 @@
+const { buildUpdate } = require('./base');
+
+/**
+ * @typedef {object} Achievement
+ * @property {number} id
+ * @property {string} title
+ * @property {string|null} description
+ * @property {string} icon - Font Awesome icon name
+ * @property {string|null} link
+ * @property {string} date
+ * @property {number|null} userId - student credited with the achievement
+ * @property {string|null} studentName - joined from users
+ * @property {string} createdAt
+ * @property {string|null} updatedAt
+ */
+
+const UPDATABLE_COLUMNS = ['title', 'description', 'icon', 'link', 'date', 'userId'];
+
+// Columns the public list can be ordered by
+const SORT_COLUMNS = {
+    date: 'date(a.date)',
+    title: 'a.title',
+    createdAt: 'a.createdAt'
+};
+
+const SELECT_WITH_STUDENT = `
+    SELECT a.*, u.name AS studentName
+    FROM achievements a
+    LEFT JOIN users u ON u.id = a.userId`;
+
+/**
+ * Queries for department and student achievements.
+ * @param {ReturnType<import('./base').createQueryRunner>} q
+ */
+const createAchievementsRepo = (q) => ({
+    /**
+     * @param {{ sort?: 'date'|'title'|'createdAt', order?: 'asc'|'desc', limit?: number }} [options]
+     * @returns {Promise<Achievement[]>}
+     */
+    list({ sort = 'date', order = 'desc', limit } = {}) {
+        const direction = order === 'asc' ? 'ASC' : 'DESC';
+        const params = [];
+        let sql = `${SELECT_WITH_STUDENT} ORDER BY ${SORT_COLUMNS[sort] || SORT_COLUMNS.date} ${direction}, a.id ${direction}`;
+
+        if (limit) {
+            sql += ' LIMIT ?';
+            params.push(limit);
+        }
+
+        return q.all(sql, params);
+    },
+
+    /** @returns {Promise<Achievement|undefined>} */
+    findById(id) {
+        return q.get(`${SELECT_WITH_STUDENT} WHERE a.id = ?`, [id]);
+    },
+
+    /**
+     * @param {Omit<Achievement, 'id'|'studentName'|'createdAt'|'updatedAt'>} achievement
+     * @returns {Promise<number>} new achievement id
+     */
+    async create({ title, description, icon, link, date, userId }) {
+        const { lastID } = await q.run(
+            `INSERT INTO achievements (title, description, icon, link, date, userId, updatedAt)
+             VALUES (?, ?, ?, ?, ?, ?, CURRENT_TIMESTAMP)`,
+            [title, description || null, icon || 'trophy', link || null, date, userId || null]);
+        return lastID;
+    },
+
+    /** @param {Partial<Achievement>} fields */
+    async update(id, fields) {
+        const { assignments, values } = buildUpdate(fields, UPDATABLE_COLUMNS);
+        if (!assignments) return;
+        await q.run(`UPDATE achievements SET ${assignments}, updatedAt = CURRENT_TIMESTAMP WHERE id = ?`, [...values, id]);
+    },
+
+    async delete(id) {
+        await q.run('DELETE FROM achievements WHERE id = ?', [id]);
+    }
+});
+
+module.exports = { createAchievementsRepo };
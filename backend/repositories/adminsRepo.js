@@ -0,0 +1,174 @@
+/**
+ * @typedef {object} Admin
+ * @property {number} id
+ * @property {string} username
+ * @property {string|null} regNumber
+ * @property {string|null} name
+ * @property {string|null} email
+ * @property {string} password - bcrypt hash
+ * @property {'active'|'disabled'} status
+ * @property {string|null} totpSecret - encrypted TOTP secret once 2FA is enabled
+ * @property {string|null} totpPendingSecret - encrypted secret being enrolled
+ * @property {string|null} totpEnabledAt
+ * @property {number|null} totpLastStep - time step of the last accepted code
+ * @property {string|null} lastLoginAt
+ * @property {string} createdAt
+ * @property {string} updatedAt
+ */
+
+// Columns safe to expose for admin accounts (never the password hash or TOTP secrets)
+const PUBLIC_COLUMNS = 'id, username, regNumber, name, email, status, totpEnabledAt, lastLoginAt, createdAt, updatedAt';
+
+// Replace an admin's recovery codes; call inside a transaction
+const saveRecoveryCodes = async (q, adminId, recoveryCodeHashes) => {
+    await q.run('DELETE FROM admin_recovery_codes WHERE adminId = ?', [adminId]);
+    for (const codeHash of recoveryCodeHashes) {
+        await q.run('INSERT INTO admin_recovery_codes (adminId, codeHash) VALUES (?, ?)', [adminId, codeHash]);
+    }
+};
+
+/**
+ * Queries for admin accounts.
+ * @param {ReturnType<import('./base').createQueryRunner>} q
+ */
+const createAdminsRepo = (q) => ({
+    /** @returns {Promise<Admin|undefined>} */
+    findById(id) {
+        return q.get('SELECT * FROM admins WHERE id = ?', [id]);
+    },
+
+    /**
+     * Find an admin by username or admin reg number (case-insensitive)
+     * @returns {Promise<Admin|undefined>}
+     */
+    findByLogin(login) {
+        return q.get('SELECT * FROM admins WHERE lower(username) = lower(?) OR lower(regNumber) = lower(?)',
+            [login, login]);
+    },
+
+    /**
+     * Find an admin by username, admin reg number or email (case-insensitive)
+     * @returns {Promise<Admin|undefined>}
+     */
+    findByLoginOrEmail(login) {
+        return q.get(`SELECT * FROM admins
+            WHERE lower(username) = lower(?) OR lower(regNumber) = lower(?) OR lower(email) = lower(?)`,
+            [login, login, login]);
+    },
+
+    /** @returns {Promise<Omit<Admin, 'password'>|undefined>} */
+    findPublicById(id) {
+        return q.get(`SELECT ${PUBLIC_COLUMNS} FROM admins WHERE id = ?`, [id]);
+    },
+
+    /** @returns {Promise<Array<Omit<Admin, 'password'>>>} */
+    list() {
+        return q.all(`SELECT ${PUBLIC_COLUMNS} FROM admins ORDER BY createdAt ASC`);
+    },
+
+    /** Check whether any admin already uses the given username, reg number or email */
+    async exists({ username, regNumber, email }) {
+        const row = await q.get(`SELECT id FROM admins
+            WHERE lower(username) = lower(?) OR lower(regNumber) = lower(?) OR lower(email) = lower(?)`,
+            [username, regNumber || null, email || null]);
+        return Boolean(row);
+    },
+
+    /**
+     * @param {{ username: string, regNumber?: string, name: string, email?: string, passwordHash: string }} admin
+     * @returns {Promise<number>} new admin id
+     */
+    async create({ username, regNumber, name, email, passwordHash }) {
+        const { lastID } = await q.run(
+            'INSERT INTO admins (username, regNumber, name, email, password, status) VALUES (?, ?, ?, ?, ?, ?)',
+            [username, regNumber || null, name, email || null, passwordHash, 'active']);
+        return lastID;
+    },
+
+    /** @returns {Promise<number>} */
+    async countActive() {
+        const { count } = await q.get("SELECT COUNT(*) AS count FROM admins WHERE status = 'active'");
+        return count;
+    },
+
+    async setStatus(id, status) {
+        await q.run('UPDATE admins SET status = ?, updatedAt = CURRENT_TIMESTAMP WHERE id = ?', [status, id]);
+    },
+
+    async updatePassword(id, passwordHash) {
+        await q.run('UPDATE admins SET password = ?, updatedAt = CURRENT_TIMESTAMP WHERE id = ?', [passwordHash, id]);
+    },
+
+    async recordLogin(id) {
+        await q.run('UPDATE admins SET lastLoginAt = CURRENT_TIMESTAMP WHERE id = ?', [id]);
+    },
+
+    /** Remember a secret the admin is enrolling, replacing any earlier attempt */
+    async setPendingTotpSecret(id, sealedSecret) {
+        await q.run('UPDATE admins SET totpPendingSecret = ?, updatedAt = CURRENT_TIMESTAMP WHERE id = ?',
+            [sealedSecret, id]);
+    },
+
+    /**
+     * Turn on 2FA with the pending secret and a fresh set of recovery codes.
+     * @param {number} id
+     * @param {{ step: number, recoveryCodeHashes: string[] }} enrollment - step of the code that confirmed it
+     */
+    enableTotp(id, { step, recoveryCodeHashes }) {
+        return q.transaction(async () => {
+            await q.run(
+                `UPDATE admins SET totpSecret = totpPendingSecret, totpPendingSecret = NULL,
+                     totpEnabledAt = CURRENT_TIMESTAMP, totpLastStep = ?, updatedAt = CURRENT_TIMESTAMP
+                 WHERE id = ?`,
+                [step, id]);
+            await saveRecoveryCodes(q, id, recoveryCodeHashes);
+        });
+    },
+
+    disableTotp(id) {
+        return q.transaction(async () => {
+            await q.run(
+                `UPDATE admins SET totpSecret = NULL, totpPendingSecret = NULL, totpEnabledAt = NULL,
+                     totpLastStep = NULL, updatedAt = CURRENT_TIMESTAMP
+                 WHERE id = ?`,
+                [id]);
+            await q.run('DELETE FROM admin_recovery_codes WHERE adminId = ?', [id]);
+        });
+    },
+
+    /**
+     * Record that a TOTP code was used, unless one from the same or a later
+     * step already was.
+     * @returns {Promise<boolean>} false if the code is a replay
+     */
+    async recordTotpStep(id, step) {
+        const { changes } = await q.run(
+            'UPDATE admins SET totpLastStep = ? WHERE id = ? AND (totpLastStep IS NULL OR totpLastStep < ?)',
+            [step, id, step]);
+        return changes > 0;
+    },
+
+    replaceRecoveryCodes(id, recoveryCodeHashes) {
+        return q.transaction(async () => {
+            await saveRecoveryCodes(q, id, recoveryCodeHashes);
+        });
+    },
+
+    /** @returns {Promise<boolean>} whether an unused code matched and is now spent */
+    async useRecoveryCode(id, codeHash) {
+        const { changes } = await q.run(
+            `UPDATE admin_recovery_codes SET usedAt = CURRENT_TIMESTAMP
+             WHERE adminId = ? AND codeHash = ? AND usedAt IS NULL`,
+            [id, codeHash]);
+        return changes > 0;
+    },
+
+    /** @returns {Promise<number>} unused recovery codes */
+    async countRecoveryCodes(id) {
+        const { count } = await q.get(
+            'SELECT COUNT(*) AS count FROM admin_recovery_codes WHERE adminId = ? AND usedAt IS NULL', [id]);
+        return count;
+    }
+});
+
+module.exports = { createAdminsRepo };
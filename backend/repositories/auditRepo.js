@@ -0,0 +1,71 @@
+/**
+ * @typedef {object} AuditEntry
+ * @property {number} id
+ * @property {string} action - e.g. 'password_reset.requested'
+ * @property {'student'|'admin'|null} actorType - who performed the action, if known
+ * @property {number|null} actorId
+ * @property {'student'|'admin'|null} targetType - account the action concerns
+ * @property {number|null} targetId
+ * @property {string|null} ip
+ * @property {object|null} details
+ * @property {string} createdAt
+ */
+
+// Details are stored as JSON text
+const parseEntry = (row) => ({ ...row, details: row.details ? JSON.parse(row.details) : null });
+
+/**
+ * Queries for the security audit trail.
+ * @param {ReturnType<import('./base').createQueryRunner>} q
+ */
+const createAuditRepo = (q) => ({
+    /** @param {Omit<AuditEntry, 'id'|'createdAt'>} entry */
+    async record({ action, actorType, actorId, targetType, targetId, ip, details }) {
+        await q.run(
+            `INSERT INTO audit_log (action, actorType, actorId, targetType, targetId, ip, details)
+             VALUES (?, ?, ?, ?, ?, ?, ?)`,
+            [action, actorType || null, actorId || null, targetType || null, targetId || null, ip || null,
+                details ? JSON.stringify(details) : null]);
+    },
+
+    /**
+     * Count recent entries for an action from one IP or about one account,
+     * used for rate limiting.
+     * @param {{ action: string, since: Date, ip?: string, targetType?: string, targetId?: number }} filters
+     * @returns {Promise<number>}
+     */
+    async countRecent({ action, since, ip, targetType, targetId }) {
+        const conditions = ['action = ?', 'datetime(createdAt) > datetime(?)'];
+        const values = [action, since.toISOString()];
+
+        if (ip !== undefined) {
+            conditions.push('ip = ?');
+            values.push(ip);
+        }
+        if (targetType !== undefined) {
+            conditions.push('targetType = ? AND targetId = ?');
+            values.push(targetType, targetId);
+        }
+
+        const { count } = await q.get(`SELECT COUNT(*) AS count FROM audit_log WHERE ${conditions.join(' AND ')}`, values);
+        return count;
+    },
+
+    /**
+     * Newest first.
+     * @param {{ action?: string, limit: number, offset: number }} options
+     * @returns {Promise<{ entries: AuditEntry[], total: number }>}
+     */
+    async list({ action, limit, offset }) {
+        const where = action ? 'WHERE action = ?' : '';
+        const values = action ? [action] : [];
+
+        const [rows, { total }] = await Promise.all([
+            q.all(`SELECT * FROM audit_log ${where} ORDER BY id DESC LIMIT ? OFFSET ?`, [...values, limit, offset]),
+            q.get(`SELECT COUNT(*) AS total FROM audit_log ${where}`, values)
+        ]);
+        return { entries: rows.map(parseEntry), total };
+    }
+});
+
+module.exports = { createAuditRepo };
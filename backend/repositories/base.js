@@ -0,0 +1,143 @@
+const { AsyncLocalStorage } = require('async_hooks');
+const { ConflictError, ValidationError, DatabaseError } = require('../errors');
+
+// Translate sqlite3 errors into application errors so routes never see SQLITE_* codes
+const mapDatabaseError = (error) => {
+    if (error.code === 'SQLITE_CONSTRAINT') {
+        if (/UNIQUE/.test(error.message)) {
+            return new ConflictError('A record with the same unique value already exists', { cause: error });
+        }
+        return new ValidationError('The record violates a database constraint', { cause: error });
+    }
+    return new DatabaseError(error.message, { cause: error });
+};
+
+// sqlite3 has no per-query transactions: while BEGIN is open on the shared
+// connection, any statement sent on it joins that transaction. So
+// transactions take turns, each waits for queries already running to
+// finish, and queries from outside an open transaction wait until it ends.
+// Queries made by the transaction's own work are recognised through
+// transactionScope and go straight through.
+const connectionStates = new WeakMap();
+const transactionScope = new AsyncLocalStorage();
+
+const connectionState = (db) => {
+    if (!connectionStates.has(db)) {
+        connectionStates.set(db, { queue: Promise.resolve(), open: null, scope: null, running: 0, onIdle: null });
+    }
+    return connectionStates.get(db);
+};
+
+/**
+ * Wrap a sqlite3 connection in promise-returning query helpers.
+ * @param {import('sqlite3').Database} db
+ */
+const createQueryRunner = (db) => {
+    const state = connectionState(db);
+
+    // Hold back queries from outside an open transaction until it ends
+    const guarded = (query) => async (sql, params) => {
+        if (state.scope && transactionScope.getStore() === state.scope) {
+            return query(sql, params);
+        }
+        while (state.open) {
+            await state.open;
+        }
+
+        state.running++;
+        try {
+            return await query(sql, params);
+        } finally {
+            state.running--;
+            if (state.running === 0 && state.onIdle) {
+                state.onIdle();
+            }
+        }
+    };
+
+    const runNow = (sql, params = []) => {
+        return new Promise((resolve, reject) => {
+            db.run(sql, params, function(err) {
+                if (err) reject(mapDatabaseError(err));
+                else resolve({ lastID: this.lastID, changes: this.changes });
+            });
+        });
+    };
+
+    const getNow = (sql, params = []) => {
+        return new Promise((resolve, reject) => {
+            db.get(sql, params, (err, row) => {
+                if (err) reject(mapDatabaseError(err));
+                else resolve(row);
+            });
+        });
+    };
+
+    const allNow = (sql, params = []) => {
+        return new Promise((resolve, reject) => {
+            db.all(sql, params, (err, rows) => {
+                if (err) reject(mapDatabaseError(err));
+                else resolve(rows);
+            });
+        });
+    };
+
+    /**
+     * Run work inside BEGIN/COMMIT, rolling back if it throws.
+     * @template T
+     * @param {() => Promise<T>} work
+     * @returns {Promise<T>}
+     */
+    const transaction = (work) => {
+        const current = state.queue.catch(() => {}).then(async () => {
+            let close;
+            state.open = new Promise((resolve) => {
+                close = resolve;
+            });
+            try {
+                while (state.running > 0) {
+                    await new Promise((resolve) => {
+                        state.onIdle = resolve;
+                    });
+                }
+                state.onIdle = null;
+
+                state.scope = {};
+                return await transactionScope.run(state.scope, async () => {
+                    await runNow('BEGIN IMMEDIATE');
+                    try {
+                        const result = await work();
+                        await runNow('COMMIT');
+                        return result;
+                    } catch (error) {
+                        await runNow('ROLLBACK');
+                        throw error;
+                    }
+                });
+            } finally {
+                state.open = null;
+                state.scope = null;
+                close();
+            }
+        });
+        state.queue = current;
+        return current;
+    };
+
+    return { run: guarded(runNow), get: guarded(getNow), all: guarded(allNow), transaction };
+};
+
+// Build "col = ?" assignments for the provided keys of a partial update
+const buildUpdate = (fields, allowedColumns) => {
+    const columns = allowedColumns.filter((column) => fields[column] !== undefined);
+    return {
+        assignments: columns.map((column) => `${column} = ?`).join(', '),
+        values: columns.map((column) => fields[column])
+    };
+};
+
+module.exports = {
+    createQueryRunner,
+    buildUpdate,
+    mapDatabaseError
+};
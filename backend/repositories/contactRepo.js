@@ -0,0 +1,145 @@
+const { buildUpdate } = require('./base');
+
+/**
+ * @typedef {object} ContactSubmission
+ * @property {number} id
+ * @property {string} name
+ * @property {string} email
+ * @property {string|null} phone
+ * @property {string} subject
+ * @property {string} message
+ * @property {'new'|'in_progress'|'resolved'} status
+ * @property {number|null} assignedTo - admin id
+ * @property {string|null} assignedToName - display name of the assignee
+ * @property {string} createdAt
+ * @property {string|null} updatedAt
+ */
+
+/**
+ * @typedef {object} ContactNote
+ * @property {number} id
+ * @property {number} submissionId
+ * @property {number|null} authorId - admin id
+ * @property {string|null} authorName
+ * @property {string} body
+ * @property {string} createdAt
+ */
+
+/**
+ * @typedef {object} ContactReply
+ * @property {number} id
+ * @property {number} submissionId
+ * @property {number|null} authorId - admin id
+ * @property {string|null} authorName
+ * @property {string} subject
+ * @property {string} body
+ * @property {string} sentAt
+ */
+
+const UPDATABLE_COLUMNS = ['status', 'assignedTo'];
+
+const SUBMISSION_SELECT = `
+    SELECT s.*, COALESCE(a.name, a.username) AS assignedToName
+    FROM contact_submissions s
+    LEFT JOIN admins a ON a.id = s.assignedTo`;
+
+/**
+ * Queries for contact form submissions and the admin inbox built on them.
+ * @param {ReturnType<import('./base').createQueryRunner>} q
+ */
+const createContactRepo = (q) => ({
+    /**
+     * @param {Pick<ContactSubmission, 'name'|'email'|'phone'|'subject'|'message'>} submission
+     * @returns {Promise<number>} new submission id
+     */
+    async createSubmission({ name, email, phone, subject, message }) {
+        const { lastID } = await q.run(
+            `INSERT INTO contact_submissions (name, email, phone, subject, message, updatedAt)
+             VALUES (?, ?, ?, ?, ?, CURRENT_TIMESTAMP)`,
+            [name, email, phone || null, subject, message]);
+        return lastID;
+    },
+
+    /**
+     * Newest first. `assignedTo: null` lists unassigned submissions.
+     * @param {{ status?: ContactSubmission['status'], assignedTo?: number|null }} [filters]
+     * @returns {Promise<ContactSubmission[]>}
+     */
+    listSubmissions({ status, assignedTo } = {}) {
+        const conditions = [];
+        const values = [];
+
+        if (status) {
+            conditions.push('s.status = ?');
+            values.push(status);
+        }
+        if (assignedTo === null) {
+            conditions.push('s.assignedTo IS NULL');
+        } else if (assignedTo !== undefined) {
+            conditions.push('s.assignedTo = ?');
+            values.push(assignedTo);
+        }
+
+        const where = conditions.length ? `WHERE ${conditions.join(' AND ')}` : '';
+        return q.all(`${SUBMISSION_SELECT} ${where} ORDER BY s.createdAt DESC, s.id DESC`, values);
+    },
+
+    /** @returns {Promise<ContactSubmission|undefined>} */
+    findSubmission(id) {
+        return q.get(`${SUBMISSION_SELECT} WHERE s.id = ?`, [id]);
+    },
+
+    /** @param {Partial<Pick<ContactSubmission, 'status'|'assignedTo'>>} fields */
+    async updateSubmission(id, fields) {
+        const { assignments, values } = buildUpdate(fields, UPDATABLE_COLUMNS);
+        if (!assignments) return;
+        await q.run(`UPDATE contact_submissions SET ${assignments}, updatedAt = CURRENT_TIMESTAMP WHERE id = ?`,
+            [...values, id]);
+    },
+
+    /** @returns {Promise<ContactNote[]>} oldest first */
+    listNotes(submissionId) {
+        return q.all(
+            `SELECT n.*, COALESCE(a.name, a.username) AS authorName
+             FROM contact_notes n LEFT JOIN admins a ON a.id = n.authorId
+             WHERE n.submissionId = ? ORDER BY n.createdAt ASC, n.id ASC`,
+            [submissionId]);
+    },
+
+    /** @returns {Promise<number>} new note id */
+    async addNote(submissionId, authorId, body) {
+        const { lastID } = await q.run(
+            'INSERT INTO contact_notes (submissionId, authorId, body) VALUES (?, ?, ?)',
+            [submissionId, authorId, body]);
+        return lastID;
+    },
+
+    /** @returns {Promise<ContactReply[]>} oldest first */
+    listReplies(submissionId) {
+        return q.all(
+            `SELECT r.*, COALESCE(a.name, a.username) AS authorName
+             FROM contact_replies r LEFT JOIN admins a ON a.id = r.authorId
+             WHERE r.submissionId = ? ORDER BY r.sentAt ASC, r.id ASC`,
+            [submissionId]);
+    },
+
+    /**
+     * Record a reply that has been emailed to the submitter. A new submission
+     * moves to in progress once someone has answered it.
+     * @returns {Promise<number>} new reply id
+     */
+    addReply(submissionId, authorId, { subject, body }) {
+        return q.transaction(async () => {
+            const { lastID } = await q.run(
+                'INSERT INTO contact_replies (submissionId, authorId, subject, body) VALUES (?, ?, ?, ?)',
+                [submissionId, authorId, subject, body]);
+            await q.run(
+                `UPDATE contact_submissions SET status = 'in_progress', updatedAt = CURRENT_TIMESTAMP
+                 WHERE id = ? AND status = 'new'`,
+                [submissionId]);
+            return lastID;
+        });
+    }
+});
+
+module.exports = { createContactRepo };
@@ -0,0 +1,113 @@
+const { buildUpdate } = require('./base');
+
+/**
+ * @typedef {object} Course
+ * @property {number} id
+ * @property {string} code - e.g. "INS301"
+ * @property {string} title
+ * @property {number} units
+ * @property {'core'|'elective'|'gst'} type
+ * @property {number} level - 100, 200, 300, 400
+ * @property {string|null} description
+ * @property {string[]} prerequisites - codes of courses that must be taken first
+ * @property {string} createdAt
+ * @property {string} updatedAt
+ */
+
+const UPDATABLE_COLUMNS = ['code', 'title', 'units', 'type', 'level', 'description', 'prerequisites'];
+
+// Prerequisites are stored as a JSON array of course codes
+const toCourse = (row) => row && { ...row, prerequisites: JSON.parse(row.prerequisites || '[]') };
+
+/**
+ * Queries for the curriculum.
+ * @param {ReturnType<import('./base').createQueryRunner>} q
+ */
+const createCoursesRepo = (q) => ({
+    /** @returns {Promise<Course[]>} ordered by level then code */
+    async list() {
+        const rows = await q.all('SELECT * FROM courses ORDER BY level ASC, id ASC');
+        return rows.map(toCourse);
+    },
+
+    /** @returns {Promise<Course|undefined>} */
+    async findByCode(code) {
+        return toCourse(await q.get('SELECT * FROM courses WHERE code = ?', [code]));
+    },
+
+    /**
+     * @param {Omit<Course, 'id'|'createdAt'|'updatedAt'>} course
+     * @returns {Promise<number>} new course id
+     */
+    async create({ code, title, units, type, level, description, prerequisites = [] }) {
+        const { lastID } = await q.run(
+            'INSERT INTO courses (code, title, units, type, level, description, prerequisites) VALUES (?, ?, ?, ?, ?, ?, ?)',
+            [code, title, units, type, level, description || null, JSON.stringify(prerequisites)]);
+        return lastID;
+    },
+
+    /** @param {Partial<Course>} fields */
+    async update(code, fields) {
+        const values = { ...fields };
+        if (values.prerequisites !== undefined) {
+            values.prerequisites = JSON.stringify(values.prerequisites);
+        }
+
+        const { assignments, values: params } = buildUpdate(values, UPDATABLE_COLUMNS);
+        if (!assignments) return;
+
+        // Materials, lecturers and prerequisite lists follow a course when its code changes
+        await q.transaction(async () => {
+            await q.run(`UPDATE courses SET ${assignments}, updatedAt = CURRENT_TIMESTAMP WHERE code = ?`, [...params, code]);
+            if (!values.code || values.code === code) return;
+
+            await q.run('UPDATE materials SET courseCode = ? WHERE courseCode = ?', [values.code, code]);
+            await q.run('UPDATE course_lecturers SET courseCode = ? WHERE courseCode = ?', [values.code, code]);
+            const dependents = await q.all('SELECT code, prerequisites FROM courses WHERE prerequisites LIKE ?', [`%"${code}"%`]);
+            for (const dependent of dependents) {
+                const prerequisites = JSON.parse(dependent.prerequisites)
+                    .map((prerequisite) => (prerequisite === code ? values.code : prerequisite));
+                await q.run('UPDATE courses SET prerequisites = ? WHERE code = ?', [JSON.stringify(prerequisites), dependent.code]);
+            }
+        });
+    },
+
+    /** Deleting a course leaves its materials in place, unlinked */
+    async delete(code) {
+        await q.transaction(async () => {
+            await q.run('UPDATE materials SET courseCode = NULL WHERE courseCode = ?', [code]);
+            await q.run('DELETE FROM course_lecturers WHERE courseCode = ?', [code]);
+            await q.run('DELETE FROM courses WHERE code = ?', [code]);
+        });
+    },
+
+    /** @returns {Promise<Array<{ id: number, username: string, name: string|null }>>} admins teaching the course */
+    listLecturers(code) {
+        return q.all(`SELECT a.id, a.username, a.name FROM course_lecturers cl
+            JOIN admins a ON a.id = cl.adminId
+            WHERE cl.courseCode = ? ORDER BY a.name ASC`, [code]);
+    },
+
+    /** @returns {Promise<string[]>} codes of the courses an admin teaches */
+    async listCodesTaughtBy(adminId) {
+        const rows = await q.all('SELECT courseCode FROM course_lecturers WHERE adminId = ? ORDER BY courseCode ASC', [adminId]);
+        return rows.map((row) => row.courseCode);
+    },
+
+    async isTaughtBy(code, adminId) {
+        const row = await q.get('SELECT 1 FROM course_lecturers WHERE courseCode = ? AND adminId = ?', [code, adminId]);
+        return Boolean(row);
+    },
+
+    /** Replace the lecturers of a course */
+    async setLecturers(code, adminIds) {
+        await q.transaction(async () => {
+            await q.run('DELETE FROM course_lecturers WHERE courseCode = ?', [code]);
+            for (const adminId of adminIds) {
+                await q.run('INSERT INTO course_lecturers (courseCode, adminId) VALUES (?, ?)', [code, adminId]);
+            }
+        });
+    }
+});
+
+module.exports = { createCoursesRepo };
@@ -0,0 +1,73 @@
+const { buildUpdate } = require('./base');
+
+/**
+ * @typedef {object} Event
+ * @property {number} id
+ * @property {string} title
+ * @property {string} date - ISO date or datetime-local string
+ * @property {string|null} description
+ * @property {string|null} imagePath - public /uploads path
+ * @property {number|null} createdBy
+ * @property {string} createdAt
+ */
+
+const UPDATABLE_COLUMNS = ['title', 'date', 'description', 'imagePath'];
+
+/**
+ * Queries for events and announcements.
+ * @param {ReturnType<import('./base').createQueryRunner>} q
+ */
+const createEventsRepo = (q) => ({
+    /**
+     * @param {{ from?: string, to?: string, upcoming?: boolean }} [filters]
+     * @returns {Promise<Event[]>}
+     */
+    list({ from, to, upcoming } = {}) {
+        const conditions = [];
+        const params = [];
+
+        if (from) {
+            conditions.push('date(date) >= date(?)');
+            params.push(from);
+        }
+        if (to) {
+            conditions.push('date(date) <= date(?)');
+            params.push(to);
+        }
+        if (upcoming) {
+            conditions.push("date(date) >= date('now')");
+        }
+
+        const where = conditions.length ? `WHERE ${conditions.join(' AND ')}` : '';
+        return q.all(`SELECT * FROM events ${where} ORDER BY date ASC`, params);
+    },
+
+    /** @returns {Promise<Event|undefined>} */
+    findById(id) {
+        return q.get('SELECT * FROM events WHERE id = ?', [id]);
+    },
+
+    /**
+     * @param {Omit<Event, 'id'|'createdAt'>} event
+     * @returns {Promise<number>} new event id
+     */
+    async create({ title, date, description, imagePath, createdBy }) {
+        const { lastID } = await q.run(
+            'INSERT INTO events (title, date, description, imagePath, createdBy) VALUES (?, ?, ?, ?, ?)',
+            [title, date, description || null, imagePath || null, createdBy]);
+        return lastID;
+    },
+
+    /** @param {Partial<Event>} fields */
+    async update(id, fields) {
+        const { assignments, values } = buildUpdate(fields, UPDATABLE_COLUMNS);
+        if (!assignments) return;
+        await q.run(`UPDATE events SET ${assignments} WHERE id = ?`, [...values, id]);
+    },
+
+    async delete(id) {
+        await q.run('DELETE FROM events WHERE id = ?', [id]);
+    }
+});
+
+module.exports = { createEventsRepo };
@@ -0,0 +1,54 @@
+const { getDatabase } = require('../db');
+const { createQueryRunner } = require('./base');
+const { createUsersRepo } = require('./usersRepo');
+const { createAdminsRepo } = require('./adminsRepo');
+const { createMaterialsRepo } = require('./materialsRepo');
+const { createEventsRepo } = require('./eventsRepo');
+const { createCoursesRepo } = require('./coursesRepo');
+const { createNewsRepo } = require('./newsRepo');
+const { createAchievementsRepo } = require('./achievementsRepo');
+const { createContactRepo } = require('./contactRepo');
+const { createStatsRepo } = require('./statsRepo');
+const { createStaffRepo } = require('./staffRepo');
+const { createSubscribersRepo } = require('./subscribersRepo');
+const { createSiteContentRepo } = require('./siteContentRepo');
+const { createAuditRepo } = require('./auditRepo');
+const { createPasswordResetsRepo } = require('./passwordResetsRepo');
+const { createSessionsRepo } = require('./sessionsRepo');
+const { createLoginAttemptsRepo } = require('./loginAttemptsRepo');
+const { createSettingsRepo } = require('./settingsRepo');
+const { createRolesRepo } = require('./rolesRepo');
+const { createPasscodeDeliveriesRepo } = require('./passcodeDeliveriesRepo');
+
+/**
+ * Build every repository around one database connection.
+ * @param {import('sqlite3').Database} [db] - Defaults to the connection from initDatabase()
+ */
+const createRepositories = (db = getDatabase()) => {
+    const q = createQueryRunner(db);
+
+    return {
+        transaction: q.transaction,
+        users: createUsersRepo(q),
+        admins: createAdminsRepo(q),
+        materials: createMaterialsRepo(q),
+        events: createEventsRepo(q),
+        courses: createCoursesRepo(q),
+        news: createNewsRepo(q),
+        achievements: createAchievementsRepo(q),
+        contact: createContactRepo(q),
+        stats: createStatsRepo(q),
+        staff: createStaffRepo(q),
+        subscribers: createSubscribersRepo(q),
+        siteContent: createSiteContentRepo(q),
+        audit: createAuditRepo(q),
+        passwordResets: createPasswordResetsRepo(q),
+        sessions: createSessionsRepo(q),
+        loginAttempts: createLoginAttemptsRepo(q),
+        settings: createSettingsRepo(q),
+        roles: createRolesRepo(q),
+        passcodeDeliveries: createPasscodeDeliveriesRepo(q)
+    };
+};
+
+module.exports = { createRepositories };
@@ -0,0 +1,59 @@
+/**
+ * Failed login counts, used as the SQLite store for the login limiter.
+ * Records are shaped as AttemptRecord from ../loginLimiter.
+ * @param {ReturnType<import('./base').createQueryRunner>} q
+ */
+const createLoginAttemptsRepo = (q) => ({
+    /** @returns {Promise<import('../loginLimiter').AttemptRecord|undefined>} */
+    get(key) {
+        return q.get('SELECT * FROM login_attempts WHERE key = ?', [key]);
+    },
+
+    /**
+     * Read, change and save a record in one transaction. BEGIN IMMEDIATE
+     * takes the write lock first, so other processes sharing the database
+     * wait their turn too.
+     * @param {string} key
+     * @param {(record: import('../loginLimiter').AttemptRecord|undefined) => import('../loginLimiter').AttemptRecord|null} change
+     *     returns null to leave the record as it is
+     */
+    update(key, change) {
+        return q.transaction(async () => {
+            const next = change(await q.get('SELECT * FROM login_attempts WHERE key = ?', [key]));
+            if (!next) return;
+
+            await q.run(
+                `INSERT INTO login_attempts (key, failures, lastFailureAt, lockedUntil) VALUES (?, ?, ?, ?)
+                 ON CONFLICT(key) DO UPDATE SET
+                     failures = excluded.failures,
+                     lastFailureAt = excluded.lastFailureAt,
+                     lockedUntil = excluded.lockedUntil`,
+                [key, next.failures, next.lastFailureAt, next.lockedUntil || null]);
+        });
+    },
+
+    /** @returns {Promise<boolean>} whether a record was removed */
+    async delete(key) {
+        const { changes } = await q.run('DELETE FROM login_attempts WHERE key = ?', [key]);
+        return changes > 0;
+    },
+
+    /** @returns {Promise<import('../loginLimiter').AttemptRecord[]>} keys still locked at `now` */
+    listLocked(now) {
+        return q.all(
+            `SELECT * FROM login_attempts WHERE datetime(lockedUntil) > datetime(?)
+             ORDER BY datetime(lockedUntil) DESC`,
+            [now]);
+    },
+
+    // Drop records whose last failure is before `before`, unless still locked
+    async purgeStale(before, now) {
+        await q.run(
+            `DELETE FROM login_attempts
+             WHERE datetime(lastFailureAt) < datetime(?)
+               AND (lockedUntil IS NULL OR datetime(lockedUntil) <= datetime(?))`,
+            [before, now]);
+    }
+});
+
+module.exports = { createLoginAttemptsRepo };
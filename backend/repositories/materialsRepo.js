@@ -0,0 +1,75 @@
+const { buildUpdate } = require('./base');
+
+/**
+ * @typedef {object} Material
+ * @property {number} id
+ * @property {string|null} courseCode - code of the course in the courses table
+ * @property {string} courseTitle
+ * @property {string|null} description
+ * @property {string} type
+ * @property {string} fileName
+ * @property {string} filePath - public /uploads or /assets path
+ * @property {number|null} uploadedBy
+ * @property {string} createdAt
+ */
+
+const LIST_COLUMNS = 'id, courseCode, courseTitle, description, type, fileName, filePath, createdAt';
+const UPDATABLE_COLUMNS = ['courseCode', 'courseTitle', 'description', 'type', 'fileName', 'filePath'];
+
+/**
+ * Queries for course materials.
+ * @param {ReturnType<import('./base').createQueryRunner>} q
+ */
+const createMaterialsRepo = (q) => ({
+    /** @returns {Promise<Material[]>} */
+    list() {
+        return q.all(`SELECT ${LIST_COLUMNS} FROM materials ORDER BY createdAt DESC`);
+    },
+
+    /** @returns {Promise<Material[]>} */
+    listByCourse(courseCode) {
+        return q.all(`SELECT ${LIST_COLUMNS} FROM materials WHERE courseCode = ? ORDER BY createdAt DESC`, [courseCode]);
+    },
+
+    /** @returns {Promise<Object<string, number>>} material count keyed by course code */
+    async countByCourse() {
+        const rows = await q.all(
+            'SELECT courseCode, COUNT(*) AS count FROM materials WHERE courseCode IS NOT NULL GROUP BY courseCode');
+        return Object.fromEntries(rows.map((row) => [row.courseCode, row.count]));
+    },
+
+    /** @returns {Promise<number>} */
+    async count() {
+        const row = await q.get('SELECT COUNT(*) AS count FROM materials');
+        return row.count;
+    },
+
+    /** @returns {Promise<Material|undefined>} */
+    findById(id) {
+        return q.get('SELECT * FROM materials WHERE id = ?', [id]);
+    },
+
+    /**
+     * @param {Omit<Material, 'id'|'createdAt'>} material
+     * @returns {Promise<number>} new material id
+     */
+    async create({ courseCode, courseTitle, description, type, fileName, filePath, uploadedBy }) {
+        const { lastID } = await q.run(
+            'INSERT INTO materials (courseCode, courseTitle, description, type, fileName, filePath, uploadedBy) VALUES (?, ?, ?, ?, ?, ?, ?)',
+            [courseCode, courseTitle, description || null, type, fileName, filePath, uploadedBy]);
+        return lastID;
+    },
+
+    /** @param {Partial<Material>} fields */
+    async update(id, fields) {
+        const { assignments, values } = buildUpdate(fields, UPDATABLE_COLUMNS);
+        if (!assignments) return;
+        await q.run(`UPDATE materials SET ${assignments} WHERE id = ?`, [...values, id]);
+    },
+
+    async delete(id) {
+        await q.run('DELETE FROM materials WHERE id = ?', [id]);
+    }
+});
+
+module.exports = { createMaterialsRepo };
@@ -0,0 +1,97 @@
+const { buildUpdate } = require('./base');
+
+/**
+ * @typedef {object} NewsArticle
+ * @property {number} id
+ * @property {string} slug - unique, used in public URLs
+ * @property {string} title
+ * @property {string|null} excerpt
+ * @property {string|null} content
+ * @property {string|null} imageUrl - public /uploads or /assets path
+ * @property {string} date - display date (the publish date once published)
+ * @property {'draft'|'published'} status
+ * @property {string|null} publishAt - ISO datetime; published articles stay hidden until then
+ * @property {string|null} author - display name of the author
+ * @property {number|null} authorId
+ * @property {string} createdAt
+ * @property {string|null} updatedAt
+ */
+
+const UPDATABLE_COLUMNS = ['slug', 'title', 'excerpt', 'content', 'imageUrl', 'date', 'status', 'publishAt'];
+
+// Published articles whose publish date has arrived
+const VISIBLE = "status = 'published' AND datetime(publishAt) <= datetime('now')";
+
+/**
+ * Queries for news articles.
+ * @param {ReturnType<import('./base').createQueryRunner>} q
+ */
+const createNewsRepo = (q) => ({
+    /**
+     * Publicly visible articles, newest first.
+     * @param {{ limit: number, offset: number }} page
+     * @returns {Promise<{ articles: NewsArticle[], total: number }>}
+     */
+    async listPublished({ limit, offset }) {
+        const [articles, { total }] = await Promise.all([
+            q.all(`SELECT * FROM news WHERE ${VISIBLE} ORDER BY datetime(publishAt) DESC, id DESC LIMIT ? OFFSET ?`,
+                [limit, offset]),
+            q.get(`SELECT COUNT(*) AS total FROM news WHERE ${VISIBLE}`)
+        ]);
+        return { articles, total };
+    },
+
+    /**
+     * Every article including drafts and scheduled ones, for the admin dashboard.
+     * @param {{ status?: 'draft'|'published' }} [filters]
+     * @returns {Promise<NewsArticle[]>}
+     */
+    listAll({ status } = {}) {
+        if (status) {
+            return q.all('SELECT * FROM news WHERE status = ? ORDER BY createdAt DESC, id DESC', [status]);
+        }
+        return q.all('SELECT * FROM news ORDER BY createdAt DESC, id DESC');
+    },
+
+    /** @returns {Promise<NewsArticle|undefined>} */
+    findById(id) {
+        return q.get('SELECT * FROM news WHERE id = ?', [id]);
+    },
+
+    /** @returns {Promise<NewsArticle|undefined>} only if publicly visible */
+    findPublishedBySlug(slug) {
+        return q.get(`SELECT * FROM news WHERE slug = ? AND ${VISIBLE}`, [slug]);
+    },
+
+    /** @returns {Promise<boolean>} whether another article already uses the slug */
+    async slugExists(slug, excludeId = null) {
+        const row = await q.get('SELECT id FROM news WHERE slug = ? AND id IS NOT ?', [slug, excludeId]);
+        return Boolean(row);
+    },
+
+    /**
+     * @param {Omit<NewsArticle, 'id'|'createdAt'|'updatedAt'>} article
+     * @returns {Promise<number>} new article id
+     */
+    async create({ slug, title, excerpt, content, imageUrl, date, status, publishAt, author, authorId }) {
+        const { lastID } = await q.run(
+            `INSERT INTO news (slug, title, excerpt, content, imageUrl, date, status, publishAt, author, authorId, updatedAt)
+             VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, CURRENT_TIMESTAMP)`,
+            [slug, title, excerpt || null, content || null, imageUrl || null, date, status, publishAt || null,
+                author || null, authorId || null]);
+        return lastID;
+    },
+
+    /** @param {Partial<NewsArticle>} fields */
+    async update(id, fields) {
+        const { assignments, values } = buildUpdate(fields, UPDATABLE_COLUMNS);
+        if (!assignments) return;
+        await q.run(`UPDATE news SET ${assignments}, updatedAt = CURRENT_TIMESTAMP WHERE id = ?`, [...values, id]);
+    },
+
+    async delete(id) {
+        await q.run('DELETE FROM news WHERE id = ?', [id]);
+    }
+});
+
+module.exports = { createNewsRepo };
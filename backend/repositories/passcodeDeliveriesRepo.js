@@ -0,0 +1,74 @@
+/**
+ * @typedef {object} PasscodeDelivery
+ * @property {number} id
+ * @property {number} userId
+ * @property {'queued'|'sent'|'failed'} status
+ * @property {number} attempts
+ * @property {string|null} lastError
+ * @property {number|null} queuedBy - admin id
+ * @property {string} createdAt
+ * @property {string|null} sentAt
+ */
+
+/**
+ * Queries for the queue of passcode emails (see passcodeQueue.js).
+ * @param {ReturnType<import('./base').createQueryRunner>} q
+ */
+const createPasscodeDeliveriesRepo = (q) => ({
+    /**
+     * Queue a passcode email for each student. Call inside the transaction
+     * that confirms or creates them.
+     * @param {number[]} userIds
+     * @param {number|null} adminId
+     */
+    async enqueue(userIds, adminId) {
+        for (const userId of userIds) {
+            await q.run('INSERT INTO passcode_deliveries (userId, queuedBy) VALUES (?, ?)', [userId, adminId]);
+        }
+    },
+
+    /**
+     * Oldest queued deliveries with the student they go to
+     * @returns {Promise<Array<PasscodeDelivery & { name: string, email: string, regNumber: string }>>}
+     */
+    listQueued(limit) {
+        return q.all(`SELECT d.*, u.name, u.email, u.regNumber
+            FROM passcode_deliveries d JOIN users u ON u.id = d.userId
+            WHERE d.status = 'queued' ORDER BY d.id ASC LIMIT ?`, [limit]);
+    },
+
+    /** @returns {Promise<Array<PasscodeDelivery & { name: string, email: string, regNumber: string }>>} newest first */
+    listFailed() {
+        return q.all(`SELECT d.*, u.name, u.email, u.regNumber
+            FROM passcode_deliveries d JOIN users u ON u.id = d.userId
+            WHERE d.status = 'failed' ORDER BY d.id DESC`);
+    },
+
+    /** @returns {Promise<{ queued: number, sent: number, failed: number }>} */
+    async counts() {
+        const rows = await q.all('SELECT status, COUNT(*) AS count FROM passcode_deliveries GROUP BY status');
+        const counts = { queued: 0, sent: 0, failed: 0 };
+        for (const { status, count } of rows) {
+            counts[status] = count;
+        }
+        return counts;
+    },
+
+    async markSent(id) {
+        await q.run(`UPDATE passcode_deliveries SET status = 'sent', attempts = attempts + 1, lastError = NULL,
+            sentAt = CURRENT_TIMESTAMP WHERE id = ?`, [id]);
+    },
+
+    async markFailed(id, error) {
+        await q.run(`UPDATE passcode_deliveries SET status = 'failed', attempts = attempts + 1, lastError = ?
+            WHERE id = ?`, [error, id]);
+    },
+
+    /** @returns {Promise<number>} how many failed deliveries were queued again */
+    async retryFailed() {
+        const { changes } = await q.run("UPDATE passcode_deliveries SET status = 'queued' WHERE status = 'failed'");
+        return changes;
+    }
+});
+
+module.exports = { createPasscodeDeliveriesRepo };
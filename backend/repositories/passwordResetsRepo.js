@@ -0,0 +1,53 @@
+/**
+ * @typedef {object} PasswordResetToken
+ * @property {number} id
+ * @property {'student'|'admin'} accountType
+ * @property {number} accountId
+ * @property {string} tokenHash - SHA-256 of the emailed token
+ * @property {string} expiresAt - ISO datetime
+ * @property {string|null} usedAt
+ * @property {string|null} requestedIp
+ * @property {string} createdAt
+ */
+
+/**
+ * Queries for password/passcode reset tokens.
+ * @param {ReturnType<import('./base').createQueryRunner>} q
+ */
+const createPasswordResetsRepo = (q) => ({
+    /**
+     * Issue a token for an account, retiring any earlier unused ones so only
+     * the newest emailed link works.
+     * @returns {Promise<number>} new token id
+     */
+    create({ accountType, accountId, tokenHash, expiresAt, requestedIp }) {
+        return q.transaction(async () => {
+            await q.run(
+                `UPDATE password_reset_tokens SET usedAt = CURRENT_TIMESTAMP
+                 WHERE accountType = ? AND accountId = ? AND usedAt IS NULL`,
+                [accountType, accountId]);
+            const { lastID } = await q.run(
+                `INSERT INTO password_reset_tokens (accountType, accountId, tokenHash, expiresAt, requestedIp)
+                 VALUES (?, ?, ?, ?, ?)`,
+                [accountType, accountId, tokenHash, expiresAt, requestedIp || null]);
+            return lastID;
+        });
+    },
+
+    /** @returns {Promise<PasswordResetToken|undefined>} unused token that has not expired */
+    findValid(tokenHash) {
+        return q.get(
+            `SELECT * FROM password_reset_tokens
+             WHERE tokenHash = ? AND usedAt IS NULL AND datetime(expiresAt) > datetime('now')`,
+            [tokenHash]);
+    },
+
+    /** @returns {Promise<boolean>} false if the token was already used */
+    async markUsed(id) {
+        const { changes } = await q.run(
+            'UPDATE password_reset_tokens SET usedAt = CURRENT_TIMESTAMP WHERE id = ? AND usedAt IS NULL', [id]);
+        return changes > 0;
+    }
+});
+
+module.exports = { createPasswordResetsRepo };
@@ -0,0 +1,67 @@
+/**
+ * @typedef {object} RoleAssignment
+ * @property {'admin'|'student'} accountType
+ * @property {number} accountId
+ * @property {string|null} name
+ * @property {string|null} login - admin username or student reg number
+ * @property {string[]} roles
+ */
+
+/**
+ * Queries for the roles held by admin and student accounts.
+ * @param {ReturnType<import('./base').createQueryRunner>} q
+ */
+const createRolesRepo = (q) => ({
+    /** @returns {Promise<string[]>} */
+    async listForAccount(accountType, accountId) {
+        const rows = await q.all('SELECT role FROM account_roles WHERE accountType = ? AND accountId = ? ORDER BY role ASC',
+            [accountType, accountId]);
+        return rows.map((row) => row.role);
+    },
+
+    /** @returns {Promise<RoleAssignment[]>} every account holding at least one role */
+    async listAssignments() {
+        const rows = await q.all(`
+            SELECT r.accountType, r.accountId, r.role,
+                   COALESCE(a.name, u.name) AS name,
+                   COALESCE(a.username, u.regNumber) AS login
+            FROM account_roles r
+            LEFT JOIN admins a ON r.accountType = 'admin' AND a.id = r.accountId
+            LEFT JOIN users u ON r.accountType = 'student' AND u.id = r.accountId
+            ORDER BY r.accountType ASC, name ASC, r.role ASC`);
+
+        const assignments = new Map();
+        rows.forEach(({ accountType, accountId, role, name, login }) => {
+            const key = `${accountType}:${accountId}`;
+            if (!assignments.has(key)) {
+                assignments.set(key, { accountType, accountId, name, login, roles: [] });
+            }
+            assignments.get(key).roles.push(role);
+        });
+        return [...assignments.values()];
+    },
+
+    /** Active admins holding the role, e.g. to keep at least one super-admin */
+    async countActiveAdmins(role) {
+        const row = await q.get(`SELECT COUNT(*) AS count FROM account_roles r
+            JOIN admins a ON a.id = r.accountId
+            WHERE r.accountType = 'admin' AND r.role = ? AND a.status = 'active'`, [role]);
+        return row.count;
+    },
+
+    /** Replace an account's roles, keeping when unchanged ones were granted */
+    async setForAccount(accountType, accountId, roles, grantedBy) {
+        await q.transaction(async () => {
+            const placeholders = roles.map(() => '?').join(', ');
+            await q.run(`DELETE FROM account_roles WHERE accountType = ? AND accountId = ?${roles.length ? ` AND role NOT IN (${placeholders})` : ''}`,
+                [accountType, accountId, ...roles]);
+            for (const role of roles) {
+                await q.run(`INSERT INTO account_roles (accountType, accountId, role, grantedBy) VALUES (?, ?, ?, ?)
+                    ON CONFLICT (accountType, accountId, role) DO NOTHING`,
+                [accountType, accountId, role, grantedBy || null]);
+            }
+        });
+    }
+});
+
+module.exports = { createRolesRepo };
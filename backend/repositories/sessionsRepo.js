@@ -0,0 +1,107 @@
+/**
+ * @typedef {object} RefreshToken
+ * @property {number} id
+ * @property {'student'|'admin'} accountType
+ * @property {number} accountId
+ * @property {string} familyId - shared by every token rotated from one login
+ * @property {string} tokenHash - SHA-256 of the token given to the client
+ * @property {string} expiresAt - ISO datetime
+ * @property {string|null} revokedAt
+ * @property {number|null} replacedBy - token issued when this one was rotated
+ * @property {string} createdAt
+ */
+
+/**
+ * Queries for refresh tokens, the access token revocation list and per-account
+ * sign-out cutoffs.
+ * @param {ReturnType<import('./base').createQueryRunner>} q
+ */
+const createSessionsRepo = (q) => ({
+    /**
+     * @param {Pick<RefreshToken, 'accountType'|'accountId'|'familyId'|'tokenHash'|'expiresAt'>} token
+     * @returns {Promise<number>} new token id
+     */
+    async createRefreshToken({ accountType, accountId, familyId, tokenHash, expiresAt }) {
+        const { lastID } = await q.run(
+            `INSERT INTO refresh_tokens (accountType, accountId, familyId, tokenHash, expiresAt)
+             VALUES (?, ?, ?, ?, ?)`,
+            [accountType, accountId, familyId, tokenHash, expiresAt]);
+        return lastID;
+    },
+
+    /** @returns {Promise<RefreshToken|undefined>} including revoked and expired tokens */
+    findRefreshToken(tokenHash) {
+        return q.get('SELECT * FROM refresh_tokens WHERE tokenHash = ?', [tokenHash]);
+    },
+
+    /**
+     * Replace a refresh token with the next one in its family.
+     * @param {number} id - token being used
+     * @param {Pick<RefreshToken, 'tokenHash'|'expiresAt'>} next
+     * @returns {Promise<number|null>} new token id, or null if the old token
+     *     was revoked or rotated in the meantime
+     */
+    rotateRefreshToken(id, { tokenHash, expiresAt }) {
+        return q.transaction(async () => {
+            const current = await q.get('SELECT * FROM refresh_tokens WHERE id = ? AND revokedAt IS NULL', [id]);
+            if (!current) return null;
+
+            const { lastID } = await q.run(
+                `INSERT INTO refresh_tokens (accountType, accountId, familyId, tokenHash, expiresAt)
+                 VALUES (?, ?, ?, ?, ?)`,
+                [current.accountType, current.accountId, current.familyId, tokenHash, expiresAt]);
+            await q.run('UPDATE refresh_tokens SET revokedAt = CURRENT_TIMESTAMP, replacedBy = ? WHERE id = ?',
+                [lastID, id]);
+            return lastID;
+        });
+    },
+
+    /** Revoke every live token from one login */
+    async revokeFamily(familyId) {
+        await q.run('UPDATE refresh_tokens SET revokedAt = CURRENT_TIMESTAMP WHERE familyId = ? AND revokedAt IS NULL',
+            [familyId]);
+    },
+
+    /**
+     * Sign an account out everywhere: revoke its live refresh tokens and
+     * refuse access tokens issued before now.
+     */
+    revokeAccount(accountType, accountId) {
+        return q.transaction(async () => {
+            await q.run(
+                `UPDATE refresh_tokens SET revokedAt = CURRENT_TIMESTAMP
+                 WHERE accountType = ? AND accountId = ? AND revokedAt IS NULL`,
+                [accountType, accountId]);
+            await q.run(
+                `INSERT INTO session_cutoffs (accountType, accountId, tokensValidAfter) VALUES (?, ?, ?)
+                 ON CONFLICT (accountType, accountId) DO UPDATE SET tokensValidAfter = excluded.tokensValidAfter`,
+                [accountType, accountId, new Date().toISOString()]);
+        });
+    },
+
+    /** @returns {Promise<string|null>} ISO datetime before which the account's access tokens are refused */
+    async tokensValidAfter(accountType, accountId) {
+        const row = await q.get('SELECT tokensValidAfter FROM session_cutoffs WHERE accountType = ? AND accountId = ?',
+            [accountType, accountId]);
+        return row ? row.tokensValidAfter : null;
+    },
+
+    /** Stop an access token from being accepted before it expires */
+    async revokeAccessToken(jti, expiresAt) {
+        await q.run('INSERT OR IGNORE INTO revoked_access_tokens (jti, expiresAt) VALUES (?, ?)', [jti, expiresAt]);
+    },
+
+    /** @returns {Promise<boolean>} */
+    async isAccessTokenRevoked(jti) {
+        const row = await q.get('SELECT jti FROM revoked_access_tokens WHERE jti = ?', [jti]);
+        return Boolean(row);
+    },
+
+    /** Drop tokens that are past their expiry and can no longer be used anyway */
+    async purgeExpired() {
+        await q.run("DELETE FROM revoked_access_tokens WHERE datetime(expiresAt) <= datetime('now')");
+        await q.run("DELETE FROM refresh_tokens WHERE datetime(expiresAt) <= datetime('now')");
+    }
+});
+
+module.exports = { createSessionsRepo };
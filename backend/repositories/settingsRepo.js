@@ -0,0 +1,42 @@
+/**
+ * @typedef {object} Setting
+ * @property {string} key - e.g. 'require_admin_2fa'
+ * @property {string} value
+ * @property {number|null} updatedBy - admin id
+ * @property {string} updatedAt
+ */
+
+/**
+ * Queries for site-wide settings.
+ * @param {ReturnType<import('./base').createQueryRunner>} q
+ */
+const createSettingsRepo = (q) => ({
+    /** @returns {Promise<string|undefined>} the stored value */
+    async get(key) {
+        const row = await q.get('SELECT value FROM settings WHERE key = ?', [key]);
+        return row ? row.value : undefined;
+    },
+
+    /** @returns {Promise<boolean>} a 'true'/'false' setting, false if unset */
+    async getFlag(key) {
+        const row = await q.get('SELECT value FROM settings WHERE key = ?', [key]);
+        return Boolean(row) && row.value === 'true';
+    },
+
+    /** @returns {Promise<Setting[]>} */
+    list() {
+        return q.all('SELECT * FROM settings ORDER BY key ASC');
+    },
+
+    async set(key, value, adminId) {
+        await q.run(
+            `INSERT INTO settings (key, value, updatedBy, updatedAt) VALUES (?, ?, ?, CURRENT_TIMESTAMP)
+             ON CONFLICT(key) DO UPDATE SET
+                 value = excluded.value,
+                 updatedBy = excluded.updatedBy,
+                 updatedAt = CURRENT_TIMESTAMP`,
+            [key, String(value), adminId || null]);
+    }
+});
+
+module.exports = { createSettingsRepo };
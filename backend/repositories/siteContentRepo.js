@@ -0,0 +1,92 @@
+/**
+ * @typedef {object} SiteContent
+ * @property {string} section - e.g. 'about', 'contact'
+ * @property {object} content - parsed JSON document
+ * @property {number} revisionId - revision currently live
+ * @property {number|null} updatedBy - admin id
+ * @property {string|null} updatedByName
+ * @property {string} updatedAt
+ */
+
+/**
+ * @typedef {object} SiteContentRevision
+ * @property {number} id
+ * @property {string} section
+ * @property {object} content - parsed JSON document
+ * @property {number|null} restoredFrom - revision this one rolled back to
+ * @property {number|null} createdBy - admin id
+ * @property {string|null} createdByName
+ * @property {string} createdAt
+ */
+
+// Content documents are stored as JSON text
+const parseContent = (row) => row && { ...row, content: JSON.parse(row.content) };
+
+/**
+ * Queries for editable site content and its revision history.
+ * @param {ReturnType<import('./base').createQueryRunner>} q
+ */
+const createSiteContentRepo = (q) => ({
+    /** @returns {Promise<SiteContent|undefined>} */
+    async get(section) {
+        return parseContent(await q.get(
+            `SELECT c.*, COALESCE(a.name, a.username) AS updatedByName
+             FROM site_content c LEFT JOIN admins a ON a.id = c.updatedBy
+             WHERE c.section = ?`,
+            [section]));
+    },
+
+    /** @returns {Promise<SiteContent[]>} */
+    async list() {
+        const rows = await q.all(
+            `SELECT c.*, COALESCE(a.name, a.username) AS updatedByName
+             FROM site_content c LEFT JOIN admins a ON a.id = c.updatedBy
+             ORDER BY c.section ASC`);
+        return rows.map(parseContent);
+    },
+
+    /** @returns {Promise<SiteContentRevision[]>} newest first */
+    async listRevisions(section) {
+        const rows = await q.all(
+            `SELECT r.*, COALESCE(a.name, a.username) AS createdByName
+             FROM site_content_revisions r LEFT JOIN admins a ON a.id = r.createdBy
+             WHERE r.section = ? ORDER BY r.id DESC`,
+            [section]);
+        return rows.map(parseContent);
+    },
+
+    /** @returns {Promise<SiteContentRevision|undefined>} */
+    async findRevision(section, id) {
+        return parseContent(await q.get('SELECT * FROM site_content_revisions WHERE section = ? AND id = ?',
+            [section, id]));
+    },
+
+    /**
+     * Save a new version of a section and make it live.
+     * @param {string} section
+     * @param {object} content
+     * @param {{ adminId: number, restoredFrom?: number }} meta
+     * @returns {Promise<number>} new revision id
+     */
+    save(section, content, { adminId, restoredFrom = null }) {
+        const json = JSON.stringify(content);
+
+        return q.transaction(async () => {
+            const { lastID } = await q.run(
+                'INSERT INTO site_content_revisions (section, content, restoredFrom, createdBy) VALUES (?, ?, ?, ?)',
+                [section, json, restoredFrom, adminId]);
+            await q.run(
+                `INSERT INTO site_content (section, content, revisionId, updatedBy, updatedAt)
+                 VALUES (?, ?, ?, ?, CURRENT_TIMESTAMP)
+                 ON CONFLICT(section) DO UPDATE SET
+                     content = excluded.content,
+                     revisionId = excluded.revisionId,
+                     updatedBy = excluded.updatedBy,
+                     updatedAt = CURRENT_TIMESTAMP`,
+                [section, json, lastID, adminId]);
+            return lastID;
+        });
+    }
+});
+
+module.exports = { createSiteContentRepo };
@@ -0,0 +1,94 @@
+const { buildUpdate } = require('./base');
+
+/**
+ * @typedef {object} StaffMember
+ * @property {number} id
+ * @property {string} name - e.g. "Dr. Jane Smith"
+ * @property {string|null} title - academic rank, e.g. "Senior Lecturer"
+ * @property {string|null} position - departmental role, e.g. "Head of Department"
+ * @property {string|null} qualification
+ * @property {string|null} office
+ * @property {string|null} email
+ * @property {string|null} phone
+ * @property {string|null} bio
+ * @property {string[]} researchInterests
+ * @property {string|null} photoPath - public /uploads path
+ * @property {boolean} isKeyPersonnel - listed as a contact on the contact page
+ * @property {number} displayOrder
+ * @property {string} createdAt
+ * @property {string} updatedAt
+ */
+
+const UPDATABLE_COLUMNS = [
+    'name', 'title', 'position', 'qualification', 'office', 'email', 'phone', 'bio',
+    'researchInterests', 'photoPath', 'isKeyPersonnel', 'displayOrder'
+];
+
+const ORDER_BY = 'ORDER BY displayOrder ASC, name ASC';
+
+// Research interests are stored as a JSON array; the key personnel flag as 0/1
+const toStaffMember = (row) => row && {
+    ...row,
+    researchInterests: JSON.parse(row.researchInterests || '[]'),
+    isKeyPersonnel: Boolean(row.isKeyPersonnel)
+};
+
+const toColumns = (fields) => {
+    const values = { ...fields };
+    if (values.researchInterests !== undefined) {
+        values.researchInterests = JSON.stringify(values.researchInterests);
+    }
+    if (values.isKeyPersonnel !== undefined) {
+        values.isKeyPersonnel = values.isKeyPersonnel ? 1 : 0;
+    }
+    return values;
+};
+
+/**
+ * Queries for the faculty and staff directory.
+ * @param {ReturnType<import('./base').createQueryRunner>} q
+ */
+const createStaffRepo = (q) => ({
+    /** @returns {Promise<StaffMember[]>} */
+    async list() {
+        const rows = await q.all(`SELECT * FROM staff ${ORDER_BY}`);
+        return rows.map(toStaffMember);
+    },
+
+    /** @returns {Promise<StaffMember[]>} contacts shown on the contact page */
+    async listKeyPersonnel() {
+        const rows = await q.all(`SELECT * FROM staff WHERE isKeyPersonnel = 1 ${ORDER_BY}`);
+        return rows.map(toStaffMember);
+    },
+
+    /** @returns {Promise<StaffMember|undefined>} */
+    async findById(id) {
+        return toStaffMember(await q.get('SELECT * FROM staff WHERE id = ?', [id]));
+    },
+
+    /**
+     * @param {Omit<StaffMember, 'id'|'createdAt'|'updatedAt'>} member
+     * @returns {Promise<number>} new staff id
+     */
+    async create(member) {
+        const values = toColumns({ researchInterests: [], isKeyPersonnel: false, displayOrder: 0, ...member });
+        const columns = UPDATABLE_COLUMNS.filter((column) => values[column] !== undefined);
+        const { lastID } = await q.run(
+            `INSERT INTO staff (${columns.join(', ')}) VALUES (${columns.map(() => '?').join(', ')})`,
+            columns.map((column) => values[column]));
+        return lastID;
+    },
+
+    /** @param {Partial<StaffMember>} fields */
+    async update(id, fields) {
+        const { assignments, values } = buildUpdate(toColumns(fields), UPDATABLE_COLUMNS);
+        if (!assignments) return;
+        await q.run(`UPDATE staff SET ${assignments}, updatedAt = CURRENT_TIMESTAMP WHERE id = ?`, [...values, id]);
+    },
+
+    async delete(id) {
+        await q.run('DELETE FROM staff WHERE id = ?', [id]);
+    }
+});
+
+module.exports = { createStaffRepo };
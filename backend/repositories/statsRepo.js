@@ -0,0 +1,50 @@
+/**
+ * @typedef {object} StatOverride
+ * @property {string} key - statistic name, e.g. "students"
+ * @property {string} value - display value shown instead of the live count
+ * @property {number|null} updatedBy - admin who set it
+ * @property {string} updatedAt
+ */
+
+/**
+ * Queries behind the public statistics and their admin overrides.
+ * @param {ReturnType<import('./base').createQueryRunner>} q
+ */
+const createStatsRepo = (q) => ({
+    /** @returns {Promise<number[]>} entry years of confirmed students whose reg numbers give one */
+    async listStudentEntryYears() {
+        const rows = await q.all(`SELECT entryYear FROM users
+            WHERE role = 'student' AND status = 'confirmed' AND entryYear IS NOT NULL`);
+        return rows.map((row) => row.entryYear);
+    },
+
+    /** @returns {Promise<{ staff: number, courses: number, materials: number, events: number }>} */
+    countTotals() {
+        return q.get(`
+            SELECT
+                (SELECT COUNT(*) FROM staff) AS staff,
+                (SELECT COUNT(*) FROM courses) AS courses,
+                (SELECT COUNT(*) FROM materials) AS materials,
+                (SELECT COUNT(*) FROM events WHERE date(date) <= date('now')) AS events`);
+    },
+
+    /** @returns {Promise<StatOverride[]>} */
+    listOverrides() {
+        return q.all('SELECT * FROM stat_overrides ORDER BY key ASC');
+    },
+
+    async setOverride(key, value, updatedBy) {
+        await q.run(
+            `INSERT INTO stat_overrides (key, value, updatedBy, updatedAt) VALUES (?, ?, ?, CURRENT_TIMESTAMP)
+             ON CONFLICT(key) DO UPDATE SET value = excluded.value, updatedBy = excluded.updatedBy, updatedAt = CURRENT_TIMESTAMP`,
+            [key, value, updatedBy]);
+    },
+
+    /** @returns {Promise<boolean>} whether an override was removed */
+    async deleteOverride(key) {
+        const { changes } = await q.run('DELETE FROM stat_overrides WHERE key = ?', [key]);
+        return changes > 0;
+    }
+});
+
+module.exports = { createStatsRepo };
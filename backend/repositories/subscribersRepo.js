@@ -0,0 +1,109 @@
+/**
+ * @typedef {object} Subscriber
+ * @property {number} id
+ * @property {string} email - stored lowercase
+ * @property {'pending'|'confirmed'|'unsubscribed'} status
+ * @property {string|null} confirmTokenHash
+ * @property {string|null} confirmTokenExpiresAt - ISO datetime
+ * @property {string|null} confirmedAt
+ * @property {string|null} unsubscribedAt
+ * @property {string} createdAt
+ * @property {string} updatedAt
+ */
+
+/**
+ * @typedef {object} Newsletter
+ * @property {number} id
+ * @property {string} subject
+ * @property {string} body
+ * @property {number|null} sentBy - admin id
+ * @property {number} recipientCount
+ * @property {number} failedCount
+ * @property {string} sentAt
+ */
+
+const PUBLIC_COLUMNS = 'id, email, status, confirmedAt, unsubscribedAt, createdAt';
+
+/**
+ * Queries for newsletter subscribers and sent newsletters.
+ * @param {ReturnType<import('./base').createQueryRunner>} q
+ */
+const createSubscribersRepo = (q) => ({
+    /** @returns {Promise<Subscriber|undefined>} */
+    findByEmail(email) {
+        return q.get('SELECT * FROM subscribers WHERE email = ?', [email]);
+    },
+
+    /** @returns {Promise<Subscriber|undefined>} pending subscriber whose token has not expired */
+    findByConfirmToken(tokenHash) {
+        return q.get(
+            `SELECT * FROM subscribers
+             WHERE confirmTokenHash = ? AND status = 'pending' AND datetime(confirmTokenExpiresAt) > datetime('now')`,
+            [tokenHash]);
+    },
+
+    /**
+     * @param {{ status?: Subscriber['status'] }} [filters]
+     * @returns {Promise<Subscriber[]>} without token columns
+     */
+    list({ status } = {}) {
+        if (status) {
+            return q.all(`SELECT ${PUBLIC_COLUMNS} FROM subscribers WHERE status = ? ORDER BY createdAt DESC, id DESC`, [status]);
+        }
+        return q.all(`SELECT ${PUBLIC_COLUMNS} FROM subscribers ORDER BY createdAt DESC, id DESC`);
+    },
+
+    /**
+     * Start (or restart) double opt-in for an address with a fresh token.
+     * Confirmed subscribers are left untouched.
+     */
+    async savePending(email, tokenHash, expiresAt) {
+        await q.run(
+            `INSERT INTO subscribers (email, status, confirmTokenHash, confirmTokenExpiresAt)
+             VALUES (?, 'pending', ?, ?)
+             ON CONFLICT(email) DO UPDATE SET
+                 status = 'pending',
+                 confirmTokenHash = excluded.confirmTokenHash,
+                 confirmTokenExpiresAt = excluded.confirmTokenExpiresAt,
+                 unsubscribedAt = NULL,
+                 updatedAt = CURRENT_TIMESTAMP
+             WHERE subscribers.status != 'confirmed'`,
+            [email, tokenHash, expiresAt]);
+    },
+
+    async confirm(id) {
+        await q.run(
+            `UPDATE subscribers SET status = 'confirmed', confirmedAt = CURRENT_TIMESTAMP,
+                 confirmTokenHash = NULL, confirmTokenExpiresAt = NULL, updatedAt = CURRENT_TIMESTAMP
+             WHERE id = ?`,
+            [id]);
+    },
+
+    /** @returns {Promise<boolean>} whether a subscription was cancelled */
+    async unsubscribe(email) {
+        const { changes } = await q.run(
+            `UPDATE subscribers SET status = 'unsubscribed', unsubscribedAt = CURRENT_TIMESTAMP,
+                 confirmTokenHash = NULL, confirmTokenExpiresAt = NULL, updatedAt = CURRENT_TIMESTAMP
+             WHERE email = ? AND status != 'unsubscribed'`,
+            [email]);
+        return changes > 0;
+    },
+
+    /**
+     * @param {Omit<Newsletter, 'id'|'sentAt'>} newsletter
+     * @returns {Promise<number>} new newsletter id
+     */
+    async recordNewsletter({ subject, body, sentBy, recipientCount, failedCount }) {
+        const { lastID } = await q.run(
+            'INSERT INTO newsletters (subject, body, sentBy, recipientCount, failedCount) VALUES (?, ?, ?, ?, ?)',
+            [subject, body, sentBy, recipientCount, failedCount]);
+        return lastID;
+    },
+
+    /** @returns {Promise<Newsletter[]>} */
+    listNewsletters() {
+        return q.all('SELECT * FROM newsletters ORDER BY sentAt DESC, id DESC');
+    }
+});
+
+module.exports = { createSubscribersRepo };
@@ -0,0 +1,192 @@
+/**
+ * @typedef {object} User
+ * @property {number} id
+ * @property {string} name
+ * @property {string} regNumber - normalized (see regNumber.js), except legacy ones migration 023 could not parse or would have clashed
+ * @property {number|null} entryYear - from the reg number; null for legacy ones not in the department format
+ * @property {string|null} programme - programme code from the reg number, e.g. 'co'
+ * @property {string} email
+ * @property {string|null} passcode - bcrypt hash, set once the registration is confirmed
+ * @property {string} role
+ * @property {'pending'|'changes_requested'|'rejected'|'expired'|'confirmed'} status - see registrations.js
+ * @property {string|null} reviewNote - rejection reason or requested changes
+ * @property {number|null} reviewedBy - admin id
+ * @property {string|null} reviewedAt
+ * @property {string|null} correctionTokenHash - SHA-256 of the emailed correction link token
+ * @property {string|null} correctionExpiresAt - ISO datetime
+ * @property {string} createdAt
+ * @property {string} updatedAt
+ */
+
+/**
+ * What a student gives when signing up or is imported with; regNumber,
+ * entryYear and programme come from parseRegNumber()
+ * @typedef {object} StudentDetails
+ * @property {string} name
+ * @property {string} regNumber
+ * @property {number} entryYear
+ * @property {string} programme
+ * @property {string} email
+ */
+
+// Columns a reviewer sees for a registration awaiting review
+const REGISTRATION_COLUMNS = 'id, name, regNumber, entryYear, programme, email, status, reviewNote, reviewedAt, createdAt, updatedAt';
+
+/**
+ * Queries for student accounts in the users table.
+ * @param {ReturnType<import('./base').createQueryRunner>} q
+ */
+const createUsersRepo = (q) => ({
+    /** @returns {Promise<User|undefined>} */
+    findById(id) {
+        return q.get('SELECT * FROM users WHERE id = ?', [id]);
+    },
+
+    /**
+     * Matched case-insensitively: migration 023 leaves reg numbers it can't
+     * normalize in their original case
+     * @returns {Promise<User|undefined>}
+     */
+    findByRegNumber(regNumber) {
+        return q.get('SELECT * FROM users WHERE lower(regNumber) = lower(?)', [regNumber]);
+    },
+
+    /** @returns {Promise<User|undefined>} */
+    findByEmail(email) {
+        return q.get('SELECT * FROM users WHERE lower(email) = lower(?)', [email]);
+    },
+
+    /** @returns {Promise<User|undefined>} */
+    findConfirmedByRegNumber(regNumber) {
+        return q.get('SELECT * FROM users WHERE lower(regNumber) = lower(?) AND status = ?', [regNumber, 'confirmed']);
+    },
+
+    /**
+     * Find a confirmed student by reg number or email (case-insensitive)
+     * @returns {Promise<User|undefined>}
+     */
+    findConfirmedByLogin(login) {
+        return q.get('SELECT * FROM users WHERE (lower(regNumber) = lower(?) OR lower(email) = lower(?)) AND status = ?',
+            [login, login, 'confirmed']);
+    },
+
+    /** @returns {Promise<User|undefined>} */
+    findPendingById(id) {
+        return q.get('SELECT * FROM users WHERE id = ? AND status = ?', [id, 'pending']);
+    },
+
+    /** @returns {Promise<User|undefined>} a registration that is pending or waiting for the applicant's changes */
+    findOpenRegistrationById(id) {
+        return q.get("SELECT * FROM users WHERE id = ? AND status IN ('pending', 'changes_requested')", [id]);
+    },
+
+    /** @returns {Promise<User|undefined>} a registration whose correction link is still valid */
+    findByCorrectionToken(tokenHash) {
+        return q.get(`SELECT * FROM users
+            WHERE correctionTokenHash = ? AND status = 'changes_requested' AND datetime(correctionExpiresAt) > datetime('now')`,
+            [tokenHash]);
+    },
+
+    /**
+     * Registrations awaiting review, and those waiting for the applicant's changes, oldest first
+     * @returns {Promise<Array<Pick<User, 'id'|'name'|'regNumber'|'entryYear'|'programme'|'email'|'status'|'reviewNote'|'reviewedAt'|'createdAt'|'updatedAt'>>>}
+     */
+    listPending() {
+        return q.all(`SELECT ${REGISTRATION_COLUMNS} FROM users
+            WHERE status IN ('pending', 'changes_requested') ORDER BY createdAt ASC, id ASC`);
+    },
+
+    /**
+     * @param {StudentDetails} user
+     * @returns {Promise<number>} new user id
+     */
+    async createPending({ name, regNumber, entryYear, programme, email }) {
+        const { lastID } = await q.run(`INSERT INTO users (name, regNumber, entryYear, programme, email, status)
+            VALUES (?, ?, ?, ?, ?, ?)`, [name, regNumber, entryYear, programme, email, 'pending']);
+        return lastID;
+    },
+
+    /**
+     * Create an already confirmed account, e.g. from a class list import.
+     * It has no passcode until its queued passcode email goes out.
+     * @param {StudentDetails} user
+     * @returns {Promise<number>} new user id
+     */
+    async createConfirmed({ name, regNumber, entryYear, programme, email }) {
+        const { lastID } = await q.run(`INSERT INTO users (name, regNumber, entryYear, programme, email, status)
+            VALUES (?, ?, ?, ?, ?, ?)`, [name, regNumber, entryYear, programme, email, 'confirmed']);
+        return lastID;
+    },
+
+    /** Put a rejected or expired registration back in the queue with the applicant's new details */
+    async reopen(id, { name, regNumber, entryYear, programme, email }) {
+        await q.run(`UPDATE users SET name = ?, regNumber = ?, entryYear = ?, programme = ?, email = ?, status = 'pending', reviewNote = NULL,
+                reviewedBy = NULL, reviewedAt = NULL, correctionTokenHash = NULL, correctionExpiresAt = NULL,
+                createdAt = CURRENT_TIMESTAMP, updatedAt = CURRENT_TIMESTAMP
+            WHERE id = ?`, [name, regNumber, entryYear, programme, email, id]);
+    },
+
+    async reject(id, { reason, adminId }) {
+        await q.run(`UPDATE users SET status = 'rejected', reviewNote = ?, reviewedBy = ?, reviewedAt = CURRENT_TIMESTAMP,
+                correctionTokenHash = NULL, correctionExpiresAt = NULL, updatedAt = CURRENT_TIMESTAMP
+            WHERE id = ?`, [reason, adminId, id]);
+    },
+
+    /** Ask the applicant for changes; any earlier correction link stops working */
+    async requestCorrection(id, { message, adminId, tokenHash, expiresAt }) {
+        await q.run(`UPDATE users SET status = 'changes_requested', reviewNote = ?, reviewedBy = ?, reviewedAt = CURRENT_TIMESTAMP,
+                correctionTokenHash = ?, correctionExpiresAt = ?, updatedAt = CURRENT_TIMESTAMP
+            WHERE id = ?`, [message, adminId, tokenHash, expiresAt, id]);
+    },
+
+    /** Save the applicant's corrected details and send the registration back for review */
+    async applyCorrection(id, { name, regNumber, entryYear, programme, email }) {
+        await q.run(`UPDATE users SET name = ?, regNumber = ?, entryYear = ?, programme = ?, email = ?, status = 'pending',
+                correctionTokenHash = NULL, correctionExpiresAt = NULL, updatedAt = CURRENT_TIMESTAMP
+            WHERE id = ?`, [name, regNumber, entryYear, programme, email, id]);
+    },
+
+    /**
+     * Expire pending registrations untouched since `pendingBefore`, and those
+     * whose correction link ran out before the applicant used it.
+     * @param {string} pendingBefore - ISO datetime
+     * @returns {Promise<User[]>} the registrations just expired
+     */
+    expireStale(pendingBefore) {
+        return q.transaction(async () => {
+            const stale = await q.all(`SELECT * FROM users
+                WHERE (status = 'pending' AND datetime(updatedAt) < datetime(?))
+                   OR (status = 'changes_requested' AND datetime(correctionExpiresAt) <= datetime('now'))`,
+                [pendingBefore]);
+            for (const user of stale) {
+                await q.run(`UPDATE users SET status = 'expired', correctionTokenHash = NULL, correctionExpiresAt = NULL,
+                        updatedAt = CURRENT_TIMESTAMP
+                    WHERE id = ?`, [user.id]);
+            }
+            return stale;
+        });
+    },
+
+    /** Mark a pending registration confirmed and store its passcode hash */
+    async confirm(id, passcodeHash) {
+        await q.run('UPDATE users SET status = ?, passcode = ?, updatedAt = CURRENT_TIMESTAMP WHERE id = ?',
+            ['confirmed', passcodeHash, id]);
+    },
+
+    /**
+     * Confirm a pending registration whose passcode is sent later by the queue
+     * @returns {Promise<boolean>} false if it was no longer pending
+     */
+    async confirmPending(id, adminId) {
+        const { changes } = await q.run(`UPDATE users SET status = 'confirmed', reviewedBy = ?, reviewedAt = CURRENT_TIMESTAMP,
+                updatedAt = CURRENT_TIMESTAMP
+            WHERE id = ? AND status = 'pending'`, [adminId, id]);
+        return changes > 0;
+    },
+
+    async updatePasscode(id, passcodeHash) {
+        await q.run('UPDATE users SET passcode = ?, updatedAt = CURRENT_TIMESTAMP WHERE id = ?', [passcodeHash, id]);
+    }
+});
+
+module.exports = { createUsersRepo };
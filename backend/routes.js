@@ -1,17 +1,76 @@
 const express = require('express');
-const bcrypt = require('bcrypt');
 const jwt = require('jsonwebtoken');
-const nodemailer = require('nodemailer');
 const path = require('path');
 const fs = require('fs');
 const multer = require('multer');
-const db = require('./db'); // Add this import at the top
+const { AppError, ForbiddenError, ValidationError } = require('./errors');
+const { STAT_KEYS } = require('./stats');
+const { createToken, hashToken } = require('./tokens');
+const { toCsv } = require('./csv');
+const { CONTACT_STATUSES, buildReplyEmail, buildSubmissionNotification } = require('./contact');
+const { CONTENT_SECTIONS, applyContentChanges } = require('./siteContent');
+const { generatePasscode, hashPassword, verifyPassword } = require('./passwords');
+const { rotateSession, startSession } = require('./sessions');
+const {
+    CSRF_COOKIE,
+    clearSessionCookies,
+    hasValidCsrfToken,
+    isSafeMethod,
+    readAccessToken,
+    readRefreshToken,
+    setSessionCookies,
+    wantsCookieSession
+} = require('./cookieSession');
+const { accountLimitKey, buildLockoutEmail, ipLimitKey } = require('./loginLimiter');
+const { MAX_IMPORT_ROWS, checkClassList } = require('./studentImport');
+const { levelForEntryYear, normalizeRegNumber, parseRegNumber, validateRegNumber } = require('./regNumber');
+const {
+    CORRECTION_TOKEN_TTL_MS,
+    PENDING_REGISTRATION_TTL_MS,
+    REOPENABLE_REGISTRATION_STATUSES,
+    buildCorrectionEmail,
+    buildExpiryEmail,
+    buildPasscodeEmail,
+    buildRejectionEmail,
+    validateReviewNote
+} = require('./registrations');
+const {
+    ROLES,
+    hasPermission,
+    permissionsForRoles,
+    requireAccountType,
+    requirePermission,
+    validateRoles
+} = require('./permissions');
+const {
+    CHALLENGE_PURPOSES,
+    REQUIRE_ADMIN_2FA,
+    beginEnrollment,
+    completeEnrollment,
+    regenerateRecoveryCodes,
+    signLoginChallenge,
+    verifyLoginChallenge,
+    verifySecondFactor
+} = require('./twoFactor');
+const {
+    ACCOUNT_TYPES,
+    MIN_SECRET_LENGTH,
+    RESET_RATE_LIMITS,
+    RESET_TOKEN_TTL_MS,
+    buildResetEmail
+} = require('./passwordReset');
+const {
+    CONFIRM_TOKEN_TTL_MS,
+    buildConfirmationEmail,
+    buildNewsletterEmail,
+    isValidUnsubscribeToken
+} = require('./newsletter');
 const router = express.Router();
 
-// Configure multer for file uploads
+// Configure multer for file uploads (directory comes from the app config)
 const storage = multer.diskStorage({
     destination: (req, file, cb) => {
-        const uploadDir = path.join(__dirname, '../uploads');
+        const { uploadDir } = req.app.get('config');
         if (!fs.existsSync(uploadDir)) {
             fs.mkdirSync(uploadDir, { recursive: true });
         }
@@ -33,878 +92,3210 @@ const upload = multer({
         
         if (mimetype && extname) {
             return cb(null, true);
-        } else {
-            cb(new Error('Invalid file type'));
         }
+        cb(new ValidationError('File must be an image, PDF, Word or PowerPoint document, or a video'));
+    }
+});
+
+// Event and news images and staff photos end up in <img> tags, so only image types are accepted
+const imageUpload = multer({
+    storage: storage,
+    limits: { fileSize: 10 * 1024 * 1024 }, // 10MB limit
+    fileFilter: (req, file, cb) => {
+        const allowedTypes = /jpeg|jpg|png|gif/;
+        const extname = allowedTypes.test(path.extname(file.originalname).toLowerCase());
+        const mimetype = file.mimetype.startsWith('image/') && allowedTypes.test(file.mimetype);
+
+        if (mimetype && extname) {
+            return cb(null, true);
+        }
+        cb(new ValidationError('Image must be a JPEG, PNG or GIF file'));
     }
 });
 
-// JWT secret
-const JWT_SECRET = process.env.JWT_SECRET || 'your-secret-key';
+// Run a multer middleware, answering a rejected file with a 400 instead of
+// letting it reach the generic 500 handler
+const acceptUpload = (middleware) => (req, res, next) => {
+    middleware(req, res, (error) => {
+        if (error instanceof AppError || error instanceof multer.MulterError) {
+            return res.status(400).json({ error: error.message });
+        }
+        next(error);
+    });
+};
 
-// Email configuration
-const transporter = nodemailer.createTransport({
-    service: 'gmail',
-    auth: {
-        user: process.env.EMAIL_USER || 'your-email@gmail.com',
-        pass: process.env.EMAIL_PASS || 'your-app-password'
+// Class lists are read straight from memory rather than saved to uploads
+const classListUpload = multer({
+    storage: multer.memoryStorage(),
+    limits: { fileSize: 1024 * 1024 }, // 1MB limit
+    fileFilter: (req, file, cb) => {
+        if (path.extname(file.originalname).toLowerCase() === '.csv') {
+            return cb(null, true);
+        }
+        cb(new ValidationError('Class list must be a .csv file'));
     }
 });
 
-// Generate random passcode
-function generatePasscode() {
-    return Math.random().toString(36).substring(2, 8).toUpperCase();
+const EMAIL_PATTERN = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+
+// Send an error response, mapping application errors to their HTTP status
+function sendError(res, error, context) {
+    if (error instanceof AppError) {
+        return res.status(error.status).json({ error: error.message });
+    }
+    console.error(`${context}:`, error);
+    res.status(500).json({ error: 'Internal server error' });
+}
+
+// Remove a previously uploaded file given its public /uploads path
+async function removeUploadedFile(req, filePath) {
+    if (!filePath || !filePath.startsWith('/uploads/')) {
+        return;
+    }
+
+    const absolutePath = path.join(req.app.get('config').uploadDir, path.basename(filePath));
+    try {
+        await fs.promises.unlink(absolutePath);
+    } catch (error) {
+        if (error.code !== 'ENOENT') {
+            console.error('Error removing uploaded file:', error);
+        }
+    }
 }
 
-// Middleware to verify JWT token
+// Middleware to verify JWT token, sent as a Bearer header or in the session
+// cookie. Expired or revoked tokens get 401 so clients know to renew them with
+// their refresh token.
 function authenticateToken(req, res, next) {
-    const authHeader = req.headers['authorization'];
-    const token = authHeader && authHeader.split(' ')[1];
+    const { token, fromCookie } = readAccessToken(req);
 
     if (!token) {
         return res.status(401).json({ error: 'Access token required' });
     }
 
-    jwt.verify(token, JWT_SECRET, (err, user) => {
-        if (err) {
-            return res.status(403).json({ error: 'Invalid or expired token' });
+    // Browsers attach cookies to cross-site requests too, so changes made with
+    // a cookie session must prove they came from our own pages
+    if (fromCookie && !isSafeMethod(req) && !hasValidCsrfToken(req)) {
+        return res.status(403).json({ error: 'Invalid or missing CSRF token' });
+    }
+
+    jwt.verify(token, req.app.get('config').jwtSecret, async (err, user) => {
+        // Tokens without a jti predate revocable sessions and are no longer accepted
+        if (err || !user.jti) {
+            return res.status(401).json({ error: 'Invalid or expired token' });
+        }
+
+        try {
+            const { sessions, admins } = req.app.get('repos');
+
+            if (await sessions.isAccessTokenRevoked(user.jti)) {
+                return res.status(401).json({ error: 'Token has been revoked' });
+            }
+
+            // The account was signed out everywhere after this token was issued
+            const validAfter = await sessions.tokensValidAfter(user.role, user.id);
+            if (validAfter && Math.round(user.iat * 1000) < Date.parse(validAfter)) {
+                return res.status(401).json({ error: 'Token has been revoked' });
+            }
+
+            // Admin tokens stop working as soon as the account is disabled
+            if (user.role === 'admin') {
+                const admin = await admins.findById(user.id);
+                if (!admin || admin.status !== 'active') {
+                    return res.status(403).json({ error: 'Admin account is disabled' });
+                }
+            }
+
+            req.user = user;
+            next();
+        } catch (error) {
+            sendError(res, error, 'Error checking access token');
         }
-        req.user = user;
-        next();
+    });
+}
+
+// Add an entry to the audit trail. The actor is the signed-in user, if any.
+function recordAudit(req, action, { targetType, targetId, details } = {}) {
+    return req.app.get('repos').audit.record({
+        action,
+        actorType: req.user && req.user.role,
+        actorId: req.user && req.user.id,
+        targetType,
+        targetId,
+        ip: req.ip,
+        details
     });
 }
 
 // Department About Information API
 router.get('/about', async (req, res) => {
     try {
-        const aboutData = {
-            department: {
-                name: "Department of Information Systems",
-                faculty: "Faculty of Computing",
-                university: "University of Uyo",
-                location: "Uyo, Akwa Ibom State, Nigeria",
-                established: "2010"
-            },
-            mission: "To provide world-class education in Information Systems, fostering innovation and excellence in the digital transformation of business and society.",
-            vision: "To be the leading department in Nigeria for Information Systems education, research, and innovation, producing graduates who drive digital excellence and sustainable development in the global economy.",
-            objectives: [
-                "Deliver high-quality undergraduate and graduate programs in Information Systems",
-                "Conduct cutting-edge research in emerging technologies and their business applications",
-                "Foster industry partnerships and collaboration",
-                "Develop skilled professionals for the digital economy",
-                "Promote innovation and entrepreneurship in technology"
-            ],
+        const [stats, about] = await Promise.all([
+            req.app.get('stats').get(),
+            req.app.get('repos').siteContent.get('about')
+        ]);
+        const { department, mission, vision, objectives, programs, expertise } = about.content;
+
+        res.json({
+            department,
+            mission,
+            vision,
+            objectives,
             stats: {
-                students: "500+",
-                faculty: "25+",
-                graduates: "1000+",
-                years: "15+"
+                students: stats.students,
+                faculty: stats.faculty,
+                graduates: stats.graduates,
+                years: stats.years
             },
-            programs: [
-                {
-                    level: "Undergraduate",
-                    title: "Bachelor of Science in Information Systems",
-                    duration: "4 years",
-                    description: "Comprehensive program covering systems analysis, database management, enterprise systems, and information security."
-                },
-                {
-                    level: "Graduate",
-                    title: "Master of Science in Information Systems",
-                    duration: "2 years",
-                    description: "Advanced study in systems integration, business intelligence, and strategic technology management."
-                }
-            ],
-            expertise: [
-                {
-                    area: "Database Systems",
-                    description: "Design and management of enterprise database solutions"
-                },
-                {
-                    area: "Enterprise Systems",
-                    description: "ERP, CRM, and business process automation"
-                },
-                {
-                    area: "Cybersecurity",
-                    description: "Information security and risk management"
-                },
-                {
-                    area: "Data Analytics",
-                    description: "Business intelligence and data-driven decision making"
-                },
-                {
-                    area: "Digital Transformation",
-                    description: "Technology strategy and organizational change"
-                },
-                {
-                    area: "Mobile Systems",
-                    description: "Mobile application development and enterprise mobility"
-                }
-            ]
-        };
-
-        res.json(aboutData);
+            programs,
+            expertise
+        });
     } catch (error) {
-        console.error('Error fetching about data:', error);
-        res.status(500).json({ error: 'Internal server error' });
+        sendError(res, error, 'Error fetching about data');
     }
 });
 
-// Courses Information API (without database dependency)
-router.get('/courses', async (req, res) => {
+// Department statistics computed from the database (briefly cached)
+router.get('/stats', async (req, res) => {
     try {
-        // Return static course data without database queries
-        const coursesData = {
-            curriculum: {
-                undergraduate: {
-                    title: "Bachelor of Science in Information Systems",
-                    duration: "4 years",
-                    courses: {
-                        "100": [
-                            { 
-                                id: 1,
-                                code: "COS111", 
-                                title: "Introduction to Computing Science", 
-                                units: 3, 
-                                type: "core",
-                                description: "Fundamentals of computer systems and basic programming concepts.",
-                                materials: 0
-                            },
-                            { 
-                                id: 2,
-                                code: "COS102", 
-                                title: "Problem Solving and Programming", 
-                                units: 3, 
-                                type: "core",
-                                description: "Introduction to problem-solving techniques and programming fundamentals.",
-                                materials: 0
-                            },
-                            { 
-                                id: 3,
-                                code: "MTH101", 
-                                title: "Elementary Mathematics I", 
-                                units: 3, 
-                                type: "core",
-                                description: "Basic mathematical concepts for computing students.",
-                                materials: 0
-                            },
-                            { 
-                                id: 4,
-                                code: "MTH102", 
-                                title: "Elementary Mathematics II", 
-                                units: 3, 
-                                type: "core",
-                                description: "Advanced mathematical concepts for computing students.",
-                                materials: 0
-                            },
-                            { 
-                                id: 5,
-                                code: "GST101", 
-                                title: "Use of English", 
-                                units: 2, 
-                                type: "gst",
-                                description: "English language skills for academic and professional communication.",
-                                materials: 0
-                            },
-                            { 
-                                id: 6,
-                                code: "GST102", 
-                                title: "Nigerian Peoples and Culture", 
-                                units: 2, 
-                                type: "gst",
-                                description: "Study of Nigerian culture, history, and social systems.",
-                                materials: 0
-                            }
-                        ],
-                        "200": [
-                            { 
-                                id: 7,
-                                code: "INS201", 
-                                title: "Systems Analysis and Design", 
-                                units: 3, 
-                                type: "core",
-                                description: "Methodologies for analyzing and designing information systems.",
-                                materials: 0
-                            },
-                            { 
-                                id: 8,
-                                code: "INS202", 
-                                title: "Database Management Systems", 
-                                units: 3, 
-                                type: "core",
-                                description: "Design and implementation of database systems.",
-                                materials: 0
-                            },
-                            { 
-                                id: 9,
-                                code: "INS203", 
-                                title: "Business Process Modeling", 
-                                units: 3, 
-                                type: "core",
-                                description: "Techniques for modeling and optimizing business processes.",
-                                materials: 0
-                            },
-                            { 
-                                id: 10,
-                                code: "COS201", 
-                                title: "Data Structures and Algorithms", 
-                                units: 3, 
-                                type: "core",
-                                description: "Fundamental data structures and algorithmic problem solving.",
-                                materials: 0
-                            },
-                            { 
-                                id: 11,
-                                code: "MTH201", 
-                                title: "Mathematical Methods", 
-                                units: 3, 
-                                type: "core",
-                                description: "Advanced mathematical methods for computer science.",
-                                materials: 0
-                            },
-                            { 
-                                id: 12,
-                                code: "STA201", 
-                                title: "Statistics for Computing", 
-                                units: 3, 
-                                type: "core",
-                                description: "Statistical methods and their applications in computing.",
-                                materials: 0
-                            }
-                        ],
-                        "300": [
-                            { 
-                                id: 13,
-                                code: "INS301", 
-                                title: "Enterprise Resource Planning", 
-                                units: 3, 
-                                type: "core",
-                                description: "Implementation and management of ERP systems.",
-                                materials: 0
-                            },
-                            { 
-                                id: 14,
-                                code: "INS302", 
-                                title: "Information Security", 
-                                units: 3, 
-                                type: "core",
-                                description: "Principles and practices of information security.",
-                                materials: 0
-                            },
-                            { 
-                                id: 15,
-                                code: "INS303", 
-                                title: "Web Technologies", 
-                                units: 3, 
-                                type: "core",
-                                description: "Modern web development technologies and frameworks.",
-                                materials: 0
-                            },
-                            { 
-                                id: 16,
-                                code: "INS304", 
-                                title: "Data Analytics", 
-                                units: 3, 
-                                type: "core",
-                                description: "Techniques for analyzing and interpreting large datasets.",
-                                materials: 0
-                            },
-                            { 
-                                id: 17,
-                                code: "INS305", 
-                                title: "Project Management", 
-                                units: 3, 
-                                type: "elective",
-                                description: "Principles and practices of IT project management.",
-                                materials: 0
-                            },
-                            { 
-                                id: 18,
-                                code: "INS306", 
-                                title: "Mobile Application Development", 
-                                units: 3, 
-                                type: "elective",
-                                description: "Development of mobile applications for various platforms.",
-                                materials: 0
-                            }
-                        ],
-                        "400": [
-                            { 
-                                id: 19,
-                                code: "INS401", 
-                                title: "Strategic Information Systems", 
-                                units: 3, 
-                                type: "core",
-                                description: "Strategic role of information systems in organizations.",
-                                materials: 0
-                            },
-                            { 
-                                id: 20,
-                                code: "INS402", 
-                                title: "Business Intelligence", 
-                                units: 3, 
-                                type: "core",
-                                description: "Business intelligence systems and data warehousing.",
-                                materials: 0
-                            },
-                            { 
-                                id: 21,
-                                code: "INS403", 
-                                title: "Digital Transformation", 
-                                units: 3, 
-                                type: "core",
-                                description: "Leading digital transformation initiatives in organizations.",
-                                materials: 0
-                            },
-                            { 
-                                id: 22,
-                                code: "INS404", 
-                                title: "Research Project", 
-                                units: 6, 
-                                type: "core",
-                                description: "Independent research project in information systems.",
-                                materials: 0
-                            },
-                            { 
-                                id: 23,
-                                code: "INS405", 
-                                title: "Emerging Technologies", 
-                                units: 3, 
-                                type: "elective",
-                                description: "Study of emerging technologies and their impact.",
-                                materials: 0
-                            },
-                            { 
-                                id: 24,
-                                code: "INS406", 
-                                title: "IT Governance", 
-                                units: 3, 
-                                type: "elective",
-                                description: "Governance frameworks for IT organizations.",
-                                materials: 0
-                            }
-                        ]
-                    }
-                }
-            },
-            prerequisites: {
-                "100": "SSCE/WAEC with credits in Mathematics, English, and three other subjects",
-                "200": "Successful completion of 100 level courses with minimum CGPA of 2.0",
-                "300": "Completion of prerequisite 200 level courses in relevant areas",
-                "400": "Advanced courses requiring completion of foundational courses"
-            },
-            materialsAvailable: 0,
-            totalCourses: 24
-        };
-
-        res.json(coursesData);
+        res.json(await req.app.get('stats').get());
     } catch (error) {
-        console.error('Error fetching courses data:', error);
-        res.status(500).json({ error: 'Internal server error' });
+        sendError(res, error, 'Error fetching statistics');
     }
 });
 
-// Contact Information API
-router.get('/contact', async (req, res) => {
+// List display overrides next to the live values they replace
+router.get('/stats/overrides', authenticateToken, requirePermission('stats.manage'), async (req, res) => {
     try {
-        const contactData = {
-            department: {
-                name: "Department of Information Systems",
-                faculty: "Faculty of Computing",
-                university: "University of Uyo"
-            },
-            address: {
-                street: "Faculty of Computing Building",
-                city: "Uyo",
-                state: "Akwa Ibom State",
-                country: "Nigeria",
-                postalCode: "P.M.B. 1017"
-            },
-            contact: {
-                phone: "+234 123 456 7890",
-                email: "info@informationsystems.edu.org",
-                website: "https://informationsystems.uniuyo.edu.ng"
-            },
-            office_hours: {
-                weekdays: "8:00 AM - 5:00 PM",
-                weekends: "Closed",
-                holidays: "Closed"
-            },
-            social_media: {
-                facebook: "https://facebook.com/InfoSysUniUyo",
-                twitter: "https://twitter.com/InfoSysUniUyo",
-                linkedin: "https://linkedin.com/company/infosys-uniuyo",
-                instagram: "https://instagram.com/InfoSysUniUyo"
-            },
-            key_personnel: [
-                {
-                    name: "Prof. John Doe",
-                    position: "Head of Department",
-                    email: "hod@informationsystems.edu.org",
-                    office: "Room 101, Computing Building"
-                },
-                {
-                    name: "Dr. Jane Smith",
-                    position: "Deputy Head of Department",
-                    email: "dhod@informationsystems.edu.org",
-                    office: "Room 102, Computing Building"
-                },
-                {
-                    name: "Dr. Michael Johnson",
-                    position: "Admissions Officer",
-                    email: "admissions@informationsystems.edu.org",
-                    office: "Room 103, Computing Building"
-                }
-            ],
-            directions: "The Faculty of Computing is located on the main campus of the University of Uyo. Take the main entrance and follow signs to the Computing Building."
-        };
-
-        res.json(contactData);
+        const { stats } = req.app.get('repos');
+        const [live, overrides] = await Promise.all([req.app.get('stats').computeLive(), stats.listOverrides()]);
+
+        res.json(STAT_KEYS.map((key) => {
+            const override = overrides.find((item) => item.key === key);
+            return {
+                key,
+                liveValue: live[key],
+                override: override ? override.value : null,
+                updatedBy: override ? override.updatedBy : null,
+                updatedAt: override ? override.updatedAt : null
+            };
+        }));
     } catch (error) {
-        console.error('Error fetching contact data:', error);
-        res.status(500).json({ error: 'Internal server error' });
+        sendError(res, error, 'Error fetching statistic overrides');
     }
 });
 
-// Contact Form Submission API
-router.post('/contact', async (req, res) => {
-    const { name, email, subject, message, phone } = req.body;
+// Pin a display value for a statistic, e.g. { "value": "500+" }
+router.put('/stats/overrides/:key', authenticateToken, requirePermission('stats.manage'), async (req, res) => {
+    const { key } = req.params;
+    const value = req.body.value === undefined || req.body.value === null ? '' : String(req.body.value).trim();
 
-    if (!name || !email || !subject || !message) {
-        return res.status(400).json({ error: 'Name, email, subject, and message are required' });
+    if (!STAT_KEYS.includes(key)) {
+        return res.status(400).json({ error: `Statistic must be one of: ${STAT_KEYS.join(', ')}` });
     }
 
-    try {
-        const db = req.app.get('db');
-        
-        // Store contact form submission in database
-        await new Promise((resolve, reject) => {
-            db.run(`INSERT INTO contact_submissions (name, email, phone, subject, message) 
-                    VALUES (?, ?, ?, ?, ?)`,
-                [name, email, phone || null, subject, message],
-                function(err) {
-                    if (err) reject(err);
-                    else resolve();
-                });
-        });
+    if (!value || value.length > 20) {
+        return res.status(400).json({ error: 'Override value must be 1-20 characters' });
+    }
 
-        // Send notification email to department
-        const mailOptions = {
-            from: process.env.EMAIL_USER,
-            to: 'info@informationsystems.edu.org',
-            subject: `Contact Form Submission: ${subject}`,
-            html: `
-                <h3>New Contact Form Submission</h3>
-                <p><strong>Name:</strong> ${name}</p>
-                <p><strong>Email:</strong> ${email}</p>
-                <p><strong>Phone:</strong> ${phone || 'Not provided'}</p>
-                <p><strong>Subject:</strong> ${subject}</p>
-                <p><strong>Message:</strong></p>
-                <p>${message}</p>
-                <hr>
-                <p><em>Submitted on ${new Date().toLocaleString()}</em></p>
-            `
-        };
+    try {
+        const { stats } = req.app.get('repos');
 
-        await transporter.sendMail(mailOptions);
+        await stats.setOverride(key, value, req.user.id);
+        req.app.get('stats').invalidate();
 
-        res.json({ message: 'Contact form submitted successfully. We will get back to you soon.' });
+        res.json({ message: 'Statistic override saved', key, value });
     } catch (error) {
-        console.error('Contact form submission error:', error);
-        res.status(500).json({ error: 'Internal server error' });
+        sendError(res, error, 'Save statistic override error');
     }
 });
 
-// Student signup
-router.post('/signup', async (req, res) => {
-    const { name, regNumber, email } = req.body;
-
-    if (!name || !regNumber || !email) {
-        return res.status(400).json({ error: 'All fields are required' });
-    }
-
+// Go back to the live value for a statistic
+router.delete('/stats/overrides/:key', authenticateToken, requirePermission('stats.manage'), async (req, res) => {
     try {
-        const db = req.app.get('db');
-        
-        // Check if registration number already exists
-        const existingUser = await new Promise((resolve, reject) => {
-            db.get('SELECT * FROM users WHERE regNumber = ?', [regNumber], (err, row) => {
-                if (err) reject(err);
-                else resolve(row);
-            });
-        });
+        const { stats } = req.app.get('repos');
 
-        if (existingUser) {
-            return res.status(409).json({ error: 'Registration number already exists' });
+        if (!(await stats.deleteOverride(req.params.key))) {
+            return res.status(404).json({ error: 'No override set for that statistic' });
         }
+        req.app.get('stats').invalidate();
 
-        // Insert pending registration
-        await new Promise((resolve, reject) => {
-            db.run('INSERT INTO users (name, regNumber, email, status) VALUES (?, ?, ?, ?)',
-                [name, regNumber, email, 'pending'], function(err) {
-                    if (err) reject(err);
-                    else resolve();
-                });
-        });
-
-        res.status(201).json({ message: 'Registration submitted successfully. Please wait for admin approval.' });
+        res.json({ message: 'Statistic override removed' });
     } catch (error) {
-        console.error('Signup error:', error);
-        res.status(500).json({ error: 'Internal server error' });
+        sendError(res, error, 'Remove statistic override error');
     }
 });
 
-// Get pending registrations (admin only)
-router.get('/pending-registrations', authenticateToken, async (req, res) => {
-    if (req.user.role !== 'admin') {
-        return res.status(403).json({ error: 'Admin access required' });
+// Resolve :section for the content editor routes, answering 404 for unknown ones
+function findContentSection(req, res) {
+    if (!CONTENT_SECTIONS.includes(req.params.section)) {
+        res.status(404).json({ error: `Content section must be one of: ${CONTENT_SECTIONS.join(', ')}` });
+        return null;
     }
+    return req.params.section;
+}
 
+// Editable department profile content, every section
+router.get('/content', authenticateToken, requirePermission('content.manage'), async (req, res) => {
     try {
-        const db = req.app.get('db');
-        const pendingUsers = await new Promise((resolve, reject) => {
-            db.all('SELECT id, name, regNumber, email, createdAt FROM users WHERE status = ?', 
-                ['pending'], (err, rows) => {
-                    if (err) reject(err);
-                    else resolve(rows);
-                });
-        });
-
-        res.json(pendingUsers);
+        res.json(await req.app.get('repos').siteContent.list());
     } catch (error) {
-        console.error('Error fetching pending registrations:', error);
-        res.status(500).json({ error: 'Internal server error' });
+        sendError(res, error, 'Error fetching site content');
     }
 });
 
-// Confirm registration (admin only)
-router.post('/confirm-registration/:id', authenticateToken, async (req, res) => {
-    if (req.user.role !== 'admin') {
-        return res.status(403).json({ error: 'Admin access required' });
+router.get('/content/:section', authenticateToken, requirePermission('content.manage'), async (req, res) => {
+    const section = findContentSection(req, res);
+    if (!section) return;
+
+    try {
+        res.json(await req.app.get('repos').siteContent.get(section));
+    } catch (error) {
+        sendError(res, error, 'Error fetching site content');
     }
+});
 
-    const userId = req.params.id;
+// Replace the given top-level fields of a section, saving a new revision
+router.put('/content/:section', authenticateToken, requirePermission('content.manage'), async (req, res) => {
+    const section = findContentSection(req, res);
+    if (!section) return;
 
     try {
-        const db = req.app.get('db');
-        
-        // Get user details
-        const user = await new Promise((resolve, reject) => {
-            db.get('SELECT * FROM users WHERE id = ? AND status = ?', 
-                [userId, 'pending'], (err, row) => {
-                    if (err) reject(err);
-                    else resolve(row);
-                });
-        });
+        const { siteContent } = req.app.get('repos');
 
-        if (!user) {
-            return res.status(404).json({ error: 'Pending registration not found' });
-        }
+        const current = await siteContent.get(section);
+        const content = applyContentChanges(section, current.content, req.body);
 
-        const passcode = generatePasscode();
+        await siteContent.save(section, content, { adminId: req.user.id });
 
-        // Update user status and set passcode
-        await new Promise((resolve, reject) => {
-            db.run('UPDATE users SET status = ?, passcode = ? WHERE id = ?',
-                ['confirmed', passcode, userId], function(err) {
-                    if (err) reject(err);
-                    else resolve();
-                });
-        });
+        res.json({ message: 'Content updated successfully', content: await siteContent.get(section) });
+    } catch (error) {
+        sendError(res, error, 'Update site content error');
+    }
+});
 
-        // Send email with passcode
-        const mailOptions = {
-            from: process.env.EMAIL_USER,
-            to: user.email,
-            subject: 'Account Confirmed - Information Systems Department',
-            html: `
-                <h2>Account Confirmation</h2>
-                <p>Dear ${user.name},</p>
-                <p>Your account has been confirmed. Here are your login credentials:</p>
-                <p><strong>Registration Number:</strong> ${user.regNumber}</p>
-                <p><strong>Passcode:</strong> ${passcode}</p>
-                <p>You can now login to the student dashboard.</p>
-                <p>Best regards,<br>Information Systems Department</p>
-            `
-        };
+// Revision history of a section, newest first
+router.get('/content/:section/revisions', authenticateToken, requirePermission('content.manage'), async (req, res) => {
+    const section = findContentSection(req, res);
+    if (!section) return;
 
-        await transporter.sendMail(mailOptions);
+    try {
+        const { siteContent } = req.app.get('repos');
+        const [current, revisions] = await Promise.all([siteContent.get(section), siteContent.listRevisions(section)]);
 
-        res.json({ message: 'Registration confirmed and passcode sent via email' });
+        res.json(revisions.map((revision) => ({ ...revision, current: revision.id === current.revisionId })));
     } catch (error) {
-        console.error('Error confirming registration:', error);
-        res.status(500).json({ error: 'Internal server error' });
+        sendError(res, error, 'Error fetching content revisions');
     }
 });
 
-// Student login
-router.post('/login', async (req, res) => {
-    const { regNumber, passcode } = req.body;
-
-    if (!regNumber || !passcode) {
-        return res.status(400).json({ error: 'Registration number and passcode are required' });
-    }
+// Roll a section back to an earlier revision. The restored content is saved
+// as a new revision, so the rollback itself can be undone.
+router.post('/content/:section/revisions/:revisionId/restore', authenticateToken, requirePermission('content.manage'), async (req, res) => {
+    const section = findContentSection(req, res);
+    if (!section) return;
 
     try {
-        const db = req.app.get('db');
-        
-        const user = await new Promise((resolve, reject) => {
-            db.get('SELECT * FROM users WHERE regNumber = ? AND status = ?', 
-                [regNumber, 'confirmed'], (err, row) => {
-                    if (err) reject(err);
-                    else resolve(row);
-                });
-        });
+        const { siteContent } = req.app.get('repos');
 
-        if (!user || user.passcode !== passcode) {
-            return res.status(401).json({ error: 'Invalid credentials' });
+        const revision = await siteContent.findRevision(section, req.params.revisionId);
+
+        if (!revision) {
+            return res.status(404).json({ error: 'Revision not found' });
         }
 
-        const token = jwt.sign(
-            { id: user.id, regNumber: user.regNumber, role: 'student' },
-            JWT_SECRET,
-            { expiresIn: '24h' }
-        );
+        await siteContent.save(section, revision.content, { adminId: req.user.id, restoredFrom: revision.id });
 
-        res.json({
-            message: 'Login successful',
-            token,
-            user: {
-                id: user.id,
-                name: user.name,
-                regNumber: user.regNumber,
-                email: user.email
-            }
-        });
+        res.json({ message: `Restored revision ${revision.id}`, content: await siteContent.get(section) });
     } catch (error) {
-        console.error('Login error:', error);
-        res.status(500).json({ error: 'Internal server error' });
+        sendError(res, error, 'Restore content revision error');
     }
 });
 
-// Admin login - Fixed version
-router.post('/admin/login', async (req, res) => {
-    const { username, password, regNumber, passcode } = req.body;
-    
-    // Support both username/password and regNumber/passcode formats
-    const loginField = username || regNumber;
-    const passwordField = password || passcode;
+// Programme details and entry requirements shown alongside the curriculum
+const UNDERGRADUATE_PROGRAMME = {
+    title: "Bachelor of Science in Information Systems",
+    duration: "4 years"
+};
+
+const LEVEL_REQUIREMENTS = {
+    "100": "SSCE/WAEC with credits in Mathematics, English, and three other subjects",
+    "200": "Successful completion of 100 level courses with minimum CGPA of 2.0",
+    "300": "Completion of prerequisite 200 level courses in relevant areas",
+    "400": "Advanced courses requiring completion of foundational courses"
+};
+
+const COURSE_TYPES = ['core', 'elective', 'gst'];
+const COURSE_CODE_PATTERN = /^[A-Z]{3}\d{3}$/;
+
+// Validate and normalize course fields from a request body.
+// With partial = true only the provided fields are checked (for updates).
+function parseCourseInput(body, { partial = false } = {}) {
+    const course = {};
+
+    if (body.code !== undefined || !partial) {
+        course.code = String(body.code || '').trim().toUpperCase();
+        if (!COURSE_CODE_PATTERN.test(course.code)) {
+            throw new ValidationError('Course code must look like INS301');
+        }
+    }
 
-    if (!loginField || !passwordField) {
-        return res.status(400).json({ error: 'Login credentials are required' });
+    if (body.title !== undefined || !partial) {
+        course.title = String(body.title || '').trim();
+        if (!course.title) {
+            throw new ValidationError('Course title is required');
+        }
     }
 
-    try {
-        // Check if db is properly imported
-        if (!db || typeof db.get !== 'function') {
-            console.error('Database not properly initialized');
-            return res.status(500).json({ error: 'Database connection error' });
+    if (body.units !== undefined || !partial) {
+        course.units = Number(body.units ?? 3);
+        if (!Number.isInteger(course.units) || course.units < 1 || course.units > 12) {
+            throw new ValidationError('Units must be a whole number between 1 and 12');
         }
-        
-        const admin = await new Promise((resolve, reject) => {
-            // Check both username and regNumber fields for admin login
-            db.get('SELECT * FROM admins WHERE username = ? OR regNumber = ?', 
-                [loginField, loginField], (err, row) => {
-                if (err) {
-                    console.error('Database error:', err);
-                    reject(err);
-                } else {
-                    resolve(row);
-                }
-            });
-        });
+    }
 
-        if (!admin) {
-            return res.status(401).json({ error: 'Invalid credentials' });
+    if (body.type !== undefined || !partial) {
+        course.type = String(body.type || 'core').toLowerCase();
+        if (!COURSE_TYPES.includes(course.type)) {
+            throw new ValidationError(`Course type must be one of: ${COURSE_TYPES.join(', ')}`);
         }
+    }
 
-        // Check password - handle both hashed and plain text passwords
-        let isValidPassword = false;
-        
-        if (admin.password.startsWith('$2b$') || admin.password.startsWith('$2a$')) {
-            // Hashed password
-            isValidPassword = await bcrypt.compare(passwordField, admin.password);
-        } else {
-            // Plain text password (for initial setup)
-            isValidPassword = admin.password === passwordField;
+    if (body.level !== undefined || !partial) {
+        course.level = Number(body.level);
+        if (!Number.isInteger(course.level) || course.level < 100 || course.level > 900 || course.level % 100 !== 0) {
+            throw new ValidationError('Level must be one of 100, 200, ... 900');
         }
+    }
 
-        if (!isValidPassword) {
-            return res.status(401).json({ error: 'Invalid credentials' });
+    if (body.description !== undefined) {
+        course.description = body.description ? String(body.description).trim() : null;
+    }
+
+    if (body.prerequisites !== undefined) {
+        const codes = Array.isArray(body.prerequisites)
+            ? body.prerequisites
+            : String(body.prerequisites).split(',');
+        course.prerequisites = codes.map((code) => String(code).trim().toUpperCase()).filter(Boolean);
+        if (course.prerequisites.some((code) => !COURSE_CODE_PATTERN.test(code))) {
+            throw new ValidationError('Prerequisites must be a list of course codes');
         }
+    }
 
-        const token = jwt.sign(
-            { id: admin.id, username: admin.username || admin.regNumber, role: 'admin' },
-            JWT_SECRET,
-            { expiresIn: '24h' }
-        );
+    return course;
+}
 
-        res.json({
-            message: 'Login successful',
-            token,
-            user: {
-                id: admin.id,
-                username: admin.username || admin.regNumber,
-                role: 'admin'
-            }
+// Ensure every prerequisite refers to an existing course other than itself
+async function assertPrerequisitesExist(courses, code, prerequisites = []) {
+    for (const prerequisite of prerequisites) {
+        if (prerequisite === code) {
+            throw new ValidationError('A course cannot be its own prerequisite');
+        }
+        if (!(await courses.findByCode(prerequisite))) {
+            throw new ValidationError(`Prerequisite course ${prerequisite} does not exist`);
+        }
+    }
+}
+
+// Shape a course row the way the courses page expects
+function formatCourse(course, materialCount = 0) {
+    return {
+        id: course.id,
+        code: course.code,
+        title: course.title,
+        units: course.units,
+        type: course.type,
+        level: String(course.level),
+        description: course.description,
+        prerequisites: course.prerequisites,
+        materials: materialCount
+    };
+}
+
+// Courses Information API
+router.get('/courses', async (req, res) => {
+    try {
+        const { courses, materials } = req.app.get('repos');
+        const [allCourses, materialCounts, materialsAvailable] = await Promise.all([
+            courses.list(),
+            materials.countByCourse(),
+            materials.count()
+        ]);
+
+        // Group courses by level, e.g. { "100": [...], "200": [...] }
+        const coursesByLevel = {};
+        allCourses.forEach((course) => {
+            const level = String(course.level);
+            coursesByLevel[level] = coursesByLevel[level] || [];
+            coursesByLevel[level].push(formatCourse(course, materialCounts[course.code]));
         });
+
+        const coursesData = {
+            curriculum: {
+                undergraduate: {
+                    ...UNDERGRADUATE_PROGRAMME,
+                    courses: coursesByLevel
+                }
+            },
+            prerequisites: LEVEL_REQUIREMENTS,
+            materialsAvailable,
+            totalCourses: allCourses.length
+        };
+
+        res.json(coursesData);
     } catch (error) {
-        console.error('Admin login error:', error);
-        res.status(500).json({ error: 'Internal server error' });
+        sendError(res, error, 'Error fetching courses data');
     }
 });
 
-// Change password/passcode
-router.post('/change-password', authenticateToken, async (req, res) => {
-    const { currentPassword, newPassword } = req.body;
+// Get a single course by code
+router.get('/courses/:code', async (req, res) => {
+    try {
+        const { courses, materials } = req.app.get('repos');
 
-    if (!currentPassword || !newPassword) {
-        return res.status(400).json({ error: 'Current and new password are required' });
+        const course = await courses.findByCode(req.params.code.toUpperCase());
+
+        if (!course) {
+            return res.status(404).json({ error: 'Course not found' });
+        }
+
+        const courseMaterials = await materials.listByCourse(course.code);
+
+        res.json(formatCourse(course, courseMaterials.length));
+    } catch (error) {
+        sendError(res, error, 'Error fetching course');
     }
+});
 
+// Get the materials uploaded for a course
+router.get('/courses/:code/materials', async (req, res) => {
     try {
-        const db = req.app.get('db');
-        
-        if (req.user.role === 'student') {
-            // For students, change passcode
-            const user = await new Promise((resolve, reject) => {
-                db.get('SELECT * FROM users WHERE id = ?', [req.user.id], (err, row) => {
-                    if (err) reject(err);
-                    else resolve(row);
-                });
-            });
+        const { courses, materials } = req.app.get('repos');
 
-            if (!user || user.passcode !== currentPassword) {
-                return res.status(401).json({ error: 'Current passcode is incorrect' });
-            }
+        const course = await courses.findByCode(req.params.code.toUpperCase());
 
-            await new Promise((resolve, reject) => {
-                db.run('UPDATE users SET passcode = ? WHERE id = ?',
-                    [newPassword, req.user.id], function(err) {
-                        if (err) reject(err);
-                        else resolve();
-                    });
-            });
-        } else if (req.user.role === 'admin') {
-            // For admins, change password
-            const admin = await new Promise((resolve, reject) => {
-                db.get('SELECT * FROM admins WHERE id = ?', [req.user.id], (err, row) => {
-                    if (err) reject(err);
-                    else resolve(row);
-                });
-            });
+        if (!course) {
+            return res.status(404).json({ error: 'Course not found' });
+        }
 
-            const isValidPassword = await bcrypt.compare(currentPassword, admin.password);
-            if (!isValidPassword) {
-                return res.status(401).json({ error: 'Current password is incorrect' });
-            }
+        res.json(await materials.listByCourse(course.code));
+    } catch (error) {
+        sendError(res, error, 'Error fetching course materials');
+    }
+});
 
-            const hashedPassword = await bcrypt.hash(newPassword, 10);
-            await new Promise((resolve, reject) => {
-                db.run('UPDATE admins SET password = ? WHERE id = ?',
-                    [hashedPassword, req.user.id], function(err) {
-                        if (err) reject(err);
-                        else resolve();
-                    });
-            });
+// Create course
+router.post('/courses', authenticateToken, requirePermission('courses.manage'), async (req, res) => {
+    try {
+        const { courses } = req.app.get('repos');
+        const input = parseCourseInput(req.body);
+
+        if (await courses.findByCode(input.code)) {
+            return res.status(409).json({ error: 'A course with that code already exists' });
         }
 
-        res.json({ message: 'Password changed successfully' });
+        await assertPrerequisitesExist(courses, input.code, input.prerequisites);
+        await courses.create(input);
+
+        res.status(201).json({ message: 'Course created successfully', course: formatCourse(await courses.findByCode(input.code)) });
     } catch (error) {
-        console.error('Change password error:', error);
-        res.status(500).json({ error: 'Internal server error' });
+        sendError(res, error, 'Create course error');
     }
 });
 
-// Upload material (admin only)
-router.post('/materials', authenticateToken, upload.single('file'), async (req, res) => {
-    if (req.user.role !== 'admin') {
-        return res.status(403).json({ error: 'Admin access required' });
-    }
+// Update course
+router.put('/courses/:code', authenticateToken, requirePermission('courses.manage'), async (req, res) => {
+    try {
+        const { courses, materials } = req.app.get('repos');
+        const code = req.params.code.toUpperCase();
+
+        if (!(await courses.findByCode(code))) {
+            return res.status(404).json({ error: 'Course not found' });
+        }
 
-    const { courseTitle, description, type } = req.body;
+        const input = parseCourseInput(req.body, { partial: true });
+        await assertPrerequisitesExist(courses, input.code || code, input.prerequisites);
+        await courses.update(code, input);
 
-    if (!courseTitle || !req.file) {
-        return res.status(400).json({ error: 'Course title and file are required' });
+        const updated = await courses.findByCode(input.code || code);
+        const courseMaterials = await materials.listByCourse(updated.code);
+
+        res.json({ message: 'Course updated successfully', course: formatCourse(updated, courseMaterials.length) });
+    } catch (error) {
+        sendError(res, error, 'Update course error');
     }
+});
 
+// Delete course
+router.delete('/courses/:code', authenticateToken, requirePermission('courses.manage'), async (req, res) => {
     try {
-        const db = req.app.get('db');
-        
-        const filePath = `/uploads/${req.file.filename}`;
-        
-        await new Promise((resolve, reject) => {
-            db.run('INSERT INTO materials (courseTitle, description, type, fileName, filePath, uploadedBy) VALUES (?, ?, ?, ?, ?, ?)',
-                [courseTitle, description, type, req.file.originalname, filePath, req.user.id],
-                function(err) {
-                    if (err) reject(err);
-                    else resolve();
-                });
-        });
+        const { courses } = req.app.get('repos');
+        const code = req.params.code.toUpperCase();
 
-        res.status(201).json({ message: 'Material uploaded successfully' });
+        if (!(await courses.findByCode(code))) {
+            return res.status(404).json({ error: 'Course not found' });
+        }
+
+        const dependents = (await courses.list())
+            .filter((course) => course.prerequisites.includes(code))
+            .map((course) => course.code);
+
+        if (dependents.length > 0) {
+            return res.status(409).json({ error: `Course is a prerequisite of ${dependents.join(', ')}` });
+        }
+
+        await courses.delete(code);
+
+        res.json({ message: 'Course deleted successfully' });
     } catch (error) {
-        console.error('Upload material error:', error);
-        res.status(500).json({ error: 'Internal server error' });
+        sendError(res, error, 'Delete course error');
     }
 });
 
-// Get materials
-router.get('/materials', async (req, res) => {
+// Admins teaching a course; lecturers manage materials for these courses
+router.get('/courses/:code/lecturers', authenticateToken, requirePermission('courses.manage'), async (req, res) => {
     try {
-        const db = req.app.get('db');
-        
-        const materials = await new Promise((resolve, reject) => {
-            db.all('SELECT id, courseTitle, description, type, fileName, filePath, createdAt FROM materials ORDER BY createdAt DESC',
-                [], (err, rows) => {
-                    if (err) reject(err);
-                    else resolve(rows);
-                });
-        });
+        const { courses } = req.app.get('repos');
+        const code = req.params.code.toUpperCase();
+
+        if (!(await courses.findByCode(code))) {
+            return res.status(404).json({ error: 'Course not found' });
+        }
 
-        res.json(materials);
+        res.json(await courses.listLecturers(code));
     } catch (error) {
-        console.error('Error fetching materials:', error);
-        res.status(500).json({ error: 'Internal server error' });
+        sendError(res, error, 'Error fetching course lecturers');
     }
 });
 
-// Get news articles (for homepage)
-router.get('/news', (req, res) => {
+// Replace the lecturers of a course with { adminIds }; each must hold the lecturer role
+router.put('/courses/:code/lecturers', authenticateToken, requirePermission('courses.manage'), async (req, res) => {
+    const { adminIds } = req.body;
+
+    if (!Array.isArray(adminIds) || !adminIds.every(Number.isInteger)) {
+        return res.status(400).json({ error: 'adminIds must be a list of admin ids' });
+    }
+
     try {
-        // Return mock data for now, or create news table
-        const mockNews = [
-            {
-                id: 1,
-                title: "New Semester Registration Open",
-                excerpt: "Registration for the new semester is now open for all students.",
-                date: new Date().toISOString(),
-                imageUrl: "/assets/images/news-placeholder.jpg"
+        const { courses, roles } = req.app.get('repos');
+        const code = req.params.code.toUpperCase();
+        const course = await courses.findByCode(code);
+
+        if (!course) {
+            return res.status(404).json({ error: 'Course not found' });
+        }
+
+        const uniqueIds = [...new Set(adminIds)];
+        for (const adminId of uniqueIds) {
+            if (!(await roles.listForAccount('admin', adminId)).includes('lecturer')) {
+                return res.status(400).json({ error: `Admin ${adminId} does not hold the lecturer role` });
             }
-        ];
-        res.json(mockNews);
+        }
+
+        await courses.setLecturers(code, uniqueIds);
+        await recordAudit(req, 'course.lecturers_updated', { targetType: 'course', targetId: course.id, details: { code, adminIds: uniqueIds } });
+
+        res.json({ message: 'Course lecturers updated', lecturers: await courses.listLecturers(code) });
     } catch (error) {
-        console.error('Error fetching news:', error);
-        res.status(500).json({ error: 'Failed to fetch news' });
+        sendError(res, error, 'Error updating course lecturers');
     }
 });
 
-// Get student achievements (for homepage)
-router.get('/achievements', (req, res) => {
-    try {
-        // Return mock data for now, or create achievements table
-        const mockAchievements = [
-            {
-                id: 1,
-                title: "Dean's List Recognition",
-                description: "Outstanding academic performance by our students.",
-                icon: "trophy",
-                date: new Date().toISOString()
-            }
-        ];
-        res.json(mockAchievements);
+const STAFF_TEXT_FIELDS = ['title', 'position', 'qualification', 'office', 'phone', 'bio'];
+
+// Shape a staff row for the about page (renderFaculty reads title/qualification/specialization)
+function formatStaffMember(member) {
+    return {
+        id: member.id,
+        name: member.name,
+        title: member.title,
+        position: member.position,
+        qualification: member.qualification,
+        office: member.office,
+        email: member.email,
+        phone: member.phone,
+        bio: member.bio,
+        researchInterests: member.researchInterests,
+        specialization: member.researchInterests.join(', '),
+        photoUrl: member.photoPath,
+        isKeyPersonnel: member.isKeyPersonnel,
+        displayOrder: member.displayOrder
+    };
+}
+
+// Validate staff fields from a JSON or multipart body.
+// With partial = true only the provided fields are checked (for updates).
+function parseStaffInput(body, { partial = false } = {}) {
+    const member = {};
+
+    if (body.name !== undefined || !partial) {
+        member.name = String(body.name || '').trim();
+        if (!member.name) {
+            throw new ValidationError('Name is required');
+        }
+    }
+
+    STAFF_TEXT_FIELDS.forEach((field) => {
+        if (body[field] !== undefined) {
+            member[field] = String(body[field]).trim() || null;
+        }
+    });
+
+    if (body.email !== undefined) {
+        member.email = String(body.email).trim().toLowerCase() || null;
+        if (member.email && !EMAIL_PATTERN.test(member.email)) {
+            throw new ValidationError('Invalid email address');
+        }
+    }
+
+    // Multipart forms send interests as a comma-separated string
+    if (body.researchInterests !== undefined) {
+        const interests = Array.isArray(body.researchInterests)
+            ? body.researchInterests
+            : String(body.researchInterests).split(',');
+        member.researchInterests = [...new Set(interests.map((interest) => String(interest).trim()).filter(Boolean))];
+    }
+
+    if (body.isKeyPersonnel !== undefined) {
+        member.isKeyPersonnel = body.isKeyPersonnel === true || body.isKeyPersonnel === 'true';
+    }
+
+    if (body.displayOrder !== undefined) {
+        member.displayOrder = Number(body.displayOrder);
+        if (!Number.isInteger(member.displayOrder)) {
+            throw new ValidationError('displayOrder must be a whole number');
+        }
+    }
+
+    return member;
+}
+
+// Faculty and staff directory
+router.get('/faculty', async (req, res) => {
+    try {
+        const { staff } = req.app.get('repos');
+        const members = await staff.list();
+        res.json(members.map(formatStaffMember));
+    } catch (error) {
+        sendError(res, error, 'Error fetching faculty');
+    }
+});
+
+// Get a single staff profile
+router.get('/faculty/:id', async (req, res) => {
+    try {
+        const { staff } = req.app.get('repos');
+
+        const member = await staff.findById(req.params.id);
+
+        if (!member) {
+            return res.status(404).json({ error: 'Staff member not found' });
+        }
+
+        res.json(formatStaffMember(member));
+    } catch (error) {
+        sendError(res, error, 'Error fetching staff member');
+    }
+});
+
+// Add staff member with optional photo
+router.post('/faculty', authenticateToken, requirePermission('staff.manage'), acceptUpload(imageUpload.single('photo')), async (req, res) => {
+    const photoPath = req.file ? `/uploads/${req.file.filename}` : null;
+
+    try {
+        const { staff } = req.app.get('repos');
+        const input = parseStaffInput(req.body);
+
+        const memberId = await staff.create({ ...input, photoPath });
+
+        res.status(201).json({ message: 'Staff member added successfully', member: formatStaffMember(await staff.findById(memberId)) });
+    } catch (error) {
+        await removeUploadedFile(req, photoPath);
+        sendError(res, error, 'Create staff member error');
+    }
+});
+
+// Update staff member and optionally replace or remove the photo
+router.put('/faculty/:id', authenticateToken, requirePermission('staff.manage'), acceptUpload(imageUpload.single('photo')), async (req, res) => {
+    const newPhotoPath = req.file ? `/uploads/${req.file.filename}` : null;
+
+    try {
+        const { staff } = req.app.get('repos');
+
+        const existing = await staff.findById(req.params.id);
+
+        if (!existing) {
+            await removeUploadedFile(req, newPhotoPath);
+            return res.status(404).json({ error: 'Staff member not found' });
+        }
+
+        let photoPath = existing.photoPath;
+        if (newPhotoPath || req.body.removePhoto === 'true') {
+            photoPath = newPhotoPath;
+        }
+
+        await staff.update(existing.id, { ...parseStaffInput(req.body, { partial: true }), photoPath });
+
+        if (photoPath !== existing.photoPath) {
+            await removeUploadedFile(req, existing.photoPath);
+        }
+
+        res.json({ message: 'Staff member updated successfully', member: formatStaffMember(await staff.findById(existing.id)) });
+    } catch (error) {
+        await removeUploadedFile(req, newPhotoPath);
+        sendError(res, error, 'Update staff member error');
+    }
+});
+
+// Remove staff member and their photo
+router.delete('/faculty/:id', authenticateToken, requirePermission('staff.manage'), async (req, res) => {
+    try {
+        const { staff } = req.app.get('repos');
+
+        const member = await staff.findById(req.params.id);
+
+        if (!member) {
+            return res.status(404).json({ error: 'Staff member not found' });
+        }
+
+        await staff.delete(member.id);
+        await removeUploadedFile(req, member.photoPath);
+
+        res.json({ message: 'Staff member removed successfully' });
+    } catch (error) {
+        sendError(res, error, 'Delete staff member error');
+    }
+});
+
+// Contact Information API
+router.get('/contact', async (req, res) => {
+    try {
+        const { siteContent, staff } = req.app.get('repos');
+        const [contact, keyPersonnel] = await Promise.all([siteContent.get('contact'), staff.listKeyPersonnel()]);
+        const { directions, ...details } = contact.content;
+
+        res.json({
+            ...details,
+            key_personnel: keyPersonnel.map((member) => ({
+                id: member.id,
+                name: member.name,
+                position: member.position,
+                email: member.email,
+                office: member.office,
+                photoUrl: member.photoPath
+            })),
+            directions
+        });
+    } catch (error) {
+        sendError(res, error, 'Error fetching contact data');
+    }
+});
+
+// Contact Form Submission API
+router.post('/contact', async (req, res) => {
+    const { name, email, subject, message, phone } = req.body;
+
+    if (!name || !email || !subject || !message) {
+        return res.status(400).json({ error: 'Name, email, subject, and message are required' });
+    }
+
+    try {
+        const { contact } = req.app.get('repos');
+        
+        // Store contact form submission in database
+        await contact.createSubmission({ name, email, phone, subject, message });
+
+        // Send notification email to department
+        await req.app.get('mailer').sendMail(
+            buildSubmissionNotification(req.app.get('config'), { name, email, phone, subject, message }));
+
+        res.json({ message: 'Contact form submitted successfully. We will get back to you soon.' });
+    } catch (error) {
+        sendError(res, error, 'Contact form submission error');
+    }
+});
+
+// Parse the ?assignedTo= inbox filter: an admin id, or "none" for unassigned
+function parseAssigneeFilter(value) {
+    if (value === undefined || value === '') return undefined;
+    if (value === 'none') return null;
+
+    const adminId = Number(value);
+    if (!Number.isInteger(adminId) || adminId < 1) {
+        throw new ValidationError('assignedTo must be an admin id or "none"');
+    }
+    return adminId;
+}
+
+// Contact inbox: submissions newest first, by ?status= and ?assignedTo=
+router.get('/contact/submissions', authenticateToken, requirePermission('contact.manage'), async (req, res) => {
+    const { status } = req.query;
+
+    if (status && !CONTACT_STATUSES.includes(status)) {
+        return res.status(400).json({ error: `Status must be one of: ${CONTACT_STATUSES.join(', ')}` });
+    }
+
+    try {
+        const { contact } = req.app.get('repos');
+        res.json(await contact.listSubmissions({ status, assignedTo: parseAssigneeFilter(req.query.assignedTo) }));
+    } catch (error) {
+        sendError(res, error, 'Error fetching contact submissions');
+    }
+});
+
+// One submission with its internal notes and reply history
+router.get('/contact/submissions/:id', authenticateToken, requirePermission('contact.manage'), async (req, res) => {
+    try {
+        const { contact } = req.app.get('repos');
+
+        const submission = await contact.findSubmission(req.params.id);
+
+        if (!submission) {
+            return res.status(404).json({ error: 'Submission not found' });
+        }
+
+        const [notes, replies] = await Promise.all([
+            contact.listNotes(submission.id),
+            contact.listReplies(submission.id)
+        ]);
+
+        res.json({ ...submission, notes, replies });
+    } catch (error) {
+        sendError(res, error, 'Error fetching contact submission');
+    }
+});
+
+// Change a submission's status or assignee; assignedTo null unassigns
+router.put('/contact/submissions/:id', authenticateToken, requirePermission('contact.manage'), async (req, res) => {
+    const { status, assignedTo } = req.body;
+
+    if (status === undefined && assignedTo === undefined) {
+        return res.status(400).json({ error: 'Provide a status or assignedTo' });
+    }
+
+    if (status !== undefined && !CONTACT_STATUSES.includes(status)) {
+        return res.status(400).json({ error: `Status must be one of: ${CONTACT_STATUSES.join(', ')}` });
+    }
+
+    try {
+        const { contact, admins } = req.app.get('repos');
+
+        const submission = await contact.findSubmission(req.params.id);
+
+        if (!submission) {
+            return res.status(404).json({ error: 'Submission not found' });
+        }
+
+        if (assignedTo !== undefined && assignedTo !== null) {
+            const assignee = await admins.findById(Number(assignedTo));
+            if (!assignee || assignee.status !== 'active') {
+                return res.status(400).json({ error: 'Submissions can only be assigned to an active admin' });
+            }
+        }
+
+        const fields = { status };
+        if (assignedTo !== undefined) {
+            fields.assignedTo = assignedTo === null ? null : Number(assignedTo);
+        }
+        await contact.updateSubmission(submission.id, fields);
+
+        res.json({ message: 'Submission updated successfully', submission: await contact.findSubmission(submission.id) });
+    } catch (error) {
+        sendError(res, error, 'Update contact submission error');
+    }
+});
+
+// Add an internal note to a submission; never sent to the submitter
+router.post('/contact/submissions/:id/notes', authenticateToken, requirePermission('contact.manage'), async (req, res) => {
+    const body = String(req.body.body || '').trim();
+
+    if (!body) {
+        return res.status(400).json({ error: 'Note text is required' });
+    }
+
+    try {
+        const { contact } = req.app.get('repos');
+
+        const submission = await contact.findSubmission(req.params.id);
+
+        if (!submission) {
+            return res.status(404).json({ error: 'Submission not found' });
+        }
+
+        const noteId = await contact.addNote(submission.id, req.user.id, body);
+        const notes = await contact.listNotes(submission.id);
+
+        res.status(201).json({ message: 'Note added', note: notes.find((note) => note.id === noteId) });
+    } catch (error) {
+        sendError(res, error, 'Add contact note error');
+    }
+});
+
+// Email a reply to the submitter and keep it in the submission's history
+router.post('/contact/submissions/:id/replies', authenticateToken, requirePermission('contact.manage'), async (req, res) => {
+    const body = String(req.body.body || '').trim();
+
+    if (!body) {
+        return res.status(400).json({ error: 'Reply text is required' });
+    }
+
+    try {
+        const { contact } = req.app.get('repos');
+
+        const submission = await contact.findSubmission(req.params.id);
+
+        if (!submission) {
+            return res.status(404).json({ error: 'Submission not found' });
+        }
+
+        const subject = String(req.body.subject || '').trim() || `Re: ${submission.subject}`;
+
+        // Only record the reply once the email has actually gone out
+        await req.app.get('mailer').sendMail(buildReplyEmail(req.app.get('config'), submission, { subject, body }));
+        const replyId = await contact.addReply(submission.id, req.user.id, { subject, body });
+        const replies = await contact.listReplies(submission.id);
+
+        res.status(201).json({
+            message: `Reply sent to ${submission.email}`,
+            reply: replies.find((reply) => reply.id === replyId),
+            submission: await contact.findSubmission(submission.id)
+        });
+    } catch (error) {
+        sendError(res, error, 'Send contact reply error');
+    }
+});
+
+// Newsletter subscription (double opt-in): always answers the same way so the
+// endpoint can't be used to find out who is subscribed
+router.post('/subscribe', async (req, res) => {
+    const email = String(req.body.email || '').trim().toLowerCase();
+
+    if (!EMAIL_PATTERN.test(email)) {
+        return res.status(400).json({ error: 'A valid email address is required' });
+    }
+
+    try {
+        const { subscribers } = req.app.get('repos');
+        const existing = await subscribers.findByEmail(email);
+
+        if (!existing || existing.status !== 'confirmed') {
+            const token = createToken();
+            const expiresAt = new Date(Date.now() + CONFIRM_TOKEN_TTL_MS).toISOString();
+
+            await subscribers.savePending(email, hashToken(token), expiresAt);
+            await req.app.get('mailer').sendMail(buildConfirmationEmail(req.app.get('config'), email, token));
+        }
+
+        res.status(202).json({
+            success: true,
+            message: 'Please check your email and click the link to confirm your subscription.'
+        });
+    } catch (error) {
+        sendError(res, error, 'Subscribe error');
+    }
+});
+
+// Confirmation link from the opt-in email; lands back on the contact page
+router.get('/subscribe/confirm', async (req, res) => {
+    try {
+        const { subscribers } = req.app.get('repos');
+
+        const subscriber = req.query.token && await subscribers.findByConfirmToken(hashToken(req.query.token));
+
+        if (!subscriber) {
+            return res.redirect('/pages/contact.html?subscription=invalid');
+        }
+
+        await subscribers.confirm(subscriber.id);
+
+        res.redirect('/pages/contact.html?subscription=confirmed');
+    } catch (error) {
+        sendError(res, error, 'Confirm subscription error');
+    }
+});
+
+// Cancel a subscription from a signed link. GET is the link in the email;
+// POST is the one-click List-Unsubscribe request mail clients send.
+async function handleUnsubscribe(req, res) {
+    const email = String(req.query.email || '').trim().toLowerCase();
+
+    if (!isValidUnsubscribeToken(req.app.get('config'), email, req.query.token)) {
+        return req.method === 'GET'
+            ? res.redirect('/pages/contact.html?subscription=invalid')
+            : res.status(400).json({ error: 'Invalid unsubscribe link' });
+    }
+
+    try {
+        await req.app.get('repos').subscribers.unsubscribe(email);
+
+        if (req.method === 'GET') {
+            return res.redirect('/pages/contact.html?subscription=unsubscribed');
+        }
+        res.json({ message: 'You have been unsubscribed' });
+    } catch (error) {
+        sendError(res, error, 'Unsubscribe error');
+    }
+}
+
+router.get('/unsubscribe', handleUnsubscribe);
+router.post('/unsubscribe', handleUnsubscribe);
+
+const SUBSCRIBER_STATUSES = ['pending', 'confirmed', 'unsubscribed'];
+const SUBSCRIBER_CSV_COLUMNS = ['id', 'email', 'status', 'createdAt', 'confirmedAt', 'unsubscribedAt'];
+
+// List subscribers, optionally by ?status=
+router.get('/subscribers', authenticateToken, requirePermission('newsletter.manage'), async (req, res) => {
+    const { status } = req.query;
+
+    if (status && !SUBSCRIBER_STATUSES.includes(status)) {
+        return res.status(400).json({ error: `Status must be one of: ${SUBSCRIBER_STATUSES.join(', ')}` });
+    }
+
+    try {
+        const { subscribers } = req.app.get('repos');
+        res.json(await subscribers.list({ status }));
+    } catch (error) {
+        sendError(res, error, 'Error fetching subscribers');
+    }
+});
+
+// Download subscribers as CSV, optionally by ?status=
+router.get('/subscribers/export', authenticateToken, requirePermission('newsletter.manage'), async (req, res) => {
+    const { status } = req.query;
+
+    if (status && !SUBSCRIBER_STATUSES.includes(status)) {
+        return res.status(400).json({ error: `Status must be one of: ${SUBSCRIBER_STATUSES.join(', ')}` });
+    }
+
+    try {
+        const { subscribers } = req.app.get('repos');
+        const rows = await subscribers.list({ status });
+        const date = new Date().toISOString().slice(0, 10);
+
+        res.attachment(`subscribers-${status || 'all'}-${date}.csv`);
+        res.type('text/csv').send(toCsv(rows, SUBSCRIBER_CSV_COLUMNS));
+    } catch (error) {
+        sendError(res, error, 'Error exporting subscribers');
+    }
+});
+
+// Newsletters sent so far
+router.get('/newsletters', authenticateToken, requirePermission('newsletter.manage'), async (req, res) => {
+    try {
+        const { subscribers } = req.app.get('repos');
+        res.json(await subscribers.listNewsletters());
+    } catch (error) {
+        sendError(res, error, 'Error fetching newsletters');
+    }
+});
+
+// Send a newsletter to every confirmed subscriber
+router.post('/newsletters', authenticateToken, requirePermission('newsletter.manage'), async (req, res) => {
+    const subject = String(req.body.subject || '').trim();
+    const body = String(req.body.body || '').trim();
+
+    if (!subject || !body) {
+        return res.status(400).json({ error: 'Subject and body are required' });
+    }
+
+    try {
+        const { subscribers } = req.app.get('repos');
+        const mailer = req.app.get('mailer');
+        const config = req.app.get('config');
+
+        const recipients = await subscribers.list({ status: 'confirmed' });
+
+        if (recipients.length === 0) {
+            return res.status(400).json({ error: 'There are no confirmed subscribers to send to' });
+        }
+
+        // Send one by one so each email carries its own unsubscribe link;
+        // a failed address is logged and skipped rather than aborting the run
+        let failedCount = 0;
+        for (const recipient of recipients) {
+            try {
+                await mailer.sendMail(buildNewsletterEmail(config, recipient.email, { subject, body }));
+            } catch (error) {
+                failedCount++;
+                console.error(`Newsletter delivery to ${recipient.email} failed:`, error.message);
+            }
+        }
+
+        const newsletterId = await subscribers.recordNewsletter({
+            subject,
+            body,
+            sentBy: req.user.id,
+            recipientCount: recipients.length - failedCount,
+            failedCount
+        });
+
+        res.status(201).json({
+            message: `Newsletter sent to ${recipients.length - failedCount} subscriber(s)`,
+            newsletterId,
+            sent: recipients.length - failedCount,
+            failed: failedCount
+        });
+    } catch (error) {
+        sendError(res, error, 'Send newsletter error');
+    }
+});
+
+// Student signup
+router.post('/signup', async (req, res) => {
+    const { name, regNumber, email } = req.body;
+
+    if (!name || !regNumber || !email) {
+        return res.status(400).json({ error: 'All fields are required' });
+    }
+
+    const invalidRegNumber = validateRegNumber(regNumber);
+    if (invalidRegNumber) {
+        return res.status(400).json({ error: invalidRegNumber });
+    }
+    const { regNumber: normalizedRegNumber, entryYear, programme } = parseRegNumber(regNumber);
+
+    try {
+        const { users } = req.app.get('repos');
+        
+        // Check if registration number already exists; rejected and expired
+        // applicants may try again
+        const existing = await users.findByRegNumber(normalizedRegNumber);
+        if (existing && !REOPENABLE_REGISTRATION_STATUSES.includes(existing.status)) {
+            return res.status(409).json({ error: 'Registration number already exists' });
+        }
+
+        // Insert pending registration
+        const details = { name, regNumber: normalizedRegNumber, entryYear, programme, email };
+        if (existing) {
+            await users.reopen(existing.id, details);
+        } else {
+            await users.createPending(details);
+        }
+
+        res.status(201).json({ message: 'Registration submitted successfully. Please wait for admin approval.' });
+    } catch (error) {
+        sendError(res, error, 'Signup error');
+    }
+});
+
+// Expire signups left pending too long, letting each applicant know. Runs
+// whenever reviewers load the queue rather than on a timer.
+async function expireStaleRegistrations(req) {
+    const { users, audit } = req.app.get('repos');
+    const expired = await users.expireStale(new Date(Date.now() - PENDING_REGISTRATION_TTL_MS).toISOString());
+
+    for (const user of expired) {
+        await audit.record({ action: 'registration.expired', targetType: 'student', targetId: user.id });
+        try {
+            await req.app.get('mailer').sendMail(buildExpiryEmail(req.app.get('config'), user));
+        } catch (error) {
+            console.error('Error sending registration expiry email:', error);
+        }
+    }
+}
+
+// Get pending registrations, and those waiting for the applicant's changes
+router.get('/pending-registrations', authenticateToken, requirePermission('registrations.review'), async (req, res) => {
+    try {
+        const { users } = req.app.get('repos');
+        await expireStaleRegistrations(req);
+        res.json(await users.listPending());
+    } catch (error) {
+        sendError(res, error, 'Error fetching pending registrations');
+    }
+});
+
+// Confirm registration
+router.post('/confirm-registration/:id', authenticateToken, requirePermission('registrations.review'), async (req, res) => {
+    try {
+        const { users } = req.app.get('repos');
+        
+        const user = await users.findPendingById(req.params.id);
+
+        if (!user) {
+            return res.status(404).json({ error: 'Pending registration not found' });
+        }
+
+        const passcode = generatePasscode();
+
+        // Update user status and store the passcode hash; the plaintext only goes out by email
+        await users.confirm(user.id, await hashPassword(passcode));
+        await recordAudit(req, 'registration.confirmed', { targetType: 'student', targetId: user.id });
+
+        await req.app.get('mailer').sendMail(buildPasscodeEmail(user, passcode));
+
+        res.json({ message: 'Registration confirmed and passcode sent via email' });
+    } catch (error) {
+        sendError(res, error, 'Error confirming registration');
+    }
+});
+
+// Start sending queued passcode emails without holding up the response
+function sendQueuedPasscodes(req) {
+    req.app.get('passcodeQueue').drain().catch((error) => {
+        console.error('Passcode queue error:', error);
+    });
+}
+
+// Confirm several pending registrations at once; { ids } that are no longer
+// pending are skipped. Passcodes are emailed by the queue afterwards.
+router.post('/confirm-registrations', authenticateToken, requirePermission('registrations.review'), async (req, res) => {
+    const { ids } = req.body;
+
+    if (!Array.isArray(ids) || !ids.length || !ids.every(Number.isInteger)) {
+        return res.status(400).json({ error: 'Choose at least one registration to confirm' });
+    }
+    if (ids.length > MAX_IMPORT_ROWS) {
+        return res.status(400).json({ error: `At most ${MAX_IMPORT_ROWS} registrations can be confirmed at once` });
+    }
+
+    try {
+        const { users, passcodeDeliveries, transaction } = req.app.get('repos');
+
+        const confirmed = await transaction(async () => {
+            const done = [];
+            for (const id of new Set(ids)) {
+                if (await users.confirmPending(id, req.user.id)) {
+                    done.push(id);
+                }
+            }
+            await passcodeDeliveries.enqueue(done, req.user.id);
+            return done;
+        });
+
+        for (const id of confirmed) {
+            await recordAudit(req, 'registration.confirmed', { targetType: 'student', targetId: id, details: { bulk: true } });
+        }
+        sendQueuedPasscodes(req);
+
+        res.json({
+            message: `${confirmed.length} registration(s) confirmed; passcodes are being sent by email`,
+            confirmed,
+            skipped: [...new Set(ids)].filter((id) => !confirmed.includes(id))
+        });
+    } catch (error) {
+        sendError(res, error, 'Error confirming registrations');
+    }
+});
+
+// Import a class list CSV (multipart field 'file') as confirmed student
+// accounts. With dryRun=true nothing is written; either way the response
+// reports each row and why any were left out.
+router.post('/students/import', authenticateToken, requirePermission('registrations.review'), acceptUpload(classListUpload.single('file')), async (req, res) => {
+    if (!req.file) {
+        return res.status(400).json({ error: 'Choose a CSV file to import' });
+    }
+    const dryRun = req.body.dryRun === 'true';
+
+    try {
+        const { users, passcodeDeliveries, transaction } = req.app.get('repos');
+
+        const rows = await checkClassList(req.file.buffer.toString('utf8'), users);
+        const valid = rows.filter((row) => !row.errors.length);
+        const report = { dryRun, total: rows.length, valid: valid.length, created: 0, rows };
+
+        if (dryRun || !valid.length) {
+            return res.json(report);
+        }
+
+        const createdIds = await transaction(async () => {
+            const ids = [];
+            for (const { name, regNumber, email } of valid) {
+                ids.push(await users.createConfirmed({ name, email, ...parseRegNumber(regNumber) }));
+            }
+            await passcodeDeliveries.enqueue(ids, req.user.id);
+            return ids;
+        });
+
+        await recordAudit(req, 'students.imported', {
+            details: { file: req.file.originalname, created: createdIds.length, skipped: rows.length - createdIds.length }
+        });
+        sendQueuedPasscodes(req);
+
+        res.status(201).json({ ...report, created: createdIds.length });
+    } catch (error) {
+        sendError(res, error, 'Error importing class list');
+    }
+});
+
+// How the queued passcode emails are going, with the ones that failed
+router.get('/passcode-deliveries', authenticateToken, requirePermission('registrations.review'), async (req, res) => {
+    try {
+        const { passcodeDeliveries } = req.app.get('repos');
+        res.json({
+            counts: await passcodeDeliveries.counts(),
+            failed: await passcodeDeliveries.listFailed()
+        });
+    } catch (error) {
+        sendError(res, error, 'Error fetching passcode deliveries');
+    }
+});
+
+// Queue every failed passcode email again
+router.post('/passcode-deliveries/retry', authenticateToken, requirePermission('registrations.review'), async (req, res) => {
+    try {
+        const { passcodeDeliveries } = req.app.get('repos');
+
+        const retried = await passcodeDeliveries.retryFailed();
+        if (retried) {
+            await recordAudit(req, 'passcodes.retried', { details: { count: retried } });
+            sendQueuedPasscodes(req);
+        }
+
+        res.json({ message: `${retried} passcode email(s) queued again`, retried });
+    } catch (error) {
+        sendError(res, error, 'Error retrying passcode deliveries');
+    }
+});
+
+// Turn a registration down; { reason } is emailed to the applicant
+router.post('/reject-registration/:id', authenticateToken, requirePermission('registrations.review'), async (req, res) => {
+    const { reason } = req.body;
+
+    const invalid = validateReviewNote(reason, 'A reason');
+    if (invalid) {
+        return res.status(400).json({ error: invalid });
+    }
+
+    try {
+        const { users } = req.app.get('repos');
+
+        const user = await users.findOpenRegistrationById(req.params.id);
+
+        if (!user) {
+            return res.status(404).json({ error: 'Pending registration not found' });
+        }
+
+        await users.reject(user.id, { reason: reason.trim(), adminId: req.user.id });
+        await recordAudit(req, 'registration.rejected', { targetType: 'student', targetId: user.id, details: { reason: reason.trim() } });
+
+        await req.app.get('mailer').sendMail(buildRejectionEmail(user, reason.trim()));
+
+        res.json({ message: 'Registration rejected and the applicant notified' });
+    } catch (error) {
+        sendError(res, error, 'Error rejecting registration');
+    }
+});
+
+// Ask the applicant to fix their registration; { message } says what to
+// change and goes out with a link to the correction page
+router.post('/request-registration-correction/:id', authenticateToken, requirePermission('registrations.review'), async (req, res) => {
+    const { message } = req.body;
+
+    const invalid = validateReviewNote(message, 'A message');
+    if (invalid) {
+        return res.status(400).json({ error: invalid });
+    }
+
+    try {
+        const { users } = req.app.get('repos');
+
+        const user = await users.findOpenRegistrationById(req.params.id);
+
+        if (!user) {
+            return res.status(404).json({ error: 'Pending registration not found' });
+        }
+
+        const token = createToken();
+        await users.requestCorrection(user.id, {
+            message: message.trim(),
+            adminId: req.user.id,
+            tokenHash: hashToken(token),
+            expiresAt: new Date(Date.now() + CORRECTION_TOKEN_TTL_MS).toISOString()
+        });
+        await recordAudit(req, 'registration.changes_requested', { targetType: 'student', targetId: user.id, details: { message: message.trim() } });
+
+        await req.app.get('mailer').sendMail(buildCorrectionEmail(req.app.get('config'), user, message.trim(), token));
+
+        res.json({ message: 'Correction requested and the applicant notified' });
+    } catch (error) {
+        sendError(res, error, 'Error requesting registration correction');
+    }
+});
+
+// The registration a correction link is for, so the page can prefill its form
+router.get('/registration-correction', async (req, res) => {
+    try {
+        const user = await req.app.get('repos').users.findByCorrectionToken(hashToken(req.query.token));
+
+        if (!user) {
+            return res.status(400).json({ error: 'This link is invalid or has expired' });
+        }
+
+        res.json({ name: user.name, regNumber: user.regNumber, email: user.email, message: user.reviewNote });
+    } catch (error) {
+        sendError(res, error, 'Error fetching registration correction');
+    }
+});
+
+// Save the applicant's corrections and send the registration back for review
+router.post('/registration-correction', async (req, res) => {
+    const { token, name, regNumber, email } = req.body;
+
+    if (!token || !name || !regNumber || !email) {
+        return res.status(400).json({ error: 'All fields are required' });
+    }
+
+    const invalidRegNumber = validateRegNumber(regNumber);
+    if (invalidRegNumber) {
+        return res.status(400).json({ error: invalidRegNumber });
+    }
+    const { regNumber: normalizedRegNumber, entryYear, programme } = parseRegNumber(regNumber);
+
+    try {
+        const { users } = req.app.get('repos');
+
+        const user = await users.findByCorrectionToken(hashToken(token));
+
+        if (!user) {
+            return res.status(400).json({ error: 'This link is invalid or has expired' });
+        }
+
+        const existing = await users.findByRegNumber(normalizedRegNumber);
+        if (existing && existing.id !== user.id) {
+            return res.status(409).json({ error: 'Registration number already exists' });
+        }
+
+        await users.applyCorrection(user.id, { name, regNumber: normalizedRegNumber, entryYear, programme, email });
+        await req.app.get('repos').audit.record({ action: 'registration.corrected', targetType: 'student', targetId: user.id, ip: req.ip });
+
+        res.json({ message: 'Registration updated. Please wait for admin approval.' });
+    } catch (error) {
+        sendError(res, error, 'Registration correction error');
+    }
+});
+
+// Hand a new session to the client: in HttpOnly cookies if it asked for a
+// cookie session, otherwise as tokens in the response body
+function sessionResponse(req, res, session) {
+    if (!wantsCookieSession(req)) {
+        return session;
+    }
+    const csrfToken = setSessionCookies(res, req.app.get('config'), session);
+    return { expiresIn: session.expiresIn, csrfToken };
+}
+
+// Refuse a login attempt the limiter is holding back
+function rejectThrottledLogin(res, { retryAfterMs, locked }) {
+    const retryAfter = Math.ceil(retryAfterMs / 1000);
+    res.set('Retry-After', String(retryAfter));
+    return res.status(429).json({
+        error: locked
+            ? 'Too many failed login attempts. Sign-in is temporarily locked; try again later or reset your password.'
+            : `Too many failed login attempts. Please wait ${retryAfter} seconds and try again.`,
+        retryAfter
+    });
+}
+
+// The attempt was already counted when it started; if it locked a real
+// account, audit it and warn the owner.
+async function recordFailedLogin(req, { accountLockedUntil }, accountType, account) {
+    if (!accountLockedUntil || !account) return;
+
+    await recordAudit(req, 'login.locked', {
+        targetType: accountType,
+        targetId: account.id,
+        details: { lockedUntil: accountLockedUntil }
+    });
+
+    if (account.email) {
+        try {
+            await req.app.get('mailer').sendMail(
+                buildLockoutEmail(req.app.get('config'), account, accountType, accountLockedUntil));
+        } catch (error) {
+            console.error('Error sending lockout email:', error);
+        }
+    }
+}
+
+// Roles and permissions sent with the signed-in user so pages know what to offer
+async function describeAccess(repos, accountType, accountId) {
+    const roles = await repos.roles.listForAccount(accountType, accountId);
+    return { roles, permissions: [...permissionsForRoles(roles)] };
+}
+
+// Student login
+router.post('/login', async (req, res) => {
+    const { regNumber, passcode } = req.body;
+
+    if (!regNumber || !passcode) {
+        return res.status(400).json({ error: 'Registration number and passcode are required' });
+    }
+
+    try {
+        const { users } = req.app.get('repos');
+        const limiter = req.app.get('loginLimiter');
+        
+        const user = await users.findConfirmedByRegNumber(normalizeRegNumber(regNumber));
+        const limitKeys = { ip: ipLimitKey(req.ip), account: accountLimitKey('student', user, normalizeRegNumber(regNumber)) };
+
+        const attempt = await limiter.attempt(limitKeys);
+        if (!attempt.allowed) {
+            return rejectThrottledLogin(res, attempt);
+        }
+
+        // Always run a bcrypt comparison so unknown reg numbers take as long as wrong passcodes
+        if (!(await verifyPassword(passcode, user && user.passcode))) {
+            await recordFailedLogin(req, attempt, 'student', user);
+            return res.status(401).json({ error: 'Invalid credentials' });
+        }
+
+        await limiter.recordSuccess(limitKeys);
+        await limiter.purgeStale();
+
+        const session = await startSession(req.app.get('repos'), req.app.get('config'), 'student', user);
+
+        res.json({
+            message: 'Login successful',
+            ...sessionResponse(req, res, session),
+            user: {
+                id: user.id,
+                name: user.name,
+                regNumber: user.regNumber,
+                email: user.email,
+                level: user.entryYear ? levelForEntryYear(user.entryYear, new Date()) : null,
+                ...await describeAccess(req.app.get('repos'), 'student', user.id)
+            }
+        });
+    } catch (error) {
+        sendError(res, error, 'Login error');
+    }
+});
+
+// Admin login
+router.post('/admin/login', async (req, res) => {
+    const { username, password, regNumber, passcode } = req.body;
+    
+    // Support both username/password and regNumber/passcode formats
+    const loginField = username || regNumber;
+    const passwordField = password || passcode;
+
+    if (!loginField || !passwordField) {
+        return res.status(400).json({ error: 'Login credentials are required' });
+    }
+
+    if (typeof loginField !== 'string' || typeof passwordField !== 'string') {
+        return res.status(400).json({ error: 'Login credentials must be text' });
+    }
+
+    try {
+        const { admins, settings } = req.app.get('repos');
+        const config = req.app.get('config');
+        const limiter = req.app.get('loginLimiter');
+        
+        // Admins can sign in with either their username or admin reg number
+        const admin = await admins.findByLogin(loginField.trim());
+        const limitKeys = { ip: ipLimitKey(req.ip), account: accountLimitKey('admin', admin, loginField) };
+
+        const attempt = await limiter.attempt(limitKeys);
+        if (!attempt.allowed) {
+            return rejectThrottledLogin(res, attempt);
+        }
+
+        if (!(await verifyPassword(passwordField, admin && admin.password))) {
+            await recordFailedLogin(req, attempt, 'admin', admin);
+            return res.status(401).json({ error: 'Invalid credentials' });
+        }
+
+        if (admin.status !== 'active') {
+            return res.status(403).json({ error: 'This admin account has been disabled' });
+        }
+
+        // The password only unlocks the second step, so this attempt is given
+        // back. Failed attempts keep counting against the account until the
+        // whole login succeeds.
+        if (admin.totpSecret) {
+            await limiter.release(limitKeys);
+            return res.json({
+                twoFactorRequired: true,
+                challengeToken: signLoginChallenge(config, admin, CHALLENGE_PURPOSES.verify)
+            });
+        }
+
+        if (await settings.getFlag(REQUIRE_ADMIN_2FA)) {
+            await limiter.release(limitKeys);
+            return res.json({
+                twoFactorSetupRequired: true,
+                challengeToken: signLoginChallenge(config, admin, CHALLENGE_PURPOSES.setup)
+            });
+        }
+
+        await completeAdminLogin(req, res, admin, limitKeys);
+    } catch (error) {
+        sendError(res, error, 'Admin login error');
+    }
+});
+
+// Start an admin session once every login step has passed
+async function completeAdminLogin(req, res, admin, limitKeys, extra = {}) {
+    const repos = req.app.get('repos');
+    const limiter = req.app.get('loginLimiter');
+
+    await limiter.recordSuccess(limitKeys);
+    await limiter.purgeStale();
+    await repos.admins.recordLogin(admin.id);
+
+    const session = await startSession(repos, req.app.get('config'), 'admin', admin);
+
+    res.json({
+        message: 'Login successful',
+        ...sessionResponse(req, res, session),
+        ...extra,
+        user: {
+            id: admin.id,
+            username: admin.username,
+            regNumber: admin.regNumber,
+            name: admin.name,
+            email: admin.email,
+            role: 'admin',
+            ...await describeAccess(repos, 'admin', admin.id),
+            twoFactorEnabled: Boolean(admin.totpSecret)
+        }
+    });
+}
+
+// The admin a login challenge was issued to, or null once it has expired or
+// the account was disabled
+async function findChallengeAdmin(req, purpose) {
+    const claims = verifyLoginChallenge(req.app.get('config'), req.body.challengeToken, purpose);
+    if (!claims) return null;
+
+    const admin = await req.app.get('repos').admins.findById(claims.id);
+    return admin && admin.status === 'active' ? admin : null;
+}
+
+// Second login step: a code from the authenticator app or a recovery code
+router.post('/admin/login/2fa', async (req, res) => {
+    if (!req.body.code) {
+        return res.status(400).json({ error: 'Authentication code is required' });
+    }
+
+    try {
+        const repos = req.app.get('repos');
+        const limiter = req.app.get('loginLimiter');
+
+        const admin = await findChallengeAdmin(req, CHALLENGE_PURPOSES.verify);
+
+        if (!admin || !admin.totpSecret) {
+            return res.status(401).json({ error: 'Your sign-in has expired; please log in again' });
+        }
+
+        const limitKeys = { ip: ipLimitKey(req.ip), account: accountLimitKey('admin', admin) };
+
+        const attempt = await limiter.attempt(limitKeys);
+        if (!attempt.allowed) {
+            return rejectThrottledLogin(res, attempt);
+        }
+
+        const method = await verifySecondFactor(repos, req.app.get('config'), admin, req.body.code);
+
+        if (!method) {
+            await recordFailedLogin(req, attempt, 'admin', admin);
+            return res.status(401).json({ error: 'Invalid authentication code' });
+        }
+
+        if (method === 'recovery_code') {
+            await recordAudit(req, 'admin_2fa.recovery_code_used', {
+                targetType: 'admin',
+                targetId: admin.id,
+                details: { remaining: await repos.admins.countRecoveryCodes(admin.id) }
+            });
+        }
+
+        await completeAdminLogin(req, res, admin, limitKeys);
+    } catch (error) {
+        sendError(res, error, 'Two-factor login error');
+    }
+});
+
+// When 2FA is mandatory, admins without it enroll as part of logging in
+router.post('/admin/login/2fa/setup', async (req, res) => {
+    try {
+        const admin = await findChallengeAdmin(req, CHALLENGE_PURPOSES.setup);
+
+        if (!admin) {
+            return res.status(401).json({ error: 'Your sign-in has expired; please log in again' });
+        }
+
+        res.json(await beginEnrollment(req.app.get('repos'), req.app.get('config'), admin));
+    } catch (error) {
+        sendError(res, error, 'Two-factor setup error');
+    }
+});
+
+router.post('/admin/login/2fa/enable', async (req, res) => {
+    if (!req.body.code) {
+        return res.status(400).json({ error: 'Authentication code is required' });
+    }
+
+    try {
+        const repos = req.app.get('repos');
+        const limiter = req.app.get('loginLimiter');
+
+        const admin = await findChallengeAdmin(req, CHALLENGE_PURPOSES.setup);
+
+        if (!admin) {
+            return res.status(401).json({ error: 'Your sign-in has expired; please log in again' });
+        }
+
+        const limitKeys = { ip: ipLimitKey(req.ip), account: accountLimitKey('admin', admin) };
+
+        const attempt = await limiter.attempt(limitKeys);
+        if (!attempt.allowed) {
+            return rejectThrottledLogin(res, attempt);
+        }
+
+        const recoveryCodes = await completeEnrollment(repos, req.app.get('config'), admin, req.body.code);
+
+        if (!recoveryCodes) {
+            await recordFailedLogin(req, attempt, 'admin', admin);
+            return res.status(401).json({ error: 'Invalid authentication code' });
+        }
+
+        await recordAudit(req, 'admin_2fa.enabled', { targetType: 'admin', targetId: admin.id });
+
+        await completeAdminLogin(req, res, await repos.admins.findById(admin.id), limitKeys, { recoveryCodes });
+    } catch (error) {
+        sendError(res, error, 'Two-factor setup error');
+    }
+});
+
+// Look up the account behind a refresh token; null once it can no longer sign in
+async function findSessionAccount({ users, admins }, accountType, accountId) {
+    if (accountType === 'admin') {
+        const admin = await admins.findById(accountId);
+        return admin && admin.status === 'active' ? admin : null;
+    }
+    const user = await users.findById(accountId);
+    return user && user.status === 'confirmed' ? user : null;
+}
+
+// Exchange a refresh token for a new access token and refresh token. Using a
+// token that was already rotated means it leaked, so its family is revoked.
+router.post('/token/refresh', async (req, res) => {
+    const { token: refreshToken, fromCookie } = readRefreshToken(req);
+
+    if (!refreshToken) {
+        return res.status(400).json({ error: 'Refresh token is required' });
+    }
+
+    if (fromCookie && !hasValidCsrfToken(req)) {
+        return res.status(403).json({ error: 'Invalid or missing CSRF token' });
+    }
+
+    try {
+        const repos = req.app.get('repos');
+
+        const stored = await repos.sessions.findRefreshToken(hashToken(refreshToken));
+
+        if (!stored) {
+            return res.status(401).json({ error: 'Invalid refresh token' });
+        }
+
+        if (stored.replacedBy) {
+            await repos.sessions.revokeFamily(stored.familyId);
+            await recordAudit(req, 'session.refresh_reuse', {
+                targetType: stored.accountType,
+                targetId: stored.accountId
+            });
+            return res.status(401).json({ error: 'Refresh token has already been used; please log in again' });
+        }
+
+        if (stored.revokedAt || new Date(stored.expiresAt).getTime() <= Date.now()) {
+            return res.status(401).json({ error: 'Session has expired; please log in again' });
+        }
+
+        const account = await findSessionAccount(repos, stored.accountType, stored.accountId);
+
+        if (!account) {
+            await repos.sessions.revokeFamily(stored.familyId);
+            return res.status(401).json({ error: 'Account is no longer active' });
+        }
+
+        // Sessions from before 2FA was required can't be renewed around it;
+        // the admin has to log in again and enroll
+        if (stored.accountType === 'admin' && !account.totpSecret && await repos.settings.getFlag(REQUIRE_ADMIN_2FA)) {
+            await repos.sessions.revokeFamily(stored.familyId);
+            return res.status(401).json({ error: 'Two-factor authentication is now required; please log in again' });
+        }
+
+        const session = await rotateSession(repos, req.app.get('config'), stored, account);
+
+        if (!session) {
+            return res.status(401).json({ error: 'Refresh token has already been used; please log in again' });
+        }
+
+        // Cookie sessions keep their CSRF token so requests already in flight still pass
+        if (fromCookie) {
+            setSessionCookies(res, req.app.get('config'), session, req.cookies[CSRF_COOKIE]);
+            return res.json({ expiresIn: session.expiresIn });
+        }
+
+        res.json(session);
+    } catch (error) {
+        sendError(res, error, 'Token refresh error');
+    }
+});
+
+// End a session: revoke the presented access token and the refresh token's
+// family. Either may be missing or already invalid; logout still succeeds.
+router.post('/logout', async (req, res) => {
+    const { token: accessToken, fromCookie: accessFromCookie } = readAccessToken(req);
+    const { token: refreshToken, fromCookie: refreshFromCookie } = readRefreshToken(req);
+
+    if ((accessFromCookie || refreshFromCookie) && !hasValidCsrfToken(req)) {
+        return res.status(403).json({ error: 'Invalid or missing CSRF token' });
+    }
+
+    try {
+        const { sessions } = req.app.get('repos');
+
+        if (accessToken) {
+            try {
+                const claims = jwt.verify(accessToken, req.app.get('config').jwtSecret);
+                if (claims.jti) {
+                    await sessions.revokeAccessToken(claims.jti, new Date(claims.exp * 1000).toISOString());
+                }
+            } catch (error) {
+                // Expired or invalid access tokens need no revoking
+            }
+        }
+
+        if (refreshToken) {
+            const stored = await sessions.findRefreshToken(hashToken(refreshToken));
+            if (stored) {
+                await sessions.revokeFamily(stored.familyId);
+            }
+        }
+
+        await sessions.purgeExpired();
+
+        clearSessionCookies(res, req.app.get('config'));
+        res.json({ message: 'Logged out' });
+    } catch (error) {
+        sendError(res, error, 'Logout error');
+    }
+});
+
+// Change password/passcode
+router.post('/change-password', authenticateToken, async (req, res) => {
+    const { currentPassword, newPassword } = req.body;
+
+    if (!currentPassword || !newPassword) {
+        return res.status(400).json({ error: 'Current and new password are required' });
+    }
+
+    const minLength = MIN_SECRET_LENGTH[req.user.role];
+    if (String(newPassword).length < minLength) {
+        return res.status(400).json({ error: `New password must be at least ${minLength} characters` });
+    }
+
+    try {
+        const repos = req.app.get('repos');
+        const { users, admins } = repos;
+        let account;
+
+        if (req.user.role === 'student') {
+            // For students, change passcode
+            const user = await users.findById(req.user.id);
+
+            if (!(await verifyPassword(currentPassword, user && user.passcode))) {
+                return res.status(401).json({ error: 'Current passcode is incorrect' });
+            }
+
+            await users.updatePasscode(req.user.id, await hashPassword(newPassword));
+            account = user;
+        } else if (req.user.role === 'admin') {
+            // For admins, change password
+            const admin = await admins.findById(req.user.id);
+
+            if (!(await verifyPassword(currentPassword, admin && admin.password))) {
+                return res.status(401).json({ error: 'Current password is incorrect' });
+            }
+
+            await admins.updatePassword(req.user.id, await hashPassword(newPassword));
+            account = admin;
+        }
+
+        // Sign out every other session, as a reset does, and give this one a fresh login
+        await repos.sessions.revokeAccount(req.user.role, req.user.id);
+        const session = await startSession(repos, req.app.get('config'), req.user.role, account);
+
+        await recordAudit(req, 'password.changed', { targetType: req.user.role, targetId: req.user.id });
+
+        let tokens = session;
+        if (readAccessToken(req).fromCookie) {
+            tokens = { expiresIn: session.expiresIn, csrfToken: setSessionCookies(res, req.app.get('config'), session) };
+        }
+        res.json({ message: 'Password changed successfully', ...tokens });
+    } catch (error) {
+        sendError(res, error, 'Change password error');
+    }
+});
+
+// Find the account a reset request refers to: students by reg number or
+// email, admins by username, admin reg number or email
+async function findResetAccount(repos, accountType, identifier) {
+    if (accountType === 'admin') {
+        const admin = await repos.admins.findByLoginOrEmail(identifier);
+        return admin && admin.status === 'active' && admin.email ? admin : null;
+    }
+    return (await repos.users.findConfirmedByLogin(identifier)) || null;
+}
+
+// Request a password/passcode reset link. The answer is the same whether or
+// not the account exists; only the per-IP limit is reported to the caller.
+router.post('/password-reset/request', async (req, res) => {
+    const identifier = String(req.body.identifier || '').trim();
+    const accountType = req.body.accountType || 'student';
+
+    if (!identifier) {
+        return res.status(400).json({ error: 'Registration number, username or email is required' });
+    }
+
+    if (!ACCOUNT_TYPES.includes(accountType)) {
+        return res.status(400).json({ error: `Account type must be one of: ${ACCOUNT_TYPES.join(', ')}` });
+    }
+
+    try {
+        const repos = req.app.get('repos');
+        const now = Date.now();
+
+        const fromIp = await repos.audit.countRecent({
+            action: 'password_reset.requested',
+            ip: req.ip,
+            since: new Date(now - RESET_RATE_LIMITS.ip.windowMs)
+        });
+
+        if (fromIp >= RESET_RATE_LIMITS.ip.max) {
+            await recordAudit(req, 'password_reset.rate_limited', { details: { accountType, identifier } });
+            res.set('Retry-After', String(Math.ceil(RESET_RATE_LIMITS.ip.windowMs / 1000)));
+            return res.status(429).json({ error: 'Too many reset requests. Please try again later.' });
+        }
+
+        const account = await findResetAccount(repos, accountType, identifier);
+
+        const forAccount = account ? await repos.audit.countRecent({
+            action: 'password_reset.requested',
+            targetType: accountType,
+            targetId: account.id,
+            since: new Date(now - RESET_RATE_LIMITS.account.windowMs)
+        }) : 0;
+
+        await recordAudit(req, 'password_reset.requested', {
+            targetType: account ? accountType : null,
+            targetId: account ? account.id : null,
+            details: { accountType, identifier, matched: Boolean(account) }
+        });
+
+        if (account && forAccount < RESET_RATE_LIMITS.account.max) {
+            const token = createToken();
+
+            await repos.passwordResets.create({
+                accountType,
+                accountId: account.id,
+                tokenHash: hashToken(token),
+                expiresAt: new Date(now + RESET_TOKEN_TTL_MS).toISOString(),
+                requestedIp: req.ip
+            });
+            await req.app.get('mailer').sendMail(buildResetEmail(req.app.get('config'), account, accountType, token));
+        }
+
+        res.status(202).json({
+            success: true,
+            message: 'If an account matches those details, a reset link has been sent to its email address.'
+        });
+    } catch (error) {
+        sendError(res, error, 'Password reset request error');
+    }
+});
+
+// Check a reset link before showing the form
+router.get('/password-reset/verify', async (req, res) => {
+    try {
+        const reset = req.query.token && await req.app.get('repos').passwordResets.findValid(hashToken(req.query.token));
+
+        if (!reset) {
+            return res.status(400).json({ valid: false, error: 'This reset link is invalid or has expired' });
+        }
+
+        res.json({ valid: true, accountType: reset.accountType });
+    } catch (error) {
+        sendError(res, error, 'Password reset verify error');
+    }
+});
+
+// Set a new password/passcode with a reset token; the token is spent even
+// if it is presented again concurrently
+router.post('/password-reset/confirm', async (req, res) => {
+    const { token, newPassword } = req.body;
+
+    if (!token || !newPassword) {
+        return res.status(400).json({ error: 'Reset token and new password are required' });
+    }
+
+    try {
+        const repos = req.app.get('repos');
+
+        const reset = await repos.passwordResets.findValid(hashToken(token));
+
+        if (!reset) {
+            await recordAudit(req, 'password_reset.failed', { details: { reason: 'invalid_token' } });
+            return res.status(400).json({ error: 'This reset link is invalid or has expired' });
+        }
+
+        const minLength = MIN_SECRET_LENGTH[reset.accountType];
+        if (String(newPassword).length < minLength) {
+            return res.status(400).json({ error: `New password must be at least ${minLength} characters` });
+        }
+
+        if (!(await repos.passwordResets.markUsed(reset.id))) {
+            return res.status(400).json({ error: 'This reset link is invalid or has expired' });
+        }
+
+        if (reset.accountType === 'admin') {
+            await repos.admins.updatePassword(reset.accountId, await hashPassword(newPassword));
+        } else {
+            await repos.users.updatePasscode(reset.accountId, await hashPassword(newPassword));
+        }
+
+        // Whoever knew the old secret may still hold a session
+        await repos.sessions.revokeAccount(reset.accountType, reset.accountId);
+        // and the owner can sign in with the new one straight away
+        await req.app.get('loginLimiter').unlock(accountLimitKey(reset.accountType, { id: reset.accountId }));
+
+        await recordAudit(req, 'password_reset.completed', { targetType: reset.accountType, targetId: reset.accountId });
+
+        res.json({ message: 'Your password has been reset. You can now log in.' });
+    } catch (error) {
+        sendError(res, error, 'Password reset error');
+    }
+});
+
+// Audit trail, newest first, optionally by ?action=
+router.get('/audit-log', authenticateToken, requirePermission('audit.view'), async (req, res) => {
+    try {
+        const { page, limit, offset } = parsePagination(req.query, { defaultLimit: 50, maxLimit: 200 });
+        const { entries, total } = await req.app.get('repos').audit.list({ action: req.query.action, limit, offset });
+
+        res.json({ entries, pagination: { page, limit, total, totalPages: Math.ceil(total / limit) } });
+    } catch (error) {
+        sendError(res, error, 'Error fetching audit log');
+    }
+});
+
+// List admin accounts with their roles
+router.get('/admins', authenticateToken, requirePermission('admins.manage'), async (req, res) => {
+    try {
+        const { admins, roles } = req.app.get('repos');
+        const [accounts, assignments] = await Promise.all([admins.list(), roles.listAssignments()]);
+
+        const rolesByAdmin = new Map(assignments
+            .filter((assignment) => assignment.accountType === 'admin')
+            .map((assignment) => [assignment.accountId, assignment.roles]));
+        res.json(accounts.map((admin) => ({ ...admin, roles: rolesByAdmin.get(admin.id) || [] })));
+    } catch (error) {
+        sendError(res, error, 'Error fetching admins');
+    }
+});
+
+// Create admin account; it gets the admin role unless { roles } says otherwise
+router.post('/admins', authenticateToken, requirePermission('admins.manage'), async (req, res) => {
+    const { username, regNumber, name, email, password, roles: requestedRoles = ['admin'] } = req.body;
+
+    if (!username || !name || !password) {
+        return res.status(400).json({ error: 'Username, name and password are required' });
+    }
+
+    if (password.length < 8) {
+        return res.status(400).json({ error: 'Password must be at least 8 characters' });
+    }
+
+    const invalidRegNumber = regNumber ? validateRegNumber(regNumber) : null;
+    if (invalidRegNumber) {
+        return res.status(400).json({ error: invalidRegNumber });
+    }
+
+    try {
+        const { admins, roles } = req.app.get('repos');
+
+        await assertRoleChangeAllowed(req, 'admin', null, [], requestedRoles);
+
+        if (await admins.exists({ username, regNumber: regNumber && normalizeRegNumber(regNumber), email })) {
+            return res.status(409).json({ error: 'An admin with that username, reg number or email already exists' });
+        }
+
+        const adminId = await admins.create({
+            username: username.trim().toLowerCase(),
+            regNumber: regNumber ? normalizeRegNumber(regNumber) : null,
+            name: name.trim(),
+            email: email ? email.trim().toLowerCase() : null,
+            passwordHash: await hashPassword(password)
+        });
+        await roles.setForAccount('admin', adminId, requestedRoles, req.user.id);
+
+        res.status(201).json({
+            message: 'Admin account created successfully',
+            admin: { ...await admins.findPublicById(adminId), roles: await roles.listForAccount('admin', adminId) }
+        });
+    } catch (error) {
+        sendError(res, error, 'Create admin error');
+    }
+});
+
+// Disable or re-enable an admin account
+async function setAdminStatus(req, res, status) {
+    const adminId = Number(req.params.id);
+
+    if (status === 'disabled' && adminId === req.user.id) {
+        return res.status(400).json({ error: 'You cannot disable your own account' });
+    }
+
+    try {
+        const { admins, roles, sessions } = req.app.get('repos');
+
+        const admin = await admins.findById(adminId);
+
+        if (!admin) {
+            return res.status(404).json({ error: 'Admin account not found' });
+        }
+
+        if (status === 'disabled' && admin.status === 'active' && await admins.countActive() <= 1) {
+            return res.status(400).json({ error: 'At least one admin account must remain active' });
+        }
+
+        const isSuperAdmin = (await roles.listForAccount('admin', adminId)).includes('super-admin');
+        if (isSuperAdmin && !req.roles.includes('super-admin')) {
+            return res.status(403).json({ error: 'Only a super-admin can disable or enable a super-admin' });
+        }
+        if (isSuperAdmin && status === 'disabled' && admin.status === 'active' && await roles.countActiveAdmins('super-admin') <= 1) {
+            return res.status(400).json({ error: 'At least one super-admin must remain active' });
+        }
+
+        await admins.setStatus(adminId, status);
+        if (status === 'disabled') {
+            await sessions.revokeAccount('admin', adminId);
+        }
+
+        res.json({ message: status === 'active' ? 'Admin account enabled' : 'Admin account disabled' });
+    } catch (error) {
+        sendError(res, error, 'Update admin status error');
+    }
+}
+
+router.post('/admins/:id/disable', authenticateToken, requirePermission('admins.manage'), (req, res) => setAdminStatus(req, res, 'disabled'));
+router.post('/admins/:id/enable', authenticateToken, requirePermission('admins.manage'), (req, res) => setAdminStatus(req, res, 'active'));
+
+// Refuse a role change the signed-in account isn't allowed to make.
+// `account` is the admin or student whose roles change, or null for a new one.
+async function assertRoleChangeAllowed(req, accountType, account, current, next) {
+    const invalid = validateRoles(accountType, next);
+    if (invalid) {
+        throw new ValidationError(invalid);
+    }
+
+    if (current.includes('super-admin') === next.includes('super-admin')) return;
+
+    if (!req.roles.includes('super-admin')) {
+        throw new ForbiddenError('Only a super-admin can grant or remove the super-admin role');
+    }
+    const { roles } = req.app.get('repos');
+    if (!next.includes('super-admin') && account.status === 'active' && await roles.countActiveAdmins('super-admin') <= 1) {
+        throw new ValidationError('At least one active super-admin must remain');
+    }
+}
+
+// The roles there are, which account type each is for and what it allows
+router.get('/roles', authenticateToken, requirePermission('roles.assign'), (req, res) => {
+    res.json(Object.entries(ROLES).map(([name, { accountType, description, permissions }]) => ({
+        name,
+        accountType,
+        description,
+        permissions
+    })));
+});
+
+// Every admin and student account holding a role
+router.get('/role-assignments', authenticateToken, requirePermission('roles.assign'), async (req, res) => {
+    try {
+        res.json(await req.app.get('repos').roles.listAssignments());
+    } catch (error) {
+        sendError(res, error, 'Error fetching role assignments');
+    }
+});
+
+// Set the roles of an account found by admin username/reg number or student
+// reg number/email, e.g. { accountType: 'student', login, roles: ['class-rep'] }.
+// An empty list removes every role.
+router.put('/role-assignments', authenticateToken, requirePermission('roles.assign'), async (req, res) => {
+    const { accountType, login, roles: requestedRoles } = req.body;
+
+    if (!['admin', 'student'].includes(accountType) || !login) {
+        return res.status(400).json({ error: 'accountType (admin or student) and login are required' });
+    }
+
+    try {
+        const { admins, users, roles } = req.app.get('repos');
+        const account = accountType === 'admin'
+            ? await admins.findByLogin(String(login).trim())
+            : await users.findConfirmedByLogin(String(login).trim());
+
+        if (!account) {
+            return res.status(404).json({ error: 'Account not found' });
+        }
+
+        const current = await roles.listForAccount(accountType, account.id);
+        await assertRoleChangeAllowed(req, accountType, account, current, requestedRoles);
+
+        await roles.setForAccount(accountType, account.id, requestedRoles, req.user.id);
+        const updated = await roles.listForAccount(accountType, account.id);
+        await recordAudit(req, 'roles.updated', {
+            targetType: accountType,
+            targetId: account.id,
+            details: { from: current, to: updated }
+        });
+
+        res.json({
+            message: 'Roles updated',
+            assignment: {
+                accountType,
+                accountId: account.id,
+                name: account.name,
+                login: accountType === 'admin' ? account.username : account.regNumber,
+                roles: updated
+            }
+        });
+    } catch (error) {
+        sendError(res, error, 'Error updating roles');
+    }
+});
+
+// Two-factor status for the signed-in admin
+router.get('/admin/2fa', authenticateToken, requireAccountType('admin'), async (req, res) => {
+    try {
+        const { admins, settings } = req.app.get('repos');
+        const admin = await admins.findById(req.user.id);
+
+        res.json({
+            enabled: Boolean(admin.totpSecret),
+            enabledAt: admin.totpEnabledAt,
+            recoveryCodesRemaining: admin.totpSecret ? await admins.countRecoveryCodes(admin.id) : 0,
+            required: await settings.getFlag(REQUIRE_ADMIN_2FA)
+        });
+    } catch (error) {
+        sendError(res, error, 'Error fetching two-factor status');
+    }
+});
+
+// Start enrolling an authenticator app: returns the secret and a QR code
+router.post('/admin/2fa/setup', authenticateToken, requireAccountType('admin'), async (req, res) => {
+    try {
+        const admin = await req.app.get('repos').admins.findById(req.user.id);
+
+        if (admin.totpSecret) {
+            return res.status(409).json({ error: 'Two-factor authentication is already enabled' });
+        }
+
+        res.json(await beginEnrollment(req.app.get('repos'), req.app.get('config'), admin));
+    } catch (error) {
+        sendError(res, error, 'Two-factor setup error');
+    }
+});
+
+// Confirm enrollment with a code from the app; the recovery codes are shown once
+router.post('/admin/2fa/enable', authenticateToken, requireAccountType('admin'), async (req, res) => {
+    if (!req.body.code) {
+        return res.status(400).json({ error: 'Authentication code is required' });
+    }
+
+    try {
+        const repos = req.app.get('repos');
+        const admin = await repos.admins.findById(req.user.id);
+
+        if (admin.totpSecret) {
+            return res.status(409).json({ error: 'Two-factor authentication is already enabled' });
+        }
+
+        if (!admin.totpPendingSecret) {
+            return res.status(400).json({ error: 'Start two-factor setup first' });
+        }
+
+        const recoveryCodes = await completeEnrollment(repos, req.app.get('config'), admin, req.body.code);
+
+        if (!recoveryCodes) {
+            return res.status(400).json({ error: 'Invalid authentication code' });
+        }
+
+        await recordAudit(req, 'admin_2fa.enabled', { targetType: 'admin', targetId: admin.id });
+
+        res.json({ message: 'Two-factor authentication enabled', recoveryCodes });
+    } catch (error) {
+        sendError(res, error, 'Two-factor setup error');
+    }
+});
+
+// Check the password and a current second factor before changing 2FA settings
+async function confirmAdminIdentity(req, res, admin) {
+    const { password, code } = req.body;
+
+    if (!password || !code) {
+        res.status(400).json({ error: 'Password and authentication code are required' });
+        return false;
+    }
+
+    if (!(await verifyPassword(password, admin.password))) {
+        res.status(401).json({ error: 'Password is incorrect' });
+        return false;
+    }
+
+    if (!(await verifySecondFactor(req.app.get('repos'), req.app.get('config'), admin, code))) {
+        res.status(401).json({ error: 'Invalid authentication code' });
+        return false;
+    }
+
+    return true;
+}
+
+// Turn 2FA off, unless it is mandatory
+router.post('/admin/2fa/disable', authenticateToken, requireAccountType('admin'), async (req, res) => {
+    try {
+        const { admins, settings } = req.app.get('repos');
+        const admin = await admins.findById(req.user.id);
+
+        if (!admin.totpSecret) {
+            return res.status(400).json({ error: 'Two-factor authentication is not enabled' });
+        }
+
+        if (await settings.getFlag(REQUIRE_ADMIN_2FA)) {
+            return res.status(400).json({ error: 'Two-factor authentication is required for all admin accounts' });
+        }
+
+        if (!(await confirmAdminIdentity(req, res, admin))) return;
+
+        await admins.disableTotp(admin.id);
+        await recordAudit(req, 'admin_2fa.disabled', { targetType: 'admin', targetId: admin.id });
+
+        res.json({ message: 'Two-factor authentication disabled' });
+    } catch (error) {
+        sendError(res, error, 'Error disabling two-factor authentication');
+    }
+});
+
+// Replace the recovery codes, e.g. after using several of them
+router.post('/admin/2fa/recovery-codes', authenticateToken, requireAccountType('admin'), async (req, res) => {
+    try {
+        const repos = req.app.get('repos');
+        const admin = await repos.admins.findById(req.user.id);
+
+        if (!admin.totpSecret) {
+            return res.status(400).json({ error: 'Two-factor authentication is not enabled' });
+        }
+
+        if (!(await confirmAdminIdentity(req, res, admin))) return;
+
+        const recoveryCodes = await regenerateRecoveryCodes(repos, admin);
+        await recordAudit(req, 'admin_2fa.recovery_codes_regenerated', { targetType: 'admin', targetId: admin.id });
+
+        res.json({ message: 'New recovery codes generated', recoveryCodes });
+    } catch (error) {
+        sendError(res, error, 'Error generating recovery codes');
+    }
+});
+
+// Security settings (anyone managing security may read them; only super-admins change them)
+router.get('/security-settings', authenticateToken, requirePermission('security.manage'), async (req, res) => {
+    try {
+        res.json({ requireAdmin2fa: await req.app.get('repos').settings.getFlag(REQUIRE_ADMIN_2FA) });
+    } catch (error) {
+        sendError(res, error, 'Error fetching security settings');
+    }
+});
+
+router.put('/security-settings', authenticateToken, requirePermission('settings.manage'), async (req, res) => {
+    const { requireAdmin2fa } = req.body;
+
+    if (typeof requireAdmin2fa !== 'boolean') {
+        return res.status(400).json({ error: 'requireAdmin2fa must be true or false' });
+    }
+
+    try {
+        await req.app.get('repos').settings.set(REQUIRE_ADMIN_2FA, requireAdmin2fa, req.user.id);
+        await recordAudit(req, 'settings.updated', { details: { [REQUIRE_ADMIN_2FA]: requireAdmin2fa } });
+
+        res.json({ message: 'Security settings updated', requireAdmin2fa });
+    } catch (error) {
+        sendError(res, error, 'Error updating security settings');
+    }
+});
+
+// Accounts and IP addresses locked out after failed logins
+router.get('/login-lockouts', authenticateToken, requirePermission('security.manage'), async (req, res) => {
+    try {
+        const { users, admins } = req.app.get('repos');
+        const locked = await req.app.get('loginLimiter').listLocked();
+
+        const lockouts = await Promise.all(locked.map(async ({ key, lockedUntil }) => {
+            if (key.startsWith('ip:')) {
+                return { key, scope: 'ip', ip: key.slice(3), lockedUntil };
+            }
+
+            // Failed logins for names that match no account are locked too
+            const [accountType, id, ...login] = key.split(':');
+            if (id === 'unknown') {
+                return { key, scope: 'account', accountType, accountId: null, name: null, login: login.join(':'), lockedUntil };
+            }
+
+            const account = accountType === 'admin' ? await admins.findById(id) : await users.findById(id);
+            return {
+                key,
+                scope: 'account',
+                accountType,
+                accountId: Number(id),
+                name: account ? account.name : null,
+                login: account ? account.username || account.regNumber : null,
+                lockedUntil
+            };
+        }));
+
+        res.json(lockouts);
+    } catch (error) {
+        sendError(res, error, 'Error fetching login lockouts');
+    }
+});
+
+// Lift a lockout before it expires
+router.post('/login-lockouts/unlock', authenticateToken, requirePermission('security.manage'), async (req, res) => {
+    const { key } = req.body;
+
+    if (!key) {
+        return res.status(400).json({ error: 'Lockout key is required' });
+    }
+
+    try {
+        if (!(await req.app.get('loginLimiter').unlock(String(key)))) {
+            return res.status(404).json({ error: 'No lockout found for that key' });
+        }
+
+        const [accountType, id] = String(key).split(':');
+        const isAccount = ['student', 'admin'].includes(accountType) && /^\d+$/.test(id);
+
+        await recordAudit(req, 'login.unlocked', {
+            targetType: isAccount ? accountType : null,
+            targetId: isAccount ? Number(id) : null,
+            details: { key }
+        });
+
+        res.json({ message: 'Lockout lifted' });
+    } catch (error) {
+        sendError(res, error, 'Unlock error');
+    }
+});
+
+// Look up the course a material is being filed under
+async function findMaterialCourse(courses, courseCode) {
+    const course = await courses.findByCode(String(courseCode).trim().toUpperCase());
+    if (!course) {
+        throw new ValidationError(`Course ${courseCode} does not exist`);
+    }
+    return course;
+}
+
+// Lecturers without materials.manage may only touch materials of courses they teach
+async function assertCanManageCourseMaterials(req, courseCode) {
+    if (hasPermission(req, 'materials.manage')) return;
+
+    const taught = req.user.role === 'admin' && courseCode
+        && await req.app.get('repos').courses.isTaughtBy(courseCode, req.user.id);
+    if (!taught) {
+        throw new ForbiddenError('You can only manage materials for courses you teach');
+    }
+}
+
+// Upload material for a course
+router.post('/materials', authenticateToken, requirePermission('materials.manage', 'materials.manage_own'), acceptUpload(upload.single('file')), async (req, res) => {
+    const filePath = req.file ? `/uploads/${req.file.filename}` : null;
+
+    const { courseCode, description, type } = req.body;
+
+    if (!courseCode || !req.file) {
+        await removeUploadedFile(req, filePath);
+        return res.status(400).json({ error: 'Course code and file are required' });
+    }
+
+    try {
+        const { materials, courses } = req.app.get('repos');
+        const course = await findMaterialCourse(courses, courseCode);
+        await assertCanManageCourseMaterials(req, course.code);
+
+        await materials.create({
+            courseCode: course.code,
+            courseTitle: course.title,
+            description,
+            type,
+            fileName: req.file.originalname,
+            filePath,
+            uploadedBy: req.user.id
+        });
+
+        res.status(201).json({ message: 'Material uploaded successfully' });
+    } catch (error) {
+        await removeUploadedFile(req, filePath);
+        sendError(res, error, 'Upload material error');
+    }
+});
+
+// Get materials
+router.get('/materials', async (req, res) => {
+    try {
+        const { materials } = req.app.get('repos');
+        res.json(await materials.list());
+    } catch (error) {
+        sendError(res, error, 'Error fetching materials');
+    }
+});
+
+// Update material metadata and optionally replace its file
+router.put('/materials/:id', authenticateToken, requirePermission('materials.manage', 'materials.manage_own'), acceptUpload(upload.single('file')), async (req, res) => {
+    const newFilePath = req.file ? `/uploads/${req.file.filename}` : null;
+
+    const { courseCode, description, type } = req.body;
+
+    try {
+        const { materials, courses } = req.app.get('repos');
+
+        const existing = await materials.findById(req.params.id);
+
+        if (!existing) {
+            await removeUploadedFile(req, newFilePath);
+            return res.status(404).json({ error: 'Material not found' });
+        }
+
+        const course = courseCode ? await findMaterialCourse(courses, courseCode) : null;
+        await assertCanManageCourseMaterials(req, existing.courseCode);
+        if (course) {
+            await assertCanManageCourseMaterials(req, course.code);
+        }
+
+        await materials.update(existing.id, {
+            courseCode: course ? course.code : undefined,
+            courseTitle: course ? course.title : undefined,
+            description,
+            type: type || undefined,
+            fileName: req.file ? req.file.originalname : undefined,
+            filePath: newFilePath || undefined
+        });
+
+        if (newFilePath) {
+            await removeUploadedFile(req, existing.filePath);
+        }
+
+        res.json({ message: 'Material updated successfully', material: await materials.findById(existing.id) });
+    } catch (error) {
+        await removeUploadedFile(req, newFilePath);
+        sendError(res, error, 'Update material error');
+    }
+});
+
+// Delete material and its stored file
+router.delete('/materials/:id', authenticateToken, requirePermission('materials.manage', 'materials.manage_own'), async (req, res) => {
+    try {
+        const { materials } = req.app.get('repos');
+
+        const material = await materials.findById(req.params.id);
+
+        if (!material) {
+            return res.status(404).json({ error: 'Material not found' });
+        }
+
+        await assertCanManageCourseMaterials(req, material.courseCode);
+
+        await materials.delete(material.id);
+        await removeUploadedFile(req, material.filePath);
+
+        res.json({ message: 'Material deleted successfully' });
+    } catch (error) {
+        sendError(res, error, 'Delete material error');
+    }
+});
+
+// Shape an events row for API consumers (admin dashboard reads eventDate/imageUrl)
+function formatEvent(row) {
+    return {
+        id: row.id,
+        title: row.title,
+        date: row.date,
+        eventDate: row.date,
+        description: row.description,
+        imageUrl: row.imagePath,
+        createdBy: row.createdBy,
+        createdAt: row.createdAt
+    };
+}
+
+// Check that a date filter is a parseable date string
+function isValidDate(value) {
+    return typeof value === 'string' && !Number.isNaN(Date.parse(value));
+}
+
+// Get events (optionally filtered by date range or upcoming only)
+router.get('/events', async (req, res) => {
+    const { from, to, upcoming } = req.query;
+
+    if ((from && !isValidDate(from)) || (to && !isValidDate(to))) {
+        return res.status(400).json({ error: 'Invalid date filter. Use YYYY-MM-DD' });
+    }
+
+    try {
+        const { events } = req.app.get('repos');
+        const rows = await events.list({ from, to, upcoming: upcoming === 'true' });
+        res.json(rows.map(formatEvent));
+    } catch (error) {
+        sendError(res, error, 'Error fetching events');
+    }
+});
+
+// Get a single event
+router.get('/events/:id', async (req, res) => {
+    try {
+        const { events } = req.app.get('repos');
+
+        const event = await events.findById(req.params.id);
+
+        if (!event) {
+            return res.status(404).json({ error: 'Event not found' });
+        }
+
+        res.json(formatEvent(event));
+    } catch (error) {
+        sendError(res, error, 'Error fetching event');
+    }
+});
+
+// Create event
+router.post('/events', authenticateToken, requirePermission('events.manage', 'events.create'), acceptUpload(imageUpload.single('image')), async (req, res) => {
+    const imagePath = req.file ? `/uploads/${req.file.filename}` : null;
+
+    const { title, description } = req.body;
+    const date = req.body.eventDate || req.body.date;
+
+    if (!title || !date) {
+        await removeUploadedFile(req, imagePath);
+        return res.status(400).json({ error: 'Event title and date are required' });
+    }
+
+    if (!isValidDate(date)) {
+        await removeUploadedFile(req, imagePath);
+        return res.status(400).json({ error: 'Invalid event date' });
+    }
+
+    try {
+        const { events } = req.app.get('repos');
+
+        const eventId = await events.create({ title, date, description, imagePath, createdBy: req.user.id });
+
+        res.status(201).json({ message: 'Event created successfully', event: formatEvent(await events.findById(eventId)) });
+    } catch (error) {
+        await removeUploadedFile(req, imagePath);
+        sendError(res, error, 'Create event error');
+    }
+});
+
+// Update event
+router.put('/events/:id', authenticateToken, requirePermission('events.manage'), acceptUpload(imageUpload.single('image')), async (req, res) => {
+    const newImagePath = req.file ? `/uploads/${req.file.filename}` : null;
+
+    const { title, description, removeImage } = req.body;
+    const date = req.body.eventDate || req.body.date;
+
+    if (date && !isValidDate(date)) {
+        await removeUploadedFile(req, newImagePath);
+        return res.status(400).json({ error: 'Invalid event date' });
+    }
+
+    try {
+        const { events } = req.app.get('repos');
+
+        const existing = await events.findById(req.params.id);
+
+        if (!existing) {
+            await removeUploadedFile(req, newImagePath);
+            return res.status(404).json({ error: 'Event not found' });
+        }
+
+        let imagePath = existing.imagePath;
+        if (newImagePath || removeImage === 'true') {
+            imagePath = newImagePath;
+        }
+
+        await events.update(existing.id, {
+            title: title || undefined,
+            date: date || undefined,
+            description,
+            imagePath
+        });
+
+        if (imagePath !== existing.imagePath) {
+            await removeUploadedFile(req, existing.imagePath);
+        }
+
+        res.json({ message: 'Event updated successfully', event: formatEvent(await events.findById(existing.id)) });
+    } catch (error) {
+        await removeUploadedFile(req, newImagePath);
+        sendError(res, error, 'Update event error');
+    }
+});
+
+// Delete event
+router.delete('/events/:id', authenticateToken, requirePermission('events.manage'), async (req, res) => {
+    try {
+        const { events } = req.app.get('repos');
+
+        const event = await events.findById(req.params.id);
+
+        if (!event) {
+            return res.status(404).json({ error: 'Event not found' });
+        }
+
+        await events.delete(event.id);
+        await removeUploadedFile(req, event.imagePath);
+
+        res.json({ message: 'Event deleted successfully' });
+    } catch (error) {
+        sendError(res, error, 'Delete event error');
+    }
+});
+
+// Read ?page= and ?limit= query parameters for paginated lists
+function parsePagination(query, { defaultLimit = 10, maxLimit = 50 } = {}) {
+    const page = query.page === undefined ? 1 : Number(query.page);
+    const limit = query.limit === undefined ? defaultLimit : Number(query.limit);
+
+    if (!Number.isInteger(page) || page < 1) {
+        throw new ValidationError('page must be a positive integer');
+    }
+    if (!Number.isInteger(limit) || limit < 1 || limit > maxLimit) {
+        throw new ValidationError(`limit must be between 1 and ${maxLimit}`);
+    }
+
+    return { page, limit, offset: (page - 1) * limit };
+}
+
+const NEWS_STATUSES = ['draft', 'published'];
+
+// Turn a title into a URL slug, e.g. "New Semester: Registration Open!" -> "new-semester-registration-open"
+function slugify(text) {
+    return String(text || '').toLowerCase()
+        .replace(/[^a-z0-9]+/g, '-')
+        .replace(/^-+|-+$/g, '')
+        .slice(0, 80);
+}
+
+// Pick a slug no other article uses by appending -2, -3, ... when needed
+async function uniqueNewsSlug(news, text, excludeId = null) {
+    const base = slugify(text) || 'article';
+    let slug = base;
+    for (let suffix = 2; await news.slugExists(slug, excludeId); suffix++) {
+        slug = `${base}-${suffix}`;
+    }
+    return slug;
+}
+
+// Shape a news row for API consumers (homepage renderNews reads date/imageUrl/excerpt)
+function formatNews(row) {
+    const publishAt = row.publishAt || null;
+    return {
+        id: row.id,
+        slug: row.slug,
+        title: row.title,
+        excerpt: row.excerpt,
+        content: row.content,
+        imageUrl: row.imageUrl,
+        date: publishAt || row.date,
+        status: row.status,
+        publishAt,
+        scheduled: row.status === 'published' && publishAt !== null && Date.parse(publishAt) > Date.now(),
+        author: row.author,
+        authorId: row.authorId,
+        createdAt: row.createdAt,
+        updatedAt: row.updatedAt
+    };
+}
+
+// Work out status/publishAt/date for an article from the request body.
+// Publishing without a date publishes immediately; a future date schedules it.
+function resolvePublishing(body, existing = {}) {
+    const status = body.status !== undefined ? body.status : (existing.status || 'draft');
+    if (!NEWS_STATUSES.includes(status)) {
+        throw new ValidationError(`Status must be one of: ${NEWS_STATUSES.join(', ')}`);
+    }
+
+    let publishAt = existing.publishAt || null;
+    if (body.publishAt !== undefined) {
+        if (body.publishAt && !isValidDate(body.publishAt)) {
+            throw new ValidationError('Invalid publish date');
+        }
+        publishAt = body.publishAt ? new Date(body.publishAt).toISOString() : null;
+    }
+
+    if (status === 'published' && !publishAt) {
+        publishAt = new Date().toISOString();
+    }
+
+    return { status, publishAt, date: publishAt || existing.date || new Date().toISOString() };
+}
+
+// Get published news articles (for homepage), newest first
+router.get('/news', async (req, res) => {
+    try {
+        const { news } = req.app.get('repos');
+        const { page, limit, offset } = parsePagination(req.query, { defaultLimit: 6 });
+
+        const { articles, total } = await news.listPublished({ limit, offset });
+
+        res.json({
+            articles: articles.map(formatNews),
+            pagination: { page, limit, total, totalPages: Math.ceil(total / limit) }
+        });
+    } catch (error) {
+        sendError(res, error, 'Error fetching news');
+    }
+});
+
+// List every article including drafts and scheduled ones
+router.get('/admin/news', authenticateToken, requirePermission('news.manage'), async (req, res) => {
+    const { status } = req.query;
+
+    if (status && !NEWS_STATUSES.includes(status)) {
+        return res.status(400).json({ error: `Status must be one of: ${NEWS_STATUSES.join(', ')}` });
+    }
+
+    try {
+        const { news } = req.app.get('repos');
+        const articles = await news.listAll({ status });
+        res.json(articles.map(formatNews));
+    } catch (error) {
+        sendError(res, error, 'Error fetching news');
+    }
+});
+
+// Get a single published article by slug
+router.get('/news/:slug', async (req, res) => {
+    try {
+        const { news } = req.app.get('repos');
+
+        const article = await news.findPublishedBySlug(req.params.slug);
+
+        if (!article) {
+            return res.status(404).json({ error: 'Article not found' });
+        }
+
+        res.json(formatNews(article));
+    } catch (error) {
+        sendError(res, error, 'Error fetching article');
+    }
+});
+
+// Create article as a draft or published/scheduled
+router.post('/news', authenticateToken, requirePermission('news.manage'), acceptUpload(imageUpload.single('image')), async (req, res) => {
+    const imageUrl = req.file ? `/uploads/${req.file.filename}` : null;
+
+    const { title, excerpt, content, slug } = req.body;
+
+    if (!title) {
+        await removeUploadedFile(req, imageUrl);
+        return res.status(400).json({ error: 'Article title is required' });
+    }
+
+    try {
+        const { news, admins } = req.app.get('repos');
+        const publishing = resolvePublishing(req.body);
+        const author = await admins.findById(req.user.id);
+
+        const articleId = await news.create({
+            slug: await uniqueNewsSlug(news, slug || title),
+            title,
+            excerpt,
+            content,
+            imageUrl,
+            ...publishing,
+            author: author ? author.name || author.username : null,
+            authorId: req.user.id
+        });
+
+        res.status(201).json({ message: 'Article created successfully', article: formatNews(await news.findById(articleId)) });
+    } catch (error) {
+        await removeUploadedFile(req, imageUrl);
+        sendError(res, error, 'Create article error');
+    }
+});
+
+// Update article
+router.put('/news/:id', authenticateToken, requirePermission('news.manage'), acceptUpload(imageUpload.single('image')), async (req, res) => {
+    const newImageUrl = req.file ? `/uploads/${req.file.filename}` : null;
+
+    const { title, excerpt, content, slug, removeImage } = req.body;
+
+    try {
+        const { news } = req.app.get('repos');
+
+        const existing = await news.findById(req.params.id);
+
+        if (!existing) {
+            await removeUploadedFile(req, newImageUrl);
+            return res.status(404).json({ error: 'Article not found' });
+        }
+
+        let imageUrl = existing.imageUrl;
+        if (newImageUrl || removeImage === 'true') {
+            imageUrl = newImageUrl;
+        }
+
+        await news.update(existing.id, {
+            slug: slug ? await uniqueNewsSlug(news, slug, existing.id) : undefined,
+            title: title || undefined,
+            excerpt,
+            content,
+            imageUrl,
+            ...resolvePublishing(req.body, existing)
+        });
+
+        if (imageUrl !== existing.imageUrl) {
+            await removeUploadedFile(req, existing.imageUrl);
+        }
+
+        res.json({ message: 'Article updated successfully', article: formatNews(await news.findById(existing.id)) });
+    } catch (error) {
+        await removeUploadedFile(req, newImageUrl);
+        sendError(res, error, 'Update article error');
+    }
+});
+
+// Publish an article now, or schedule it with { publishAt }
+router.post('/news/:id/publish', authenticateToken, requirePermission('news.manage'), async (req, res) => {
+    try {
+        const { news } = req.app.get('repos');
+
+        const existing = await news.findById(req.params.id);
+
+        if (!existing) {
+            return res.status(404).json({ error: 'Article not found' });
+        }
+
+        // A draft keeps a stale publishAt from an earlier publish; start fresh
+        const current = existing.status === 'draft' ? { ...existing, publishAt: null } : existing;
+        await news.update(existing.id, resolvePublishing({ status: 'published', publishAt: req.body.publishAt }, current));
+
+        const article = formatNews(await news.findById(existing.id));
+        res.json({ message: article.scheduled ? 'Article scheduled' : 'Article published', article });
+    } catch (error) {
+        sendError(res, error, 'Publish article error');
+    }
+});
+
+// Move an article back to draft
+router.post('/news/:id/unpublish', authenticateToken, requirePermission('news.manage'), async (req, res) => {
+    try {
+        const { news } = req.app.get('repos');
+
+        const existing = await news.findById(req.params.id);
+
+        if (!existing) {
+            return res.status(404).json({ error: 'Article not found' });
+        }
+
+        await news.update(existing.id, { status: 'draft' });
+
+        res.json({ message: 'Article unpublished', article: formatNews(await news.findById(existing.id)) });
+    } catch (error) {
+        sendError(res, error, 'Unpublish article error');
+    }
+});
+
+// Delete article and its image
+router.delete('/news/:id', authenticateToken, requirePermission('news.manage'), async (req, res) => {
+    try {
+        const { news } = req.app.get('repos');
+
+        const article = await news.findById(req.params.id);
+
+        if (!article) {
+            return res.status(404).json({ error: 'Article not found' });
+        }
+
+        await news.delete(article.id);
+        await removeUploadedFile(req, article.imageUrl);
+
+        res.json({ message: 'Article deleted successfully' });
+    } catch (error) {
+        sendError(res, error, 'Delete article error');
+    }
+});
+
+const ACHIEVEMENT_SORTS = ['date', 'title', 'createdAt'];
+const ICON_PATTERN = /^[a-z0-9-]+$/;
+
+// Shape an achievement row for API consumers (homepage renderAchievements reads icon/link)
+function formatAchievement(row) {
+    return {
+        id: row.id,
+        title: row.title,
+        description: row.description,
+        icon: row.icon,
+        link: row.link,
+        date: row.date,
+        student: row.userId ? { id: row.userId, name: row.studentName } : null,
+        createdAt: row.createdAt,
+        updatedAt: row.updatedAt
+    };
+}
+
+// Validate achievement fields from a request body.
+// With partial = true only the provided fields are checked (for updates).
+async function parseAchievementInput(users, body, { partial = false } = {}) {
+    const achievement = {};
+
+    if (body.title !== undefined || !partial) {
+        achievement.title = String(body.title || '').trim();
+        if (!achievement.title) {
+            throw new ValidationError('Achievement title is required');
+        }
+    }
+
+    if (body.date !== undefined || !partial) {
+        if (!isValidDate(body.date)) {
+            throw new ValidationError('A valid achievement date is required');
+        }
+        achievement.date = body.date;
+    }
+
+    if (body.description !== undefined) {
+        achievement.description = body.description ? String(body.description).trim() : null;
+    }
+
+    if (body.icon !== undefined) {
+        achievement.icon = body.icon || 'trophy';
+        if (!ICON_PATTERN.test(achievement.icon)) {
+            throw new ValidationError('Icon must be a Font Awesome icon name, e.g. trophy');
+        }
+    }
+
+    if (body.link !== undefined) {
+        achievement.link = body.link || null;
+        if (achievement.link && !/^(https?:\/\/|\/)/.test(achievement.link)) {
+            throw new ValidationError('Link must be an http(s) URL or a site path');
+        }
+    }
+
+    // Only confirmed students can be credited; null/empty removes the link
+    if (body.userId !== undefined) {
+        achievement.userId = body.userId ? Number(body.userId) : null;
+        if (achievement.userId !== null) {
+            const student = await users.findById(achievement.userId);
+            if (!student || student.status !== 'confirmed') {
+                throw new ValidationError('userId must refer to a confirmed student');
+            }
+        }
+    }
+
+    return achievement;
+}
+
+// Get achievements (for homepage), e.g. ?sort=date&order=desc&limit=6
+router.get('/achievements', async (req, res) => {
+    const { sort = 'date', order = 'desc' } = req.query;
+    const limit = req.query.limit === undefined ? undefined : Number(req.query.limit);
+
+    if (!ACHIEVEMENT_SORTS.includes(sort)) {
+        return res.status(400).json({ error: `sort must be one of: ${ACHIEVEMENT_SORTS.join(', ')}` });
+    }
+    if (!['asc', 'desc'].includes(order)) {
+        return res.status(400).json({ error: 'order must be asc or desc' });
+    }
+    if (limit !== undefined && (!Number.isInteger(limit) || limit < 1 || limit > 100)) {
+        return res.status(400).json({ error: 'limit must be between 1 and 100' });
+    }
+
+    try {
+        const { achievements } = req.app.get('repos');
+        const rows = await achievements.list({ sort, order, limit });
+        res.json(rows.map(formatAchievement));
+    } catch (error) {
+        sendError(res, error, 'Error fetching achievements');
+    }
+});
+
+// Get a single achievement
+router.get('/achievements/:id', async (req, res) => {
+    try {
+        const { achievements } = req.app.get('repos');
+
+        const achievement = await achievements.findById(req.params.id);
+
+        if (!achievement) {
+            return res.status(404).json({ error: 'Achievement not found' });
+        }
+
+        res.json(formatAchievement(achievement));
+    } catch (error) {
+        sendError(res, error, 'Error fetching achievement');
+    }
+});
+
+// Create achievement
+router.post('/achievements', authenticateToken, requirePermission('achievements.manage'), async (req, res) => {
+    try {
+        const { achievements, users } = req.app.get('repos');
+        const input = await parseAchievementInput(users, req.body);
+
+        const achievementId = await achievements.create(input);
+
+        res.status(201).json({
+            message: 'Achievement created successfully',
+            achievement: formatAchievement(await achievements.findById(achievementId))
+        });
+    } catch (error) {
+        sendError(res, error, 'Create achievement error');
+    }
+});
+
+// Update achievement
+router.put('/achievements/:id', authenticateToken, requirePermission('achievements.manage'), async (req, res) => {
+    try {
+        const { achievements, users } = req.app.get('repos');
+
+        const existing = await achievements.findById(req.params.id);
+
+        if (!existing) {
+            return res.status(404).json({ error: 'Achievement not found' });
+        }
+
+        await achievements.update(existing.id, await parseAchievementInput(users, req.body, { partial: true }));
+
+        res.json({
+            message: 'Achievement updated successfully',
+            achievement: formatAchievement(await achievements.findById(existing.id))
+        });
+    } catch (error) {
+        sendError(res, error, 'Update achievement error');
+    }
+});
+
+// Delete achievement
+router.delete('/achievements/:id', authenticateToken, requirePermission('achievements.manage'), async (req, res) => {
+    try {
+        const { achievements } = req.app.get('repos');
+
+        const achievement = await achievements.findById(req.params.id);
+
+        if (!achievement) {
+            return res.status(404).json({ error: 'Achievement not found' });
+        }
+
+        await achievements.delete(achievement.id);
+
+        res.json({ message: 'Achievement deleted successfully' });
     } catch (error) {
-        console.error('Error fetching achievements:', error);
-        res.status(500).json({ error: 'Failed to fetch achievements' });
+        sendError(res, error, 'Delete achievement error');
     }
 });
 
@@ -0,0 +1,69 @@
+const crypto = require('crypto');
+const jwt = require('jsonwebtoken');
+const { createToken, hashToken } = require('./tokens');
+
+// Claims carried in the access token for each kind of account
+const accessClaims = (accountType, account) => (accountType === 'admin'
+    ? { id: account.id, username: account.username, role: 'admin' }
+    : { id: account.id, regNumber: account.regNumber, role: 'student' });
+
+// Short-lived JWT; the jti lets a single token be revoked at logout. iat is
+// kept to the millisecond so a session started straight after signing an
+// account out everywhere is not caught by the cutoff.
+const signAccessToken = (config, claims) => jwt.sign({ ...claims, iat: Date.now() / 1000 }, config.jwtSecret, {
+    expiresIn: config.accessTokenTtlSeconds,
+    jwtid: crypto.randomUUID()
+});
+
+/**
+ * Issue an access token and a refresh token for an account. Without a
+ * familyId this starts a new login; rotation passes the existing family.
+ * @param {{ sessions: ReturnType<import('./repositories/sessionsRepo').createSessionsRepo> }} repos
+ * @param {object} config - app config
+ * @param {'student'|'admin'} accountType
+ * @param {object} account - user or admin row
+ * @returns {Promise<{ token: string, refreshToken: string, expiresIn: number }>}
+ */
+const startSession = async ({ sessions }, config, accountType, account) => {
+    const refreshToken = createToken();
+
+    await sessions.createRefreshToken({
+        accountType,
+        accountId: account.id,
+        familyId: crypto.randomUUID(),
+        tokenHash: hashToken(refreshToken),
+        expiresAt: new Date(Date.now() + config.refreshTokenTtlMs).toISOString()
+    });
+
+    return {
+        token: signAccessToken(config, accessClaims(accountType, account)),
+        refreshToken,
+        expiresIn: config.accessTokenTtlSeconds
+    };
+};
+
+/**
+ * Swap a stored refresh token for the next one in its family.
+ * @returns {Promise<{ token: string, refreshToken: string, expiresIn: number }|null>}
+ *     null if the token was rotated concurrently
+ */
+const rotateSession = async ({ sessions }, config, storedToken, account) => {
+    const refreshToken = createToken();
+
+    const rotatedId = await sessions.rotateRefreshToken(storedToken.id, {
+        tokenHash: hashToken(refreshToken),
+        expiresAt: new Date(Date.now() + config.refreshTokenTtlMs).toISOString()
+    });
+    if (!rotatedId) return null;
+
+    return {
+        token: signAccessToken(config, accessClaims(storedToken.accountType, account)),
+        refreshToken,
+        expiresIn: config.accessTokenTtlSeconds
+    };
+};
+
+module.exports = {
+    rotateSession,
+    startSession
+};
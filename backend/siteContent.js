@@ -0,0 +1,118 @@
+const { ValidationError } = require('./errors');
+
+const EMAIL_PATTERN = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+const URL_PATTERN = /^https?:\/\/\S+$/i;
+
+// A trimmed string; required ones may not be empty
+const text = (value, field, { required = true } = {}) => {
+    if (value === undefined || value === null || value === '') {
+        if (required) throw new ValidationError(`${field} is required`);
+        return '';
+    }
+    if (typeof value !== 'string') {
+        throw new ValidationError(`${field} must be text`);
+    }
+    const trimmed = value.trim();
+    if (required && !trimmed) {
+        throw new ValidationError(`${field} is required`);
+    }
+    return trimmed;
+};
+
+const url = (value, field, options) => {
+    const result = text(value, field, options);
+    if (result && !URL_PATTERN.test(result)) {
+        throw new ValidationError(`${field} must be an http(s) URL`);
+    }
+    return result;
+};
+
+const object = (value, field) => {
+    if (!value || typeof value !== 'object' || Array.isArray(value)) {
+        throw new ValidationError(`${field} must be an object`);
+    }
+    return value;
+};
+
+const list = (value, field, parseItem) => {
+    if (!Array.isArray(value)) {
+        throw new ValidationError(`${field} must be a list`);
+    }
+    return value.map((item, index) => parseItem(item, `${field}[${index}]`));
+};
+
+// An object with a fixed set of text fields; `required` names the mandatory ones
+const record = (value, field, fields, required = []) => {
+    const input = object(value, field);
+    const result = {};
+    fields.forEach((key) => {
+        result[key] = text(input[key], `${field}.${key}`, { required: required.includes(key) });
+    });
+    return result;
+};
+
+// Validators for each editable section. Each receives the full document and
+// returns it normalised, in the key order the public API responds with.
+const SECTION_PARSERS = {
+    about: (content) => ({
+        department: record(content.department, 'department',
+            ['name', 'faculty', 'university', 'location', 'established'], ['name']),
+        mission: text(content.mission, 'mission'),
+        vision: text(content.vision, 'vision'),
+        objectives: list(content.objectives, 'objectives', (item, field) => text(item, field)),
+        programs: list(content.programs, 'programs', (item, field) =>
+            record(item, field, ['level', 'title', 'duration', 'description'], ['title'])),
+        expertise: list(content.expertise, 'expertise', (item, field) =>
+            record(item, field, ['area', 'description'], ['area']))
+    }),
+
+    contact: (content) => {
+        const details = record(content.contact, 'contact', ['phone', 'email', 'website']);
+        if (details.email && !EMAIL_PATTERN.test(details.email)) {
+            throw new ValidationError('contact.email must be a valid email address');
+        }
+        details.website = url(details.website, 'contact.website', { required: false });
+
+        const socialMedia = {};
+        Object.entries(object(content.social_media, 'social_media')).forEach(([network, link]) => {
+            socialMedia[network] = url(link, `social_media.${network}`);
+        });
+
+        return {
+            department: record(content.department, 'department', ['name', 'faculty', 'university'], ['name']),
+            address: record(content.address, 'address', ['street', 'city', 'state', 'country', 'postalCode']),
+            contact: details,
+            office_hours: record(content.office_hours, 'office_hours', ['weekdays', 'weekends', 'holidays']),
+            social_media: socialMedia,
+            directions: text(content.directions, 'directions', { required: false })
+        };
+    }
+};
+
+const CONTENT_SECTIONS = Object.keys(SECTION_PARSERS);
+
+/**
+ * Merge changed top-level fields into a section's current content and
+ * validate the result.
+ * @param {string} section - one of CONTENT_SECTIONS
+ * @param {object} current - the live document
+ * @param {object} changes - top-level fields to replace
+ * @returns {object} the new document
+ */
+const applyContentChanges = (section, current, changes) => {
+    const parse = SECTION_PARSERS[section];
+    const input = object(changes, 'content');
+
+    const known = Object.keys(parse(current));
+    const unknown = Object.keys(input).filter((key) => !known.includes(key));
+    if (unknown.length) {
+        throw new ValidationError(`Unknown ${section} field(s): ${unknown.join(', ')}`);
+    }
+
+    return parse({ ...current, ...input });
+};
+
+module.exports = {
+    CONTENT_SECTIONS,
+    applyContentChanges
+};
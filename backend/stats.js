@@ -0,0 +1,91 @@
+const { FINAL_LEVEL, levelForEntryYear } = require('./regNumber');
+
+// Statistics that admins may replace with a display value
+const STAT_KEYS = ['students', 'faculty', 'courses', 'materials', 'events', 'graduates', 'years'];
+
+// Year the department was founded, used for "years of excellence"
+const ESTABLISHED_YEAR = 2010;
+
+/**
+ * Compute public department statistics, applying admin overrides and
+ * caching the result for a short time so busy pages don't hit the database.
+ * @param {object} options
+ * @param {ReturnType<import('./repositories/statsRepo').createStatsRepo>} options.stats
+ * @param {number} [options.ttlMs] - How long a computed result is reused
+ * @param {() => Date} [options.now]
+ */
+const createStatsService = ({ stats, ttlMs = 60 * 1000, now = () => new Date() }) => {
+    let cached = null;
+
+    // Live counts straight from the database, without overrides
+    const computeLive = async () => {
+        const today = now();
+        const [entryYears, totals] = await Promise.all([stats.listStudentEntryYears(), stats.countTotals()]);
+
+        const studentsByLevel = {};
+        for (let level = 100; level <= FINAL_LEVEL; level += 100) {
+            studentsByLevel[level] = 0;
+        }
+
+        let graduates = 0;
+        entryYears.forEach((entryYear) => {
+            const level = levelForEntryYear(entryYear, today);
+            if (level === null) {
+                graduates++;
+            } else {
+                studentsByLevel[level]++;
+            }
+        });
+
+        return {
+            students: Object.values(studentsByLevel).reduce((sum, count) => sum + count, 0),
+            studentsByLevel,
+            faculty: totals.staff,
+            courses: totals.courses,
+            materials: totals.materials,
+            events: totals.events,
+            graduates,
+            years: today.getFullYear() - ESTABLISHED_YEAR
+        };
+    };
+
+    // Live counts with any admin display overrides applied
+    const compute = async () => {
+        const [live, overrides] = await Promise.all([computeLive(), stats.listOverrides()]);
+        const result = { ...live, overridden: [] };
+
+        overrides.forEach((override) => {
+            if (!STAT_KEYS.includes(override.key)) return;
+            result[override.key] = override.value;
+            result.overridden.push(override.key);
+        });
+
+        result.generatedAt = now().toISOString();
+        return result;
+    };
+
+    return {
+        computeLive,
+
+        /** @returns {Promise<object>} statistics, recomputed once the cache expires */
+        async get() {
+            if (cached && now().getTime() < cached.expiresAt) {
+                return cached.value;
+            }
+
+            const value = await compute();
+            cached = { value, expiresAt: now().getTime() + ttlMs };
+            return value;
+        },
+
+        /** Drop the cached result, e.g. after an override changes */
+        invalidate() {
+            cached = null;
+        }
+    };
+};
+
+module.exports = {
+    STAT_KEYS,
+    createStatsService
+};
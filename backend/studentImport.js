@@ -0,0 +1,129 @@
+const { ValidationError } = require('./errors');
+const { parseCsv } = require('./csv');
+const { normalizeRegNumber, validateRegNumber } = require('./regNumber');
+
+// Importing a class list creates confirmed student accounts in one go. The
+// CSV needs a header row naming the name, reg number and email columns (in
+// any order, extra columns ignored). Every row is checked before anything is
+// written, so a dry run reports exactly what a real import would do.
+
+const MAX_IMPORT_ROWS = 1000;
+
+const EMAIL_PATTERN = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+
+// Accepted header spellings, compared ignoring case, spaces and punctuation
+const HEADER_ALIASES = {
+    name: ['name', 'fullname', 'studentname'],
+    regNumber: ['regnumber', 'regno', 'registrationnumber', 'matricnumber', 'matricno'],
+    email: ['email', 'emailaddress']
+};
+
+const normalizeHeader = (header) => header.toLowerCase().replace(/[^a-z0-9]/g, '');
+
+// Column index of each field, from the header row
+const mapColumns = (headerCells) => {
+    const headers = headerCells.map(normalizeHeader);
+    const columns = {};
+    for (const [field, aliases] of Object.entries(HEADER_ALIASES)) {
+        columns[field] = headers.findIndex((header) => aliases.includes(header));
+    }
+
+    const missing = Object.keys(columns).filter((field) => columns[field] === -1);
+    if (missing.length) {
+        throw new ValidationError('The first row must name the columns: name, reg number and email');
+    }
+    return columns;
+};
+
+/**
+ * @typedef {object} ImportRow
+ * @property {number} line - line of the CSV the row starts on
+ * @property {string} name
+ * @property {string} regNumber - normalized if it is valid
+ * @property {string} email
+ * @property {string[]} errors - empty if the row can be imported
+ */
+
+/**
+ * Parse a class list and check every row against itself and the students
+ * already registered.
+ * @param {string} csvText
+ * @param {ReturnType<import('./repositories/usersRepo').createUsersRepo>} users
+ * @returns {Promise<ImportRow[]>}
+ */
+const checkClassList = async (csvText, users) => {
+    let records;
+    try {
+        records = parseCsv(String(csvText));
+    } catch (error) {
+        throw new ValidationError(error.message);
+    }
+
+    // Spreadsheets often export rows of empty cells; leave them out
+    const [header, ...body] = records.filter(({ cells }) => cells.some((cell) => cell.trim()));
+    if (!header) {
+        throw new ValidationError('The class list is empty');
+    }
+    const columns = mapColumns(header.cells);
+    if (!body.length) {
+        throw new ValidationError('The class list has no students in it');
+    }
+    if (body.length > MAX_IMPORT_ROWS) {
+        throw new ValidationError(`A class list may have at most ${MAX_IMPORT_ROWS} students`);
+    }
+
+    const seenRegNumbers = new Map();
+    const seenEmails = new Map();
+    const rows = [];
+
+    for (const { line, cells } of body) {
+        const value = (field) => (cells[columns[field]] || '').trim();
+        const row = { line, name: value('name'), regNumber: value('regNumber'), email: value('email'), errors: [] };
+
+        if (!row.name) {
+            row.errors.push('Name is required');
+        }
+        const invalidRegNumber = validateRegNumber(row.regNumber);
+        if (invalidRegNumber) {
+            row.errors.push(invalidRegNumber);
+        } else {
+            row.regNumber = normalizeRegNumber(row.regNumber);
+        }
+        if (!row.email) {
+            row.errors.push('Email is required');
+        } else if (!EMAIL_PATTERN.test(row.email)) {
+            row.errors.push('Email is not a valid address');
+        }
+
+        const regKey = normalizeRegNumber(row.regNumber);
+        if (regKey && seenRegNumbers.has(regKey)) {
+            row.errors.push(`Registration number is repeated from line ${seenRegNumbers.get(regKey)}`);
+        } else if (regKey) {
+            seenRegNumbers.set(regKey, line);
+        }
+
+        const emailKey = row.email.toLowerCase();
+        if (emailKey && seenEmails.has(emailKey)) {
+            row.errors.push(`Email is repeated from line ${seenEmails.get(emailKey)}`);
+        } else if (emailKey) {
+            seenEmails.set(emailKey, line);
+        }
+
+        if (!row.errors.length) {
+            const byRegNumber = await users.findByRegNumber(row.regNumber);
+            if (byRegNumber) {
+                row.errors.push(`Registration number already belongs to a ${byRegNumber.status} account`);
+            }
+            const byEmail = await users.findByEmail(row.email);
+            if (byEmail) {
+                row.errors.push(`Email already belongs to a ${byEmail.status} account (${byEmail.regNumber})`);
+            }
+        }
+
+        rows.push(row);
+    }
+
+    return rows;
+};
+
+module.exports = { MAX_IMPORT_ROWS, checkClassList };
@@ -0,0 +1,65 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { initDatabase } = require('../db');
+const { createApp } = require('../app');
+
+// Shared by the route tests: an app on a throwaway in-memory database,
+// listening on a free port, with a mailer that keeps what it was asked to send.
+
+/**
+ * @param {object} [config] - overrides for the app config
+ */
+const startTestApp = async (config = {}) => {
+    const log = console.log;
+    console.log = () => {};
+    let db;
+    try {
+        db = await initDatabase({ filename: ':memory:' });
+    } finally {
+        console.log = log;
+    }
+
+    const sent = [];
+    const mailer = { sendMail: async (message) => { sent.push(message); return {}; } };
+    const uploadDir = fs.mkdtempSync(path.join(os.tmpdir(), 'backend-test-'));
+    const app = createApp({ db, mailer, config: { jwtSecret: 'test-secret', uploadDir, ...config } });
+    const server = await new Promise((resolve) => {
+        const listening = app.listen(0, () => resolve(listening));
+    });
+    const baseUrl = `http://localhost:${server.address().port}/api`;
+
+    // JSON (or FormData) request; returns the status and parsed body
+    const call = async (method, url, { body, token, form } = {}) => {
+        const headers = token ? { Authorization: `Bearer ${token}` } : {};
+        let payload = form;
+        if (body !== undefined) {
+            headers['Content-Type'] = 'application/json';
+            payload = JSON.stringify(body);
+        }
+        const res = await fetch(baseUrl + url, { method, headers, body: payload });
+        const text = await res.text();
+        let data;
+        try {
+            data = JSON.parse(text);
+        } catch {
+            data = text;
+        }
+        return { status: res.status, data };
+    };
+
+    const adminLogin = async () => {
+        const { data } = await call('POST', '/admin/login', { body: { username: 'admin', password: 'admin123' } });
+        return data;
+    };
+
+    const close = async () => {
+        await new Promise((resolve) => server.close(resolve));
+        await new Promise((resolve) => db.close(resolve));
+        fs.rmSync(uploadDir, { recursive: true, force: true });
+    };
+
+    return { app, db, repos: app.get('repos'), sent, call, adminLogin, close };
+};
+
+module.exports = { startTestApp };
@@ -0,0 +1,78 @@
+const { test } = require('node:test');
+const assert = require('node:assert');
+const sqlite3 = require('sqlite3');
+const { LOGIN_LIMITS, createLoginLimiter, createMemoryStore } = require('../loginLimiter');
+const { createQueryRunner } = require('../repositories/base');
+const { createLoginAttemptsRepo } = require('../repositories/loginAttemptsRepo');
+const { migrateUp } = require('../migrator');
+const { startTestApp } = require('./helpers');
+
+const keys = { ip: 'ip:10.0.0.1', account: 'student:1' };
+
+const openSqliteStore = async (t) => {
+    t.mock.method(console, 'log', () => {});
+    const db = await new Promise((resolve, reject) => {
+        const connection = new sqlite3.Database(':memory:', (err) => (err ? reject(err) : resolve(connection)));
+    });
+    await migrateUp(db);
+    t.after(() => new Promise((resolve) => db.close(resolve)));
+    return createLoginAttemptsRepo(createQueryRunner(db));
+};
+
+const stores = {
+    memory: async () => createMemoryStore(),
+    sqlite: openSqliteStore
+};
+
+for (const [name, openStore] of Object.entries(stores)) {
+    test(`concurrent attempts cannot share one count (${name} store)`, async (t) => {
+        const limiter = createLoginLimiter({ store: await openStore(t) });
+
+        const attempts = await Promise.all(Array.from({ length: 30 }, () => limiter.attempt(keys)));
+
+        assert.strictEqual(attempts.filter((attempt) => attempt.allowed).length, LOGIN_LIMITS.account.backoffAfter);
+        assert.ok(attempts.filter((attempt) => !attempt.allowed).every((attempt) => attempt.retryAfterMs > 0));
+    });
+
+    test(`a successful login gives the IP its attempt back (${name} store)`, async (t) => {
+        const store = await openStore(t);
+        const limiter = createLoginLimiter({ store });
+
+        assert.ok((await limiter.attempt(keys)).allowed);
+        await limiter.recordSuccess(keys);
+
+        assert.strictEqual((await store.get(keys.ip)).failures, 0);
+        assert.strictEqual(await store.get(keys.account), undefined);
+    });
+}
+
+test('locks the account once it reaches lockAfter failures', async () => {
+    let time = Date.parse('2026-01-01T00:00:00Z');
+    const limiter = createLoginLimiter({ store: createMemoryStore(), now: () => new Date(time) });
+    const { lockAfter } = LOGIN_LIMITS.account;
+
+    let attempt;
+    for (let i = 1; i <= lockAfter; i++) {
+        attempt = await limiter.attempt(keys);
+        assert.ok(attempt.allowed);
+        time += LOGIN_LIMITS.account.maxDelayMs;
+    }
+    assert.ok(attempt.accountLockedUntil);
+
+    const refused = await limiter.attempt(keys);
+    assert.strictEqual(refused.allowed, false);
+    assert.strictEqual(refused.locked, true);
+});
+
+test('parallel wrong-password logins get only backoffAfter password checks', async (t) => {
+    const { call, close } = await startTestApp({ loginLimiterStore: 'sqlite' });
+    t.after(close);
+
+    const responses = await Promise.all(Array.from({ length: 30 }, () => call('POST', '/admin/login', {
+        body: { username: 'admin', password: 'wrong-password' }
+    })));
+    const statuses = responses.map((response) => response.status);
+
+    assert.strictEqual(statuses.filter((status) => status === 401).length, LOGIN_LIMITS.account.backoffAfter);
+    assert.strictEqual(statuses.filter((status) => status === 429).length, 30 - LOGIN_LIMITS.account.backoffAfter);
+});
@@ -0,0 +1,37 @@
+const { test } = require('node:test');
+const assert = require('node:assert');
+const sqlite3 = require('sqlite3');
+const { getMigrationStatus, loadMigrations, migrateDown, migrateUp } = require('../migrator');
+
+const openMemoryDatabase = () => new Promise((resolve, reject) => {
+    const db = new sqlite3.Database(':memory:', (err) => (err ? reject(err) : resolve(db)));
+});
+
+const appliedCount = async (db) => (await getMigrationStatus(db)).filter((migration) => migration.applied).length;
+
+test('applies every migration and rolls back one step at a time', async (t) => {
+    t.mock.method(console, 'log', () => {});
+    const db = await openMemoryDatabase();
+    const total = loadMigrations().length;
+
+    await migrateUp(db);
+    assert.strictEqual(await appliedCount(db), total);
+
+    const rolledBack = await migrateDown(db);
+    assert.strictEqual(rolledBack.length, 1);
+    assert.strictEqual(await appliedCount(db), total - 1);
+
+    await migrateUp(db);
+    assert.strictEqual(await appliedCount(db), total);
+});
+
+test('refuses to roll back zero or a negative number of steps', async (t) => {
+    t.mock.method(console, 'log', () => {});
+    const db = await openMemoryDatabase();
+    const total = loadMigrations().length;
+    await migrateUp(db);
+
+    await assert.rejects(migrateDown(db, { steps: 0 }), /positive integer/);
+    await assert.rejects(migrateDown(db, { steps: -2 }), /positive integer/);
+    assert.strictEqual(await appliedCount(db), total);
+});
@@ -0,0 +1,46 @@
+const { test } = require('node:test');
+const assert = require('node:assert');
+const { levelForEntryYear, normalizeRegNumber, parseRegNumber, validateRegNumber } = require('../regNumber');
+
+// Months are zero-based: 7 is August, 8 is September
+const at = (year, month, day = 15) => new Date(year, month, day);
+
+test('normalizes case and spacing', () => {
+    assert.strictEqual(normalizeRegNumber(' 24 / SC/Co /347 '), '24/sc/co/347');
+    assert.strictEqual(normalizeRegNumber(undefined), '');
+});
+
+test('parses entry year and programme', () => {
+    assert.deepStrictEqual(parseRegNumber('24/SC/CO/347'), {
+        regNumber: '24/sc/co/347', entryYear: 2024, faculty: 'sc', programme: 'co', serial: '347'
+    });
+    assert.strictEqual(parseRegNumber('IS/2020/001'), null);
+    assert.strictEqual(parseRegNumber('24/SC/CO/34'), null);
+});
+
+test('validates format and entry year', () => {
+    const now = at(2026, 9);
+    assert.strictEqual(validateRegNumber('26/sc/co/001', now), null);
+    assert.match(validateRegNumber('27/sc/co/001', now), /future/);
+    assert.match(validateRegNumber('hello', now), /must look like/);
+    assert.match(validateRegNumber('', now), /required/);
+    assert.match(validateRegNumber(42, now), /required/);
+});
+
+test('a new session starts in September', () => {
+    assert.strictEqual(levelForEntryYear(2024, at(2025, 7, 31)), 100);
+    assert.strictEqual(levelForEntryYear(2024, at(2025, 8, 1)), 200);
+});
+
+test('students admitted before their first session are 100 level', () => {
+    assert.strictEqual(levelForEntryYear(2026, at(2026, 0)), 100);
+    assert.strictEqual(levelForEntryYear(2026, at(2026, 7, 31)), 100);
+    assert.strictEqual(levelForEntryYear(2026, at(2026, 8, 1)), 100);
+});
+
+test('the final level is 400 and students past it have graduated', () => {
+    assert.strictEqual(levelForEntryYear(2023, at(2026, 8, 1)), 400);
+    assert.strictEqual(levelForEntryYear(2023, at(2027, 7, 31)), 400);
+    assert.strictEqual(levelForEntryYear(2023, at(2027, 8, 1)), null);
+    assert.strictEqual(levelForEntryYear(2015, at(2026, 9)), null);
+});
@@ -0,0 +1,86 @@
+const { test } = require('node:test');
+const assert = require('node:assert');
+const { hashPassword } = require('../passwords');
+const { parseRegNumber } = require('../regNumber');
+const { startTestApp } = require('./helpers');
+
+const event = { title: 'Class meeting', eventDate: '2030-03-01', description: 'Room 4' };
+
+// A confirmed student who can sign in with passcode 123456
+const addStudent = async ({ users }, regNumber) => {
+    const email = `${regNumber.replace(/\//g, '-')}@example.com`;
+    const id = await users.createConfirmed({ name: 'Class Rep', email, ...parseRegNumber(regNumber) });
+    await users.updatePasscode(id, await hashPassword('123456'));
+    return id;
+};
+
+// An admin account holding the given roles, signed in
+const addAdmin = async (call, token, username, roles) => {
+    const created = await call('POST', '/admins', {
+        token,
+        body: { username, name: username, email: `${username}@example.com`, password: `${username}-password`, roles }
+    });
+    assert.strictEqual(created.status, 201);
+    return (await call('POST', '/admin/login', { body: { username, password: `${username}-password` } })).data.token;
+};
+
+test('class reps can post events but not change them', async (t) => {
+    const { call, adminLogin, repos, close } = await startTestApp();
+    t.after(close);
+    const { token } = await adminLogin();
+    await addStudent(repos, '24/sc/co/201');
+
+    const student = (await call('POST', '/login', { body: { regNumber: '24/SC/CO/201', passcode: '123456' } })).data;
+    assert.strictEqual((await call('POST', '/events', { token: student.token, body: event })).status, 403);
+
+    const assigned = await call('PUT', '/role-assignments', {
+        token,
+        body: { accountType: 'student', login: '24/sc/co/201', roles: ['class-rep'] }
+    });
+    assert.strictEqual(assigned.status, 200);
+
+    const posted = await call('POST', '/events', { token: student.token, body: event });
+    assert.strictEqual(posted.status, 201);
+    assert.strictEqual((await call('PUT', `/events/${posted.data.event.id}`, { token: student.token, body: event })).status, 403);
+    assert.strictEqual((await call('DELETE', `/events/${posted.data.event.id}`, { token: student.token })).status, 403);
+});
+
+test('staff roles only reach their own areas', async (t) => {
+    const { call, adminLogin, close } = await startTestApp();
+    t.after(close);
+    const { token } = await adminLogin();
+
+    const editor = await addAdmin(call, token, 'editor', ['content-editor']);
+    assert.strictEqual((await call('GET', '/admin/news', { token: editor })).status, 200);
+    assert.strictEqual((await call('GET', '/pending-registrations', { token: editor })).status, 403);
+    assert.strictEqual((await call('GET', '/admins', { token: editor })).status, 403);
+
+    const registrar = await addAdmin(call, token, 'registrar', ['registrar']);
+    assert.strictEqual((await call('GET', '/pending-registrations', { token: registrar })).status, 200);
+    assert.strictEqual((await call('GET', '/admin/news', { token: registrar })).status, 403);
+});
+
+test('only a super-admin can grant super-admin, and one must remain', async (t) => {
+    const { call, adminLogin, close } = await startTestApp();
+    t.after(close);
+    const { token } = await adminLogin();
+
+    const admin = await addAdmin(call, token, 'deputy', ['admin']);
+    const granted = await call('PUT', '/role-assignments', {
+        token: admin,
+        body: { accountType: 'admin', login: 'deputy', roles: ['admin', 'super-admin'] }
+    });
+    assert.strictEqual(granted.status, 403);
+
+    const studentRole = await call('PUT', '/role-assignments', {
+        token,
+        body: { accountType: 'admin', login: 'deputy', roles: ['class-rep'] }
+    });
+    assert.strictEqual(studentRole.status, 400);
+
+    const lastSuperAdmin = await call('PUT', '/role-assignments', {
+        token,
+        body: { accountType: 'admin', login: 'admin', roles: ['admin'] }
+    });
+    assert.strictEqual(lastSuperAdmin.status, 400);
+});
@@ -0,0 +1,43 @@
+const { test } = require('node:test');
+const assert = require('node:assert');
+const { startTestApp } = require('./helpers');
+
+test('changing a password signs out every other session at once', async (t) => {
+    const { call, adminLogin, close } = await startTestApp();
+    t.after(close);
+
+    const current = await adminLogin();
+    const other = await adminLogin();
+    assert.strictEqual((await call('GET', '/admin/2fa', { token: other.token })).status, 200);
+
+    const changed = await call('POST', '/change-password', {
+        token: current.token,
+        body: { currentPassword: 'admin123', newPassword: 'a-new-password' }
+    });
+    assert.strictEqual(changed.status, 200);
+
+    // Neither the other session's access token nor its refresh token still works
+    assert.strictEqual((await call('GET', '/admin/2fa', { token: other.token })).status, 401);
+    assert.strictEqual((await call('GET', '/admin/2fa', { token: current.token })).status, 401);
+    const refreshed = await call('POST', '/token/refresh', { body: { refreshToken: other.refreshToken } });
+    assert.strictEqual(refreshed.status, 401);
+
+    // The session handed back by the change keeps working
+    assert.strictEqual((await call('GET', '/admin/2fa', { token: changed.data.token })).status, 200);
+});
+
+test('resetting a password signs out every session', async (t) => {
+    const { call, adminLogin, sent, close } = await startTestApp();
+    t.after(close);
+
+    const session = await adminLogin();
+    const requested = await call('POST', '/password-reset/request', { body: { identifier: 'admin', accountType: 'admin' } });
+    assert.strictEqual(requested.status, 202);
+    const token = sent.at(-1).text.match(/token=([\w-]+)/)[1];
+
+    const reset = await call('POST', '/password-reset/confirm', { body: { token, newPassword: 'a-new-password' } });
+    assert.strictEqual(reset.status, 200);
+
+    assert.strictEqual((await call('GET', '/admin/2fa', { token: session.token })).status, 401);
+    assert.strictEqual((await call('POST', '/token/refresh', { body: { refreshToken: session.refreshToken } })).status, 401);
+});
@@ -0,0 +1,80 @@
+const { test } = require('node:test');
+const assert = require('node:assert');
+const { startTestApp } = require('./helpers');
+
+const CLASS_LIST = [
+    'Full Name,Reg No,Email Address',
+    'Ada Obi,24/SC/CO/101,ada@example.com',
+    '"Okon, Bassey",24/sc/co/102,bassey@example.com',
+    'Repeat,24/sc/co/101,repeat@example.com',
+    'No Email,24/sc/co/103,',
+    'Bad Number,IS/2024/001,bad@example.com'
+].join('\n');
+
+const classListForm = (csv, { dryRun = false, fileName = 'class-list.csv' } = {}) => {
+    const form = new FormData();
+    form.append('dryRun', String(dryRun));
+    form.append('file', new Blob([csv], { type: 'text/csv' }), fileName);
+    return form;
+};
+
+test('a dry run reports every row without creating accounts', async (t) => {
+    const { call, adminLogin, repos, close } = await startTestApp();
+    t.after(close);
+    const { token } = await adminLogin();
+
+    const { status, data } = await call('POST', '/students/import', { token, form: classListForm(CLASS_LIST, { dryRun: true }) });
+
+    assert.strictEqual(status, 200);
+    assert.deepStrictEqual({ total: data.total, valid: data.valid, created: data.created }, { total: 5, valid: 2, created: 0 });
+    assert.deepStrictEqual(data.rows.map((row) => row.errors.length), [0, 0, 1, 1, 1]);
+    assert.strictEqual(data.rows[1].name, 'Okon, Bassey');
+    assert.match(data.rows[2].errors[0], /repeated from line 2/);
+    assert.strictEqual(await repos.users.findByRegNumber('24/sc/co/101'), undefined);
+});
+
+test('importing creates confirmed students and emails their passcodes', async (t) => {
+    const { app, call, adminLogin, repos, sent, close } = await startTestApp();
+    t.after(close);
+    const { token } = await adminLogin();
+
+    const { status, data } = await call('POST', '/students/import', { token, form: classListForm(CLASS_LIST) });
+    assert.strictEqual(status, 201);
+    assert.strictEqual(data.created, 2);
+
+    await app.get('passcodeQueue').drain();
+    const student = await repos.users.findByRegNumber('24/sc/co/102');
+    assert.strictEqual(student.status, 'confirmed');
+    assert.strictEqual(student.entryYear, 2024);
+    assert.deepStrictEqual(sent.map((message) => message.to).sort(), ['ada@example.com', 'bassey@example.com']);
+
+    // A second import of the same list finds them all registered
+    const again = await call('POST', '/students/import', { token, form: classListForm(CLASS_LIST, { dryRun: true }) });
+    assert.match(again.data.rows[0].errors[0], /already belongs to a confirmed account/);
+});
+
+test('a class list must be a CSV file', async (t) => {
+    const { call, adminLogin, close } = await startTestApp();
+    t.after(close);
+    const { token } = await adminLogin();
+
+    const { status, data } = await call('POST', '/students/import', {
+        token,
+        form: classListForm(CLASS_LIST, { fileName: 'class-list.xlsx' })
+    });
+    assert.strictEqual(status, 400);
+    assert.match(data.error, /\.csv/);
+});
+
+test('a class list without the needed columns is refused', async (t) => {
+    const { call, adminLogin, close } = await startTestApp();
+    t.after(close);
+    const { token } = await adminLogin();
+
+    const { status, data } = await call('POST', '/students/import', {
+        token,
+        form: classListForm('Name,Email\nAda Obi,ada@example.com')
+    });
+    assert.strictEqual(status, 400);
+    assert.match(data.error, /must name the columns/);
+});
@@ -0,0 +1,75 @@
+const { test } = require('node:test');
+const assert = require('node:assert');
+const sqlite3 = require('sqlite3');
+const { createQueryRunner } = require('../repositories/base');
+
+const openMemoryDatabase = () => new Promise((resolve, reject) => {
+    const db = new sqlite3.Database(':memory:', (err) => (err ? reject(err) : resolve(db)));
+});
+
+const setup = async () => {
+    const db = await openMemoryDatabase();
+    const q = createQueryRunner(db);
+    await q.run('CREATE TABLE notes (body TEXT NOT NULL)');
+    return { db, q };
+};
+
+const bodies = async (q) => (await q.all('SELECT body FROM notes ORDER BY rowid')).map((row) => row.body);
+
+test('a write from outside a transaction survives its rollback', async () => {
+    const { db, q } = await setup();
+    let started;
+    const opened = new Promise((resolve) => {
+        started = resolve;
+    });
+    let abort;
+    const aborted = new Promise((resolve) => {
+        abort = resolve;
+    });
+
+    const failed = q.transaction(async () => {
+        await q.run("INSERT INTO notes (body) VALUES ('inside')");
+        started();
+        await aborted;
+        throw new Error('abort');
+    });
+
+    // Another request writes while the transaction is open
+    await opened;
+    const concurrentWrite = q.run("INSERT INTO notes (body) VALUES ('outside')");
+    await new Promise((resolve) => setTimeout(resolve, 20));
+    abort();
+
+    await assert.rejects(failed, /abort/);
+    await concurrentWrite;
+    assert.deepStrictEqual(await bodies(q), ['outside']);
+    db.close();
+});
+
+test('a transaction waits for queries already running', async () => {
+    const { db, q } = await setup();
+
+    const before = q.run("INSERT INTO notes (body) VALUES ('before')");
+    const failed = q.transaction(async () => {
+        await q.run("INSERT INTO notes (body) VALUES ('inside')");
+        throw new Error('abort');
+    });
+
+    await before;
+    await assert.rejects(failed, /abort/);
+    assert.deepStrictEqual(await bodies(q), ['before']);
+    db.close();
+});
+
+test('transactions take turns and commit their own work', async () => {
+    const { db, q } = await setup();
+
+    await Promise.all(['a', 'b', 'c'].map((body) => q.transaction(async () => {
+        await q.run('INSERT INTO notes (body) VALUES (?)', [body]);
+        await new Promise((resolve) => setTimeout(resolve, 5));
+        await q.run('INSERT INTO notes (body) VALUES (?)', [`${body}2`]);
+    })));
+
+    assert.deepStrictEqual(await bodies(q), ['a', 'a2', 'b', 'b2', 'c', 'c2']);
+    db.close();
+});
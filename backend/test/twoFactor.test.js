@@ -0,0 +1,41 @@
+const { test } = require('node:test');
+const assert = require('node:assert');
+const { codeForStep, timeStep } = require('../totp');
+const { startTestApp } = require('./helpers');
+
+const requireTwoFactor = (call, token) => call('PUT', '/security-settings', { token, body: { requireAdmin2fa: true } });
+
+test('admin sessions from before 2FA was required cannot be refreshed', async (t) => {
+    const { call, adminLogin, close } = await startTestApp();
+    t.after(close);
+
+    const session = await adminLogin();
+    assert.strictEqual((await requireTwoFactor(call, session.token)).status, 200);
+
+    const refreshed = await call('POST', '/token/refresh', { body: { refreshToken: session.refreshToken } });
+    assert.strictEqual(refreshed.status, 401);
+    assert.match(refreshed.data.error, /Two-factor/);
+
+    // Logging in again leads to enrollment rather than a session
+    const login = await call('POST', '/admin/login', { body: { username: 'admin', password: 'admin123' } });
+    assert.strictEqual(login.data.twoFactorSetupRequired, true);
+    assert.strictEqual(login.data.token, undefined);
+});
+
+test('admins who enroll while 2FA is required can refresh their session', async (t) => {
+    const { call, adminLogin, close } = await startTestApp();
+    t.after(close);
+
+    await requireTwoFactor(call, (await adminLogin()).token);
+
+    const { challengeToken } = (await call('POST', '/admin/login', { body: { username: 'admin', password: 'admin123' } })).data;
+    const { secret } = (await call('POST', '/admin/login/2fa/setup', { body: { challengeToken } })).data;
+    const enabled = await call('POST', '/admin/login/2fa/enable', {
+        body: { challengeToken, code: codeForStep(secret, timeStep()) }
+    });
+    assert.strictEqual(enabled.status, 200);
+
+    const refreshed = await call('POST', '/token/refresh', { body: { refreshToken: enabled.data.refreshToken } });
+    assert.strictEqual(refreshed.status, 200);
+    assert.ok(refreshed.data.token);
+});
@@ -0,0 +1,49 @@
+const { test } = require('node:test');
+const assert = require('node:assert');
+const { startTestApp } = require('./helpers');
+
+// A multipart form with one file and some text fields
+const formWithFile = (field, fileName, type, fields = {}) => {
+    const form = new FormData();
+    Object.entries(fields).forEach(([name, value]) => form.append(name, value));
+    form.append(field, new Blob(['not what it claims to be'], { type }), fileName);
+    return form;
+};
+
+test('materials of an unsupported type are refused with a 400', async (t) => {
+    const { call, adminLogin, close } = await startTestApp();
+    t.after(close);
+    const { token } = await adminLogin();
+
+    const created = await call('POST', '/materials', {
+        token,
+        form: formWithFile('file', 'notes.txt', 'text/plain', { courseCode: 'COS111', type: 'pdf' })
+    });
+    assert.strictEqual(created.status, 400);
+    assert.match(created.data.error, /File must be/);
+
+    const updated = await call('PUT', '/materials/1', {
+        token,
+        form: formWithFile('file', 'notes.txt', 'text/plain')
+    });
+    assert.strictEqual(updated.status, 400);
+});
+
+test('staff photos must be images', async (t) => {
+    const { call, adminLogin, close } = await startTestApp();
+    t.after(close);
+    const { token } = await adminLogin();
+
+    const created = await call('POST', '/faculty', {
+        token,
+        form: formWithFile('photo', 'cv.pdf', 'application/pdf', { name: 'Dr. Ada Obi' })
+    });
+    assert.strictEqual(created.status, 400);
+    assert.match(created.data.error, /Image must be/);
+
+    const updated = await call('PUT', '/faculty/1', {
+        token,
+        form: formWithFile('photo', 'notes.txt', 'text/plain')
+    });
+    assert.strictEqual(updated.status, 400);
+});
@@ -0,0 +1,25 @@
+const crypto = require('crypto');
+
+// Random URL-safe token to send to a user (e.g. in an email link)
+const createToken = (bytes = 32) => crypto.randomBytes(bytes).toString('base64url');
+
+// Tokens are stored hashed so a leaked database can't be used to follow the links
+const hashToken = (token) => crypto.createHash('sha256').update(String(token)).digest('hex');
+
+// HMAC signature binding a value to a purpose, for links that need no database row
+const sign = (secret, purpose, value) => {
+    return crypto.createHmac('sha256', secret).update(`${purpose}:${value}`).digest('base64url');
+};
+
+const verifySignature = (secret, purpose, value, signature) => {
+    const expected = Buffer.from(sign(secret, purpose, value));
+    const actual = Buffer.from(String(signature || ''));
+    return actual.length === expected.length && crypto.timingSafeEqual(actual, expected);
+};
+
+module.exports = {
+    createToken,
+    hashToken,
+    sign,
+    verifySignature
+};
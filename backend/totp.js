@@ -0,0 +1,137 @@
+const crypto = require('crypto');
+const { hashToken } = require('./tokens');
+
+// RFC 6238 parameters used by common authenticator apps
+const TOTP_STEP_SECONDS = 30;
+const TOTP_DIGITS = 6;
+
+// Codes from one step either side are accepted to allow for clock drift
+const TOTP_WINDOW = 1;
+
+const TOTP_ISSUER = 'Information Systems Department';
+
+const RECOVERY_CODE_COUNT = 10;
+const RECOVERY_CODE_ALPHABET = 'ABCDEFGHJKLMNPQRSTUVWXYZ23456789';
+
+const BASE32_ALPHABET = 'ABCDEFGHIJKLMNOPQRSTUVWXYZ234567';
+
+const base32Encode = (buffer) => {
+    let bits = '';
+    buffer.forEach((byte) => {
+        bits += byte.toString(2).padStart(8, '0');
+    });
+    let output = '';
+    for (let i = 0; i < bits.length; i += 5) {
+        output += BASE32_ALPHABET[parseInt(bits.slice(i, i + 5).padEnd(5, '0'), 2)];
+    }
+    return output;
+};
+
+const base32Decode = (text) => {
+    const bits = String(text).toUpperCase().replace(/[\s=]/g, '').split('').map((char) => {
+        const value = BASE32_ALPHABET.indexOf(char);
+        if (value === -1) throw new Error('Invalid base32 character');
+        return value.toString(2).padStart(5, '0');
+    }).join('');
+
+    const bytes = [];
+    for (let i = 0; i + 8 <= bits.length; i += 8) {
+        bytes.push(parseInt(bits.slice(i, i + 8), 2));
+    }
+    return Buffer.from(bytes);
+};
+
+// 160-bit secret, base32 encoded for authenticator apps
+const generateTotpSecret = () => base32Encode(crypto.randomBytes(20));
+
+// HOTP value (RFC 4226) for one time step
+const codeForStep = (secret, step) => {
+    const counter = Buffer.alloc(8);
+    counter.writeBigUInt64BE(BigInt(step));
+
+    const hmac = crypto.createHmac('sha1', base32Decode(secret)).update(counter).digest();
+    const offset = hmac[hmac.length - 1] & 0x0f;
+    const binary = hmac.readUInt32BE(offset) & 0x7fffffff;
+    return String(binary % 10 ** TOTP_DIGITS).padStart(TOTP_DIGITS, '0');
+};
+
+const timeStep = (now = Date.now()) => Math.floor(now / 1000 / TOTP_STEP_SECONDS);
+
+/**
+ * Check a TOTP code against the secret.
+ * @param {string} secret - base32 secret
+ * @param {string} code - as typed by the user; spaces are ignored
+ * @param {{ now?: number, afterStep?: number|null }} [options] - codes at or
+ *     before afterStep were already used and are refused
+ * @returns {number|null} the matching time step, or null
+ */
+const verifyTotp = (secret, code, { now = Date.now(), afterStep = null } = {}) => {
+    const typed = String(code || '').replace(/\s/g, '');
+    if (!new RegExp(`^\\d{${TOTP_DIGITS}}$`).test(typed)) return null;
+
+    const current = timeStep(now);
+    for (let step = current - TOTP_WINDOW; step <= current + TOTP_WINDOW; step++) {
+        if (afterStep !== null && step <= afterStep) continue;
+        const expected = Buffer.from(codeForStep(secret, step));
+        if (crypto.timingSafeEqual(expected, Buffer.from(typed))) {
+            return step;
+        }
+    }
+    return null;
+};
+
+// otpauth:// URI that authenticator apps read from the QR code
+const buildOtpauthUrl = (secret, accountName) => {
+    const label = encodeURIComponent(`${TOTP_ISSUER}:${accountName}`);
+    const params = new URLSearchParams({
+        secret,
+        issuer: TOTP_ISSUER,
+        algorithm: 'SHA1',
+        digits: String(TOTP_DIGITS),
+        period: String(TOTP_STEP_SECONDS)
+    });
+    return `otpauth://totp/${label}?${params}`;
+};
+
+// Secrets are encrypted at rest with a key derived from the JWT secret, so a
+// copy of the database alone can't produce codes
+const secretKey = (config) => crypto.createHash('sha256').update(`totp:${config.jwtSecret}`).digest();
+
+const sealTotpSecret = (config, secret) => {
+    const iv = crypto.randomBytes(12);
+    const cipher = crypto.createCipheriv('aes-256-gcm', secretKey(config), iv);
+    const encrypted = Buffer.concat([cipher.update(secret, 'utf8'), cipher.final()]);
+    return [iv, cipher.getAuthTag(), encrypted].map((part) => part.toString('base64url')).join('.');
+};
+
+const openTotpSecret = (config, sealed) => {
+    const [iv, tag, encrypted] = String(sealed).split('.').map((part) => Buffer.from(part, 'base64url'));
+    const decipher = crypto.createDecipheriv('aes-256-gcm', secretKey(config), iv);
+    decipher.setAuthTag(tag);
+    return Buffer.concat([decipher.update(encrypted), decipher.final()]).toString('utf8');
+};
+
+// Recovery codes look like "ABCD-EF23"; case and dashes don't matter when typed
+const normalizeRecoveryCode = (code) => String(code || '').toUpperCase().replace(/[^A-Z0-9]/g, '');
+
+const hashRecoveryCode = (code) => hashToken(normalizeRecoveryCode(code));
+
+const generateRecoveryCodes = (count = RECOVERY_CODE_COUNT) => Array.from({ length: count }, () => {
+    let code = '';
+    for (let i = 0; i < 8; i++) {
+        code += RECOVERY_CODE_ALPHABET[crypto.randomInt(RECOVERY_CODE_ALPHABET.length)];
+    }
+    return `${code.slice(0, 4)}-${code.slice(4)}`;
+});
+
+module.exports = {
+    buildOtpauthUrl,
+    codeForStep,
+    generateRecoveryCodes,
+    generateTotpSecret,
+    hashRecoveryCode,
+    openTotpSecret,
+    sealTotpSecret,
+    timeStep,
+    verifyTotp
+};
@@ -0,0 +1,101 @@
+const jwt = require('jsonwebtoken');
+const QRCode = require('qrcode');
+const {
+    buildOtpauthUrl,
+    generateRecoveryCodes,
+    generateTotpSecret,
+    hashRecoveryCode,
+    openTotpSecret,
+    sealTotpSecret,
+    verifyTotp
+} = require('./totp');
+
+// Setting that makes every admin enroll before they get a session
+const REQUIRE_ADMIN_2FA = 'require_admin_2fa';
+
+// How long an admin has to finish the second login step
+const LOGIN_CHALLENGE_TTL_SECONDS = 5 * 60;
+
+// What a login challenge lets its holder do: enter a code, or enroll first
+const CHALLENGE_PURPOSES = {
+    verify: 'admin-2fa',
+    setup: 'admin-2fa-setup'
+};
+
+// Proof that the password step passed. It carries no jti, so
+// authenticateToken never accepts it as an access token.
+const signLoginChallenge = (config, admin, purpose) => jwt.sign(
+    { id: admin.id, purpose },
+    config.jwtSecret,
+    { expiresIn: LOGIN_CHALLENGE_TTL_SECONDS }
+);
+
+/** @returns {{ id: number }|null} claims if the token is valid for the purpose */
+const verifyLoginChallenge = (config, token, purpose) => {
+    try {
+        const claims = jwt.verify(String(token || ''), config.jwtSecret);
+        return claims.purpose === purpose ? claims : null;
+    } catch (error) {
+        return null;
+    }
+};
+
+/**
+ * Start enrollment with a new secret, replacing any unfinished one.
+ * @returns {Promise<{ secret: string, otpauthUrl: string, qrCode: string }>} qrCode is a PNG data URL
+ */
+const beginEnrollment = async ({ admins }, config, admin) => {
+    const secret = generateTotpSecret();
+    await admins.setPendingTotpSecret(admin.id, sealTotpSecret(config, secret));
+
+    const otpauthUrl = buildOtpauthUrl(secret, admin.username);
+    return { secret, otpauthUrl, qrCode: await QRCode.toDataURL(otpauthUrl) };
+};
+
+/**
+ * Finish enrollment once the admin enters a code from the pending secret.
+ * @returns {Promise<string[]|null>} the new recovery codes, or null if the code is wrong
+ */
+const completeEnrollment = async ({ admins }, config, admin, code) => {
+    if (!admin.totpPendingSecret) return null;
+
+    const step = verifyTotp(openTotpSecret(config, admin.totpPendingSecret), code);
+    if (step === null) return null;
+
+    const recoveryCodes = generateRecoveryCodes();
+    await admins.enableTotp(admin.id, { step, recoveryCodeHashes: recoveryCodes.map(hashRecoveryCode) });
+    return recoveryCodes;
+};
+
+/**
+ * Check a second factor: a TOTP code not used before, or an unused recovery code.
+ * @returns {Promise<'totp'|'recovery_code'|null>} how the admin proved it, or null
+ */
+const verifySecondFactor = async ({ admins }, config, admin, code) => {
+    if (!admin.totpSecret) return null;
+
+    const step = verifyTotp(openTotpSecret(config, admin.totpSecret), code, { afterStep: admin.totpLastStep });
+    if (step !== null) {
+        return (await admins.recordTotpStep(admin.id, step)) ? 'totp' : null;
+    }
+
+    return (await admins.useRecoveryCode(admin.id, hashRecoveryCode(code))) ? 'recovery_code' : null;
+};
+
+/** @returns {Promise<string[]>} a fresh set of recovery codes, invalidating the old ones */
+const regenerateRecoveryCodes = async ({ admins }, admin) => {
+    const recoveryCodes = generateRecoveryCodes();
+    await admins.replaceRecoveryCodes(admin.id, recoveryCodes.map(hashRecoveryCode));
+    return recoveryCodes;
+};
+
+module.exports = {
+    CHALLENGE_PURPOSES,
+    REQUIRE_ADMIN_2FA,
+    beginEnrollment,
+    completeEnrollment,
+    regenerateRecoveryCodes,
+    signLoginChallenge,
+    verifyLoginChallenge,
+    verifySecondFactor
+};
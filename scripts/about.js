@@ -20,10 +20,12 @@ const elements = {
     loadingSpinner: document.getElementById('loadingSpinner'),
     mainContent: document.querySelector('.main-content'),
     heroStats: document.getElementById('heroStats'),
+    statsCards: document.querySelectorAll('[data-stat]'),
     deptInfoGrid: document.getElementById('deptInfoGrid'),
     objectivesGrid: document.getElementById('objectivesGrid'),
     programsGrid: document.getElementById('programsGrid'),
     expertiseGrid: document.getElementById('expertiseGrid'),
+    facultyGrid: document.getElementById('facultyGrid'),
     errorMessage: document.getElementById('errorMessage'),
     loginLink: document.getElementById('loginLink'),
     logoutBtn: document.getElementById('logoutBtn'),
@@ -90,6 +92,14 @@ const staticData = {
     ]
 };
 
+// Hero statistics shown from /api/stats, in display order
+const HERO_STATS = [
+    { key: 'students', label: 'Students Enrolled' },
+    { key: 'faculty', label: 'Faculty Members' },
+    { key: 'years', label: 'Years of Excellence' },
+    { key: 'graduates', label: 'Graduates' }
+];
+
 // State management
 const state = {
     isLoading: false,
@@ -100,6 +110,20 @@ const state = {
 
 // Utility Functions
 const utils = {
+    /**
+     * Escape text from the database before putting it in markup
+     * @param {*} text - Text to escape
+     * @returns {string} - HTML-safe text
+     */
+    escapeHtml(text) {
+        return String(text ?? '')
+            .replace(/&/g, '&amp;')
+            .replace(/</g, '&lt;')
+            .replace(/>/g, '&gt;')
+            .replace(/"/g, '&quot;')
+            .replace(/'/g, '&#39;');
+    },
+
     /**
      * Hide loading spinner immediately
      */
@@ -309,12 +333,22 @@ const api = {
 // Content Rendering Functions
 const renderer = {
     /**
-     * Render hero stats
+     * Render hero stats from live statistics, falling back to static values
+     * @param {Object} [stats] - Statistics data from /api/stats
      */
-    renderHeroStats() {
+    renderHeroStats(stats = {}) {
         if (!elements.heroStats) return;
+
+        const liveStats = HERO_STATS
+            .filter(({ key }) => stats[key] !== undefined && stats[key] !== null)
+            .map(({ key, label }) => ({
+                // Overrides are display strings such as "500+"; live counts are numbers
+                number: typeof stats[key] === 'number' ? stats[key].toLocaleString() : stats[key],
+                label
+            }));
+        const heroStats = liveStats.length === HERO_STATS.length ? liveStats : staticData.stats;
         
-        elements.heroStats.innerHTML = staticData.stats.map(stat => `
+        elements.heroStats.innerHTML = heroStats.map(stat => `
             <div class="hero-stat">
                 <span class="hero-stat-number">${stat.number}</span>
                 <span class="hero-stat-label">${stat.label}</span>
@@ -402,12 +436,26 @@ const renderer = {
     },
 
     /**
-     * Render expertise areas
+     * Render expertise areas from staff research interests, falling back to static areas
+     * @param {Array} [faculty] - Faculty data
      */
-    renderExpertise() {
+    renderExpertise(faculty = []) {
         if (!elements.expertiseGrid) return;
+
+        // Group staff by research interest: { "Data Analytics": ["Dr. A", "Prof. B"] }
+        const interests = {};
+        faculty.forEach(member => {
+            (member.researchInterests || []).forEach(interest => {
+                interests[interest] = interests[interest] || [];
+                interests[interest].push(member.name);
+            });
+        });
+
+        const areas = Object.keys(interests).length > 0
+            ? Object.entries(interests).map(([title, names]) => ({ title, description: names.join(', ') }))
+            : staticData.expertise;
         
-        elements.expertiseGrid.innerHTML = staticData.expertise.map(area => `
+        elements.expertiseGrid.innerHTML = areas.map(area => `
             <div class="expertise-item">
                 <h4>${area.title}</h4>
                 <p>${area.description}</p>
@@ -421,15 +469,17 @@ const renderer = {
      */
     renderStats(stats) {
         const statMapping = {
-            'students': stats.students || 245,
-            'faculty': stats.faculty || 12,
-            'courses': stats.courses || 32,
-            'graduates': stats.graduates || 89
+            'students': stats.students ?? 245,
+            'faculty': stats.faculty ?? 12,
+            'courses': stats.courses ?? 32,
+            'graduates': stats.graduates ?? 89
         };
 
         elements.statsCards.forEach(card => {
             const statType = card.getAttribute('data-stat');
-            if (statMapping[statType]) {
+            if (typeof statMapping[statType] === 'string') {
+                card.textContent = statMapping[statType];
+            } else if (statMapping[statType]) {
                 // Start animation when card comes into view
                 const observer = new IntersectionObserver((entries) => {
                     entries.forEach(entry => {
@@ -454,15 +504,19 @@ const renderer = {
         const facultyHTML = faculty.map(member => `
             <div class="faculty-card">
                 <div class="faculty-image">
-                    <i class="fas fa-user-tie"></i>
+                    ${member.photoUrl
+                        ? `<img src="${utils.escapeHtml(member.photoUrl)}" alt="${utils.escapeHtml(member.name)}">`
+                        : '<i class="fas fa-user-tie"></i>'}
                 </div>
                 <div class="faculty-info">
-                    <h4 class="faculty-name">${member.name}</h4>
-                    <p class="faculty-title">${member.title}</p>
-                    <p class="faculty-qualification">${member.qualification}</p>
-                    ${member.specialization ? `<p class="faculty-specialization"><strong>Specialization:</strong> ${member.specialization}</p>` : ''}
+                    <h4 class="faculty-name">${utils.escapeHtml(member.name)}</h4>
+                    ${member.position ? `<p class="faculty-position">${utils.escapeHtml(member.position)}</p>` : ''}
+                    ${member.title ? `<p class="faculty-title">${utils.escapeHtml(member.title)}</p>` : ''}
+                    ${member.qualification ? `<p class="faculty-qualification">${utils.escapeHtml(member.qualification)}</p>` : ''}
+                    ${member.specialization ? `<p class="faculty-specialization"><strong>Specialization:</strong> ${utils.escapeHtml(member.specialization)}</p>` : ''}
                     <div class="faculty-contact">
-                        <p><i class="fas fa-envelope"></i> ${member.email}</p>
+                        ${member.email ? `<p><i class="fas fa-envelope"></i> ${utils.escapeHtml(member.email)}</p>` : ''}
+                        ${member.office ? `<p><i class="fas fa-door-open"></i> ${utils.escapeHtml(member.office)}</p>` : ''}
                     </div>
                 </div>
             </div>
@@ -532,10 +586,9 @@ const handlers = {
      */
     handleAuth() {
         const user = localStorage.getItem('user');
-        const token = localStorage.getItem('token');
         
         if (elements.authLinks) {
-            if (user && token) {
+            if (user) {
                 // User is logged in
                 elements.authLinks.innerHTML = `
                     <span>Welcome back!</span>
@@ -544,10 +597,22 @@ const handlers = {
                 
                 const logoutBtn = document.getElementById('logoutBtn');
                 if (logoutBtn) {
-                    logoutBtn.addEventListener('click', (e) => {
+                    logoutBtn.addEventListener('click', async (e) => {
                         e.preventDefault();
+                        // Revoke the session cookies on the server before forgetting the user here
+                        const csrfCookie = document.cookie.split('; ').find((entry) => entry.startsWith('csrf_token='));
+                        try {
+                            await fetch(`${CONFIG.API_BASE_URL}/logout`, {
+                                method: 'POST',
+                                credentials: 'same-origin',
+                                headers: {
+                                    'X-CSRF-Token': csrfCookie ? decodeURIComponent(csrfCookie.split('=')[1]) : ''
+                                }
+                            });
+                        } catch (error) {
+                            console.error('Logout error:', error);
+                        }
                         localStorage.removeItem('user');
-                        localStorage.removeItem('token');
                         window.location.href = '/';
                     });
                 }
@@ -606,12 +671,12 @@ async function init() {
         renderer.updateAboutContent(aboutData);
         renderer.renderStats(statsData);
         renderer.renderFaculty(facultyData);
-        renderer.renderHeroStats();
+        renderer.renderHeroStats(statsData);
         renderer.renderDepartmentInfo();
         renderer.renderMissionVision();
         renderer.renderObjectives();
         renderer.renderPrograms();
-        renderer.renderExpertise();
+        renderer.renderExpertise(facultyData);
 
         console.log('About page initialized successfully');
     } catch (error) {
@@ -1,17 +1,59 @@
 // Admin Dashboard Script
 
+import { authFetch, logout } from '/scripts/session.js';
+
 const API_BASE_URL = '/api'; // Changed from http://localhost:3000/api
 const ENDPOINTS = {
     PENDING: `${API_BASE_URL}/pending-registrations`,
     CONFIRM: `${API_BASE_URL}/confirm-registration`,
+    CONFIRM_SELECTED: `${API_BASE_URL}/confirm-registrations`,
+    STUDENT_IMPORT: `${API_BASE_URL}/students/import`,
+    PASSCODE_DELIVERIES: `${API_BASE_URL}/passcode-deliveries`,
+    REJECT: `${API_BASE_URL}/reject-registration`,
+    REQUEST_CORRECTION: `${API_BASE_URL}/request-registration-correction`,
     MATERIALS: `${API_BASE_URL}/materials`,
-    EVENTS: `${API_BASE_URL}/events`
+    COURSES: `${API_BASE_URL}/courses`,
+    EVENTS: `${API_BASE_URL}/events`,
+    ADMINS: `${API_BASE_URL}/admins`,
+    CONTACT_SUBMISSIONS: `${API_BASE_URL}/contact/submissions`,
+    CONTENT: `${API_BASE_URL}/content`,
+    LOGIN_LOCKOUTS: `${API_BASE_URL}/login-lockouts`,
+    TWO_FACTOR: `${API_BASE_URL}/admin/2fa`,
+    SECURITY_SETTINGS: `${API_BASE_URL}/security-settings`,
+    ROLES: `${API_BASE_URL}/roles`,
+    ROLE_ASSIGNMENTS: `${API_BASE_URL}/role-assignments`
+};
+
+// Dashboard sections and the permissions that unlock them; the rest are open
+// to every admin
+const SECTION_PERMISSIONS = {
+    registrations: ['registrations.review'],
+    materials: ['materials.manage', 'materials.manage_own'],
+    events: ['events.manage'],
+    inbox: ['contact.manage'],
+    content: ['content.manage'],
+    lockouts: ['security.manage'],
+    roles: ['roles.assign']
+};
+
+const INBOX_STATUSES = {
+    new: { label: 'New', badge: 'badge-info' },
+    in_progress: { label: 'In progress', badge: 'badge-warning' },
+    resolved: { label: 'Resolved', badge: 'badge-success' }
 };
 
 // DOM Elements
 const welcomeMessage = document.getElementById('welcomeMessage');
-const pendingBody = document.getElementById('pendingBody');
-const pendingError = document.getElementById('pendingError');
+const pendingBody = document.getElementById('registrationsBody');
+const pendingError = document.getElementById('registrationsError');
+const selectAllRegistrations = document.getElementById('selectAllRegistrations');
+const confirmSelectedBtn = document.getElementById('confirmSelectedBtn');
+const passcodeQueueStatus = document.getElementById('passcodeQueueStatus');
+const retryPasscodesBtn = document.getElementById('retryPasscodesBtn');
+const importForm = document.getElementById('importForm');
+const importFormMessage = document.getElementById('importFormMessage');
+const importReport = document.getElementById('importReport');
+const importReportBody = document.getElementById('importReportBody');
 const materialForm = document.getElementById('materialForm');
 const materialFormMessage = document.getElementById('materialFormMessage');
 const materialsBody = document.getElementById('materialsBody');
@@ -20,6 +62,33 @@ const eventForm = document.getElementById('eventForm');
 const eventFormMessage = document.getElementById('eventFormMessage');
 const eventsBody = document.getElementById('eventsBody');
 const eventsError = document.getElementById('eventsError');
+const inboxBody = document.getElementById('inboxBody');
+const inboxError = document.getElementById('inboxError');
+const inboxStatusFilter = document.getElementById('inboxStatusFilter');
+const inboxAssigneeFilter = document.getElementById('inboxAssigneeFilter');
+const inboxDetail = document.getElementById('inboxDetail');
+const inboxUpdateForm = document.getElementById('inboxUpdateForm');
+const inboxNoteForm = document.getElementById('inboxNoteForm');
+const inboxReplyForm = document.getElementById('inboxReplyForm');
+const inboxDetailFormMessage = document.getElementById('inboxDetailFormMessage');
+const contentForm = document.getElementById('contentForm');
+const contentSection = document.getElementById('contentSection');
+const contentFormMessage = document.getElementById('contentFormMessage');
+const contentRevisionsBody = document.getElementById('contentRevisionsBody');
+const lockoutsBody = document.getElementById('lockoutsBody');
+const lockoutsError = document.getElementById('lockoutsError');
+const twoFactorStatus = document.getElementById('twoFactorStatus');
+const twoFactorSetupBtn = document.getElementById('twoFactorSetupBtn');
+const twoFactorEnableForm = document.getElementById('twoFactorEnableForm');
+const twoFactorRecoveryCodes = document.getElementById('twoFactorRecoveryCodes');
+const twoFactorManageForm = document.getElementById('twoFactorManageForm');
+const securitySettingsForm = document.getElementById('securitySettingsForm');
+const securityFormMessage = document.getElementById('securityFormMessage');
+const rolesBody = document.getElementById('rolesBody');
+const rolesError = document.getElementById('rolesError');
+const roleForm = document.getElementById('roleForm');
+const roleOptions = document.getElementById('roleOptions');
+const roleFormMessage = document.getElementById('roleFormMessage');
 const logoutBtn = document.getElementById('logoutBtn');
 const mainNav = document.querySelector('.main-nav');
 const mobileMenuBtn = document.querySelector('.mobile-menu-btn');
@@ -34,6 +103,16 @@ function getCurrentUser() {
     }
 }
 
+// Whether the signed-in admin holds a permission ('*' holds them all)
+function can(permission) {
+    const permissions = (getCurrentUser() || {}).permissions || [];
+    return permissions.includes('*') || permissions.includes(permission);
+}
+
+function canOpenSection(id) {
+    return !SECTION_PERMISSIONS[id] || SECTION_PERMISSIONS[id].some(can);
+}
+
 // Utility: Format date
 function formatDate(dateString) {
     if (!dateString) return '';
@@ -41,6 +120,15 @@ function formatDate(dateString) {
     return new Date(dateString).toLocaleDateString('en-US', options);
 }
 
+// Utility: Escape user-supplied text before putting it in markup
+function escapeHtml(text) {
+    return String(text ?? '')
+        .replace(/&/g, '&amp;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;')
+        .replace(/"/g, '&quot;');
+}
+
 // Utility: Show error message
 function showError(element, message) {
     if (element) {
@@ -78,34 +166,56 @@ function clearFormMessage(element) {
 // Fetch and display pending registrations
 async function loadPendingRegistrations() {
     pendingError.style.display = 'none';
-    pendingBody.innerHTML = `<tr><td colspan="4" class="loading">Loading pending registrations...</td></tr>`;
+    pendingBody.innerHTML = `<tr><td colspan="6" class="loading">Loading pending registrations...</td></tr>`;
+    selectAllRegistrations.checked = false;
+    updateRegistrationSelection();
+    loadPasscodeQueue();
     try {
-        const token = localStorage.getItem('token');
-        const res = await fetch(ENDPOINTS.PENDING, {
-            headers: { 'Authorization': `Bearer ${token}` }
-        });
+        const res = await authFetch(ENDPOINTS.PENDING);
         if (!res.ok) throw new Error('Failed to fetch pending registrations');
         const pending = await res.json();
         if (!pending.length) {
-            pendingBody.innerHTML = `<tr><td colspan="4">No pending registrations.</td></tr>`;
+            pendingBody.innerHTML = `<tr><td colspan="6">No pending registrations.</td></tr>`;
             return;
         }
         pendingBody.innerHTML = pending.map(user => `
             <tr>
-                <td>${user.name}</td>
-                <td>${user.regNumber}</td>
-                <td>${user.email}</td>
                 <td>
-                    <button class="action-btn btn-confirm" data-userid="${user.id}" aria-label="Confirm registration for ${user.name}">
-                        <i class="fas fa-check"></i> Confirm
+                    ${user.status === 'pending' ? `
+                        <input type="checkbox" class="registration-select" value="${user.id}" aria-label="Select registration for ${escapeHtml(user.name)}">
+                    ` : ''}
+                </td>
+                <td>${escapeHtml(user.name)}</td>
+                <td>${escapeHtml(user.regNumber)}</td>
+                <td>${escapeHtml(user.email)}</td>
+                <td>${formatDate(user.createdAt)}</td>
+                <td>
+                    ${user.status === 'changes_requested' ? `
+                        <span class="badge badge-warning" title="${escapeHtml(user.reviewNote || '')}">Awaiting changes</span>
+                    ` : `
+                        <button class="action-btn btn-confirm" data-userid="${user.id}" aria-label="Confirm registration for ${escapeHtml(user.name)}">
+                            <i class="fas fa-check"></i> Confirm
+                        </button>
+                        <button class="action-btn btn-request-correction" data-userid="${user.id}" aria-label="Ask ${escapeHtml(user.name)} to correct their registration">
+                            <i class="fas fa-edit"></i> Request Changes
+                        </button>
+                    `}
+                    <button class="action-btn btn-reject" data-userid="${user.id}" aria-label="Reject registration for ${escapeHtml(user.name)}">
+                        <i class="fas fa-times"></i> Reject
                     </button>
                 </td>
             </tr>
         `).join('');
-        // Attach event listeners for confirm buttons
+        // Attach event listeners for the action buttons
         document.querySelectorAll('.btn-confirm').forEach(btn => {
             btn.addEventListener('click', handleConfirmRegistration);
         });
+        document.querySelectorAll('.btn-request-correction').forEach(btn => {
+            btn.addEventListener('click', handleRequestCorrection);
+        });
+        document.querySelectorAll('.btn-reject').forEach(btn => {
+            btn.addEventListener('click', handleRejectRegistration);
+        });
     } catch (err) {
         pendingBody.innerHTML = '';
         pendingError.textContent = 'Unable to load pending registrations. Please try again later.';
@@ -115,41 +225,200 @@ async function loadPendingRegistrations() {
 
 // Confirm registration
 async function handleConfirmRegistration(e) {
-    const userId = e.currentTarget.getAttribute('data-userid');
+    const btn = e.currentTarget;
+    const userId = btn.getAttribute('data-userid');
     if (!userId) return;
-    e.currentTarget.disabled = true;
-    e.currentTarget.innerHTML = `<i class="fas fa-spinner fa-spin"></i> Confirming...`;
+    btn.disabled = true;
+    btn.innerHTML = `<i class="fas fa-spinner fa-spin"></i> Confirming...`;
     try {
-        const token = localStorage.getItem('token');
-        const res = await fetch(ENDPOINTS.CONFIRM, {
-            method: 'POST',
-            headers: {
-                'Content-Type': 'application/json',
-                'Authorization': `Bearer ${token}`
-            },
-            body: JSON.stringify({ userId })
-        });
+        const res = await authFetch(`${ENDPOINTS.CONFIRM}/${userId}`, { method: 'POST' });
         const result = await res.json();
         if (res.ok) {
             alert(`Registration confirmed. Passcode sent to student email.`);
-            loadPendingRegistrations();
         } else {
-            alert(result.message || 'Failed to confirm registration.');
+            alert(result.error || 'Failed to confirm registration.');
         }
+        loadPendingRegistrations();
+    } catch (err) {
+        alert('An error occurred. Please try again.');
+        loadPendingRegistrations();
+    }
+}
+
+// Ids of the registrations ticked for bulk confirmation
+function selectedRegistrationIds() {
+    return [...pendingBody.querySelectorAll('.registration-select:checked')].map(box => Number(box.value));
+}
+
+function updateRegistrationSelection() {
+    const boxes = pendingBody.querySelectorAll('.registration-select');
+    const selected = selectedRegistrationIds().length;
+    confirmSelectedBtn.disabled = selected === 0;
+    confirmSelectedBtn.innerHTML = `<i class="fas fa-check-double"></i> Confirm Selected${selected ? ` (${selected})` : ''}`;
+    selectAllRegistrations.checked = boxes.length > 0 && selected === boxes.length;
+}
+
+// Confirm every ticked registration; the passcode emails go out in the background
+async function handleConfirmSelected() {
+    const ids = selectedRegistrationIds();
+    if (!ids.length || !confirm(`Confirm ${ids.length} registration(s) and email their passcodes?`)) return;
+    confirmSelectedBtn.disabled = true;
+    try {
+        const res = await authFetch(ENDPOINTS.CONFIRM_SELECTED, {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify({ ids })
+        });
+        const result = await res.json();
+        alert(res.ok ? result.message : (result.error || 'Failed to confirm registrations.'));
+    } catch (err) {
+        alert('An error occurred. Please try again.');
+    }
+    loadPendingRegistrations();
+}
+
+// Show how many queued passcode emails are still to go out, and any that failed
+async function loadPasscodeQueue() {
+    try {
+        const res = await authFetch(ENDPOINTS.PASSCODE_DELIVERIES);
+        if (!res.ok) throw new Error('Failed to fetch passcode deliveries');
+        const { counts, failed } = await res.json();
+        const parts = [];
+        if (counts.queued) parts.push(`${counts.queued} passcode email(s) waiting to send`);
+        if (counts.failed) parts.push(`${counts.failed} failed`);
+        passcodeQueueStatus.textContent = parts.join(', ');
+        passcodeQueueStatus.title = failed.map(delivery => `${delivery.regNumber} (${delivery.email}): ${delivery.lastError}`).join('\n');
+        retryPasscodesBtn.hidden = counts.failed === 0;
+    } catch (err) {
+        passcodeQueueStatus.textContent = '';
+        retryPasscodesBtn.hidden = true;
+    }
+}
+
+async function handleRetryPasscodes() {
+    retryPasscodesBtn.disabled = true;
+    try {
+        const res = await authFetch(`${ENDPOINTS.PASSCODE_DELIVERIES}/retry`, { method: 'POST' });
+        const result = await res.json();
+        alert(res.ok ? result.message : (result.error || 'Failed to retry passcode emails.'));
+    } catch (err) {
+        alert('An error occurred. Please try again.');
+    }
+    retryPasscodesBtn.disabled = false;
+    loadPasscodeQueue();
+}
+
+// Preview or import a class list CSV, then list what happened to each row
+async function handleImport(e) {
+    e.preventDefault();
+    clearFormMessage(importFormMessage);
+    const dryRun = e.submitter?.value === 'preview';
+    const formData = new FormData();
+    formData.append('file', importForm.file.files[0]);
+    formData.append('dryRun', String(dryRun));
+    try {
+        const res = await authFetch(ENDPOINTS.STUDENT_IMPORT, {
+            method: 'POST',
+            body: formData
+        });
+        const result = await res.json();
+        if (!res.ok) {
+            importReport.hidden = true;
+            showFormMessage(importFormMessage, result.error || 'Failed to read the class list.', 'error');
+            return;
+        }
+
+        const skipped = result.total - result.valid;
+        showFormMessage(importFormMessage, result.dryRun
+            ? `${result.valid} of ${result.total} student(s) can be imported${skipped ? `; ${skipped} row(s) have problems` : ''}.`
+            : `${result.created} student(s) imported and their passcodes queued for email${skipped ? `; ${skipped} row(s) skipped` : ''}.`,
+            skipped ? 'error' : 'success');
+        importReportBody.innerHTML = result.rows.map(row => `
+            <tr>
+                <td>${row.line}</td>
+                <td>${escapeHtml(row.name)}</td>
+                <td>${escapeHtml(row.regNumber)}</td>
+                <td>${escapeHtml(row.email)}</td>
+                <td>
+                    ${row.errors.length ? `
+                        <ul class="import-errors">${row.errors.map(error => `<li>${escapeHtml(error)}</li>`).join('')}</ul>
+                    ` : `<span class="badge badge-success">${result.dryRun ? 'Ready' : 'Imported'}</span>`}
+                </td>
+            </tr>
+        `).join('');
+        importReport.hidden = false;
+        if (!result.dryRun) {
+            importForm.reset();
+            loadPasscodeQueue();
+        }
+    } catch (err) {
+        showFormMessage(importFormMessage, 'An error occurred. Please try again.', 'error');
+    }
+}
+
+// Send a review decision with a note for the applicant, asked for in a prompt
+async function sendRegistrationReview(url, field, promptText, fallbackError) {
+    const note = prompt(promptText);
+    if (note === null) return;
+    if (!note.trim()) {
+        alert('Please enter a message for the applicant.');
+        return;
+    }
+    try {
+        const res = await authFetch(url, {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify({ [field]: note.trim() })
+        });
+        const result = await res.json();
+        alert(res.ok ? result.message : (result.error || fallbackError));
+        loadPendingRegistrations();
     } catch (err) {
         alert('An error occurred. Please try again.');
     }
 }
 
+// Reject a registration; the reason is emailed to the applicant
+function handleRejectRegistration(e) {
+    const userId = e.currentTarget.getAttribute('data-userid');
+    if (!userId) return;
+    sendRegistrationReview(`${ENDPOINTS.REJECT}/${userId}`, 'reason',
+        'Why is this registration being rejected? The applicant will receive this reason by email.',
+        'Failed to reject registration.');
+}
+
+// Ask the applicant to fix their registration through an emailed link
+function handleRequestCorrection(e) {
+    const userId = e.currentTarget.getAttribute('data-userid');
+    if (!userId) return;
+    sendRegistrationReview(`${ENDPOINTS.REQUEST_CORRECTION}/${userId}`, 'message',
+        'What should the applicant change? They will receive this with a link to update their registration.',
+        'Failed to request changes.');
+}
+
+// Fill the material form's course dropdown from the curriculum
+async function loadCourseOptions() {
+    const courseSelect = document.getElementById('courseCode');
+    if (!courseSelect) return;
+    try {
+        const res = await fetch(ENDPOINTS.COURSES);
+        if (!res.ok) throw new Error('Failed to fetch courses');
+        const data = await res.json();
+        const courses = Object.values(data.curriculum.undergraduate.courses).flat();
+        courseSelect.innerHTML = '<option value="">Select course</option>' + courses.map(course =>
+            `<option value="${escapeHtml(course.code)}">${escapeHtml(course.code)} - ${escapeHtml(course.title)}</option>`
+        ).join('');
+    } catch (err) {
+        console.error('Error loading courses:', err);
+    }
+}
+
 // Fetch and display uploaded materials
 async function loadMaterials() {
     materialsError.style.display = 'none';
     materialsBody.innerHTML = `<tr><td colspan="5" class="loading">Loading materials...</td></tr>`;
     try {
-        const token = localStorage.getItem('token');
-        const res = await fetch(ENDPOINTS.MATERIALS, {
-            headers: { 'Authorization': `Bearer ${token}` }
-        });
+        const res = await authFetch(ENDPOINTS.MATERIALS);
         if (!res.ok) throw new Error('Failed to fetch materials');
         const materials = await res.json();
         if (!materials.length) {
@@ -158,12 +427,12 @@ async function loadMaterials() {
         }
         materialsBody.innerHTML = materials.map(mat => `
             <tr>
-                <td>${mat.courseTitle}</td>
-                <td>${mat.type.toUpperCase()}</td>
-                <td>${mat.fileName}</td>
+                <td>${mat.courseCode ? `${escapeHtml(mat.courseCode)} - ` : ''}${escapeHtml(mat.courseTitle)}</td>
+                <td>${escapeHtml(mat.type.toUpperCase())}</td>
+                <td>${escapeHtml(mat.fileName)}</td>
                 <td>${formatDate(mat.createdAt)}</td>
                 <td>
-                    <button class="action-btn btn-delete" data-materialid="${mat.id}" aria-label="Delete material ${mat.fileName}">
+                    <button class="action-btn btn-delete" data-materialid="${mat.id}" aria-label="Delete material ${escapeHtml(mat.fileName)}">
                         <i class="fas fa-trash"></i> Delete
                     </button>
                 </td>
@@ -188,10 +457,8 @@ async function handleDeleteMaterial(e) {
     e.currentTarget.disabled = true;
     e.currentTarget.innerHTML = `<i class="fas fa-spinner fa-spin"></i> Deleting...`;
     try {
-        const token = localStorage.getItem('token');
-        const res = await fetch(`${ENDPOINTS.MATERIALS}/${materialId}`, {
-            method: 'DELETE',
-            headers: { 'Authorization': `Bearer ${token}` }
+        const res = await authFetch(`${ENDPOINTS.MATERIALS}/${materialId}`, {
+            method: 'DELETE'
         });
         const result = await res.json();
         if (res.ok) {
@@ -209,10 +476,7 @@ async function loadEvents() {
     eventsError.style.display = 'none';
     eventsBody.innerHTML = `<tr><td colspan="5" class="loading">Loading events...</td></tr>`;
     try {
-        const token = localStorage.getItem('token');
-        const res = await fetch(ENDPOINTS.EVENTS, {
-            headers: { 'Authorization': `Bearer ${token}` }
-        });
+        const res = await authFetch(ENDPOINTS.EVENTS);
         if (!res.ok) throw new Error('Failed to fetch events');
         const events = await res.json();
         if (!events.length) {
@@ -221,14 +485,14 @@ async function loadEvents() {
         }
         eventsBody.innerHTML = events.map(ev => `
             <tr>
-                <td>${ev.title}</td>
+                <td>${escapeHtml(ev.title)}</td>
                 <td>${formatDate(ev.eventDate)}</td>
-                <td>${ev.description || ''}</td>
+                <td>${escapeHtml(ev.description)}</td>
                 <td>
-                    ${ev.imageUrl ? `<img src="${ev.imageUrl}" alt="Event image" style="max-width:60px;max-height:40px;border-radius:4px;">` : ''}
+                    ${ev.imageUrl ? `<img src="${escapeHtml(ev.imageUrl)}" alt="Event image" style="max-width:60px;max-height:40px;border-radius:4px;">` : ''}
                 </td>
                 <td>
-                    <button class="action-btn btn-delete" data-eventid="${ev.id}" aria-label="Delete event ${ev.title}">
+                    <button class="action-btn btn-delete" data-eventid="${ev.id}" aria-label="Delete event ${escapeHtml(ev.title)}">
                         <i class="fas fa-trash"></i> Delete
                     </button>
                 </td>
@@ -253,10 +517,8 @@ async function handleDeleteEvent(e) {
     e.currentTarget.disabled = true;
     e.currentTarget.innerHTML = `<i class="fas fa-spinner fa-spin"></i> Deleting...`;
     try {
-        const token = localStorage.getItem('token');
-        const res = await fetch(`${ENDPOINTS.EVENTS}/${eventId}`, {
-            method: 'DELETE',
-            headers: { 'Authorization': `Bearer ${token}` }
+        const res = await authFetch(`${ENDPOINTS.EVENTS}/${eventId}`, {
+            method: 'DELETE'
         });
         const result = await res.json();
         if (res.ok) {
@@ -269,21 +531,547 @@ async function handleDeleteEvent(e) {
     }
 }
 
+// Submission currently open in the inbox detail panel
+let currentSubmissionId = null;
+
+// Fill the inbox assignee dropdowns with active admin accounts
+async function loadInboxAssignees() {
+    try {
+        const res = await authFetch(ENDPOINTS.ADMINS);
+        if (!res.ok) throw new Error('Failed to fetch admins');
+        const admins = (await res.json()).filter(admin => admin.status === 'active');
+        const options = admins.map(admin =>
+            `<option value="${admin.id}">${escapeHtml(admin.name || admin.username)}</option>`
+        ).join('');
+        inboxAssigneeFilter.innerHTML = '<option value="">Anyone</option><option value="none">Unassigned</option>' + options;
+        document.getElementById('inboxAssignee').innerHTML = '<option value="">Unassigned</option>' + options;
+    } catch (err) {
+        console.error('Error loading admins:', err);
+    }
+}
+
+// Fetch and display contact form submissions matching the inbox filters
+async function loadInbox() {
+    inboxError.style.display = 'none';
+    inboxBody.innerHTML = `<tr><td colspan="6" class="loading">Loading messages...</td></tr>`;
+    try {
+        const params = new URLSearchParams();
+        if (inboxStatusFilter.value) params.set('status', inboxStatusFilter.value);
+        if (inboxAssigneeFilter.value) params.set('assignedTo', inboxAssigneeFilter.value);
+        const res = await authFetch(`${ENDPOINTS.CONTACT_SUBMISSIONS}?${params}`);
+        if (!res.ok) throw new Error('Failed to fetch contact submissions');
+        const submissions = await res.json();
+        if (!submissions.length) {
+            inboxBody.innerHTML = `<tr><td colspan="6">No messages.</td></tr>`;
+            return;
+        }
+        inboxBody.innerHTML = submissions.map(sub => `
+            <tr>
+                <td>${escapeHtml(sub.name)}<br><small>${escapeHtml(sub.email)}</small></td>
+                <td>${escapeHtml(sub.subject)}</td>
+                <td><span class="badge ${INBOX_STATUSES[sub.status].badge}">${INBOX_STATUSES[sub.status].label}</span></td>
+                <td>${escapeHtml(sub.assignedToName || 'Unassigned')}</td>
+                <td>${formatDate(sub.createdAt)}</td>
+                <td>
+                    <button class="action-btn btn-view" data-submissionid="${sub.id}" aria-label="Open message from ${escapeHtml(sub.name)}">
+                        <i class="fas fa-envelope-open"></i> Open
+                    </button>
+                </td>
+            </tr>
+        `).join('');
+        document.querySelectorAll('.btn-view[data-submissionid]').forEach(btn => {
+            btn.addEventListener('click', () => openSubmission(btn.getAttribute('data-submissionid')));
+        });
+    } catch (err) {
+        inboxBody.innerHTML = '';
+        inboxError.textContent = 'Unable to load messages. Please try again later.';
+        inboxError.style.display = 'block';
+    }
+}
+
+// Show one submission with its notes and reply history
+async function openSubmission(submissionId) {
+    clearFormMessage(inboxDetailFormMessage);
+    try {
+        const res = await authFetch(`${ENDPOINTS.CONTACT_SUBMISSIONS}/${submissionId}`);
+        if (!res.ok) throw new Error('Failed to fetch submission');
+        const sub = await res.json();
+        currentSubmissionId = sub.id;
+
+        document.getElementById('inboxDetailSubject').textContent = sub.subject;
+        document.getElementById('inboxDetailFrom').textContent =
+            `${sub.name} <${sub.email}>${sub.phone ? ` · ${sub.phone}` : ''} · ${formatDate(sub.createdAt)}`;
+        document.getElementById('inboxDetailMessage').textContent = sub.message;
+        document.getElementById('inboxStatus').value = sub.status;
+        document.getElementById('inboxAssignee').value = sub.assignedTo || '';
+        document.getElementById('inboxReplySubject').value = `Re: ${sub.subject}`;
+
+        document.getElementById('inboxNotes').innerHTML = sub.notes.length
+            ? sub.notes.map(note => `
+                <li>
+                    <span class="inbox-meta">${escapeHtml(note.authorName || 'Admin')} · ${formatDate(note.createdAt)}</span>
+                    ${escapeHtml(note.body)}
+                </li>
+            `).join('')
+            : '<li>No notes yet.</li>';
+        document.getElementById('inboxReplies').innerHTML = sub.replies.length
+            ? sub.replies.map(reply => `
+                <li>
+                    <span class="inbox-meta">${escapeHtml(reply.authorName || 'Admin')} · ${formatDate(reply.sentAt)} · ${escapeHtml(reply.subject)}</span>
+                    ${escapeHtml(reply.body)}
+                </li>
+            `).join('')
+            : '<li>No replies sent yet.</li>';
+
+        inboxDetail.hidden = false;
+        inboxDetail.scrollIntoView({ behavior: 'smooth' });
+    } catch (err) {
+        alert('Unable to open this message. Please try again.');
+    }
+}
+
+// Send a JSON request for the open submission and refresh the inbox afterwards
+async function submitInboxAction(path, method, payload, successMessage) {
+    if (!currentSubmissionId) return false;
+    try {
+        const res = await authFetch(`${ENDPOINTS.CONTACT_SUBMISSIONS}/${currentSubmissionId}${path}`, {
+            method,
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify(payload)
+        });
+        const result = await res.json();
+        if (!res.ok) {
+            showFormMessage(inboxDetailFormMessage, result.error || 'Request failed.', 'error');
+            return false;
+        }
+        await openSubmission(currentSubmissionId);
+        showFormMessage(inboxDetailFormMessage, successMessage, 'success');
+        loadInbox();
+        return true;
+    } catch (err) {
+        showFormMessage(inboxDetailFormMessage, 'An error occurred. Please try again.', 'error');
+        return false;
+    }
+}
+
+// Save status and assignee changes
+async function handleInboxUpdate(e) {
+    e.preventDefault();
+    const assignedTo = inboxUpdateForm.assignedTo.value;
+    await submitInboxAction('', 'PUT', {
+        status: inboxUpdateForm.status.value,
+        assignedTo: assignedTo ? Number(assignedTo) : null
+    }, 'Message updated.');
+}
+
+// Add an internal note
+async function handleInboxNote(e) {
+    e.preventDefault();
+    const body = inboxNoteForm.body.value.trim();
+    if (!body) return;
+    if (await submitInboxAction('/notes', 'POST', { body }, 'Note added.')) {
+        inboxNoteForm.reset();
+    }
+}
+
+// Email a reply to the sender
+async function handleInboxReply(e) {
+    e.preventDefault();
+    const body = inboxReplyForm.body.value.trim();
+    if (!body) return;
+    const subject = inboxReplyForm.subject.value.trim();
+    if (await submitInboxAction('/replies', 'POST', { subject, body }, 'Reply sent.')) {
+        inboxReplyForm.body.value = '';
+    }
+}
+
+// Load the selected content section into the editor, with its revisions
+async function loadContent() {
+    clearFormMessage(contentFormMessage);
+    const section = contentSection.value;
+    try {
+        const [contentRes, revisionsRes] = await Promise.all([
+            authFetch(`${ENDPOINTS.CONTENT}/${section}`),
+            authFetch(`${ENDPOINTS.CONTENT}/${section}/revisions`)
+        ]);
+        if (!contentRes.ok || !revisionsRes.ok) throw new Error('Failed to fetch content');
+        const current = await contentRes.json();
+        const revisions = await revisionsRes.json();
+
+        contentForm.content.value = JSON.stringify(current.content, null, 2);
+        document.getElementById('contentUpdated').textContent =
+            `Last saved ${formatDate(current.updatedAt)}${current.updatedByName ? ` by ${current.updatedByName}` : ''}`;
+
+        contentRevisionsBody.innerHTML = revisions.map(revision => `
+            <tr>
+                <td>#${revision.id}${revision.restoredFrom ? ` (restored #${revision.restoredFrom})` : ''}</td>
+                <td>${formatDate(revision.createdAt)}</td>
+                <td>${escapeHtml(revision.createdByName || 'System')}</td>
+                <td>
+                    ${revision.current
+                        ? '<span class="badge badge-success">Current</span>'
+                        : `<button class="action-btn btn-restore" data-revisionid="${revision.id}" aria-label="Restore revision ${revision.id}">
+                            <i class="fas fa-undo"></i> Restore
+                        </button>`}
+                </td>
+            </tr>
+        `).join('');
+        document.querySelectorAll('.btn-restore[data-revisionid]').forEach(btn => {
+            btn.addEventListener('click', handleRestoreRevision);
+        });
+    } catch (err) {
+        showFormMessage(contentFormMessage, 'Unable to load content. Please try again later.', 'error');
+    }
+}
+
+// Save the edited content as a new revision
+async function handleContentForm(e) {
+    e.preventDefault();
+    clearFormMessage(contentFormMessage);
+
+    let content;
+    try {
+        content = JSON.parse(contentForm.content.value);
+    } catch {
+        showFormMessage(contentFormMessage, 'Content is not valid JSON.', 'error');
+        return;
+    }
+
+    try {
+        const res = await authFetch(`${ENDPOINTS.CONTENT}/${contentSection.value}`, {
+            method: 'PUT',
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify(content)
+        });
+        const result = await res.json();
+        if (res.ok) {
+            await loadContent();
+            showFormMessage(contentFormMessage, 'Content saved.', 'success');
+        } else {
+            showFormMessage(contentFormMessage, result.error || 'Failed to save content.', 'error');
+        }
+    } catch (err) {
+        showFormMessage(contentFormMessage, 'An error occurred. Please try again.', 'error');
+    }
+}
+
+// Roll the section back to an earlier revision
+async function handleRestoreRevision(e) {
+    const revisionId = e.currentTarget.getAttribute('data-revisionid');
+    if (!revisionId) return;
+    if (!confirm(`Restore revision #${revisionId}? The current content stays in the history.`)) return;
+    try {
+        const res = await authFetch(`${ENDPOINTS.CONTENT}/${contentSection.value}/revisions/${revisionId}/restore`, {
+            method: 'POST'
+        });
+        const result = await res.json();
+        if (res.ok) {
+            await loadContent();
+            showFormMessage(contentFormMessage, result.message, 'success');
+        } else {
+            alert(result.error || 'Failed to restore revision.');
+        }
+    } catch (err) {
+        alert('An error occurred. Please try again.');
+    }
+}
+
+// Load accounts and IPs locked out after failed logins
+async function loadLockouts() {
+    lockoutsError.style.display = 'none';
+    try {
+        const res = await authFetch(ENDPOINTS.LOGIN_LOCKOUTS);
+        if (!res.ok) throw new Error('Failed to fetch lockouts');
+        const lockouts = await res.json();
+        if (!lockouts.length) {
+            lockoutsBody.innerHTML = '<tr><td colspan="4">No sign-ins are locked.</td></tr>';
+            return;
+        }
+        lockoutsBody.innerHTML = lockouts.map(lockout => {
+            const who = lockout.scope === 'ip'
+                ? lockout.ip
+                : [lockout.name, lockout.login].filter(Boolean).join(' - ') || `#${lockout.accountId}`;
+            const type = lockout.scope === 'ip'
+                ? 'IP address'
+                : `${lockout.accountType === 'admin' ? 'Admin' : 'Student'}${lockout.accountId ? '' : ' (unknown account)'}`;
+            return `
+                <tr>
+                    <td>${escapeHtml(who)}</td>
+                    <td>${type}</td>
+                    <td>${new Date(lockout.lockedUntil).toLocaleString()}</td>
+                    <td>
+                        <button class="action-btn btn-unlock" data-key="${escapeHtml(lockout.key)}" aria-label="Unlock ${escapeHtml(who)}">
+                            <i class="fas fa-unlock"></i> Unlock
+                        </button>
+                    </td>
+                </tr>
+            `;
+        }).join('');
+        document.querySelectorAll('.btn-unlock[data-key]').forEach(btn => {
+            btn.addEventListener('click', handleUnlock);
+        });
+    } catch (err) {
+        lockoutsBody.innerHTML = '';
+        lockoutsError.textContent = 'Unable to load lockouts. Please try again later.';
+        lockoutsError.style.display = 'block';
+    }
+}
+
+// Lift a lockout before it expires
+async function handleUnlock(e) {
+    const key = e.currentTarget.getAttribute('data-key');
+    if (!key) return;
+    if (!confirm('Unlock this sign-in now?')) return;
+    try {
+        const res = await authFetch(`${ENDPOINTS.LOGIN_LOCKOUTS}/unlock`, {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify({ key })
+        });
+        const result = await res.json();
+        if (!res.ok) {
+            alert(result.error || 'Failed to unlock.');
+        }
+        loadLockouts();
+    } catch (err) {
+        alert('An error occurred. Please try again.');
+    }
+}
+
+// Role definitions from the server, used to build the role checkboxes
+let availableRoles = [];
+
+// Load the role catalogue and every account holding a role
+async function loadRoles() {
+    rolesError.style.display = 'none';
+    try {
+        const [rolesRes, assignmentsRes] = await Promise.all([
+            authFetch(ENDPOINTS.ROLES),
+            authFetch(ENDPOINTS.ROLE_ASSIGNMENTS)
+        ]);
+        if (!rolesRes.ok || !assignmentsRes.ok) throw new Error('Failed to fetch roles');
+        availableRoles = await rolesRes.json();
+        const assignments = await assignmentsRes.json();
+        renderRoleOptions();
+
+        if (!assignments.length) {
+            rolesBody.innerHTML = '<tr><td colspan="4">No accounts hold a role.</td></tr>';
+            return;
+        }
+        rolesBody.innerHTML = assignments.map(assignment => {
+            const who = [assignment.name, assignment.login].filter(Boolean).join(' - ') || `#${assignment.accountId}`;
+            return `
+                <tr>
+                    <td>${escapeHtml(who)}</td>
+                    <td>${assignment.accountType === 'admin' ? 'Admin' : 'Student'}</td>
+                    <td>${assignment.roles.map(escapeHtml).join(', ')}</td>
+                    <td>
+                        <button class="action-btn btn-edit-roles" data-type="${assignment.accountType}"
+                                data-login="${escapeHtml(assignment.login || '')}" data-roles="${escapeHtml(assignment.roles.join(','))}"
+                                aria-label="Edit roles of ${escapeHtml(who)}">
+                            <i class="fas fa-edit"></i> Edit
+                        </button>
+                    </td>
+                </tr>
+            `;
+        }).join('');
+        document.querySelectorAll('.btn-edit-roles').forEach(btn => {
+            btn.addEventListener('click', handleEditRoles);
+        });
+    } catch (err) {
+        rolesBody.innerHTML = '';
+        rolesError.textContent = 'Unable to load roles. Please try again later.';
+        rolesError.style.display = 'block';
+    }
+}
+
+// One checkbox per role that fits the selected account type
+function renderRoleOptions(checked = []) {
+    const accountType = roleForm.accountType.value;
+    const options = availableRoles
+        .filter(role => role.accountType === accountType)
+        .map(role => `
+            <label>
+                <input type="checkbox" name="roles" value="${escapeHtml(role.name)}"${checked.includes(role.name) ? ' checked' : ''}>
+                ${escapeHtml(role.name)} <span class="form-help">${escapeHtml(role.description)}</span>
+            </label>
+        `).join('');
+    roleOptions.innerHTML = `<legend>Roles</legend>${options}`;
+}
+
+// Fill the form with an existing assignment
+function handleEditRoles(e) {
+    const btn = e.currentTarget;
+    roleForm.accountType.value = btn.getAttribute('data-type');
+    roleForm.login.value = btn.getAttribute('data-login');
+    renderRoleOptions(btn.getAttribute('data-roles').split(','));
+    clearFormMessage(roleFormMessage);
+    roleForm.login.focus();
+}
+
+// Save the checked roles for the account; none checked removes them all
+async function handleRoleForm(e) {
+    e.preventDefault();
+    clearFormMessage(roleFormMessage);
+    const roles = [...roleForm.querySelectorAll('input[name="roles"]:checked')].map(input => input.value);
+    try {
+        const res = await authFetch(ENDPOINTS.ROLE_ASSIGNMENTS, {
+            method: 'PUT',
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify({ accountType: roleForm.accountType.value, login: roleForm.login.value.trim(), roles })
+        });
+        const result = await res.json();
+        if (!res.ok) {
+            showFormMessage(roleFormMessage, result.error || 'Failed to update roles.', 'error');
+            return;
+        }
+        showFormMessage(roleFormMessage, result.message, 'success');
+        roleForm.reset();
+        loadRoles();
+    } catch (err) {
+        showFormMessage(roleFormMessage, 'An error occurred. Please try again.', 'error');
+    }
+}
+
+// Show whether the signed-in admin has 2FA, and the policy form for super-admins
+async function loadTwoFactorStatus() {
+    try {
+        const res = await authFetch(ENDPOINTS.TWO_FACTOR);
+        if (!res.ok) throw new Error('Failed to fetch two-factor status');
+        const status = await res.json();
+
+        twoFactorStatus.textContent = status.enabled
+            ? `Two-factor authentication is on (since ${formatDate(status.enabledAt)}). ${status.recoveryCodesRemaining} recovery codes left.`
+            : `Two-factor authentication is off.${status.required ? ' It is required for admin accounts; you will be asked to set it up at your next login.' : ''}`;
+        twoFactorSetupBtn.hidden = status.enabled;
+        twoFactorManageForm.hidden = !status.enabled;
+        document.getElementById('twoFactorDisableBtn').hidden = status.required;
+
+        securitySettingsForm.hidden = !can('settings.manage');
+        securitySettingsForm.requireAdmin2fa.checked = status.required;
+    } catch (err) {
+        twoFactorStatus.textContent = 'Unable to load two-factor status. Please try again later.';
+    }
+}
+
+function showRecoveryCodes(codes) {
+    const list = document.getElementById('twoFactorRecoveryCodesList');
+    list.innerHTML = codes.map(code => `<li>${escapeHtml(code)}</li>`).join('');
+    twoFactorRecoveryCodes.hidden = false;
+}
+
+// Start enrollment: show the QR code and secret for the authenticator app
+async function handleTwoFactorSetup() {
+    clearFormMessage(securityFormMessage);
+    try {
+        const res = await authFetch(`${ENDPOINTS.TWO_FACTOR}/setup`, { method: 'POST' });
+        const result = await res.json();
+        if (!res.ok) {
+            showFormMessage(securityFormMessage, result.error || 'Failed to start setup.', 'error');
+            return;
+        }
+        document.getElementById('twoFactorQrCode').src = result.qrCode;
+        document.getElementById('twoFactorSecret').textContent = result.secret;
+        twoFactorEnableForm.hidden = false;
+        twoFactorSetupBtn.hidden = true;
+        twoFactorEnableForm.code.focus();
+    } catch (err) {
+        showFormMessage(securityFormMessage, 'An error occurred. Please try again.', 'error');
+    }
+}
+
+// Confirm enrollment with a code from the app
+async function handleTwoFactorEnable(e) {
+    e.preventDefault();
+    clearFormMessage(securityFormMessage);
+    try {
+        const res = await authFetch(`${ENDPOINTS.TWO_FACTOR}/enable`, {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify({ code: twoFactorEnableForm.code.value })
+        });
+        const result = await res.json();
+        if (!res.ok) {
+            showFormMessage(securityFormMessage, result.error || 'Failed to turn on two-factor authentication.', 'error');
+            return;
+        }
+        twoFactorEnableForm.reset();
+        twoFactorEnableForm.hidden = true;
+        showRecoveryCodes(result.recoveryCodes);
+        showFormMessage(securityFormMessage, result.message, 'success');
+        loadTwoFactorStatus();
+    } catch (err) {
+        showFormMessage(securityFormMessage, 'An error occurred. Please try again.', 'error');
+    }
+}
+
+// Turn 2FA off or replace the recovery codes, depending on the button used
+async function handleTwoFactorManage(e) {
+    e.preventDefault();
+    clearFormMessage(securityFormMessage);
+    const action = e.submitter && e.submitter.getAttribute('data-action');
+    if (action === 'disable' && !confirm('Turn off two-factor authentication for your account?')) return;
+    try {
+        const res = await authFetch(`${ENDPOINTS.TWO_FACTOR}/${action === 'disable' ? 'disable' : 'recovery-codes'}`, {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify({
+                password: twoFactorManageForm.password.value,
+                code: twoFactorManageForm.code.value
+            })
+        });
+        const result = await res.json();
+        if (!res.ok) {
+            showFormMessage(securityFormMessage, result.error || 'Request failed.', 'error');
+            return;
+        }
+        twoFactorManageForm.reset();
+        twoFactorRecoveryCodes.hidden = true;
+        if (result.recoveryCodes) showRecoveryCodes(result.recoveryCodes);
+        showFormMessage(securityFormMessage, result.message, 'success');
+        loadTwoFactorStatus();
+    } catch (err) {
+        showFormMessage(securityFormMessage, 'An error occurred. Please try again.', 'error');
+    }
+}
+
+// Super-admins: make 2FA mandatory (or optional) for every admin
+async function handleSecuritySettings(e) {
+    e.preventDefault();
+    clearFormMessage(securityFormMessage);
+    try {
+        const res = await authFetch(ENDPOINTS.SECURITY_SETTINGS, {
+            method: 'PUT',
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify({ requireAdmin2fa: securitySettingsForm.requireAdmin2fa.checked })
+        });
+        const result = await res.json();
+        if (!res.ok) {
+            showFormMessage(securityFormMessage, result.error || 'Failed to save policy.', 'error');
+            return;
+        }
+        showFormMessage(securityFormMessage, result.message, 'success');
+        loadTwoFactorStatus();
+    } catch (err) {
+        showFormMessage(securityFormMessage, 'An error occurred. Please try again.', 'error');
+    }
+}
+
 // Handle material upload
 async function handleMaterialForm(e) {
     e.preventDefault();
     clearFormMessage(materialFormMessage);
     // Clear errors
-    ['courseTitleError', 'materialTypeError', 'materialFileError'].forEach(id => clearError(document.getElementById(id)));
+    ['courseCodeError', 'materialTypeError', 'materialFileError'].forEach(id => clearError(document.getElementById(id)));
 
-    const courseTitle = materialForm.courseTitle.value.trim();
+    const courseCode = materialForm.courseCode.value;
     const materialType = materialForm.materialType.value;
     const fileInput = materialForm.materialFile;
     const file = fileInput.files[0];
 
     let valid = true;
-    if (!courseTitle) {
-        showError(document.getElementById('courseTitleError'), 'Course title is required.');
+    if (!courseCode) {
+        showError(document.getElementById('courseCodeError'), 'Please select a course.');
         valid = false;
     }
     if (!materialType) {
@@ -316,15 +1104,13 @@ async function handleMaterialForm(e) {
 
     // Prepare form data
     const formData = new FormData();
-    formData.append('courseTitle', courseTitle);
+    formData.append('courseCode', courseCode);
     formData.append('type', materialType);
-    formData.append('materialFile', file);
+    formData.append('file', file);
 
     try {
-        const token = localStorage.getItem('token');
-        const res = await fetch(ENDPOINTS.MATERIALS, {
+        const res = await authFetch(ENDPOINTS.MATERIALS, {
             method: 'POST',
-            headers: { 'Authorization': `Bearer ${token}` },
             body: formData
         });
         const result = await res.json();
@@ -380,10 +1166,8 @@ async function handleEventForm(e) {
     if (imageFile) formData.append('image', imageFile);
 
     try {
-        const token = localStorage.getItem('token');
-        const res = await fetch(ENDPOINTS.EVENTS, {
+        const res = await authFetch(ENDPOINTS.EVENTS, {
             method: 'POST',
-            headers: { 'Authorization': `Bearer ${token}` },
             body: formData
         });
         const result = await res.json();
@@ -402,9 +1186,7 @@ async function handleEventForm(e) {
 // Logout
 function handleLogout(e) {
     e.preventDefault();
-    localStorage.removeItem('token');
-    localStorage.removeItem('user');
-    window.location.href = '/pages/login.html';
+    logout();
 }
 
 // Toggle mobile menu
@@ -413,6 +1195,42 @@ mobileMenuBtn?.addEventListener('click', () => {
     document.body.style.overflow = mainNav.classList.contains('active') ? 'hidden' : '';
 });
 
+// Logout
+logoutBtn?.addEventListener('click', handleLogout);
+
+// Contact inbox filters and forms
+inboxStatusFilter?.addEventListener('change', loadInbox);
+inboxAssigneeFilter?.addEventListener('change', loadInbox);
+inboxUpdateForm?.addEventListener('submit', handleInboxUpdate);
+inboxNoteForm?.addEventListener('submit', handleInboxNote);
+inboxReplyForm?.addEventListener('submit', handleInboxReply);
+
+// Department content editor
+contentSection?.addEventListener('change', loadContent);
+contentForm?.addEventListener('submit', handleContentForm);
+
+// Two-factor authentication and security policy
+twoFactorSetupBtn?.addEventListener('click', handleTwoFactorSetup);
+twoFactorEnableForm?.addEventListener('submit', handleTwoFactorEnable);
+twoFactorManageForm?.addEventListener('submit', handleTwoFactorManage);
+securitySettingsForm?.addEventListener('submit', handleSecuritySettings);
+
+// Bulk registration review and class list import
+pendingBody?.addEventListener('change', updateRegistrationSelection);
+selectAllRegistrations?.addEventListener('change', () => {
+    pendingBody.querySelectorAll('.registration-select').forEach(box => {
+        box.checked = selectAllRegistrations.checked;
+    });
+    updateRegistrationSelection();
+});
+confirmSelectedBtn?.addEventListener('click', handleConfirmSelected);
+retryPasscodesBtn?.addEventListener('click', handleRetryPasscodes);
+importForm?.addEventListener('submit', handleImport);
+
+// Roles
+roleForm?.addEventListener('submit', handleRoleForm);
+roleForm?.accountType.addEventListener('change', () => renderRoleOptions());
+
 // Close mobile menu when clicking outside
 document.addEventListener('click', (e) => {
     if (mainNav?.classList.contains('active') &&
@@ -427,15 +1245,31 @@ document.addEventListener('click', (e) => {
 document.addEventListener('DOMContentLoaded', () => {
     // Check authentication and role
     const user = getCurrentUser();
-    if (!user || !localStorage.getItem('token') || user.role !== 'admin') {
+    if (!user || user.role !== 'admin') {
         window.location.href = '/pages/login.html';
         return;
     }
     // Set welcome message
     welcomeMessage.textContent = `Welcome, ${user.name || 'Admin'}`;
 
+    // Only show and load the sections this admin's roles allow
+    Object.keys(SECTION_PERMISSIONS).forEach(id => {
+        document.getElementById(id).hidden = !canOpenSection(id);
+    });
+
     // Load data
-    loadPendingRegistrations();
-    loadMaterials();
-    loadEvents();
+    if (canOpenSection('registrations')) loadPendingRegistrations();
+    if (canOpenSection('materials')) {
+        loadCourseOptions();
+        loadMaterials();
+    }
+    if (canOpenSection('events')) loadEvents();
+    if (canOpenSection('inbox')) {
+        if (can('admins.manage')) loadInboxAssignees();
+        loadInbox();
+    }
+    if (canOpenSection('content')) loadContent();
+    if (canOpenSection('lockouts')) loadLockouts();
+    if (canOpenSection('roles')) loadRoles();
+    loadTwoFactorStatus();
 });
\ No newline at end of file
@@ -7,9 +7,13 @@
 const CONFIG = {
     API_BASE_URL: '/api',
     ADMIN_DASHBOARD_URL: '/pages/admin/dashboard.html',
-    LOGIN_ENDPOINT: '/api/login',
+    LOGIN_ENDPOINT: '/api/admin/login',
+    TWO_FACTOR_ENDPOINT: '/api/admin/login/2fa',
+    TWO_FACTOR_SETUP_ENDPOINT: '/api/admin/login/2fa/setup',
+    TWO_FACTOR_ENABLE_ENDPOINT: '/api/admin/login/2fa/enable',
     VALIDATION: {
         ADMIN_REG_PATTERN: /^\d{2}\/is\/ad\/\d{3}$/i,
+        USERNAME_PATTERN: /^[a-z][a-z0-9._-]{2,49}$/i,
         MIN_PASSCODE_LENGTH: 6,
         MAX_PASSCODE_LENGTH: 50
     }
@@ -28,13 +32,26 @@ const elements = {
     
     // Error elements
     regNumberError: document.getElementById('regNumberError'),
-    passcodeError: document.getElementById('passcodeError')
+    passcodeError: document.getElementById('passcodeError'),
+
+    // Two-factor steps
+    twoFactorForm: document.getElementById('twoFactorForm'),
+    twoFactorCodeInput: document.getElementById('twoFactorCode'),
+    twoFactorSetupForm: document.getElementById('twoFactorSetupForm'),
+    twoFactorSetupCodeInput: document.getElementById('twoFactorSetupCode'),
+    twoFactorQrCode: document.getElementById('twoFactorQrCode'),
+    twoFactorSecret: document.getElementById('twoFactorSecret'),
+    recoveryCodesPanel: document.getElementById('recoveryCodesPanel'),
+    recoveryCodesList: document.getElementById('recoveryCodesList'),
+    recoveryCodesDoneBtn: document.getElementById('recoveryCodesDoneBtn')
 };
 
 // State management
 const state = {
     isLoading: false,
-    isPasswordVisible: false
+    isPasswordVisible: false,
+    // Issued by the password step and sent with the second step
+    challengeToken: null
 };
 
 /**
@@ -42,8 +59,8 @@ const state = {
  */
 const utils = {
     /**
-     * Validate registration number format for admin
-     * @param {string} regNumber - Registration number to validate
+     * Validate an admin login: a username or an admin registration number
+     * @param {string} regNumber - Username or registration number to validate
      * @returns {boolean} - True if valid format
      */
     validateAdminRegNumber(regNumber) {
@@ -52,8 +69,9 @@ const utils = {
         // Normalize the input
         const normalized = regNumber.trim().toLowerCase();
         
-        // Check pattern: YY/is/ad/XXX (e.g., 24/is/ad/001)
-        return CONFIG.VALIDATION.ADMIN_REG_PATTERN.test(normalized);
+        // Check pattern: YY/is/ad/XXX (e.g., 24/is/ad/001) or a username
+        return CONFIG.VALIDATION.ADMIN_REG_PATTERN.test(normalized) ||
+            CONFIG.VALIDATION.USERNAME_PATTERN.test(normalized);
     },
 
     /**
@@ -176,13 +194,23 @@ const utils = {
     },
 
     /**
-     * Store user session data
+     * Show one login step (password, code, enrollment or recovery codes) and hide the others
+     * @param {HTMLElement} step - Form or panel to show
+     */
+    showStep(step) {
+        [elements.form, elements.twoFactorForm, elements.twoFactorSetupForm, elements.recoveryCodesPanel]
+            .forEach((element) => {
+                if (element) element.hidden = element !== step;
+            });
+    },
+
+    /**
+     * Store user session data. The tokens themselves are in HttpOnly cookies.
      * @param {object} userData - User data to store
      */
     storeUserSession(userData) {
         try {
             localStorage.setItem('user', JSON.stringify(userData));
-            localStorage.setItem('token', userData.token || 'admin-session');
             localStorage.setItem('loginTime', new Date().toISOString());
         } catch (error) {
             console.error('Failed to store user session:', error);
@@ -207,7 +235,7 @@ const validation = {
             utils.showFieldError(
                 elements.regNumberError, 
                 elements.regNumberInput, 
-                'Registration number is required'
+                'Username or registration number is required'
             );
             return false;
         }
@@ -216,7 +244,7 @@ const validation = {
             utils.showFieldError(
                 elements.regNumberError, 
                 elements.regNumberInput, 
-                'Invalid admin registration number format (e.g., 24/is/ad/001)'
+                'Enter your username or admin registration number (e.g., 24/is/ad/001)'
             );
             return false;
         }
@@ -264,25 +292,20 @@ const validation = {
  */
 const api = {
     /**
-     * Login admin user
-     * @param {string} regNumber - Registration number
-     * @param {string} passcode - Passcode
-     * @returns {Promise<object>} - Login response
+     * POST JSON to an auth endpoint
+     * @param {string} url - Endpoint URL
+     * @param {object} body - Request body
+     * @returns {Promise<object>} - Parsed response; throws with the server's error message
      */
-    async login(regNumber, passcode) {
-        const requestData = {
-            regNumber: regNumber.toLowerCase().trim(),
-            passcode: passcode.trim()
-        };
-
+    async post(url, body) {
         try {
-            const response = await fetch(CONFIG.LOGIN_ENDPOINT, {
+            const response = await fetch(url, {
                 method: 'POST',
                 headers: {
                     'Content-Type': 'application/json',
                     'Accept': 'application/json'
                 },
-                body: JSON.stringify(requestData)
+                body: JSON.stringify(body)
             });
 
             const data = await response.json();
@@ -291,11 +314,6 @@ const api = {
                 throw new Error(data.message || data.error || 'Login failed');
             }
 
-            // Validate that user is admin
-            if (data.user && data.user.role !== 'admin') {
-                throw new Error('Access denied. Admin credentials required.');
-            }
-
             return data;
 
         } catch (error) {
@@ -306,6 +324,62 @@ const api = {
             
             throw error;
         }
+    },
+
+    /**
+     * Login admin user
+     * @param {string} regNumber - Registration number
+     * @param {string} passcode - Passcode
+     * @returns {Promise<object>} - Login response, or a two-factor challenge
+     */
+    async login(regNumber, passcode) {
+        const data = await this.post(CONFIG.LOGIN_ENDPOINT, {
+            regNumber: regNumber.toLowerCase().trim(),
+            passcode: passcode.trim(),
+            // Tokens are kept in HttpOnly cookies rather than returned to this script
+            session: 'cookie'
+        });
+
+        // Validate that user is admin
+        if (data.user && data.user.role !== 'admin') {
+            throw new Error('Access denied. Admin credentials required.');
+        }
+
+        return data;
+    },
+
+    /**
+     * Finish a login with an authenticator or recovery code
+     * @param {string} code - Code entered by the admin
+     * @returns {Promise<object>} - Login response
+     */
+    verifyTwoFactor(code) {
+        return this.post(CONFIG.TWO_FACTOR_ENDPOINT, {
+            challengeToken: state.challengeToken,
+            code: code.trim(),
+            session: 'cookie'
+        });
+    },
+
+    /**
+     * Get a new authenticator secret and QR code during a login
+     * @returns {Promise<object>} - { secret, otpauthUrl, qrCode }
+     */
+    startTwoFactorSetup() {
+        return this.post(CONFIG.TWO_FACTOR_SETUP_ENDPOINT, { challengeToken: state.challengeToken });
+    },
+
+    /**
+     * Confirm the new authenticator and finish the login
+     * @param {string} code - Code shown by the authenticator app
+     * @returns {Promise<object>} - Login response with recovery codes
+     */
+    enableTwoFactor(code) {
+        return this.post(CONFIG.TWO_FACTOR_ENABLE_ENDPOINT, {
+            challengeToken: state.challengeToken,
+            code: code.trim(),
+            session: 'cookie'
+        });
     }
 };
 
@@ -339,17 +413,25 @@ const handlers = {
         try {
             // Attempt login
             const loginResponse = await api.login(regNumber, passcode);
-            
-            // Store user session
-            utils.storeUserSession(loginResponse.user);
-            
-            // Show success message briefly
-            utils.showFormMessage('Login successful! Redirecting to dashboard...', 'success');
-            
-            // Redirect to dashboard after a short delay
-            setTimeout(() => {
-                window.location.href = CONFIG.ADMIN_DASHBOARD_URL;
-            }, 1000);
+
+            if (loginResponse.twoFactorRequired) {
+                state.challengeToken = loginResponse.challengeToken;
+                utils.showStep(elements.twoFactorForm);
+                elements.twoFactorCodeInput?.focus();
+                return;
+            }
+
+            if (loginResponse.twoFactorSetupRequired) {
+                state.challengeToken = loginResponse.challengeToken;
+                const setup = await api.startTwoFactorSetup();
+                elements.twoFactorQrCode.src = setup.qrCode;
+                elements.twoFactorSecret.textContent = setup.secret;
+                utils.showStep(elements.twoFactorSetupForm);
+                elements.twoFactorSetupCodeInput?.focus();
+                return;
+            }
+
+            handlers.completeLogin(loginResponse);
 
         } catch (error) {
             console.error('Login error:', error);
@@ -359,6 +441,78 @@ const handlers = {
         }
     },
 
+    /**
+     * Handle the authentication code step
+     * @param {Event} event - Form submit event
+     */
+    async handleTwoFactorSubmit(event) {
+        event.preventDefault();
+        utils.clearFormMessage();
+
+        const code = elements.twoFactorCodeInput.value;
+        if (!code.trim()) {
+            utils.showFormMessage('Enter the code from your authenticator app or a recovery code.');
+            return;
+        }
+
+        try {
+            handlers.completeLogin(await api.verifyTwoFactor(code));
+        } catch (error) {
+            elements.twoFactorCodeInput.value = '';
+            utils.showFormMessage(error.message);
+        }
+    },
+
+    /**
+     * Handle enrollment during login when two-factor authentication is mandatory
+     * @param {Event} event - Form submit event
+     */
+    async handleTwoFactorSetupSubmit(event) {
+        event.preventDefault();
+        utils.clearFormMessage();
+
+        const code = elements.twoFactorSetupCodeInput.value;
+        if (!code.trim()) {
+            utils.showFormMessage('Enter the code shown by your authenticator app.');
+            return;
+        }
+
+        try {
+            handlers.completeLogin(await api.enableTwoFactor(code));
+        } catch (error) {
+            elements.twoFactorSetupCodeInput.value = '';
+            utils.showFormMessage(error.message);
+        }
+    },
+
+    /**
+     * Store the session and go to the dashboard, showing new recovery codes first
+     * @param {object} loginResponse - Response from the final login step
+     */
+    completeLogin(loginResponse) {
+        state.challengeToken = null;
+        utils.storeUserSession(loginResponse.user);
+
+        if (loginResponse.recoveryCodes) {
+            elements.recoveryCodesList.innerHTML = '';
+            loginResponse.recoveryCodes.forEach((code) => {
+                const item = document.createElement('li');
+                item.textContent = code;
+                elements.recoveryCodesList.appendChild(item);
+            });
+            utils.showStep(elements.recoveryCodesPanel);
+            return;
+        }
+
+        // Show success message briefly
+        utils.showFormMessage('Login successful! Redirecting to dashboard...', 'success');
+        
+        // Redirect to dashboard after a short delay
+        setTimeout(() => {
+            window.location.href = CONFIG.ADMIN_DASHBOARD_URL;
+        }, 1000);
+    },
+
     /**
      * Handle input changes for real-time validation
      * @param {Event} event - Input event
@@ -476,7 +630,6 @@ function initializeApp() {
         } catch (error) {
             // Clear invalid session data
             localStorage.removeItem('user');
-            localStorage.removeItem('token');
         }
     }
 
@@ -499,6 +652,20 @@ function initializeApp() {
         elements.togglePasswordBtn.addEventListener('click', handlers.togglePasswordVisibility);
     }
 
+    if (elements.twoFactorForm) {
+        elements.twoFactorForm.addEventListener('submit', handlers.handleTwoFactorSubmit);
+    }
+
+    if (elements.twoFactorSetupForm) {
+        elements.twoFactorSetupForm.addEventListener('submit', handlers.handleTwoFactorSetupSubmit);
+    }
+
+    if (elements.recoveryCodesDoneBtn) {
+        elements.recoveryCodesDoneBtn.addEventListener('click', () => {
+            window.location.href = CONFIG.ADMIN_DASHBOARD_URL;
+        });
+    }
+
     if (elements.mobileMenuBtn) {
         elements.mobileMenuBtn.addEventListener('click', handlers.toggleMobileMenu);
     }
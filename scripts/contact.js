@@ -43,7 +43,11 @@ const elements = {
     // Subscribe elements
     subscribeEmail: document.getElementById('subscribeEmail'),
     subscribeBtn: document.getElementById('subscribeBtn'),
-    subscribeMessage: document.getElementById('subscribeMessage')
+    subscribeMessage: document.getElementById('subscribeMessage'),
+
+    // Key personnel
+    keyPersonnelSection: document.getElementById('keyPersonnelSection'),
+    keyPersonnelList: document.getElementById('keyPersonnelList')
 };
 
 // State management
@@ -56,6 +60,20 @@ const state = {
 
 // Utility Functions
 const utils = {
+    /**
+     * Escape text from the database before putting it in markup
+     * @param {*} text - Text to escape
+     * @returns {string} - HTML-safe text
+     */
+    escapeHtml(text) {
+        return String(text ?? '')
+            .replace(/&/g, '&amp;')
+            .replace(/</g, '&lt;')
+            .replace(/>/g, '&gt;')
+            .replace(/"/g, '&quot;')
+            .replace(/'/g, '&#39;');
+    },
+
     /**
      * Show form message
      * @param {HTMLElement} messageElement - Message element
@@ -348,6 +366,23 @@ const validation = {
 
 // API Functions
 const api = {
+    /**
+     * Fetch department contact details, including key personnel
+     * @returns {Promise<Object|null>} Contact data, or null if unavailable
+     */
+    async fetchContactInfo() {
+        try {
+            const response = await fetch(CONFIG.ENDPOINTS.CONTACT);
+            if (!response.ok) {
+                throw new Error(`HTTP error! status: ${response.status}`);
+            }
+            return await response.json();
+        } catch (error) {
+            console.warn('Failed to fetch contact information:', error);
+            return null;
+        }
+    },
+
     /**
      * Submit contact form
      * @param {Object} formData - Form data
@@ -391,34 +426,61 @@ const api = {
      * @returns {Promise<Object>} API response
      */
     async submitSubscription(email) {
-        try {
-            const response = await fetch(CONFIG.ENDPOINTS.SUBSCRIBE, {
-                method: 'POST',
-                headers: {
-                    'Content-Type': 'application/json',
-                },
-                body: JSON.stringify({ email }),
-                signal: AbortSignal.timeout(CONFIG.FORM_TIMEOUT)
-            });
+        const response = await fetch(CONFIG.ENDPOINTS.SUBSCRIBE, {
+            method: 'POST',
+            headers: {
+                'Content-Type': 'application/json',
+            },
+            body: JSON.stringify({ email }),
+            signal: AbortSignal.timeout(CONFIG.FORM_TIMEOUT)
+        });
 
-            if (!response.ok) {
-                throw new Error(`HTTP error! status: ${response.status}`);
-            }
+        const result = await response.json().catch(() => ({}));
 
-            return await response.json();
-        } catch (error) {
-            console.warn('Subscribe API not available, simulating subscription:', error);
-            
-            // Simulate API response
-            await new Promise(resolve => setTimeout(resolve, 500));
-            
-            console.log('Newsletter Subscription (Simulated):', email);
-            
-            return {
-                success: true,
-                message: 'Successfully subscribed to our newsletter!'
-            };
+        if (!response.ok) {
+            throw new Error(result.error || 'Failed to subscribe. Please try again later.');
+        }
+
+        return result;
+    }
+};
+
+// Messages for ?subscription= when returning from a confirm/unsubscribe link
+const SUBSCRIPTION_MESSAGES = {
+    confirmed: { text: 'Your subscription is confirmed. Thank you for subscribing!', type: 'success' },
+    unsubscribed: { text: 'You have been unsubscribed from our newsletter.', type: 'success' },
+    invalid: { text: 'That link is invalid or has expired. Please subscribe again.', type: 'error' }
+};
+
+// Content Rendering Functions
+const renderer = {
+    /**
+     * Show the outcome of a subscription confirm/unsubscribe link
+     */
+    renderSubscriptionStatus() {
+        const status = new URLSearchParams(window.location.search).get('subscription');
+        const message = SUBSCRIPTION_MESSAGES[status];
+        if (message) {
+            utils.showMessage(elements.subscribeMessage, message.text, message.type);
         }
+    },
+
+    /**
+     * Render key personnel from the staff directory
+     * @param {Array} personnel - key_personnel from /api/contact
+     */
+    renderKeyPersonnel(personnel) {
+        if (!elements.keyPersonnelList || !personnel || personnel.length === 0) return;
+
+        elements.keyPersonnelList.innerHTML = personnel.map(person => `
+            <li class="personnel-item">
+                <strong>${utils.escapeHtml(person.name)}</strong>
+                ${person.position ? `<span class="personnel-position">${utils.escapeHtml(person.position)}</span>` : ''}
+                ${person.email ? `<a href="mailto:${utils.escapeHtml(person.email)}">${utils.escapeHtml(person.email)}</a>` : ''}
+                ${person.office ? `<span class="personnel-office">${utils.escapeHtml(person.office)}</span>` : ''}
+            </li>
+        `).join('');
+        elements.keyPersonnelSection.style.display = '';
     }
 };
 
@@ -523,7 +585,7 @@ const handlers = {
             
         } catch (error) {
             console.error('Newsletter subscription error:', error);
-            utils.showMessage(elements.subscribeMessage, 'Failed to subscribe. Please try again later.', 'error');
+            utils.showMessage(elements.subscribeMessage, error.message || 'Failed to subscribe. Please try again later.', 'error');
         } finally {
             state.isSubscribing = false;
             utils.setButtonLoading(elements.subscribeBtn, false);
@@ -634,6 +696,15 @@ function init() {
             utils.updateCharacterCounter(elements.messageInput, elements.messageCounter, CONFIG.VALIDATION.MAX_MESSAGE_LENGTH);
         }
 
+        renderer.renderSubscriptionStatus();
+
+        // Key personnel come from the staff directory
+        api.fetchContactInfo().then(contactInfo => {
+            if (contactInfo) {
+                renderer.renderKeyPersonnel(contactInfo.key_personnel);
+            }
+        });
+
         console.log('Contact page initialized successfully');
         
     } catch (error) {
@@ -1,5 +1,7 @@
 // Student Login and Registration Script
 
+import { COOKIE_SESSION, clearSession, saveSession } from '/scripts/session.js';
+
 // Configuration
 const API_BASE_URL = '/api';
 const ENDPOINTS = {
@@ -105,16 +107,16 @@ const handleSubmit = async (e) => {
                     },
                     body: JSON.stringify({
                         regNumber: data.regNumber.toLowerCase(),
-                        passcode: data.passcode
+                        passcode: data.passcode,
+                        ...COOKIE_SESSION
                     })
                 });
                 
                 const result = await response.json();
                 
                 if (response.ok) {
-                    // Store user data and redirect
-                    localStorage.setItem('user', JSON.stringify(result.user));
-                    localStorage.setItem('token', result.token || 'student-session');
+                    // Store the session and redirect
+                    saveSession(result);
                     
                     // Redirect based on user role
                     if (result.user.role === 'admin') {
@@ -270,8 +272,7 @@ document.addEventListener('DOMContentLoaded', () => {
             return;
         } catch (error) {
             // Clear invalid session data
-            localStorage.removeItem('user');
-            localStorage.removeItem('token');
+            clearSession();
         }
     }
 
@@ -303,7 +304,7 @@ document.addEventListener('DOMContentLoaded', () => {
     if (forgotPasswordLink) {
         forgotPasswordLink.addEventListener('click', (e) => {
             e.preventDefault();
-            alert('Please contact the admin for passcode reset: info@informationsystems.edu.org');
+            window.location.href = '/pages/reset-password.html';
         });
     }
 
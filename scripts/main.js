@@ -6,6 +6,8 @@ const mainNav = document.querySelector('.main-nav');
 
 // API Endpoints
 const API_BASE_URL = 'http://localhost:5000/api';
+const NEWS_PAGE_SIZE = 6;
+const ACHIEVEMENTS_LIMIT = 6;
 const ENDPOINTS = {
     NEWS: `${API_BASE_URL}/news`,
     ACHIEVEMENTS: `${API_BASE_URL}/achievements`
@@ -33,6 +35,17 @@ const formatDate = (dateString) => {
     return new Date(dateString).toLocaleDateString('en-US', options);
 };
 
+// Escape text from the API before putting it in markup
+const escapeHtml = (text) => String(text ?? '')
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&#39;');
+
+// Only http(s) URLs and site paths may become links
+const safeLink = (url) => (/^(https?:\/\/|\/(?!\/))/i.test(url || '') ? url : null);
+
 // Fetch data from API
 const fetchData = async (url) => {
     try {
@@ -47,28 +60,49 @@ const fetchData = async (url) => {
     }
 };
 
-// Render news articles
-const renderNews = (articles) => {
-    if (!articles || articles.length === 0) {
+// Render a page of news articles ({ articles, pagination } from /api/news)
+const renderNews = (newsPage) => {
+    const articles = newsPage?.articles || [];
+    if (articles.length === 0) {
         newsContainer.innerHTML = '<p class="no-data">No news articles available at the moment.</p>';
         return;
     }
 
     const newsHTML = articles.map(article => `
         <article class="news-card">
-            <img src="${article.imageUrl || '/assets/images/news-placeholder.jpg'}" 
-                 alt="${article.title}" 
+            <img src="${escapeHtml(article.imageUrl || '/assets/images/news-placeholder.jpg')}" 
+                 alt="${escapeHtml(article.title)}" 
                  class="news-image">
             <div class="news-content">
                 <span class="news-date">${formatDate(article.date)}</span>
-                <h3 class="news-title">${article.title}</h3>
-                <p class="news-excerpt">${article.excerpt}</p>
-                <a href="/news/${article.id}" class="btn btn-outline">Read More</a>
+                <h3 class="news-title">${escapeHtml(article.title)}</h3>
+                <p class="news-excerpt">${escapeHtml(article.excerpt)}</p>
             </div>
         </article>
     `).join('');
 
-    newsContainer.innerHTML = newsHTML;
+    const { page, totalPages } = newsPage.pagination;
+    const paginationHTML = totalPages > 1 ? `
+        <div class="news-pagination">
+            <button class="btn btn-outline" data-news-page="${page - 1}" ${page <= 1 ? 'disabled' : ''}>Previous</button>
+            <span class="news-page-info">Page ${page} of ${totalPages}</span>
+            <button class="btn btn-outline" data-news-page="${page + 1}" ${page >= totalPages ? 'disabled' : ''}>Next</button>
+        </div>
+    ` : '';
+
+    newsContainer.innerHTML = newsHTML + paginationHTML;
+
+    newsContainer.querySelectorAll('[data-news-page]').forEach(button => {
+        button.addEventListener('click', () => loadNews(Number(button.dataset.newsPage)));
+    });
+};
+
+// Fetch and render one page of news
+const loadNews = async (page = 1) => {
+    const newsData = await fetchData(`${ENDPOINTS.NEWS}?page=${page}&limit=${NEWS_PAGE_SIZE}`);
+    if (newsData) {
+        renderNews(newsData);
+    }
 };
 
 // Render achievements
@@ -78,16 +112,20 @@ const renderAchievements = (achievements) => {
         return;
     }
 
-    const achievementsHTML = achievements.map(achievement => `
+    const achievementsHTML = achievements.map(achievement => {
+        const link = safeLink(achievement.link);
+        return `
         <div class="achievement-card">
             <div class="achievement-icon">
-                <i class="fas fa-${achievement.icon || 'trophy'}"></i>
+                <i class="fas fa-${escapeHtml(achievement.icon || 'trophy')}"></i>
             </div>
-            <h3 class="achievement-title">${achievement.title}</h3>
-            <p class="achievement-description">${achievement.description}</p>
-            ${achievement.link ? `<a href="${achievement.link}" class="btn btn-outline btn-sm" target="_blank">View Details</a>` : ''}
+            <h3 class="achievement-title">${escapeHtml(achievement.title)}</h3>
+            <p class="achievement-description">${escapeHtml(achievement.description)}</p>
+            ${achievement.student ? `<p class="achievement-student">${escapeHtml(achievement.student.name)}</p>` : ''}
+            ${link ? `<a href="${escapeHtml(link)}" class="btn btn-outline btn-sm" target="_blank" rel="noopener noreferrer">View Details</a>` : ''}
         </div>
-    `).join('');
+    `;
+    }).join('');
 
     achievementsContainer.innerHTML = achievementsHTML;
 };
@@ -96,13 +134,10 @@ const renderAchievements = (achievements) => {
 const init = async () => {
     try {
         // Fetch and render news
-        const newsData = await fetchData(ENDPOINTS.NEWS);
-        if (newsData) {
-            renderNews(newsData);
-        }
+        await loadNews();
 
         // Fetch and render achievements
-        const achievementsData = await fetchData(ENDPOINTS.ACHIEVEMENTS);
+        const achievementsData = await fetchData(`${ENDPOINTS.ACHIEVEMENTS}?sort=date&order=desc&limit=${ACHIEVEMENTS_LIMIT}`);
         if (achievementsData) {
             renderAchievements(achievementsData);
         }
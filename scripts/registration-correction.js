@@ -0,0 +1,127 @@
+// Registration Correction Script
+
+// Configuration
+const API_BASE_URL = '/api';
+const ENDPOINTS = {
+    CORRECTION: `${API_BASE_URL}/registration-correction`
+};
+
+// DOM Elements
+const correctionForm = document.getElementById('correctionForm');
+const mobileMenuBtn = document.querySelector('.mobile-menu-btn');
+const mainNav = document.querySelector('.main-nav');
+
+// State
+const correctionToken = new URLSearchParams(window.location.search).get('token');
+
+// Utility Functions
+const showMessage = (id, message) => {
+    const element = document.getElementById(id);
+    if (element) {
+        element.textContent = message;
+        element.style.display = message ? 'block' : 'none';
+    }
+};
+
+const clearMessages = () => {
+    correctionForm.querySelectorAll('.error, .error-message, .success-message').forEach(element => {
+        element.textContent = '';
+        element.style.display = 'none';
+    });
+};
+
+const isValidRegNumber = (regNumber) => /^\d{2}\/[A-Z]{2}\/[A-Z]{2}\/\d{3}$/i.test(regNumber.trim());
+
+const isValidEmail = (email) => /^[a-zA-Z0-9._%+-]+@[a-zA-Z0-9.-]+\.[a-zA-Z]{2,}$/.test(email.trim());
+
+// Load the registration the emailed link is for and prefill the form
+const loadRegistration = async () => {
+    correctionForm.classList.add('active');
+    if (!correctionToken) {
+        showMessage('correctionError', 'This link is incomplete. Please use the link from your email.');
+        correctionForm.querySelector('button[type="submit"]').disabled = true;
+        return;
+    }
+
+    try {
+        const response = await fetch(`${ENDPOINTS.CORRECTION}?${new URLSearchParams({ token: correctionToken })}`);
+        const result = await response.json();
+
+        if (!response.ok) {
+            showMessage('correctionError', `${result.error || 'This link is invalid'}. You can sign up again from the login page.`);
+            correctionForm.querySelector('button[type="submit"]').disabled = true;
+            return;
+        }
+
+        correctionForm.fullName.value = result.name;
+        correctionForm.regNumber.value = result.regNumber;
+        correctionForm.email.value = result.email;
+        document.getElementById('correctionMessage').textContent = result.message;
+        document.getElementById('correctionRequest').hidden = false;
+    } catch (error) {
+        console.error('Registration correction load error:', error);
+        showMessage('correctionError', 'Network error. Please try again.');
+    }
+};
+
+// Send the corrected details back for review
+const handleSubmit = async (e) => {
+    e.preventDefault();
+    clearMessages();
+
+    const name = correctionForm.fullName.value.trim();
+    const regNumber = correctionForm.regNumber.value.trim();
+    const email = correctionForm.email.value.trim();
+
+    let valid = true;
+    if (!name) {
+        showMessage('fullNameError', 'Full name is required');
+        valid = false;
+    }
+    if (!isValidRegNumber(regNumber)) {
+        showMessage('regNumberError', 'Please enter a valid registration number (e.g., 24/SC/CO/346)');
+        valid = false;
+    }
+    if (!isValidEmail(email)) {
+        showMessage('emailError', 'Please enter a valid email address');
+        valid = false;
+    }
+    if (!valid) return;
+
+    const submitBtn = correctionForm.querySelector('button[type="submit"]');
+    submitBtn.disabled = true;
+
+    try {
+        const response = await fetch(ENDPOINTS.CORRECTION, {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify({ token: correctionToken, name, regNumber, email })
+        });
+        const result = await response.json();
+
+        if (response.ok) {
+            showMessage('correctionSuccess', result.message);
+            document.getElementById('correctionRequest').hidden = true;
+            return;
+        }
+        showMessage('correctionError', result.error || 'Unable to update your registration. Please try again.');
+    } catch (error) {
+        console.error('Registration correction error:', error);
+        showMessage('correctionError', 'Network error. Please try again.');
+    }
+    submitBtn.disabled = false;
+};
+
+// Event Listeners
+document.addEventListener('DOMContentLoaded', () => {
+    loadRegistration();
+
+    correctionForm.addEventListener('submit', handleSubmit);
+
+    if (mobileMenuBtn) {
+        mobileMenuBtn.addEventListener('click', () => {
+            mainNav.classList.toggle('active');
+            mobileMenuBtn.setAttribute('aria-expanded', mainNav.classList.contains('active'));
+        });
+    }
+});
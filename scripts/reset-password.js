@@ -0,0 +1,204 @@
+// Password/Passcode Reset Script
+
+// Configuration
+const API_BASE_URL = '/api';
+const ENDPOINTS = {
+    REQUEST: `${API_BASE_URL}/password-reset/request`,
+    VERIFY: `${API_BASE_URL}/password-reset/verify`,
+    CONFIRM: `${API_BASE_URL}/password-reset/confirm`
+};
+
+// Wording and rules for each kind of account
+const ACCOUNTS = {
+    student: {
+        secret: 'Passcode',
+        identifierLabel: 'Registration Number or Email',
+        minLength: 6,
+        loginUrl: '/pages/login.html'
+    },
+    admin: {
+        secret: 'Password',
+        identifierLabel: 'Username or Email',
+        minLength: 8,
+        loginUrl: '/pages/admin/login.html'
+    }
+};
+
+// DOM Elements
+const requestForm = document.getElementById('resetRequestForm');
+const confirmForm = document.getElementById('resetConfirmForm');
+const togglePasswordBtns = document.querySelectorAll('.toggle-password');
+const mobileMenuBtn = document.querySelector('.mobile-menu-btn');
+const mainNav = document.querySelector('.main-nav');
+
+// State
+const params = new URLSearchParams(window.location.search);
+const resetToken = params.get('token');
+let accountType = params.get('type') === 'admin' ? 'admin' : 'student';
+
+// Utility Functions
+const showMessage = (id, message) => {
+    const element = document.getElementById(id);
+    if (element) {
+        element.textContent = message;
+        element.style.display = message ? 'block' : 'none';
+    }
+};
+
+const clearMessages = (form) => {
+    form.querySelectorAll('.error, .error-message, .success-message').forEach(element => {
+        element.textContent = '';
+        element.style.display = 'none';
+    });
+};
+
+// Show the form for the current step with wording for the account type
+const showStep = (step) => {
+    const account = ACCOUNTS[accountType];
+    document.getElementById('resetRequestTitle').textContent = `Forgot ${account.secret}`;
+    document.getElementById('resetIdentifierLabel').textContent = account.identifierLabel;
+    document.getElementById('resetConfirmTitle').textContent = `Choose a New ${account.secret}`;
+    document.querySelector('label[for="newSecret"]').textContent = `New ${account.secret}`;
+    document.querySelector('label[for="confirmSecret"]').textContent = `Confirm New ${account.secret}`;
+    document.querySelectorAll('.back-to-login').forEach(link => {
+        link.href = account.loginUrl;
+    });
+
+    requestForm.classList.toggle('active', step === 'request');
+    confirmForm.classList.toggle('active', step === 'confirm');
+};
+
+// Ask for a reset link by email
+const handleRequest = async (e) => {
+    e.preventDefault();
+    clearMessages(requestForm);
+
+    const identifier = requestForm.identifier.value.trim();
+    if (!identifier) {
+        showMessage('resetIdentifierError', `${ACCOUNTS[accountType].identifierLabel} is required`);
+        return;
+    }
+
+    const submitBtn = requestForm.querySelector('button[type="submit"]');
+    submitBtn.disabled = true;
+
+    try {
+        const response = await fetch(ENDPOINTS.REQUEST, {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify({ identifier, accountType })
+        });
+        const result = await response.json();
+
+        if (response.ok) {
+            showMessage('resetRequestSuccess', result.message);
+            requestForm.reset();
+        } else {
+            showMessage('resetRequestError', result.error || 'Unable to request a reset. Please try again.');
+        }
+    } catch (error) {
+        console.error('Reset request error:', error);
+        showMessage('resetRequestError', 'Network error. Please try again.');
+    } finally {
+        submitBtn.disabled = false;
+    }
+};
+
+// Set the new secret with the token from the emailed link
+const handleConfirm = async (e) => {
+    e.preventDefault();
+    clearMessages(confirmForm);
+
+    const account = ACCOUNTS[accountType];
+    const newPassword = confirmForm.newPassword.value;
+    const confirmPassword = confirmForm.confirmPassword.value;
+
+    if (newPassword.length < account.minLength) {
+        showMessage('newSecretError', `${account.secret} must be at least ${account.minLength} characters`);
+        return;
+    }
+    if (newPassword !== confirmPassword) {
+        showMessage('confirmSecretError', `${account.secret}s do not match`);
+        return;
+    }
+
+    const submitBtn = confirmForm.querySelector('button[type="submit"]');
+    submitBtn.disabled = true;
+
+    try {
+        const response = await fetch(ENDPOINTS.CONFIRM, {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify({ token: resetToken, newPassword })
+        });
+        const result = await response.json();
+
+        if (response.ok) {
+            showMessage('resetConfirmSuccess', `${result.message} Redirecting to login...`);
+            confirmForm.reset();
+            setTimeout(() => {
+                window.location.href = account.loginUrl;
+            }, 2000);
+            return;
+        }
+        showMessage('resetConfirmError', result.error || 'Unable to reset. Please try again.');
+    } catch (error) {
+        console.error('Reset confirm error:', error);
+        showMessage('resetConfirmError', 'Network error. Please try again.');
+    }
+    submitBtn.disabled = false;
+};
+
+// Check an emailed link before asking for the new secret. Expired or used
+// links fall back to the request form so a new link can be sent.
+const verifyToken = async () => {
+    try {
+        const response = await fetch(`${ENDPOINTS.VERIFY}?${new URLSearchParams({ token: resetToken })}`);
+        const result = await response.json();
+
+        if (response.ok && result.valid) {
+            accountType = result.accountType;
+            showStep('confirm');
+            return;
+        }
+        showStep('request');
+        showMessage('resetRequestError', `${result.error || 'This reset link is invalid'}. You can request a new one below.`);
+    } catch (error) {
+        console.error('Reset verify error:', error);
+        showStep('request');
+        showMessage('resetRequestError', 'Network error. Please try again.');
+    }
+};
+
+// Toggle password visibility
+const togglePasswordVisibility = (btn) => {
+    const input = btn.closest('.input-group').querySelector('input');
+    const icon = btn.querySelector('i');
+    const show = input.type === 'password';
+    input.type = show ? 'text' : 'password';
+    icon.classList.replace(show ? 'fa-eye' : 'fa-eye-slash', show ? 'fa-eye-slash' : 'fa-eye');
+    btn.setAttribute('aria-label', show ? 'Hide password' : 'Show password');
+};
+
+// Event Listeners
+document.addEventListener('DOMContentLoaded', () => {
+    if (resetToken) {
+        verifyToken();
+    } else {
+        showStep('request');
+    }
+
+    requestForm.addEventListener('submit', handleRequest);
+    confirmForm.addEventListener('submit', handleConfirm);
+
+    togglePasswordBtns.forEach(btn => {
+        btn.addEventListener('click', () => togglePasswordVisibility(btn));
+    });
+
+    if (mobileMenuBtn) {
+        mobileMenuBtn.addEventListener('click', () => {
+            mainNav.classList.toggle('active');
+            mobileMenuBtn.setAttribute('aria-expanded', mainNav.classList.contains('active'));
+        });
+    }
+});
@@ -0,0 +1,96 @@
+// Session helpers shared by the signed-in pages. The access and refresh
+// tokens live in HttpOnly cookies the server sets at login; pages only keep
+// the signed-in user for display and send the CSRF token with any request
+// that changes something.
+
+const API_BASE_URL = '/api';
+const ENDPOINTS = {
+    REFRESH: `${API_BASE_URL}/token/refresh`,
+    LOGOUT: `${API_BASE_URL}/logout`
+};
+
+const CSRF_COOKIE = 'csrf_token';
+const SAFE_METHODS = ['GET', 'HEAD', 'OPTIONS'];
+
+// Ask /login or /admin/login for a cookie session rather than tokens in the body
+export const COOKIE_SESSION = { session: 'cookie' };
+
+// Store the user returned by /login or /admin/login
+export function saveSession({ user }) {
+    if (user) localStorage.setItem('user', JSON.stringify(user));
+}
+
+export function clearSession() {
+    localStorage.removeItem('user');
+}
+
+export function hasSession() {
+    return Boolean(localStorage.getItem('user'));
+}
+
+function readCsrfToken() {
+    const cookie = document.cookie.split('; ').find((entry) => entry.startsWith(`${CSRF_COOKIE}=`));
+    return cookie ? decodeURIComponent(cookie.slice(CSRF_COOKIE.length + 1)) : '';
+}
+
+// Headers with the CSRF token added for state-changing requests
+function withCsrf(method, headers = {}) {
+    if (SAFE_METHODS.includes((method || 'GET').toUpperCase())) return headers;
+    return { ...headers, 'X-CSRF-Token': readCsrfToken() };
+}
+
+// One refresh at a time; requests that fail together wait for the same one
+let pendingRefresh = null;
+
+async function refreshSession() {
+    try {
+        const res = await fetch(ENDPOINTS.REFRESH, {
+            method: 'POST',
+            credentials: 'same-origin',
+            headers: withCsrf('POST')
+        });
+        if (!res.ok) {
+            clearSession();
+            return false;
+        }
+        return true;
+    } catch (err) {
+        return false;
+    }
+}
+
+/**
+ * fetch() with the session cookies and CSRF token. A 401 triggers one
+ * refresh and retry; if the session can't be renewed the 401 response is
+ * returned.
+ */
+export async function authFetch(url, options = {}) {
+    const send = () => fetch(url, {
+        ...options,
+        credentials: 'same-origin',
+        headers: withCsrf(options.method, options.headers)
+    });
+
+    const res = await send();
+    if (res.status !== 401) return res;
+
+    pendingRefresh = pendingRefresh || refreshSession().finally(() => {
+        pendingRefresh = null;
+    });
+    return (await pendingRefresh) ? send() : res;
+}
+
+// Revoke the session on the server, forget it locally and leave the page
+export async function logout(redirectTo = '/pages/login.html') {
+    try {
+        await fetch(ENDPOINTS.LOGOUT, {
+            method: 'POST',
+            credentials: 'same-origin',
+            headers: withCsrf('POST')
+        });
+    } catch (err) {
+        // The local session is cleared even if the server can't be reached
+    }
+    clearSession();
+    window.location.href = redirectTo;
+}
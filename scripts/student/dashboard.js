@@ -1,5 +1,7 @@
 // Student Dashboard Script
 
+import { authFetch, logout } from '/scripts/session.js';
+
 const API_BASE_URL = '/api'; // Changed from http://localhost:5000/api to relative URL
 const ENDPOINTS = {
     MATERIALS: `${API_BASE_URL}/materials`,
@@ -85,7 +87,7 @@ async function loadMaterials() {
         }
         materialsBody.innerHTML = materials.map(mat => `
             <tr>
-                <td>${mat.courseTitle}</td>
+                <td>${mat.courseCode ? `${mat.courseCode} - ` : ''}${mat.courseTitle}</td>
                 <td>${mat.type.toUpperCase()}</td>
                 <td>${mat.fileName}</td>
                 <td>
@@ -163,13 +165,9 @@ async function handlePasscodeChange(e) {
 
     // Submit to backend
     try {
-        const token = localStorage.getItem('token');
-        const res = await fetch(ENDPOINTS.CHANGE_PASSCODE, {
+        const res = await authFetch(ENDPOINTS.CHANGE_PASSCODE, {
             method: 'POST',
-            headers: {
-                'Content-Type': 'application/json',
-                'Authorization': `Bearer ${token}`
-            },
+            headers: { 'Content-Type': 'application/json' },
             body: JSON.stringify({
                 currentPasscode,
                 newPasscode
@@ -190,9 +188,7 @@ async function handlePasscodeChange(e) {
 // Logout
 function handleLogout(e) {
     e.preventDefault();
-    localStorage.removeItem('token');
-    localStorage.removeItem('user');
-    window.location.href = '/pages/login.html';
+    logout();
 }
 
 // Toggle mobile menu
@@ -231,12 +227,12 @@ togglePasswordBtns.forEach(btn => {
 document.addEventListener('DOMContentLoaded', () => {
     // Check authentication
     const user = getCurrentUser();
-    if (!user || !localStorage.getItem('token')) {
+    if (!user) {
         window.location.href = '/pages/login.html';
         return;
     }
     // Set welcome message
-    welcomeMessage.textContent = `Welcome, ${user.name || 'Student'}`;
+    welcomeMessage.textContent = `Welcome, ${user.name || 'Student'}${user.level ? ` (${user.level} level)` : ''}`;
 
     // Load data
     loadMaterials();